@@ -57,6 +57,12 @@ function getStatusDisplay(status) {
       color: "danger",
       icon: "❌",
     },
+    "cancelled": {
+      name: "Cancelled",
+      description: "Evaluation was cancelled",
+      color: "cancelled",
+      icon: "🚫",
+    },
     "submitted": {
       name: "Submitted",
       description: "Submission received",
@@ -189,24 +195,16 @@ function updateSubmissionDisplay(submissionId, jobResult) {
     }
 
     if (progressElement && jobResult.progress) {
-      progressElement.innerHTML = `
-        <div class="progress-info">
-          <span>${jobResult.progress.phase} (${jobResult.progress.percentage}%)</span>
-          ${jobResult.progress.estimatedTimeRemaining ? `<small>ETA: ${jobResult.progress.estimatedTimeRemaining}</small>` : ""}
-        </div>
-        <div class="progress-bar">
-          <div class="progress-fill" style="width: ${jobResult.progress.percentage}%"></div>
-        </div>
-      `;
+      progressElement.outerHTML = renderJobProgress(jobResult.progress);
     }
   }
 }
 
 function getJobStatusFromProgress(progress) {
-  switch (progress.phase) {
-    case "queued":
+  switch (progress.state) {
+    case "waiting":
       return "Queued";
-    case "executing":
+    case "running":
       return "Running";
     case "completed":
       return "Evaluated";
@@ -217,6 +215,38 @@ function getJobStatusFromProgress(progress) {
   }
 }
 
+// Evaluator phase (query N of M while running queries) with the estimated time left
+function renderJobProgress(progress) {
+  let phase = progress.state === "waiting" ? "Waiting to start" : progress.label || "Processing...";
+  if (progress.step) {
+    phase += ` (step ${progress.step} of ${progress.totalSteps})`;
+  }
+  if (progress.query) {
+    phase += ` - query ${progress.query.current} of ${progress.query.total}${progress.query.name ? ` (${escapeHtml(progress.query.name)})` : ""}`;
+  }
+
+  const percentage = progress.percentage ?? 0;
+  let eta = "";
+  if (progress.estimatedCompletionAt) {
+    const minutes = Math.max(1, Math.round(progress.estimatedRemainingMs / 60000));
+    eta = `ETA: ~${minutes} min (${new Date(progress.estimatedCompletionAt).toLocaleTimeString()})`;
+  } else if (progress.state === "running") {
+    eta = "ETA: not enough history yet";
+  }
+
+  return `
+    <div class="job-progress">
+      <div class="progress-info">
+        <span>${phase}${progress.percentage !== null ? ` ${percentage}%` : ""}</span>
+        ${eta ? `<small>${eta}</small>` : ""}
+      </div>
+      <div class="progress-bar">
+        <div class="progress-fill" style="width: ${percentage}%"></div>
+      </div>
+    </div>
+  `;
+}
+
 // Enhanced submission status polling for teams
 async function pollSubmissionStatus(submissionId) {
   try {
@@ -273,6 +303,18 @@ function formatDate(dateString) {
   return new Date(dateString).toLocaleString();
 }
 
+function formatBytes(bytes) {
+  if (typeof bytes !== "number") return "N/A";
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = Math.abs(bytes);
+  let unitIndex = 0;
+  while (value >= 1024 && unitIndex < units.length - 1) {
+    value /= 1024;
+    unitIndex++;
+  }
+  return `${bytes < 0 ? "-" : ""}${value.toFixed(unitIndex === 0 ? 0 : 1)} ${units[unitIndex]}`;
+}
+
 function formatRepoUrl(url) {
   return url.replace("https://github.com/", "").replace(".git", "");
 }
@@ -383,6 +425,7 @@ async function login() {
 }
 
 function logout() {
+  closeLogConsole();
   currentUser = null;
   authToken = null;
   document.getElementById("loginScreen").classList.remove("hidden");
@@ -643,12 +686,22 @@ async function loadJudgeSubmissions() {
               <td>${formatDate(submission.submittedAt)}</td>
               <td><span class="status-badge status-${submission.status}" title="${getStatusDisplay(submission.status).description}">${getStatusDisplay(submission.status).icon} ${
                 getStatusDisplay(submission.status).name
-              }</span></td>
+              }</span>${submission.queue ? ` <small>#${submission.queue.position}${submission.queue.priority ? `, priority ${submission.queue.priority}` : ""}</small>` : ""}${
+                submission.failure ? ` <small>${submission.failure.category === "infra" ? "infra" : "submission"} failure${submission.infraRetries ? `, ${submission.infraRetries} retries` : ""}</small>` : ""
+              }</td>
               <td>${submission.autoScore || "N/A"}</td>
               <td>${submission.averageJudgeScore || "Not scored"}</td>
               <td>
                 <button class="btn" onclick="evaluateSubmission('${submission.id}')">Evaluate</button>
                 <button class="btn" onclick="viewSubmissionFiles('${submission.id}')">Files</button>
+                ${submission.jobId ? `<button class="btn" onclick="openLogConsole('${submission.jobId}')">Logs</button>` : ""}
+                ${submission.queue ? `<button class="btn btn-warning" onclick="raiseQueuePriority('${submission.id}')">Prioritize</button>` : ""}
+                ${["evaluated", "failed", "cancelled"].includes(submission.status) && !submission.retriedAs ? `<button class="btn" onclick="retrySubmission('${submission.id}')">Retry</button>` : ""}
+                ${
+                  currentUser.role === "host" && !["evaluated", "failed", "cancelled"].includes(submission.status)
+                    ? `<button class="btn btn-secondary" onclick="cancelSubmission('${submission.id}')">Cancel</button>`
+                    : ""
+                }
               </td>
             </tr>
           `
@@ -662,6 +715,45 @@ async function loadJudgeSubmissions() {
   }
 }
 
+async function raiseQueuePriority(submissionId) {
+  try {
+    const result = await apiCall(`/submissions/${submissionId}/priority`, { method: "POST", body: JSON.stringify({}) });
+    showAlert(`Submission moved to queue position #${result.queue.position}`, "success");
+    loadJudgeSubmissions();
+  } catch (error) {
+    showAlert(`Failed to raise priority: ${error.message}`, "error");
+  }
+}
+
+async function retrySubmission(submissionId) {
+  showConfirmation("Retry Evaluation", "Re-run the evaluation of this submission as a new attempt?", async () => {
+    try {
+      const result = await apiCall(`/submissions/${submissionId}/retry`, { method: "POST", body: JSON.stringify({}) });
+      showAlert(`Retry queued as ${result.submission.id}${result.submission.queue ? ` (queue position #${result.submission.queue.position})` : ""}`, "success");
+      loadJudgeSubmissions();
+    } catch (error) {
+      showAlert(`Failed to retry submission: ${error.message}`, "error");
+    }
+  });
+}
+
+async function cancelSubmission(submissionId) {
+  showConfirmation("Cancel Evaluation", "Stop the evaluation of this submission? Its job will be deleted.", async () => {
+    try {
+      await apiCall(`/submissions/${submissionId}/cancel`, { method: "POST", body: JSON.stringify({}) });
+      stopAllPolling();
+      showAlert("Submission cancelled", "success");
+      if (currentUser.role === "team") {
+        loadTeamSubmissions();
+      } else {
+        loadJudgeSubmissions();
+      }
+    } catch (error) {
+      showAlert(`Failed to cancel submission: ${error.message}`, "error");
+    }
+  });
+}
+
 async function evaluateSubmission(submissionId) {
   try {
     const submission = await apiCall(`/submissions/${submissionId}`);
@@ -1153,7 +1245,7 @@ async function loadTeamSubmitForm() {
           .map((problem) => {
             const existingSubmission = submissionsByProblem[problem.id];
             const hasSubmission = !!existingSubmission;
-            const canResubmit = hasSubmission && ["failed", "evaluated"].includes(existingSubmission.status);
+            const canResubmit = hasSubmission && ["failed", "evaluated", "cancelled"].includes(existingSubmission.status);
 
             return `
             <div class="problem-card ${hasSubmission ? "has-submission" : ""}">
@@ -1184,6 +1276,7 @@ async function loadTeamSubmitForm() {
                   <h5>Current Submission:</h5>
                   <p><strong>Repository:</strong> <a href="${existingSubmission.repoUrl}" target="_blank">${formatRepoUrl(existingSubmission.repoUrl)}</a></p>
                   <p><strong>Submitted:</strong> ${formatDate(existingSubmission.submittedAt)}</p>
+                  ${existingSubmission.queue ? renderQueueInfo(existingSubmission.queue) : ""}
                   ${existingSubmission.autoScore ? `<p><strong>Score:</strong> ${existingSubmission.autoScore}/100</p>` : ""}
                   ${
                     existingSubmission.status === "evaluating"
@@ -1360,7 +1453,13 @@ function showSubmissionForm(problemId, isResubmission = false) {
 
       // Success
       if (progressContainer.parentNode) {
-        progressContainer.querySelector(".progress-message").innerHTML = `
+        progressContainer.querySelector(".progress-message").innerHTML = result.submission?.queue
+          ? `
+          <span style="color: #27ae60;">✓ Submission queued for evaluation</span><br>
+          <small>Queue position: #${result.submission.queue.position}</small><br>
+          <small>Estimated start: ${formatDate(result.submission.queue.estimatedStartAt)}</small>
+        `
+          : `
           <span style="color: #27ae60;">✓ Evaluation started successfully!</span><br>
           <small>Job ID: ${result.submission?.jobId || "N/A"}</small><br>
           <small>Status: <span class="status-badge status-evaluating">evaluating</span></small>
@@ -1438,6 +1537,16 @@ async function viewSubmissionDetails(submissionId) {
   try {
     const submission = await apiCall(`/submissions/${submissionId}`);
 
+    // The breakdown is only available once the submission has been evaluated against a baseline
+    let scoreBreakdown = null;
+    if (submission.metrics) {
+      try {
+        scoreBreakdown = (await apiCall(`/submissions/${submissionId}/score-breakdown`)).breakdown;
+      } catch (error) {
+        console.warn("Score breakdown unavailable:", error.message);
+      }
+    }
+
     const container = document.getElementById("submissionDetails");
     container.innerHTML = `
       <div class="card submission-details">
@@ -1455,9 +1564,36 @@ async function viewSubmissionDetails(submissionId) {
             <strong>Status:</strong> 
             <span class="status-badge status-${submission.status}">${submission.status}</span>
           </div>
+          ${
+            submission.phase && !["evaluated", "failed"].includes(submission.status)
+              ? `
+            <div class="detail-item">
+              <strong>Phase:</strong> ${submission.phase}${submission.progress !== null && submission.progress !== undefined ? ` (${submission.progress}%)` : ""}
+            </div>
+          `
+              : ""
+          }
           <div class="detail-item">
             <strong>Submitted:</strong> ${formatDate(submission.submittedAt)}
           </div>
+          ${
+            submission.repoCommit
+              ? `
+            <div class="detail-item">
+              <strong>Commit:</strong> <code>${submission.repoCommit.slice(0, 12)}</code>
+            </div>
+          `
+              : ""
+          }
+          ${
+            submission.retryOf
+              ? `
+            <div class="detail-item">
+              <strong>Attempt:</strong> ${submission.attempt || 2} (retry of <a href="#" onclick="viewSubmissionDetails('${submission.retryOf}'); return false;">${submission.retryOf}</a>)
+            </div>
+          `
+              : ""
+          }
           ${
             submission.completedAt
               ? `
@@ -1506,6 +1642,11 @@ async function viewSubmissionDetails(submissionId) {
           }
         </div>
         
+        ${renderCalibration(submission.metrics?.calibration)}
+        ${renderScoreBreakdown(scoreBreakdown)}
+        ${renderConcurrencyMetrics(submission.metrics?.concurrency)}
+        ${renderStorageMetrics(submission.metrics?.storage)}
+        
         ${
           submission.metrics
             ? `
@@ -1520,6 +1661,7 @@ async function viewSubmissionDetails(submissionId) {
         }
         
         <div class="form-actions">
+          ${submission.jobId ? `<button class="btn btn-secondary" onclick="openLogConsole('${submission.jobId}')">View Logs</button>` : ""}
           <button class="btn" onclick="hideSubmissionDetails()">Close</button>
         </div>
       </div>
@@ -1531,6 +1673,265 @@ async function viewSubmissionDetails(submissionId) {
   }
 }
 
+function renderCalibration(calibration) {
+  if (!calibration || calibration.status !== "measured") return "";
+
+  return `
+    <div class="detail-grid">
+      <div class="detail-item">
+        <strong>Node Speed Factor:</strong> ${calibration.speed_factor}
+        (${calibration.benchmark}: ${calibration.median_ms} ms vs ${calibration.reference_ms} ms reference)
+      </div>
+    </div>
+  `;
+}
+
+const SCORE_COMPONENT_LABELS = {
+  correctness: "Correctness",
+  latency: "Latency",
+  concurrency: "Concurrency",
+  storageEfficiency: "Storage Efficiency",
+  tests: "Tests",
+};
+
+function formatScoreFraction(score) {
+  return score === null || score === undefined ? "N/A" : `${(score * 100).toFixed(1)}%`;
+}
+
+function describeScoreComponent(name, component) {
+  const inputs = component.inputs || {};
+  const queryCount = Object.keys(component.queries || {}).length;
+
+  switch (name) {
+    case "correctness": {
+      const matching = Object.values(component.queries || {}).filter((q) => q.score === 1).length;
+      return { measured: `${matching}/${queryCount} queries match`, baseline: "Baseline result fingerprints" };
+    }
+    case "latency": {
+      const noisy = inputs.highVarianceQueries?.length > 0 ? ` (high variance: ${inputs.highVarianceQueries.join(", ")})` : "";
+      const warmup = inputs.warmupRuns > 0 ? `, ${inputs.warmupRuns} warm-up runs discarded` : "";
+      const hardware = inputs.hardware?.applied ? `, normalized ×${inputs.hardware.scale.toFixed(3)} to baseline node` : "";
+      return {
+        measured: `${queryCount} queries timed by ${inputs.aggregation}${warmup}${hardware}${noisy}`,
+        baseline: `Target ${inputs.targetMs} ms, max ${inputs.hardTimeoutMs} ms`,
+      };
+    }
+    case "concurrency":
+      return {
+        measured:
+          inputs.measuredQps !== null
+            ? `${inputs.measuredQps} queries/s on ${inputs.query}${inputs.hardware?.applied ? ` (raw ${inputs.rawQps})` : ""}`
+            : `Not measured (${inputs.status || "missing"})`,
+        baseline: `Target ${inputs.targetQps} queries/s${inputs.baselineQps !== null ? ` (baseline ${inputs.baselineQps})` : ""}`,
+      };
+    case "storageEfficiency":
+      return {
+        measured: inputs.extraBytes !== null ? `${formatBytes(inputs.extraBytes)} extra` : `Not measured (${inputs.status || "missing"})`,
+        baseline:
+          inputs.baseBytes !== null
+            ? `Allowance ${formatBytes(inputs.ratio * inputs.baseBytes)} (${Math.round(inputs.ratio * 100)}% of ${formatBytes(inputs.baseBytes)})`
+            : `Allowance ${Math.round(inputs.ratio * 100)}% of base`,
+      };
+    case "tests":
+      return {
+        measured: `${inputs.passedCount}/${inputs.testCount} tests pass`,
+        baseline: inputs.excludedByBaseline > 0 ? `${inputs.excludedByBaseline} tests failing on baseline excluded` : "All reported tests",
+      };
+    default:
+      return {
+        measured: Object.entries(inputs)
+          .map(([key, value]) => `${key}: ${value}`)
+          .join(", "),
+        baseline: "",
+      };
+  }
+}
+
+function renderScoreBreakdown(breakdown) {
+  if (!breakdown) return "";
+
+  const rows = Object.entries(breakdown.components)
+    .map(([name, component]) => {
+      const description = describeScoreComponent(name, component);
+      return `
+        <tr>
+          <td title="${component.formula}">${SCORE_COMPONENT_LABELS[name] || name}</td>
+          <td>${component.weight}${component.measured ? "" : " (not measured)"}</td>
+          <td>${formatScoreFraction(component.score)}</td>
+          <td>${component.points}</td>
+          <td>${description.measured}</td>
+          <td>${description.baseline}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  const correctnessQueries = breakdown.components.correctness?.queries || {};
+  const latencyQueries = breakdown.components.latency?.queries || {};
+  const queryRows = Object.keys(correctnessQueries)
+    .map((queryId) => {
+      const correctness = correctnessQueries[queryId];
+      const latency = latencyQueries[queryId] || {};
+      return `
+        <tr>
+          <td>${queryId}</td>
+          <td>${correctness.score === 1 ? "✓" : "✗"} ${correctness.reason || ""}</td>
+          <td>${correctness.actualRows ?? "N/A"} / ${correctness.expectedRows ?? "N/A"}</td>
+          <td>${latency.timeMs !== null && latency.timeMs !== undefined ? `${latency.timeMs} ms` : "N/A"}${
+            latency.rawTimeMs !== null && latency.rawTimeMs !== undefined && latency.rawTimeMs !== latency.timeMs ? ` (raw ${latency.rawTimeMs} ms)` : ""
+          }${latency.timedOut ? " (timed out)" : ""}</td>
+          <td>${latency.baselineTimeMs !== null && latency.baselineTimeMs !== undefined ? `${latency.baselineTimeMs} ms` : "N/A"}</td>
+          <td>${latency.p50Ms ?? "N/A"} / ${latency.p90Ms ?? "N/A"} ms</td>
+          <td${latency.highVariance ? ' title="Timings vary too much to be scored reliably"' : ""}>${latency.cv ?? "N/A"}${latency.highVariance ? " ⚠" : ""}</td>
+          <td>${formatScoreFraction(latency.score)}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  const testRows = Object.entries(breakdown.components.tests?.tests || {})
+    .map(
+      ([name, test]) => `
+        <tr>
+          <td>${name}</td>
+          <td>${test.score === 1 ? "✓" : "✗"} ${test.status}</td>
+          <td>${test.weight}</td>
+          <td>${test.message || ""}</td>
+        </tr>
+      `
+    )
+    .join("");
+
+  return `
+    <details class="metrics-section" open>
+      <summary>Score Breakdown (${breakdown.total}/100)</summary>
+      ${breakdown.failure ? `<p><strong>Scored 0:</strong> ${escapeHtml(breakdown.failure)}</p>` : ""}
+      <table class="table">
+        <thead>
+          <tr>
+            <th>Component</th>
+            <th>Weight</th>
+            <th>Score</th>
+            <th>Points</th>
+            <th>Measurement</th>
+            <th>Compared Against</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${
+        queryRows
+          ? `
+        <details class="metrics-section">
+          <summary>Per-Query Details</summary>
+          <table class="table">
+            <thead>
+              <tr>
+                <th>Query</th>
+                <th>Correct</th>
+                <th>Rows (actual / expected)</th>
+                <th>Time (${breakdown.components.latency?.inputs?.aggregation || "median"})</th>
+                <th>Baseline Time</th>
+                <th>p50 / p90</th>
+                <th>CV</th>
+                <th>Latency Score</th>
+              </tr>
+            </thead>
+            <tbody>${queryRows}</tbody>
+          </table>
+        </details>
+      `
+          : ""
+      }
+      ${
+        testRows
+          ? `
+        <details class="metrics-section">
+          <summary>Per-Test Details</summary>
+          <table class="table">
+            <thead>
+              <tr>
+                <th>Test</th>
+                <th>Status</th>
+                <th>Weight</th>
+                <th>Message</th>
+              </tr>
+            </thead>
+            <tbody>${testRows}</tbody>
+          </table>
+        </details>
+      `
+          : ""
+      }
+    </details>
+  `;
+}
+
+function renderConcurrencyMetrics(concurrency) {
+  if (!concurrency) return "";
+
+  if (concurrency.status !== "completed") {
+    return `
+      <h4>Concurrency Test</h4>
+      <p>Not measured (${concurrency.status}) for query ${concurrency.query || "N/A"}.</p>
+    `;
+  }
+
+  return `
+    <h4>Concurrency Test</h4>
+    <div class="detail-grid">
+      <div class="detail-item"><strong>Query:</strong> ${concurrency.query}</div>
+      <div class="detail-item"><strong>Clients:</strong> ${concurrency.clients} for ${concurrency.duration_s}s</div>
+      <div class="detail-item"><strong>Throughput:</strong> ${concurrency.qps} queries/s</div>
+      <div class="detail-item"><strong>Errors:</strong> ${concurrency.errors} (${concurrency.mismatches} wrong results)</div>
+      <div class="detail-item"><strong>Latency p50 / p95:</strong> ${concurrency.p50_ms ?? "N/A"} ms / ${concurrency.p95_ms ?? "N/A"} ms</div>
+    </div>
+  `;
+}
+
+function renderStorageMetrics(storage) {
+  if (!storage || storage.status !== "measured") return "";
+
+  const extraPercent = storage.base_bytes > 0 ? ((storage.extra_bytes / storage.base_bytes) * 100).toFixed(1) : "N/A";
+  const largestObjects = (storage.objects || []).slice(0, 10);
+
+  return `
+    <h4>Storage Overhead</h4>
+    <div class="detail-grid">
+      <div class="detail-item"><strong>Base Size:</strong> ${formatBytes(storage.base_bytes)}</div>
+      <div class="detail-item"><strong>Extra Storage:</strong> ${formatBytes(storage.extra_bytes)} (${extraPercent}% of base)</div>
+    </div>
+    ${
+      largestObjects.length > 0
+        ? `
+      <table class="table">
+        <thead>
+          <tr>
+            <th>Object</th>
+            <th>Type</th>
+            <th>Added Size</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${largestObjects
+            .map(
+              (object) => `
+            <tr>
+              <td><code>${object.name}</code></td>
+              <td>${object.kind.replace("_", " ")}${object.created ? "" : " (grown)"}</td>
+              <td>${formatBytes(object.delta_bytes)}</td>
+            </tr>
+          `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `
+        : "<p>No auxiliary objects were created by the migration.</p>"
+    }
+  `;
+}
+
 function hideSubmissionDetails() {
   document.getElementById("submissionDetails").innerHTML = "";
 }
@@ -1550,7 +1951,7 @@ async function loadTeamSubmissions() {
     container.innerHTML = submissions
       .map((submission) => {
         const statusDisplay = getStatusDisplay(submission.status);
-        const isActive = ["creating", "queued", "running", "processing"].includes(submission.status);
+        const isActive = ["creating", "queued", "pending", "pending-resources", "running", "processing"].includes(submission.status);
 
         return `
             <div class="submission-card" data-submission-id="${submission.id}">
@@ -1565,7 +1966,11 @@ async function loadTeamSubmissions() {
               ${submission.averageJudgeScore ? `<p><strong>Judge Score:</strong> ${submission.averageJudgeScore}/100</p>` : ""}
               ${submission.jobId ? `<p><strong>Job ID:</strong> <code>${submission.jobId}</code></p>` : ""}
               ${
-                isActive
+                submission.queue
+                  ? renderQueueInfo(submission.queue)
+                  : submission.jobProgress
+                  ? renderJobProgress(submission.jobProgress)
+                  : isActive
                   ? `
                 <div class="job-progress">
                   <div class="progress-info">
@@ -1579,7 +1984,10 @@ async function loadTeamSubmissions() {
               `
                   : ""
               }
-              ${submission.error ? `<p class="alert alert-error"><strong>Error:</strong> ${submission.error}</p>` : ""}
+              ${renderFailureInfo(submission)}
+              ${submission.retryOf ? `<p><small>Attempt ${submission.attempt || 2}, retry of <code>${submission.retryOf}</code></small></p>` : ""}
+              ${submission.jobId ? `<button class="btn" onclick="openLogConsole('${submission.jobId}')">View Logs</button>` : ""}
+              ${isActive ? `<button class="btn btn-secondary" onclick="cancelSubmission('${submission.id}')">Cancel Evaluation</button>` : ""}
             </div>
           `;
       })
@@ -1587,7 +1995,7 @@ async function loadTeamSubmissions() {
 
     // Start polling for active submissions
     submissions.forEach((submission) => {
-      if (["creating", "queued", "running", "processing"].includes(submission.status)) {
+      if (["creating", "queued", "pending", "pending-resources", "running", "processing"].includes(submission.status)) {
         if (submission.jobId) {
           pollJobStatus(submission.jobId, submission.id);
         } else {
@@ -1601,6 +2009,170 @@ async function loadTeamSubmissions() {
   }
 }
 
+// Failure of a submission, telling infrastructure failures (retried, not counted) from the submission's own
+function renderFailureInfo(submission) {
+  if (submission.status === "queued" && submission.failure) {
+    return `<p class="alert alert-warning"><strong>Infrastructure failure:</strong> ${submission.failure.message}<br><small>Retrying automatically (retry ${submission.infraRetries}); this does not count against your team.</small></p>`;
+  }
+  if (submission.status !== "failed" || !submission.error) {
+    return "";
+  }
+  if (submission.failure?.category === "infra") {
+    return `<p class="alert alert-warning"><strong>Infrastructure failure:</strong> ${submission.error}<br><small>Not caused by your submission and not counted against your team.</small></p>`;
+  }
+  return `<p class="alert alert-error"><strong>Submission failure:</strong> ${submission.error}</p>`;
+}
+
+// Queue position and estimated start of a submission waiting for a job slot
+function renderQueueInfo(queue) {
+  return `
+    <div class="job-progress">
+      <div class="progress-info">
+        <span>Queue position: #${queue.position}</span>
+        <small>Estimated start: ${formatDate(queue.estimatedStartAt)}</small>
+      </div>
+    </div>
+  `;
+}
+
+// Live job logs. The stream is read with fetch, since EventSource cannot send the auth header.
+const LOG_CONSOLE_MAX_LINES = 20000;
+let logConsole = null;
+
+async function openLogConsole(jobId) {
+  closeLogConsole();
+
+  const session = { jobId, controller: new AbortController(), lines: [] };
+  logConsole = session;
+  document.getElementById("logConsoleJobId").textContent = jobId;
+  document.getElementById("logConsoleSearch").value = "";
+  document.getElementById("logConsoleOutput").textContent = "";
+  setLogConsoleStatus("Connecting...");
+  document.getElementById("logConsole").classList.remove("hidden");
+
+  try {
+    const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/logs/stream?tail=1000`, {
+      headers: authToken ? { Authorization: `Basic ${authToken}` } : {},
+      signal: session.controller.signal,
+    });
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `HTTP ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done || logConsole !== session) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      let separator;
+      while ((separator = buffer.indexOf("\n\n")) >= 0) {
+        handleLogStreamEvent(parseServerSentEvent(buffer.slice(0, separator)));
+        buffer = buffer.slice(separator + 2);
+      }
+    }
+  } catch (error) {
+    if (error.name !== "AbortError" && logConsole === session) {
+      setLogConsoleStatus(`Log stream failed: ${error.message}`);
+    }
+  }
+}
+
+function parseServerSentEvent(raw) {
+  const event = { type: "message", data: [] };
+  raw.split("\n").forEach((line) => {
+    // Lines starting with ":" are comments (keep-alives)
+    if (line.startsWith(":")) return;
+    const colon = line.indexOf(":");
+    const field = colon >= 0 ? line.slice(0, colon) : line;
+    let value = colon >= 0 ? line.slice(colon + 1) : "";
+    if (value.startsWith(" ")) value = value.slice(1);
+
+    if (field === "event") event.type = value;
+    else if (field === "data") event.data.push(value);
+  });
+  return event;
+}
+
+function handleLogStreamEvent(event) {
+  if (event.data.length === 0) return;
+
+  if (event.type === "log") {
+    appendLogLines(event.data);
+    return;
+  }
+
+  const payload = JSON.parse(event.data.join("\n"));
+  if (event.type === "status") {
+    setLogConsoleStatus(`Job ${payload.status}${["running", "completed", "failed"].includes(payload.status) ? "" : ", waiting for output..."}`);
+  } else if (event.type === "error") {
+    setLogConsoleStatus(`Error: ${payload.error}`);
+  } else if (event.type === "end") {
+    setLogConsoleStatus(`End of log (job ${payload.status || "unknown"})`);
+  }
+}
+
+function appendLogLines(lines) {
+  logConsole.lines.push(...lines);
+  if (logConsole.lines.length > LOG_CONSOLE_MAX_LINES) {
+    logConsole.lines.splice(0, logConsole.lines.length - LOG_CONSOLE_MAX_LINES);
+    renderLogConsole();
+    return;
+  }
+
+  const filter = document.getElementById("logConsoleSearch").value.toLowerCase();
+  const visible = filter ? lines.filter((line) => line.toLowerCase().includes(filter)) : lines;
+  if (visible.length > 0) {
+    document.getElementById("logConsoleOutput").append(visible.join("\n") + "\n");
+    scrollLogConsole();
+  }
+}
+
+// Show the lines matching the search box
+function renderLogConsole() {
+  if (!logConsole) return;
+
+  const filter = document.getElementById("logConsoleSearch").value.toLowerCase();
+  const visible = filter ? logConsole.lines.filter((line) => line.toLowerCase().includes(filter)) : logConsole.lines;
+  document.getElementById("logConsoleOutput").textContent = visible.length > 0 ? visible.join("\n") + "\n" : "";
+  scrollLogConsole();
+}
+
+function scrollLogConsole() {
+  if (!document.getElementById("logConsoleAutoScroll").checked) return;
+  const output = document.getElementById("logConsoleOutput");
+  output.scrollTop = output.scrollHeight;
+}
+
+function setLogConsoleStatus(message) {
+  document.getElementById("logConsoleStatus").textContent = message;
+}
+
+function downloadJobLogs() {
+  if (!logConsole) return;
+
+  const blob = new Blob([logConsole.lines.join("\n") + "\n"], { type: "text/plain" });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `${logConsole.jobId}.log`;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(url);
+  document.body.removeChild(a);
+}
+
+function closeLogConsole() {
+  if (logConsole) {
+    logConsole.controller.abort();
+    logConsole = null;
+  }
+  document.getElementById("logConsole").classList.add("hidden");
+}
+
 // Shared functionality
 async function loadLeaderboard() {
   const container = document.getElementById("leaderboardTable");
@@ -1624,6 +2196,7 @@ async function loadLeaderboard() {
             <th>Auto Score</th>
             <th>Judge Score</th>
             <th>Total Score</th>
+            <th title="Failed attempts count against the team (ties go to fewer); infrastructure failures do not">Failed / Infra</th>
             <th>Submitted</th>
           </tr>
         </thead>
@@ -1638,6 +2211,7 @@ async function loadLeaderboard() {
               <td>${entry.autoScore || "N/A"}</td>
               <td>${entry.judgeScore || "N/A"}</td>
               <td><strong>${entry.totalScore || "N/A"}</strong></td>
+              <td>${entry.failedAttempts || 0} / ${entry.infraFailures || 0}</td>
               <td>${formatDate(entry.submittedAt)}</td>
             </tr>
           `
@@ -1,261 +1,168 @@
 require("dotenv").config();
 const express = require("express");
 const axios = require("axios");
-const fs = require("fs").promises;
 const path = require("path");
 const { SubmissionResultsMonitor } = require("./utils/submissionResults");
-const DataManager = require("./utils/dataManager");
+const { createJobRunner } = require("./utils/jobRunners");
+const { createDataManager } = require("./utils/dataStores");
+const { importJsonData } = require("./utils/dataStores/importer");
+const { migrateDataJson } = require("./utils/legacyData");
+const { runDataMigrations } = require("./utils/dataMigrations");
+const { VersionConflictError } = require("./utils/dataErrors");
+const { verifyPassword } = require("./utils/passwords");
+const { ArchiveError, exportContest, importContest } = require("./utils/contestArchive");
+const { ContestBackups } = require("./utils/contestBackups");
+const {
+  calculateScore,
+  reprepareMetrics,
+  scoreSubmission,
+  getScoringRules,
+  getScoringRulesVersion,
+  createScoringRuleSet,
+  getScoringRuleSets,
+  getProblemAtRulesVersion,
+  getBaselineJobId,
+  recordScoreAudit,
+  canScore,
+} = require("./utils/score");
+const { getScorer, listScorers } = require("./utils/scorers");
+const { DEFAULT_TIMING_OPTIONS, getTimingOptions, summarizeRunTimes } = require("./utils/timing");
+const { CALLBACK_STATUS_MAP, verifyCallbackToken, getCallbackEnv, buildJobEvent, parseRepoCommit } = require("./utils/jobCallbacks");
+const { JobQueue } = require("./utils/jobQueue");
+const { FAILURE_CATEGORIES, classifyJobFailure, getInfraRetryDelay, summarizeTeamFailures } = require("./utils/jobFailures");
+const { getJobType, summarizePhaseHistory, describeJobProgress, formatRemainingTime } = require("./utils/jobProgress");
+const { ingestJobArtifacts, summarizeArtifactManifest } = require("./utils/artifacts");
+const { LAYOUT_KINDS, createResultsStore, validateStorageLayout } = require("./utils/storage/results");
+const { validateDockerParams } = require("./utils/kubernetes");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const BASELINE_BUCKET = process.env.BASELINE_BUCKET || "db-baseline";
 const BASELINE_SUMMARY_FILE = process.env.BASELINE_SUMMARY_FILE || "summary.json";
 
-// Initialize data manager
-const dataManager = new DataManager();
+// Initialize the contest data repository (DATA_BACKEND=json or sqlite)
+const DATA_DIR = path.join(__dirname, "data");
+const dataManager = createDataManager({ dataDir: DATA_DIR });
+
+// Initialize job runner (JOB_RUNNER=kubernetes or local)
+const jobRunner = createJobRunner({
+  debug: process.env.DEBUG === "true",
+});
+
+// Initialize results storage (STORAGE_BACKEND=gcs, s3 or local; defaults to where the runner's jobs write)
+const resultsStore = createResultsStore({
+  runnerType: jobRunner.type,
+  localDir: jobRunner.config.resultsDir,
+  resultsBucket: process.env.SUBMISSION_RESULTS_BUCKET,
+  baselineBucket: BASELINE_BUCKET,
+  credentialsPath: process.env.GCP_CREDENTIALS_JSON_PATH,
+  getProblem: getStorageProblem,
+  debug: process.env.DEBUG === "true",
+});
 
 // Initialize submission results monitor
 const submissionMonitor = new SubmissionResultsMonitor({
-  submissionResultsBucket: process.env.SUBMISSION_RESULTS_BUCKET,
+  jobRunner,
+  resultsStore,
+  dataManager,
   summaryFile: process.env.SUBMISSION_SUMMARY_FILE,
-  credentialsPath: process.env.GCP_CREDENTIALS_JSON_PATH,
   monitorInterval: parseInt(process.env.JOB_MONITOR_INTERVAL_MS) || 30000,
   maxRetries: parseInt(process.env.SUBMISSION_MONITOR_MAX_RETRIES) || 5,
   debug: process.env.DEBUG === "true",
+  onJobFailure: ({ jobId, failure }) => handleJobFailure(jobId, failure),
+  onJobProgress: ({ jobId, event }) => recordJobProgress(jobId, event),
+  onJobCompleted: ({ jobId }) => ingestSubmissionArtifacts(jobId),
+});
+
+// Initialize evaluation job queue
+const jobQueue = new JobQueue({
+  listWaiting: listQueuedSubmissions,
+  listActive: listActiveJobs,
+  listDurations: listRecentJobDurations,
+  startJob: startQueuedSubmission,
+  debug: process.env.DEBUG === "true",
 });
 
+// Scheduled contest backups (BACKUP_INTERVAL_MS, BACKUP_RETENTION)
+const contestBackups = new ContestBackups({ dataManager });
+const IMPORT_MAX_BYTES = parseInt(process.env.ADMIN_IMPORT_MAX_BYTES) || 512 * 1024 * 1024;
+
 // Middleware
 app.use(express.json());
 app.use(express.static("public"));
 
-// Data persistence
-const DATA_FILE = path.join(__dirname, "data.json");
-
-// Initialize data structure
-const initData = {
-  users: [
-    { id: "host", name: "Contest Host", role: "host", password: "host123" },
-    { id: "judge1", name: "Judge Alice", role: "judge", password: "judge123" },
-    { id: "judge2", name: "Judge Bob", role: "judge", password: "judge123" },
-    { id: "team1", name: "Team Alpha", role: "team", password: "team123" },
-    { id: "team2", name: "Team Beta", role: "team", password: "team123" },
-    { id: "team3", name: "Team Gamma", role: "team", password: "team123" },
-  ],
-  problems: {
-    "db-query-optimization": {
-      id: "db-query-optimization",
-      title: "Database Query Optimization Challenge",
-      description:
-        "Large-scale analytics and OLTP systems often encounter SQL queries that become prohibitively slow as data volume grows (100M+ rows). This challenge simulates a real-world scenario where you must optimize a slow SQL workload to run efficiently on a single machine.",
-      domain: "Databases, query optimization, systems engineering, data engineering",
-      constraints: {
-        database: "PostgreSQL 14",
-        dataset: "events table ~100M rows; other tables up to ~120M rows",
-        hardware: "8 vCPU, 32GB RAM, 1TB SSD",
-        migrationTime: "≤30 minutes",
-        queryTimeout: "4s target, 10s max",
-        auxiliaryStorage: "≤30% extra over base DB",
-      },
-      scoringWeights: {
-        correctness: 50,
-        latency: 30,
-        concurrency: 10,
-        storageEfficiency: 10,
-      },
-      submissions: [],
-      baselineMetrics: null,
-      jobStatuses: {},
-    },
-  },
-  // Legacy support - will be migrated to problems structure
-  submissions: [],
-  evaluations: [],
-  baselineMetrics: null,
-  jobStatuses: {},
-};
-
-// Data persistence helpers
-async function loadData() {
-  try {
-    const data = await fs.readFile(DATA_FILE, "utf8");
-    const loaded = JSON.parse(data);
-
-    // Migrate legacy data structure to new multi-problem format
-    if (!loaded.problems && (loaded.submissions || loaded.baselineMetrics)) {
-      console.log("Migrating legacy data structure to multi-problem format...");
-
-      if (!loaded.problems) {
-        loaded.problems = {};
-      }
-
-      // Create the default DB optimization problem with existing data
-      loaded.problems["db-query-optimization"] = {
-        id: "db-query-optimization",
-        title: "Database Query Optimization Challenge",
-        description: "Large-scale analytics and OLTP systems often encounter SQL queries that become prohibitively slow as data volume grows (100M+ rows).",
-        domain: "Databases, query optimization, systems engineering, data engineering",
-        constraints: {
-          database: "PostgreSQL 14",
-          dataset: "events table ~100M rows; other tables up to ~120M rows",
-          hardware: "8 vCPU, 32GB RAM, 1TB SSD",
-          migrationTime: "≤30 minutes",
-          queryTimeout: "4s target, 10s max",
-          auxiliaryStorage: "≤30% extra over base DB",
-        },
-        scoringWeights: {
-          correctness: 50,
-          latency: 30,
-          concurrency: 10,
-          storageEfficiency: 10,
-        },
-        submissions: loaded.submissions || [],
-        baselineMetrics: loaded.baselineMetrics || null,
-        jobStatuses: loaded.jobStatuses || {},
-      };
-
-      // Update submission objects to include problemId if missing
-      if (loaded.problems["db-query-optimization"].submissions) {
-        loaded.problems["db-query-optimization"].submissions.forEach((submission) => {
-          if (!submission.problemId) {
-            submission.problemId = "db-query-optimization";
-          }
-        });
-      }
-
-      await saveData(loaded);
-      console.log("Data migration completed");
-    }
-
-    return loaded;
-  } catch (error) {
-    console.log("No existing data file, using initial data");
-    return initData;
-  }
-}
-
-async function saveData(data) {
-  await fs.writeFile(DATA_FILE, JSON.stringify(data, null, 2));
-}
-
-// Auto-scoring mechanism based on baseline metrics
-function calculateScore(submissionMetrics, baselineMetrics) {
-  if (!baselineMetrics || !submissionMetrics) return 0;
-
-  let totalScore = 0;
-  let queryCount = 0;
-
-  // Compare each query performance
-  for (const [queryId, submissionQuery] of Object.entries(submissionMetrics.queries || {})) {
-    const baselineQuery = baselineMetrics.queries?.[queryId];
-
-    if (baselineQuery && submissionQuery.status === "success" && baselineQuery.status === "success") {
-      // Performance score (0-40 points per query)
-      const performanceRatio = baselineQuery.avg_time / submissionQuery.avg_time;
-      const performanceScore = Math.min(40, Math.max(0, performanceRatio * 20));
-
-      // Correctness score (0-60 points per query)
-      const correctnessScore = submissionQuery.correctness_check ? 60 : 0;
-
-      totalScore += performanceScore + correctnessScore;
-      queryCount++;
-    } else if (submissionQuery.status === "failed") {
-      // Penalty for failed queries
-      totalScore += 0;
-      queryCount++;
-    }
-  }
-
-  return queryCount > 0 ? Math.round(totalScore / queryCount) : 0;
+// Problem whose `storage` layout applies to its jobs
+async function getStorageProblem(problemId) {
+  return await dataManager.getProblem(problemId);
 }
 
 // Fetch baseline metrics on startup
 async function fetchBaselineMetrics(problemId = "db-query-optimization") {
-  const data = await loadData();
-
-  if (data.problems?.[problemId]?.baselineMetrics) {
+  const cachedMetrics = await dataManager.getBaselineMetrics(problemId);
+  if (cachedMetrics) {
     console.log(`Using cached baseline metrics for problem: ${problemId}`);
-    return data.problems[problemId].baselineMetrics;
+    return cachedMetrics;
   }
 
   try {
-    console.log("Fetching baseline metrics using get-latest-baseline.sh...");
-
-    const { exec } = require("child_process");
-    const { promisify } = require("util");
-    const execAsync = promisify(exec);
-
-    // Set up environment variables for the script
-    const env = {
-      ...process.env,
-      BASELINE_BUCKET: BASELINE_BUCKET,
-    };
-
-    // Only set GCP credentials if the file exists
-    const credentialsPath = process.env.GCP_CREDENTIALS_JSON_PATH;
-    if (credentialsPath) {
-      const fullCredentialsPath = path.resolve(__dirname, credentialsPath);
-      try {
-        await fs.access(fullCredentialsPath);
-        env.GCP_CREDENTIALS_JSON = fullCredentialsPath;
-      } catch (error) {
-        console.log(`GCP credentials file not found at ${fullCredentialsPath}, continuing without explicit authentication`);
-      }
-    }
-
-    // Get the script path
-    const scriptPath = path.resolve(__dirname, process.env.GET_LATEST_BASELINE_SCRIPT || "../scripts/get-latest-baseline.sh");
+    console.log(`Fetching latest baseline metrics (${resultsStore.storage.type} storage)...`);
 
-    // Execute the get-latest-baseline.sh script to get the latest baseline files
-    const { stdout: scriptOutput } = await execAsync(`bash "${scriptPath}"`, { env });
-
-    // Parse the script output to find the summary.json file
-    const lines = scriptOutput.trim().split("\n");
-    const summaryLine = lines.find((line) => line.includes("summary.json"));
-
-    if (!summaryLine) {
-      throw new Error("No summary.json found in baseline bucket");
-    }
-
-    const summaryUrl = summaryLine.trim();
-    console.log(`Fetching baseline metrics from: ${summaryUrl}`);
-
-    // Download and parse the summary.json file
-    const { stdout: summaryJson } = await execAsync(`gsutil cat "${summaryUrl}"`, { env });
-    const rawBaselineMetrics = JSON.parse(summaryJson);
+    const baseline = await resultsStore.fetchLatestBaseline(BASELINE_SUMMARY_FILE, { problemId });
+    console.log(`Fetching baseline metrics from: ${baseline.location}`);
+    const rawBaselineMetrics = baseline.summary;
 
     // Process the baseline metrics to add average times for compatibility with scoring
-    const processedMetrics = processBaselineMetrics(rawBaselineMetrics);
+    const problem = await dataManager.getProblem(problemId);
+    const processedMetrics = processBaselineMetrics(rawBaselineMetrics, getTimingOptions(problem?.constraints));
+
+    // Keep the baseline job ID so scores can reference it
+    processedMetrics.jobId = baseline.jobId;
 
     // Store the metrics
-    if (!data.problems[problemId]) {
-      data.problems[problemId] = initData.problems["db-query-optimization"];
-    }
-    data.problems[problemId].baselineMetrics = processedMetrics;
-    await saveData(data);
+    await dataManager.setBaselineMetrics(problemId, processedMetrics);
 
     console.log(`Baseline metrics fetched and cached for problem: ${problemId}`);
     console.log(`Metrics include ${Object.keys(processedMetrics.queries || {}).length} queries`);
 
-    return data.problems[problemId].baselineMetrics;
+    return processedMetrics;
   } catch (error) {
     console.error("Error fetching baseline metrics:", error.message);
     return null;
   }
 }
 
-// Process baseline metrics to add average times for compatibility with scoring
-function processBaselineMetrics(rawMetrics) {
+// Resolve the problem definition and baseline metrics used to score a problem's submissions
+async function getScoringContext(problemId) {
+  return await dataManager.getScoringContext(problemId);
+}
+
+// The problem rules and baseline a score was computed with, from a rule-set version and baseline
+// job ID (the problem's current ones when not given). `problem` is null for an unknown version,
+// `baselineMetrics` null for a baseline that is not stored.
+async function getRecordedScoringContext(problem, baselineMetrics, { rulesVersion = null, baselineJobId = null } = {}) {
+  const currentBaselineJobId = getBaselineJobId(problem, baselineMetrics);
+  const scoringBaselineJobId = baselineJobId || currentBaselineJobId;
+
+  return {
+    problem: problem && rulesVersion ? getProblemAtRulesVersion(problem, rulesVersion) : problem,
+    baselineMetrics: scoringBaselineJobId === currentBaselineJobId ? baselineMetrics : await dataManager.getBaselineMetricsByJob(scoringBaselineJobId),
+    baselineJobId: scoringBaselineJobId,
+  };
+}
+
+// Process baseline metrics to add timing statistics for compatibility with scoring
+function processBaselineMetrics(rawMetrics, timingOptions = DEFAULT_TIMING_OPTIONS) {
   const processedMetrics = { ...rawMetrics };
 
-  // Add average times to each query for compatibility with the scoring function
+  // Add timing statistics (warm-up runs left out) to each query for compatibility with the scoring function
   if (processedMetrics.queries) {
     Object.keys(processedMetrics.queries).forEach((queryId) => {
       const query = processedMetrics.queries[queryId];
       if (query.status === "success" && query.runs && query.runs.length > 0) {
-        const validTimes = query.runs.filter((run) => run.status === "success" && typeof run.time === "number").map((run) => run.time);
+        query.timing = summarizeRunTimes(query.runs, timingOptions);
 
-        if (validTimes.length > 0) {
-          query.avg_time = validTimes.reduce((sum, time) => sum + time, 0) / validTimes.length;
+        if (query.timing.samples > 0) {
+          query.avg_time = query.timing.mean_ms;
         }
       }
     });
@@ -264,139 +171,274 @@ function processBaselineMetrics(rawMetrics) {
   return processedMetrics;
 }
 
-// Helper function to create job using create-job.sh script
-async function createJobUsingScript(type, repoUrl, config = {}) {
+// Helper function to create an evaluation job with the configured job runner
+async function createJob(type, repoUrl, config = {}) {
   try {
-    const { exec } = require("child_process");
-    const { promisify } = require("util");
-    const execAsync = promisify(exec);
+    console.log(`Creating ${type} job${repoUrl ? ` for ${repoUrl}` : ""}`);
+
+    const job = await jobRunner.createJob(type, {
+      repoUrl,
+      users_count: config.users_count,
+      devices_count: config.devices_count,
+      events_count: config.events_count,
+      problemId: config.problemId,
+      dockerImage: config.dockerImage,
+      dockerParams: config.dockerParams,
+      baselineJobId: config.baselineJobId,
+      repoCommit: config.repoCommit,
+      env: getCallbackEnv,
+    });
 
-    // Get the script path
-    const scriptPath = path.resolve(__dirname, process.env.CREATE_JOB_SCRIPT || "./scripts/create-job.sh");
+    console.log(`✓ Job created successfully: ${job.job_id}`);
+    return job;
+  } catch (error) {
+    console.error(`❌ Error creating ${type} job:`, error.message);
+    throw new Error(`Job creation failed: ${error.message}`);
+  }
+}
 
-    // Check if script exists
-    try {
-      await fs.access(scriptPath);
-    } catch (accessError) {
-      throw new Error(`Create job script not found at: ${scriptPath}`);
-    }
-
-    // Build command for non-interactive mode
-    let command = `bash "${scriptPath}"`;
-
-    if (type === "baseline") {
-      const usersCount = config.users_count || 50000;
-      const devicesCount = config.devices_count || 50000;
-      const eventsCount = config.events_count || 1000000;
-      command += ` baseline "" ${usersCount} ${devicesCount} ${eventsCount}`;
-    } else if (type === "submission") {
-      if (!repoUrl) {
-        throw new Error("Repository URL is required for submission jobs");
-      }
-      command += ` submission "${repoUrl}"`;
-    } else {
-      throw new Error(`Invalid job type: ${type}. Must be 'baseline' or 'submission'`);
-    }
+// Helper function to check Kubernetes job status
+async function getKubernetesJobStatus(jobId) {
+  try {
+    const { status } = await jobRunner.getJobStatus(jobId);
+    return status;
+  } catch (error) {
+    console.warn(`Failed to get Kubernetes job status for ${jobId}:`, error.message);
+    return "unknown";
+  }
+}
+
+// Helper function to fetch submission results from GCS (using new module)
+async function fetchSubmissionResultsFromGCS(jobId, problemId = null) {
+  return await submissionMonitor.fetchSubmissionResults(jobId, problemId);
+}
+
+// Job status monitoring (using new module)
+async function monitorJobStatuses() {
+  return await submissionMonitor.monitorJobStatuses(calculateScore);
+}
+
+// Job statuses that hold a slot in the job queue ("processing" jobs have finished running)
+const ACTIVE_JOB_STATUSES = ["queued", "pending", "pending-resources", "running"];
+// Submission statuses that block a team from submitting again for the same problem
+const IN_PROGRESS_STATUSES = ["creating", "queued", "pending", "pending-resources", "running", "processing", "evaluating"];
+// Submission statuses that are final
+const TERMINAL_STATUSES = ["evaluated", "failed", "cancelled"];
+// Repositories teams can submit: https://github.com/<owner>/<repo>
+const REPO_URL_PATTERN = /^https:\/\/github\.com\/[^/\s]+\/[^/\s]+\/?$/;
+
+// A submission waits in the job queue until it is given a job
+function isWaitingInQueue(submission) {
+  return submission.status === "queued" && !submission.jobId;
+}
+
+// Job queue entries for submissions that are waiting
+async function listQueuedSubmissions() {
+  const submissions = await dataManager.getSubmissionsList();
+  return submissions.filter(isWaitingInQueue).map((submission) => ({
+    id: submission.id,
+    teamId: submission.teamId,
+    teamName: submission.teamName,
+    problemId: submission.problemId,
+    priority: submission.priority,
+    queuedAt: submission.queuedAt || submission.submittedAt,
+    notBefore: submission.retryAfter || null,
+  }));
+}
 
-    console.log(`Creating ${type} job using script: ${command}`);
+// Jobs holding a queue slot, from the job statuses kept up to date by the monitor
+async function listActiveJobs() {
+  const submissions = await dataManager.getSubmissionsList();
+  const jobs = await dataManager.listJobs({ statuses: ACTIVE_JOB_STATUSES });
+
+  return jobs.map((job) => {
+    const submission = submissions.find((s) => s.id === job.submissionId || s.jobId === job.id);
+    return {
+      jobId: job.id,
+      status: job.status,
+      problemId: job.problemId,
+      teamId: submission?.teamId || null,
+      startedAt: submission?.startedAt || null,
+    };
+  });
+}
+
+// Durations of the most recent evaluations, for queue start estimates
+async function listRecentJobDurations() {
+  const submissions = await dataManager.getSubmissionsList();
+  return submissions
+    .filter((s) => s.status === "evaluated" && s.startedAt && s.completedAt)
+    .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt))
+    .slice(0, 20)
+    .map((s) => new Date(s.completedAt) - new Date(s.startedAt));
+}
+
+// Create the evaluation job of a queued submission (called by the job queue)
+async function startQueuedSubmission(entry) {
+  const submission = await dataManager.getSubmission(entry.id);
+  if (!submission || !isWaitingInQueue(submission)) {
+    return false;
+  }
 
-    // Execute the create-job.sh script with timeout
-    const { stdout, stderr } = await execAsync(command, {
-      timeout: 120000, // 2 minute timeout for script execution
-      cwd: __dirname, // Ensure we're in the right directory for relative paths
+  const problems = await dataManager.getProblemsArray();
+  const problem = problems.find((p) => p.id === submission.problemId) || {};
+
+  try {
+    const jobResponse = await createJob("submission", submission.repoUrl, {
+      timeout: 600000, // 10 minutes
+      exec_per_query: 3,
+      problemId: submission.problemId,
+      dockerImage: problem.submissionDockerImage,
+      dockerParams: problem.submissionDockerParams,
+      baselineJobId: problem.baselineJobId,
+      repoCommit: submission.repoCommit,
     });
+    const jobId = jobResponse.job_id || jobResponse.data?.job_id;
 
-    // Log script stderr for debugging (non-error output may go to stderr)
-    if (stderr && stderr.trim()) {
-      console.log(`Script stderr: ${stderr.trim()}`);
+    // The job now exists; the monitor moves it on from "pending"
+    const started = await dataManager.modifySubmission(submission.id, (current) =>
+      current.status === "cancelled"
+        ? null
+        : {
+            jobId: jobId,
+            status: "pending",
+            startedAt: new Date().toISOString(),
+            retryAfter: null,
+            errorCount: 0,
+          }
+    );
+
+    // Cancelled while the job was being created
+    if (!started) {
+      await jobRunner.deleteJob(jobId).catch((error) => console.warn(`Failed to delete job ${jobId} of cancelled submission:`, error.message));
+      return false;
     }
+    await dataManager.addJob({ id: jobId, problemId: submission.problemId, type: "submission", status: "queued", submissionId: submission.id });
 
-    // Parse the job ID from script output
-    // The script should output the job ID as the last line in non-interactive mode
-    const outputLines = stdout.trim().split("\n");
-    const jobId = outputLines[outputLines.length - 1];
+    console.log(`✓ Submission ${submission.id} updated with job ID ${jobId}`);
+    return true;
+  } catch (jobError) {
+    console.error(`Failed to create job for submission ${submission.id}:`, jobError.message);
 
-    if (jobId && jobId.length > 0 && !jobId.startsWith("ERROR:")) {
-      console.log(`✓ Job created successfully: ${jobId}`);
+    await dataManager.updateSubmission(submission.id, {
+      status: "failed",
+      error: jobError.message,
+      completedAt: new Date().toISOString(),
+    });
+    return false;
+  }
+}
 
-      // Verify job exists in Kubernetes
-      try {
-        const namespace = process.env.GKE_NAMESPACE || "eval-system";
-        const verifyCommand = `kubectl get job "${jobId}" -n "${namespace}" --no-headers 2>/dev/null`;
-        await execAsync(verifyCommand);
-        console.log(`✓ Job ${jobId} verified in Kubernetes`);
-      } catch (verifyError) {
-        console.warn(`⚠ Could not verify job ${jobId} in Kubernetes:`, verifyError.message);
-      }
+// Fail the submission of a failed job, or put it back in the queue (with backoff) if the infrastructure was to blame
+async function handleJobFailure(jobId, failure) {
+  const submission = await dataManager.getSubmissionByJobId(jobId);
+  if (!submission) {
+    return;
+  }
+
+  const updated = await dataManager.modifySubmission(submission.id, (current) => {
+    if (TERMINAL_STATUSES.includes(current.status) || current.jobId !== jobId) {
+      return null;
+    }
+
+    const failedJobs = [...(current.failedJobs || []), { jobId, ...failure }];
+    const retries = current.infraRetries || 0;
+    const delay = failure.category === FAILURE_CATEGORIES.INFRA ? getInfraRetryDelay(retries) : null;
 
+    if (delay !== null) {
       return {
-        job_id: jobId,
-        type: type,
-        namespace: process.env.GKE_NAMESPACE || "eval-system",
-        created_at: new Date().toISOString(),
+        status: "queued",
+        jobId: null,
+        failedJobs,
+        failure,
+        infraRetries: retries + 1,
+        retryAfter: new Date(Date.now() + delay).toISOString(),
+        phase: null,
+        progress: null,
       };
-    } else {
-      const errorMsg = jobId && jobId.startsWith("ERROR:") ? jobId : "Script did not return a valid job ID";
-      throw new Error(errorMsg);
     }
-  } catch (error) {
-    console.error(`❌ Error creating ${type} job:`, error.message);
 
-    // Provide more specific error information
-    if (error.code === "ENOENT") {
-      throw new Error("Create job script not found or not executable");
-    } else if (error.signal === "SIGTERM") {
-      throw new Error("Job creation script timed out");
-    } else {
-      throw new Error(`Job creation failed: ${error.message}`);
-    }
+    return {
+      status: "failed",
+      error: failure.message,
+      failedJobs,
+      failure,
+      completedAt: new Date().toISOString(),
+    };
+  });
+
+  if (updated?.status === "queued") {
+    console.log(`⚠ Infrastructure failure of job ${jobId} (${failure.reason}); submission ${submission.id} will be retried after ${updated.retryAfter}`);
+  } else if (updated) {
+    console.log(`❌ Submission ${submission.id} failed (${failure.category}: ${failure.reason})`);
   }
 }
 
-// Helper function to check Kubernetes job status
-async function getKubernetesJobStatus(jobId) {
-  try {
-    const { exec } = require("child_process");
-    const { promisify } = require("util");
-    const execAsync = promisify(exec);
-
-    const env = {
-      ...process.env,
-      GCP_CREDENTIALS_JSON: process.env.GCP_CREDENTIALS_JSON_PATH || "./config/service-account.json",
-      GKE_NAMESPACE: process.env.GKE_NAMESPACE || "default",
-    };
+// Phase and progress a job wrote to job_metadata.json, read by the monitor when callbacks are not arriving
+async function recordJobProgress(jobId, event) {
+  const submission = await dataManager.getSubmissionByJobId(jobId);
+  if (!submission) {
+    return;
+  }
 
-    // Get job status from Kubernetes
-    const command = `kubectl get job ${jobId} -n ${env.GKE_NAMESPACE} -o jsonpath='{.status.conditions[0].type}' 2>/dev/null || echo "NotFound"`;
-    const { stdout } = await execAsync(command, { env });
+  await dataManager.modifySubmission(submission.id, (current) =>
+    TERMINAL_STATUSES.includes(current.status)
+      ? null
+      : {
+          phase: event.phase,
+          ...(event.progress !== null ? { progress: event.progress } : {}),
+          ...(event.status !== "completed" && ["queued", "pending", "pending-resources"].includes(current.status) ? { status: "running" } : {}),
+        }
+  );
+}
 
-    const status = stdout.trim();
+// Mirror a job's artifacts into its submission's output directory, where the file browser reads them
+async function ingestSubmissionArtifacts(jobId) {
+  const submission = await dataManager.getSubmissionByJobId(jobId);
+  if (!submission) {
+    return null;
+  }
 
-    // Map Kubernetes status to our status
-    switch (status) {
-      case "Complete":
-        return "completed";
-      case "Failed":
-        return "failed";
-      case "NotFound":
-        return "not-found";
-      default:
-        return "running";
-    }
+  try {
+    const manifest = await ingestJobArtifacts({ resultsStore, jobId, problemId: submission.problemId, outputDir: dataManager.getSubmissionOutputDir(submission.id) });
+    await dataManager.updateSubmission(submission.id, { artifacts: summarizeArtifactManifest(manifest) });
+
+    const skipped = manifest.skipped.length > 0 ? `, ${manifest.skipped.length} skipped` : "";
+    console.log(`✓ Ingested ${manifest.fileCount} artifacts (${manifest.totalBytes} bytes) of job ${jobId} into submission ${submission.id}${skipped}`);
+    return manifest;
   } catch (error) {
-    console.warn(`Failed to get Kubernetes job status for ${jobId}:`, error.message);
-    return "unknown";
+    await dataManager.updateSubmission(submission.id, { artifacts: { jobId, error: error.message, failedAt: new Date().toISOString() } });
+    throw error;
   }
 }
 
-// Helper function to fetch submission results from GCS (using new module)
-async function fetchSubmissionResultsFromGCS(jobId, problemId = null) {
-  return await submissionMonitor.fetchSubmissionResults(jobId, problemId);
+// Structured progress of a job, with the time left estimated from earlier jobs of the same problem and type
+async function getJobProgress(jobId, status, problemId = null) {
+  const job = await dataManager.getJob(jobId);
+  const events = job?.events || [];
+  const type = getJobType(jobId, events);
+
+  const jobProblemId = problemId || job?.problemId;
+  const earlierJobs = jobProblemId ? await dataManager.listJobs({ problemId: jobProblemId }) : [];
+  const histories = earlierJobs
+    .filter((other) => other.id !== jobId && other.events?.length > 0 && getJobType(other.id, other.events) === type)
+    .map((other) => other.events);
+
+  return describeJobProgress({ jobId, status, events, history: summarizePhaseHistory(histories) });
 }
 
-// Job status monitoring (using new module)
-async function monitorJobStatuses() {
-  return await submissionMonitor.monitorJobStatuses(loadData, saveData, calculateScore);
+// Queue position and estimated start of a waiting submission
+function describeQueueEntry(entry) {
+  return entry ? { position: entry.position, priority: entry.priority, queuedAt: entry.queuedAt, retryAfter: entry.notBefore, estimatedStartAt: entry.estimatedStartAt } : null;
+}
+
+// Answer an update made from an outdated copy of a record
+function sendVersionConflict(res, error) {
+  return res.status(409).json({
+    error: "The record was changed by another request; reload it and try again",
+    details: error.message,
+    currentVersion: error.currentVersion,
+  });
 }
 
 // Authentication middleware
@@ -408,10 +450,10 @@ function authenticate(req, res, next) {
 
   const [username, password] = Buffer.from(authHeader.split(" ")[1], "base64").toString().split(":");
 
-  loadData()
-    .then((data) => {
-      const user = data.users.find((u) => u.id === username && u.password === password);
-      if (!user) {
+  dataManager
+    .getUser(username)
+    .then(async (user) => {
+      if (!(await verifyPassword(user, password))) {
         return res.status(401).json({ error: "Invalid credentials" });
       }
 
@@ -438,14 +480,13 @@ app.get("/api/problems", async (req, res) => {
 
 // Get specific problem details
 app.get("/api/problems/:problemId", async (req, res) => {
-  const data = await loadData();
-  const problem = data.problems[req.params.problemId];
+  const { problem, baselineMetrics } = await getScoringContext(req.params.problemId);
 
   if (!problem) {
     return res.status(404).json({ error: "Problem not found" });
   }
 
-  res.json(problem);
+  res.json({ ...problem, baselineMetrics });
 });
 
 // Create new problem (Host only)
@@ -454,7 +495,7 @@ app.post("/api/problems", authenticate, async (req, res) => {
     return res.status(403).json({ error: "Only hosts can create problems" });
   }
 
-  const { id, title, description, domain, constraints, scoringWeights, baselineDockerImage, baselineDockerParams, submissionDockerImage, submissionDockerParams } = req.body;
+  const { id, title, description, domain, constraints, scorer, scoringWeights, baselineDockerImage, baselineDockerParams, submissionDockerImage, submissionDockerParams, storage } = req.body;
 
   if (!id || !title || !submissionDockerImage || !submissionDockerParams) {
     return res.status(400).json({
@@ -462,10 +503,25 @@ app.post("/api/problems", authenticate, async (req, res) => {
     });
   }
 
+  const storageError = validateStorageLayout(storage);
+  if (storageError) {
+    return res.status(400).json({ error: storageError });
+  }
+
+  const dockerParamsError = validateDockerParams(baselineDockerParams, "baselineDockerParams") || validateDockerParams(submissionDockerParams, "submissionDockerParams");
+  if (dockerParamsError) {
+    return res.status(400).json({ error: dockerParamsError });
+  }
+
+  let problemScorer;
   try {
-    const data = await loadData();
+    problemScorer = getScorer({ scorer });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-    if (data.problems[id]) {
+  try {
+    if (await dataManager.getProblem(id)) {
       return res.status(409).json({ error: "Problem with this ID already exists" });
     }
 
@@ -475,24 +531,21 @@ app.post("/api/problems", authenticate, async (req, res) => {
       description: description || "",
       domain: domain || "",
       constraints: constraints || {},
-      scoringWeights: scoringWeights || {
-        correctness: 50,
-        performance: 30,
-        efficiency: 20,
-      },
+      scorer: scorer || problemScorer.type,
+      scoringWeights: scoringWeights || { ...problemScorer.defaultWeights },
+      scoringRulesVersion: 1,
       baselineDockerImage: baselineDockerImage || null,
       baselineDockerParams: baselineDockerParams || null,
       submissionDockerImage,
       submissionDockerParams,
-      submissions: [],
-      baselineMetrics: null,
-      jobStatuses: {},
+      ...(storage ? { storage } : {}),
       createdAt: new Date().toISOString(),
       createdBy: req.user.id,
     };
 
-    data.problems[id] = newProblem;
-    await saveData(data);
+    newProblem.scoringRuleSets = [createScoringRuleSet(newProblem, 1, req.user.id)];
+
+    await dataManager.addProblem(newProblem);
 
     console.log(`✓ Problem "${title}" created by ${req.user.name}`);
 
@@ -500,7 +553,7 @@ app.post("/api/problems", authenticate, async (req, res) => {
     if (baselineDockerImage) {
       try {
         console.log(`Creating baseline job for problem ${id}...`);
-        const baselineJobResponse = await createJobUsingScript("baseline", null, {
+        const baselineJobResponse = await createJob("baseline", null, {
           timeout: 600000,
           exec_per_query: 3,
           problemId: id,
@@ -510,9 +563,9 @@ app.post("/api/problems", authenticate, async (req, res) => {
 
         const baselineJobId = baselineJobResponse.job_id || baselineJobResponse.data?.job_id;
         newProblem.baselineJobId = baselineJobId;
-        newProblem.jobStatuses[baselineJobId] = "queued";
 
-        await saveData(data);
+        await dataManager.updateProblem(id, { baselineJobId });
+        await dataManager.addJob({ id: baselineJobId, problemId: id, type: "baseline", status: "queued", submissionId: null });
         console.log(`✓ Baseline job created: ${baselineJobId}`);
       } catch (error) {
         console.error(`Failed to create baseline job for problem ${id}:`, error.message);
@@ -540,12 +593,13 @@ app.put("/api/problems/:problemId", authenticate, async (req, res) => {
   }
 
   const { problemId } = req.params;
-  const updates = req.body;
+  // `version` is that of the copy the client edited; updates to a newer problem are rejected
+  const { version, ...updates } = req.body;
 
   try {
-    const data = await loadData();
+    const currentProblem = await dataManager.getProblem(problemId);
 
-    if (!data.problems[problemId]) {
+    if (!currentProblem) {
       return res.status(404).json({ error: "Problem not found" });
     }
 
@@ -556,24 +610,60 @@ app.put("/api/problems/:problemId", authenticate, async (req, res) => {
     delete updates.jobStatuses;
     delete updates.createdAt;
     delete updates.createdBy;
+    delete updates.scoringRulesVersion;
+    delete updates.scoringRuleSets;
 
-    // Update the problem
-    data.problems[problemId] = {
-      ...data.problems[problemId],
-      ...updates,
-      updatedAt: new Date().toISOString(),
-      updatedBy: req.user.id,
-    };
+    if ("scorer" in updates) {
+      try {
+        getScorer({ scorer: updates.scorer });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
+    const storageError = validateStorageLayout(updates.storage);
+    if (storageError) {
+      return res.status(400).json({ error: storageError });
+    }
+
+    const dockerParamsError = validateDockerParams(updates.baselineDockerParams, "baselineDockerParams") || validateDockerParams(updates.submissionDockerParams, "submissionDockerParams");
+    if (dockerParamsError) {
+      return res.status(400).json({ error: dockerParamsError });
+    }
 
-    await saveData(data);
+    // Existing auto scores keep the old rules until the problem is rescored
+    const rulesChanged = ["scorer", "scoringWeights", "constraints"].some(
+      (field) => field in updates && JSON.stringify(updates[field]) !== JSON.stringify(currentProblem[field])
+    );
+    if (rulesChanged) {
+      updates.scoringRulesVersion = getScoringRulesVersion(currentProblem) + 1;
+      updates.scoringRuleSets = [
+        ...getScoringRuleSets(currentProblem),
+        createScoringRuleSet({ ...currentProblem, ...updates }, updates.scoringRulesVersion, req.user.id),
+      ];
+    }
+
+    // Update the problem
+    const problem = await dataManager.updateProblem(
+      problemId,
+      {
+        ...updates,
+        updatedAt: new Date().toISOString(),
+        updatedBy: req.user.id,
+      },
+      { expectedVersion: version ?? currentProblem.version }
+    );
 
     console.log(`✓ Problem "${problemId}" updated by ${req.user.name}`);
 
     res.json({
       message: "Problem updated successfully",
-      problem: data.problems[problemId],
+      problem,
     });
   } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error);
+    }
     console.error("Error updating problem:", error.message);
     res.status(500).json({
       error: "Failed to update problem",
@@ -582,6 +672,135 @@ app.put("/api/problems/:problemId", authenticate, async (req, res) => {
   }
 });
 
+// Recompute auto scores for every evaluated submission of a problem (Host only)
+app.post("/api/problems/:problemId/rescore", authenticate, async (req, res) => {
+  if (req.user.role !== "host") {
+    return res.status(403).json({ error: "Only hosts can rescore submissions" });
+  }
+
+  const { problemId } = req.params;
+
+  try {
+    const { problem, baselineMetrics } = await getScoringContext(problemId);
+
+    if (!problem) {
+      return res.status(404).json({ error: "Problem not found" });
+    }
+    if (!canScore(problem, baselineMetrics)) {
+      return res.status(409).json({ error: "No baseline metrics available for this problem" });
+    }
+
+    const rulesVersion = getScoringRulesVersion(problem);
+    const rescoredAt = new Date().toISOString();
+    const changes = new Map();
+
+    const rescore = (submission) => {
+      if (submission.status !== "evaluated" || !submission.metrics) return false;
+
+      const before = submission.autoScore ?? null;
+      const after = calculateScore(reprepareMetrics(submission.metrics, baselineMetrics, problem), baselineMetrics, problem);
+
+      submission.autoScore = after;
+      recordScoreAudit(submission, problem, baselineMetrics, "rescore");
+
+      if (!changes.has(submission.id)) {
+        changes.set(submission.id, {
+          submissionId: submission.id,
+          teamId: submission.teamId,
+          teamName: submission.teamName,
+          before,
+          after,
+        });
+      }
+      return true;
+    };
+
+    for (const { id } of await dataManager.getSubmissions(problemId)) {
+      await dataManager.modifySubmission(id, (submission) =>
+        rescore(submission)
+          ? {
+              autoScore: submission.autoScore,
+              scoringRulesVersion: submission.scoringRulesVersion,
+              baselineJobId: submission.baselineJobId,
+              scoreHistory: submission.scoreHistory,
+            }
+          : null
+      );
+    }
+
+    await dataManager.updateProblem(problemId, {
+      lastRescore: {
+        rescoredAt,
+        rescoredBy: req.user.id,
+        scoringRulesVersion: rulesVersion,
+        baselineJobId: getBaselineJobId(problem, baselineMetrics),
+        submissionCount: changes.size,
+      },
+    });
+
+    // Group the diff by team, including the change to each team's best score
+    const teams = {};
+    for (const change of changes.values()) {
+      const team = (teams[change.teamId] ||= {
+        teamId: change.teamId,
+        teamName: change.teamName,
+        bestBefore: null,
+        bestAfter: null,
+        submissions: [],
+      });
+      team.submissions.push({ submissionId: change.submissionId, before: change.before, after: change.after, delta: change.after - (change.before ?? 0) });
+      team.bestBefore = Math.max(team.bestBefore ?? 0, change.before ?? 0);
+      team.bestAfter = Math.max(team.bestAfter ?? 0, change.after);
+    }
+
+    console.log(`✓ Rescored ${changes.size} submissions for problem "${problemId}" with scoring rules v${rulesVersion} (by ${req.user.name})`);
+
+    res.json({
+      message: "Submissions rescored successfully",
+      problemId,
+      scoringRulesVersion: rulesVersion,
+      baselineJobId: getBaselineJobId(problem, baselineMetrics),
+      rescoredAt,
+      submissionCount: changes.size,
+      teams: Object.values(teams),
+    });
+  } catch (error) {
+    console.error("Error rescoring submissions:", error.message);
+    res.status(500).json({
+      error: "Failed to rescore submissions",
+      details: error.message,
+    });
+  }
+});
+
+// List the scorer types a problem can use
+app.get("/api/scorers", (req, res) => {
+  res.json(listScorers());
+});
+
+// Get the history of a problem's scoring rule sets
+app.get("/api/problems/:problemId/scoring-rules", async (req, res) => {
+  try {
+    const { problem } = await getScoringContext(req.params.problemId);
+
+    if (!problem) {
+      return res.status(404).json({ error: "Problem not found" });
+    }
+
+    res.json({
+      problemId: req.params.problemId,
+      currentVersion: getScoringRulesVersion(problem),
+      ruleSets: getScoringRuleSets(problem).map((ruleSet) => ({
+        ...ruleSet,
+        rules: getScoringRules(getProblemAtRulesVersion(problem, ruleSet.version)),
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching scoring rules:", error.message);
+    res.status(500).json({ error: "Failed to fetch scoring rules" });
+  }
+});
+
 // Delete problem (Host only)
 app.delete("/api/problems/:problemId", authenticate, async (req, res) => {
   if (req.user.role !== "host") {
@@ -591,14 +810,11 @@ app.delete("/api/problems/:problemId", authenticate, async (req, res) => {
   const { problemId } = req.params;
 
   try {
-    const data = await loadData();
-
-    if (!data.problems[problemId]) {
+    if (!(await dataManager.getProblem(problemId))) {
       return res.status(404).json({ error: "Problem not found" });
     }
 
-    const problem = data.problems[problemId];
-    const submissionCount = problem.submissions?.length || 0;
+    const submissionCount = (await dataManager.getSubmissions(problemId)).length;
 
     if (submissionCount > 0) {
       return res.status(400).json({
@@ -606,8 +822,7 @@ app.delete("/api/problems/:problemId", authenticate, async (req, res) => {
       });
     }
 
-    delete data.problems[problemId];
-    await saveData(data);
+    await dataManager.deleteProblem(problemId);
 
     console.log(`✓ Problem "${problemId}" deleted by ${req.user.name}`);
 
@@ -627,10 +842,8 @@ app.delete("/api/problems/:problemId", authenticate, async (req, res) => {
 app.post("/api/auth", async (req, res) => {
   try {
     const { username, password } = req.body;
-    const users = await dataManager.loadUsers();
-
-    const user = users.find((u) => u.id === username && u.password === password);
-    if (!user) {
+    const user = await dataManager.getUser(username);
+    if (!(await verifyPassword(user, password))) {
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
@@ -654,6 +867,10 @@ app.post("/api/problems/:problemId/submissions", authenticate, async (req, res)
     return res.status(400).json({ error: "repo_url is required" });
   }
 
+  if (typeof repo_url !== "string" || !REPO_URL_PATTERN.test(repo_url)) {
+    return res.status(400).json({ error: "repo_url must be a GitHub repository URL (https://github.com/<owner>/<repo>)" });
+  }
+
   try {
     const problems = await dataManager.getProblemsArray();
     const problem = problems.find((p) => p.id === problemId);
@@ -667,7 +884,7 @@ app.post("/api/problems/:problemId/submissions", authenticate, async (req, res)
     const latestSubmission = existingSubmissions[0];
 
     // Check if there's a pending submission
-    if (latestSubmission && (latestSubmission.status === "evaluating" || latestSubmission.status === "queued")) {
+    if (latestSubmission && IN_PROGRESS_STATUSES.includes(latestSubmission.status)) {
       return res.status(409).json({
         error: "You have a pending submission that is still being evaluated",
         conflictType: "pending_submission",
@@ -695,19 +912,22 @@ app.post("/api/problems/:problemId/submissions", authenticate, async (req, res)
       });
     }
 
-    console.log(`Creating submission job for team ${req.user.id}, problem ${problemId}, repo: ${repo_url}`);
+    console.log(`Queueing submission for team ${req.user.id}, problem ${problemId}, repo: ${repo_url}`);
 
-    // Create submission object immediately for persistence
+    // Create submission object; it waits in the job queue until a slot is free
     const submissionId = `sub_${Date.now()}`;
+    const submittedAt = new Date().toISOString();
     const submission = {
       id: submissionId,
       problemId: problemId,
       teamId: req.user.id,
       teamName: req.user.name,
       repoUrl: repo_url,
-      jobId: null, // Will be set after job creation
-      status: "creating",
-      submittedAt: new Date().toISOString(),
+      jobId: null, // Set when the job queue starts the job
+      status: "queued",
+      priority: 0,
+      submittedAt: submittedAt,
+      queuedAt: submittedAt,
       autoScore: null,
       judgeScores: [],
       metrics: null,
@@ -717,65 +937,28 @@ app.post("/api/problems/:problemId/submissions", authenticate, async (req, res)
     // Store submission immediately so it's visible in UI
     try {
       await dataManager.addSubmission(submission);
-      console.log(`✓ Submission ${submission.id} created and stored immediately`);
+      console.log(`✓ Submission ${submission.id} created and queued`);
     } catch (error) {
       console.error("Failed to store submission:", error);
       return res.status(500).json({ error: "Failed to store submission" });
     }
 
-    // Create submission job using script
-    let jobResponse;
-    let jobId;
-    try {
-      jobResponse = await createJobUsingScript("submission", repo_url, {
-        timeout: 600000, // 10 minutes
-        exec_per_query: 3,
-        problemId: problemId,
-        dockerImage: problem.submissionDockerImage,
-        dockerParams: problem.submissionDockerParams,
-      });
-
-      jobId = jobResponse.job_id || jobResponse.data?.job_id;
-      console.log(`✓ Job created: ${jobId}`);
-
-      // Update submission with job ID and change status to queued
-      await dataManager.updateSubmission(submission.id, {
-        jobId: jobId,
-        status: "queued",
-        startedAt: new Date().toISOString(),
-      });
-
-      // Update problem's job status tracking
-      const data = await loadData();
-      if (!data.problems[problemId].jobStatuses) {
-        data.problems[problemId].jobStatuses = {};
-      }
-      data.problems[problemId].jobStatuses[jobId] = "queued";
-      await saveData(data);
-
-      console.log(`✓ Submission ${submission.id} updated with job ID ${jobId}`);
-    } catch (jobError) {
-      console.error("Failed to create job:", jobError);
-
-      // Update submission status to failed
-      await dataManager.updateSubmission(submission.id, {
-        status: "failed",
-        error: jobError.message,
-        completedAt: new Date().toISOString(),
-      });
+    // Start the job right away if there is room
+    await jobQueue.dispatch();
 
+    const finalSubmission = await dataManager.getSubmission(submission.id);
+    if (finalSubmission.status === "failed") {
       return res.status(500).json({
         error: "Failed to create evaluation job",
         submissionId: submission.id,
-        details: jobError.message,
+        details: finalSubmission.error,
       });
     }
 
-    // Get updated submission for response
-    const finalSubmission = await dataManager.getSubmission(submission.id);
+    const queueEntry = isWaitingInQueue(finalSubmission) ? await jobQueue.getEntry(finalSubmission.id) : null;
 
     res.json({
-      message: "Submission created successfully",
+      message: queueEntry ? "Submission queued for evaluation" : "Submission created successfully",
       submission: {
         id: finalSubmission.id,
         problemId: finalSubmission.problemId,
@@ -784,6 +967,7 @@ app.post("/api/problems/:problemId/submissions", authenticate, async (req, res)
         repoUrl: finalSubmission.repoUrl,
         submittedAt: finalSubmission.submittedAt,
         estimatedCompletionTime: "5-15 minutes",
+        queue: describeQueueEntry(queueEntry),
         replacedSubmission: finalSubmission.replacedSubmission,
       },
     });
@@ -805,18 +989,25 @@ app.post("/api/submissions", authenticate, async (req, res) => {
     return res.status(400).json({ error: "repo_url is required" });
   }
 
+  if (typeof repo_url !== "string" || !REPO_URL_PATTERN.test(repo_url)) {
+    return res.status(400).json({ error: "repo_url must be a GitHub repository URL (https://github.com/<owner>/<repo>)" });
+  }
+
   try {
-    // Create submission object immediately for persistence
+    // Create submission object; it waits in the job queue until a slot is free
     const submissionId = `sub_${Date.now()}`;
+    const submittedAt = new Date().toISOString();
     const submission = {
       id: submissionId,
       problemId: "db-query-optimization", // Default to DB optimization problem
       teamId: req.user.id,
       teamName: req.user.name,
       repoUrl: repo_url,
-      jobId: null, // Will be set after job creation
-      status: "creating",
-      submittedAt: new Date().toISOString(),
+      jobId: null, // Set when the job queue starts the job
+      status: "queued",
+      priority: 0,
+      submittedAt: submittedAt,
+      queuedAt: submittedAt,
       autoScore: null,
       judgeScores: [],
       metrics: null,
@@ -824,68 +1015,240 @@ app.post("/api/submissions", authenticate, async (req, res) => {
 
     // Store submission immediately so it's visible in UI
     await dataManager.addSubmission(submission);
-    console.log(`✓ Legacy submission ${submission.id} created and stored immediately`);
+    console.log(`✓ Legacy submission ${submission.id} created and queued`);
 
-    // Create submission job using script
-    let jobResponse;
-    let jobId;
-    try {
-      jobResponse = await createJobUsingScript("submission", repo_url, {
-        timeout: 600000, // 10 minutes
-        exec_per_query: 3,
+    await jobQueue.dispatch();
+
+    const finalSubmission = await dataManager.getSubmission(submission.id);
+    if (finalSubmission.status === "failed") {
+      return res.status(500).json({
+        error: "Failed to create evaluation job",
+        submissionId: submission.id,
+        details: finalSubmission.error,
       });
+    }
+
+    const queueEntry = isWaitingInQueue(finalSubmission) ? await jobQueue.getEntry(finalSubmission.id) : null;
+
+    res.json({
+      message: queueEntry ? "Submission queued for evaluation" : "Submission created successfully",
+      submission: {
+        id: finalSubmission.id,
+        jobId: finalSubmission.jobId,
+        status: finalSubmission.status,
+        estimatedCompletionTime: "5-15 minutes",
+        queue: describeQueueEntry(queueEntry),
+      },
+    });
+  } catch (error) {
+    console.error("Error creating legacy submission:", error.message);
+    res.status(500).json({ error: "Failed to create submission" });
+  }
+});
+
+// Evaluation job queue (teams only see their own entries)
+app.get("/api/queue", authenticate, async (req, res) => {
+  try {
+    const { limits, active, estimatedJobDurationMs, entries } = await jobQueue.getSnapshot();
+    const visible = req.user.role === "team" ? entries.filter((entry) => entry.teamId === req.user.id) : entries;
+
+    res.json({
+      limits,
+      running: active.length,
+      waiting: entries.length,
+      estimatedJobDurationMs,
+      entries: visible.map((entry) => ({
+        submissionId: entry.id,
+        teamId: entry.teamId,
+        teamName: entry.teamName,
+        problemId: entry.problemId,
+        ...describeQueueEntry(entry),
+      })),
+    });
+  } catch (error) {
+    console.error("Error loading job queue:", error);
+    res.status(500).json({ error: "Failed to load job queue" });
+  }
+});
+
+// Raise (or set) the queue priority of a waiting submission (judges and hosts)
+app.post("/api/submissions/:id/priority", authenticate, async (req, res) => {
+  if (req.user.role !== "judge" && req.user.role !== "host") {
+    return res.status(403).json({ error: "Only judges and hosts can change queue priority" });
+  }
+
+  const { priority, version } = req.body || {};
+  if (priority !== undefined && (!Number.isInteger(priority) || priority < 0)) {
+    return res.status(400).json({ error: "priority must be a non-negative integer" });
+  }
+
+  try {
+    const submission = await dataManager.getSubmission(req.params.id);
+    if (!submission) {
+      return res.status(404).json({ error: "Submission not found" });
+    }
+    if (!isWaitingInQueue(submission)) {
+      return res.status(409).json({ error: "Only submissions waiting in the queue can be reprioritized", status: submission.status });
+    }
+
+    const newPriority = priority !== undefined ? priority : submission.priority + 1;
+    await dataManager.updateSubmission(
+      submission.id,
+      {
+        priority: newPriority,
+        priorityChangedBy: req.user.id,
+        priorityChangedAt: new Date().toISOString(),
+      },
+      { expectedVersion: version ?? submission.version }
+    );
+    console.log(`✓ ${req.user.id} set queue priority of ${submission.id} to ${newPriority}`);
+
+    res.json({
+      submissionId: submission.id,
+      queue: describeQueueEntry(await jobQueue.getEntry(submission.id)),
+    });
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error);
+    }
+    console.error("Error updating queue priority:", error);
+    res.status(500).json({ error: "Failed to update queue priority" });
+  }
+});
+
+// Cancel a submission: stop its job (if it has one) and mark it cancelled (owning team or host)
+app.post("/api/submissions/:id/cancel", authenticate, async (req, res) => {
+  try {
+    const submission = await dataManager.getSubmission(req.params.id);
+    if (!submission) {
+      return res.status(404).json({ error: "Submission not found" });
+    }
+    if (req.user.role !== "host" && !(req.user.role === "team" && submission.teamId === req.user.id)) {
+      return res.status(403).json({ error: "Only the submitting team or a host can cancel a submission" });
+    }
+    if (TERMINAL_STATUSES.includes(submission.status)) {
+      return res.status(409).json({ error: `Submission is already ${submission.status}`, status: submission.status });
+    }
+    if (req.body?.version !== undefined && req.body.version !== submission.version) {
+      return sendVersionConflict(res, new VersionConflictError(`Submission ${submission.id} has changed since version ${req.body.version}`, { currentVersion: submission.version }));
+    }
+
+    let jobDeleted = false;
+    if (submission.jobId) {
+      try {
+        jobDeleted = await jobRunner.deleteJob(submission.jobId);
+      } catch (error) {
+        console.error(`Failed to delete job ${submission.jobId}:`, error.message);
+        return res.status(502).json({ error: "Failed to delete the evaluation job", details: error.message });
+      }
+
+      // Stop monitoring the job and free its queue slot
+      await dataManager.updateJob(submission.jobId, { status: "cancelled" });
+    }
+
+    // The job may have finished while it was being deleted
+    const cancelledAt = new Date().toISOString();
+    const cancelled = await dataManager.modifySubmission(submission.id, (current) =>
+      TERMINAL_STATUSES.includes(current.status)
+        ? null
+        : {
+            status: "cancelled",
+            cancelledBy: req.user.id,
+            cancelledAt: cancelledAt,
+            completedAt: cancelledAt,
+          }
+    );
+    if (!cancelled) {
+      const { status } = await dataManager.getSubmission(submission.id);
+      return res.status(409).json({ error: `Submission is already ${status}`, status });
+    }
+    console.log(`✓ Submission ${submission.id} cancelled by ${req.user.id}${submission.jobId ? ` (job ${submission.jobId} ${jobDeleted ? "deleted" : "already gone"})` : ""}`);
+
+    jobQueue.dispatch().catch((error) => console.error("Error in queue dispatch:", error));
 
-      jobId = jobResponse.job_id || jobResponse.data?.job_id;
-      console.log(`Legacy job created using script: ${jobId}`);
+    res.json({
+      message: "Submission cancelled",
+      submissionId: submission.id,
+      jobId: submission.jobId,
+      jobDeleted,
+    });
+  } catch (error) {
+    console.error("Error cancelling submission:", error);
+    res.status(500).json({ error: "Failed to cancel submission" });
+  }
+});
+
+// Re-run a finished submission as a new attempt for the same repository and commit (judges and hosts)
+app.post("/api/submissions/:id/retry", authenticate, async (req, res) => {
+  if (req.user.role !== "judge" && req.user.role !== "host") {
+    return res.status(403).json({ error: "Only judges and hosts can retry submissions" });
+  }
+
+  const { priority } = req.body || {};
+  if (priority !== undefined && (!Number.isInteger(priority) || priority < 0)) {
+    return res.status(400).json({ error: "priority must be a non-negative integer" });
+  }
+
+  try {
+    const previous = await dataManager.getSubmission(req.params.id);
+    if (!previous) {
+      return res.status(404).json({ error: "Submission not found" });
+    }
+    if (!TERMINAL_STATUSES.includes(previous.status)) {
+      return res.status(409).json({ error: "Only finished, failed or cancelled submissions can be retried", status: previous.status });
+    }
+    if (previous.retriedAs) {
+      return res.status(409).json({ error: "Submission has already been retried", retriedAs: previous.retriedAs });
+    }
 
-      // Update submission with job ID and change status to queued
-      await dataManager.updateSubmission(submission.id, {
-        jobId: jobId,
-        status: "queued",
-        startedAt: new Date().toISOString(),
-      });
+    const submittedAt = new Date().toISOString();
+    const submission = {
+      id: `sub_${Date.now()}`,
+      problemId: previous.problemId,
+      teamId: previous.teamId,
+      teamName: previous.teamName,
+      repoUrl: previous.repoUrl,
+      repoCommit: previous.repoCommit || null, // Unknown for jobs that never cloned the repository
+      jobId: null, // Set when the job queue starts the job
+      status: "queued",
+      priority: priority !== undefined ? priority : previous.priority,
+      submittedAt: submittedAt,
+      queuedAt: submittedAt,
+      autoScore: null,
+      judgeScores: [],
+      metrics: null,
+      retryOf: previous.id,
+      attempt: (previous.attempt || 1) + 1,
+      retriedBy: req.user.id,
+    };
 
-      // Update legacy job status tracking
-      const data = await loadData();
-      if (!data.jobStatuses) {
-        data.jobStatuses = {};
-      }
-      data.jobStatuses[jobId] = "queued";
-      await saveData(data);
-
-      console.log(`✓ Legacy submission ${submission.id} updated with job ID ${jobId}`);
-    } catch (jobError) {
-      console.error("Failed to create legacy job:", jobError);
-
-      // Update submission status to failed
-      await dataManager.updateSubmission(submission.id, {
-        status: "failed",
-        error: jobError.message,
-        completedAt: new Date().toISOString(),
-      });
+    await dataManager.addSubmission(submission);
+    await dataManager.updateSubmission(previous.id, { retriedAs: submission.id });
+    console.log(`✓ Submission ${previous.id} retried as ${submission.id} by ${req.user.id}`);
 
-      return res.status(500).json({
-        error: "Failed to create evaluation job",
-        submissionId: submission.id,
-        details: jobError.message,
-      });
-    }
+    await jobQueue.dispatch();
 
-    // Get updated submission for response
     const finalSubmission = await dataManager.getSubmission(submission.id);
+    const queueEntry = isWaitingInQueue(finalSubmission) ? await jobQueue.getEntry(finalSubmission.id) : null;
 
     res.json({
-      message: "Submission created successfully",
+      message: "Submission retried",
       submission: {
         id: finalSubmission.id,
+        problemId: finalSubmission.problemId,
         jobId: finalSubmission.jobId,
         status: finalSubmission.status,
-        estimatedCompletionTime: "5-15 minutes",
+        repoUrl: finalSubmission.repoUrl,
+        repoCommit: finalSubmission.repoCommit,
+        retryOf: finalSubmission.retryOf,
+        attempt: finalSubmission.attempt,
+        error: finalSubmission.error,
+        queue: describeQueueEntry(queueEntry),
       },
     });
   } catch (error) {
-    console.error("Error creating legacy submission:", error.message);
-    res.status(500).json({ error: "Failed to create submission" });
+    console.error("Error retrying submission:", error);
+    res.status(500).json({ error: "Failed to retry submission" });
   }
 });
 
@@ -942,6 +1305,20 @@ app.get("/api/submissions", authenticate, async (req, res) => {
     // Sort by submission time (newest first)
     submissions.sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
 
+    // Add queue position and estimated start to waiting submissions
+    if (submissions.some(isWaitingInQueue)) {
+      const { entries } = await jobQueue.getSnapshot();
+      const entriesById = Object.fromEntries(entries.map((entry) => [entry.id, entry]));
+      submissions = submissions.map((s) => (entriesById[s.id] ? { ...s, queue: describeQueueEntry(entriesById[s.id]) } : s));
+    }
+
+    // Add the evaluator's phase and estimated completion to submissions whose job is running
+    if (submissions.some((s) => s.jobId && ACTIVE_JOB_STATUSES.includes(s.status))) {
+      submissions = await Promise.all(
+        submissions.map(async (s) => (s.jobId && ACTIVE_JOB_STATUSES.includes(s.status) ? { ...s, jobProgress: await getJobProgress(s.jobId, s.status, s.problemId) } : s))
+      );
+    }
+
     res.json(submissions);
   } catch (error) {
     console.error("Error loading submissions:", error);
@@ -1021,9 +1398,122 @@ app.get("/api/submissions/:id", async (req, res) => {
   }
 });
 
+// Explain how a submission's auto score was computed
+app.get("/api/submissions/:id/score-breakdown", authenticate, async (req, res) => {
+  try {
+    const submission = await dataManager.getSubmission(req.params.id);
+
+    if (!submission) {
+      return res.status(404).json({ error: "Submission not found" });
+    }
+
+    if (req.user.role === "team" && submission.teamId !== req.user.id) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    if (!submission.metrics) {
+      return res.status(409).json({ error: "Submission has not been evaluated yet" });
+    }
+
+    // Explain the stored autoScore: the rules and baseline it was computed with, as a fresh evaluation
+    const current = await getScoringContext(submission.problemId);
+    const { problem, baselineMetrics, baselineJobId } = await getRecordedScoringContext(current.problem, current.baselineMetrics, {
+      rulesVersion: submission.scoringRulesVersion,
+      baselineJobId: submission.baselineJobId,
+    });
+    if (!problem) {
+      return res.status(409).json({ error: `Scoring rules version ${submission.scoringRulesVersion} not found` });
+    }
+    if (!canScore(problem, baselineMetrics)) {
+      return res.status(409).json({
+        error: baselineJobId ? `Baseline ${baselineJobId} is not stored, so the score cannot be explained` : "No baseline metrics available for this problem",
+      });
+    }
+
+    res.json({
+      submissionId: submission.id,
+      problemId: submission.problemId,
+      autoScore: submission.autoScore ?? null,
+      scoringRulesVersion: getScoringRulesVersion(problem),
+      baselineJobId,
+      breakdown: scoreSubmission(reprepareMetrics(submission.metrics, baselineMetrics, problem), baselineMetrics, problem),
+    });
+  } catch (error) {
+    console.error("Error building score breakdown:", error);
+    res.status(500).json({ error: "Failed to build score breakdown" });
+  }
+});
+
+// Get the score audit trail of a submission and reproduce its current autoScore
+app.get("/api/submissions/:id/score-audit", authenticate, async (req, res) => {
+  try {
+    const submission = await dataManager.getSubmission(req.params.id);
+
+    if (!submission) {
+      return res.status(404).json({ error: "Submission not found" });
+    }
+
+    if (req.user.role === "team" && submission.teamId !== req.user.id) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const { problem, baselineMetrics } = await getScoringContext(submission.problemId);
+    const history = submission.scoreHistory || [];
+    const latest = history[history.length - 1] || null;
+
+    // Reproduce with the recorded rule set (or another version via ?rulesVersion=)
+    const rulesVersion = req.query.rulesVersion ? parseInt(req.query.rulesVersion, 10) : latest?.scoringRulesVersion;
+    let reproduction = null;
+
+    if (submission.metrics && problem && rulesVersion) {
+      // Compare against the most recent score recorded under that version, if any
+      const recorded = [...history].reverse().find((entry) => entry.scoringRulesVersion === rulesVersion) || null;
+
+      // Reproduce with the baseline the score was computed with, even if the problem has a newer one
+      const scoring = await getRecordedScoringContext(problem, baselineMetrics, { rulesVersion, baselineJobId: recorded?.baselineJobId });
+      const { baselineJobId } = scoring;
+
+      if (!scoring.problem) {
+        return res.status(404).json({ error: `Scoring rules version ${rulesVersion} not found` });
+      }
+
+      if (canScore(scoring.problem, scoring.baselineMetrics)) {
+        reproduction = {
+          scoringRulesVersion: rulesVersion,
+          baselineJobId,
+          recordedScore: recorded?.autoScore ?? null,
+          // As a fresh evaluation against that baseline would score it
+          reproducedScore: calculateScore(reprepareMetrics(submission.metrics, scoring.baselineMetrics, scoring.problem), scoring.baselineMetrics, scoring.problem),
+        };
+        reproduction.matches = reproduction.reproducedScore === reproduction.recordedScore;
+      } else if (baselineJobId !== getBaselineJobId(problem, baselineMetrics)) {
+        reproduction = {
+          scoringRulesVersion: rulesVersion,
+          baselineJobId,
+          error: `Baseline ${baselineJobId} is not stored, so the score cannot be reproduced`,
+          matches: false,
+        };
+      }
+    }
+
+    res.json({
+      submissionId: submission.id,
+      problemId: submission.problemId,
+      autoScore: submission.autoScore ?? null,
+      scoringRulesVersion: submission.scoringRulesVersion ?? null,
+      baselineJobId: submission.baselineJobId ?? null,
+      history,
+      reproduction,
+    });
+  } catch (error) {
+    console.error("Error fetching score audit:", error);
+    res.status(500).json({ error: "Failed to fetch score audit" });
+  }
+});
+
 // Judge submission with 100-point rubric system
 app.post("/api/submissions/:id/judge", authenticate, async (req, res) => {
-  const { correctness, performance, codeQuality, documentation, comments } = req.body;
+  const { correctness, performance, codeQuality, documentation, comments, version } = req.body;
 
   if (req.user.role !== "judge") {
     return res.status(403).json({ error: "Only judges can score submissions" });
@@ -1054,8 +1544,7 @@ app.post("/api/submissions/:id/judge", authenticate, async (req, res) => {
 
     // Get problem scoring weights (or use defaults)
     const problemId = submission.problemId;
-    const problems = await dataManager.loadProblems();
-    const problem = problemId ? problems[problemId] : null;
+    const problem = problemId ? await dataManager.getProblem(problemId) : null;
 
     // Define weights for judge criteria (different from automated scoring weights)
     const judgeWeights = {
@@ -1087,56 +1576,65 @@ app.post("/api/submissions/:id/judge", authenticate, async (req, res) => {
       submittedAt: new Date().toISOString(),
     };
 
-    // Remove existing score from this judge
-    if (!submission.judgeScores) submission.judgeScores = [];
-    submission.judgeScores = submission.judgeScores.filter((s) => s.judgeId !== req.user.id);
-    submission.judgeScores.push(judgeScore);
-
-    // Calculate average judge score (handle both old and new score structures)
-    if (submission.judgeScores.length > 0) {
-      const validScores = submission.judgeScores.map((score) => {
-        // If totalScore is null or missing, calculate it from nested scores and weights
-        if (score.totalScore === null || score.totalScore === undefined) {
-          if (score.scores && score.weights) {
-            // Use the weights stored with the score for recalculation
-            const weightedScore =
-              (Number(score.scores.correctness || 0) * (score.weights.correctness || 0)) / 100 +
-              (Number(score.scores.performance || 0) * (score.weights.performance || 0)) / 100 +
-              (Number(score.scores.codeQuality || 0) * (score.weights.codeQuality || 0)) / 100 +
-              (Number(score.scores.documentation || 0) * (score.weights.documentation || 0)) / 100;
-            score.totalScore = Math.round(weightedScore * 100) / 100;
-          } else {
-            // Fallback: use default judge weights if no weights stored
-            const defaultJudgeWeights = { correctness: 40, performance: 30, codeQuality: 20, documentation: 10 };
-            const weightedScore =
-              (Number(score.scores.correctness || 0) * defaultJudgeWeights.correctness) / 100 +
-              (Number(score.scores.performance || 0) * defaultJudgeWeights.performance) / 100 +
-              (Number(score.scores.codeQuality || 0) * defaultJudgeWeights.codeQuality) / 100 +
-              (Number(score.scores.documentation || 0) * defaultJudgeWeights.documentation) / 100;
-            score.totalScore = Math.round(weightedScore * 100) / 100;
-          }
+    // Add the score to the latest copy of the submission, so concurrent scores by other judges are kept
+    const scored = await dataManager.modifySubmission(
+      submission.id,
+      (current) => {
+        // Remove existing score from this judge
+        if (!current.judgeScores) current.judgeScores = [];
+        current.judgeScores = current.judgeScores.filter((s) => s.judgeId !== req.user.id);
+        current.judgeScores.push(judgeScore);
+
+        // Calculate average judge score (handle both old and new score structures)
+        if (current.judgeScores.length > 0) {
+          const validScores = current.judgeScores.map((score) => {
+            // If totalScore is null or missing, calculate it from nested scores and weights
+            if (score.totalScore === null || score.totalScore === undefined) {
+              if (score.scores && score.weights) {
+                // Use the weights stored with the score for recalculation
+                const weightedScore =
+                  (Number(score.scores.correctness || 0) * (score.weights.correctness || 0)) / 100 +
+                  (Number(score.scores.performance || 0) * (score.weights.performance || 0)) / 100 +
+                  (Number(score.scores.codeQuality || 0) * (score.weights.codeQuality || 0)) / 100 +
+                  (Number(score.scores.documentation || 0) * (score.weights.documentation || 0)) / 100;
+                score.totalScore = Math.round(weightedScore * 100) / 100;
+              } else {
+                // Fallback: use default judge weights if no weights stored
+                const defaultJudgeWeights = { correctness: 40, performance: 30, codeQuality: 20, documentation: 10 };
+                const weightedScore =
+                  (Number(score.scores.correctness || 0) * defaultJudgeWeights.correctness) / 100 +
+                  (Number(score.scores.performance || 0) * defaultJudgeWeights.performance) / 100 +
+                  (Number(score.scores.codeQuality || 0) * defaultJudgeWeights.codeQuality) / 100 +
+                  (Number(score.scores.documentation || 0) * defaultJudgeWeights.documentation) / 100;
+                score.totalScore = Math.round(weightedScore * 100) / 100;
+              }
+            }
+            return score.totalScore;
+          });
+
+          const averageJudgeScore = validScores.reduce((sum, score) => sum + score, 0) / validScores.length;
+          current.averageJudgeScore = Math.round(averageJudgeScore * 100) / 100;
         }
-        return score.totalScore;
-      });
-
-      const averageJudgeScore = validScores.reduce((sum, score) => sum + score, 0) / validScores.length;
-      submission.averageJudgeScore = Math.round(averageJudgeScore * 100) / 100;
-    }
 
-    // Update submission using DataManager
-    await dataManager.updateSubmission(submission.id, {
-      judgeScores: submission.judgeScores,
-      averageJudgeScore: submission.averageJudgeScore,
-    });
+        return {
+          judgeScores: current.judgeScores,
+          averageJudgeScore: current.averageJudgeScore,
+        };
+      },
+      { expectedVersion: version }
+    );
 
     console.log(`✓ Judge score submitted by ${req.user.name} for submission ${submission.id}: ${judgeScore.totalScore}/100`);
 
     res.json({
       message: "Score submitted successfully",
       judgeScore,
-      averageJudgeScore: submission.averageJudgeScore,
+      averageJudgeScore: scored.averageJudgeScore,
     });
   } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error);
+    }
     console.error("Error submitting judge score:", error);
     res.status(500).json({ error: "Failed to submit score" });
   }
@@ -1149,7 +1647,7 @@ app.get("/api/scoring/rubric", authenticate, async (req, res) => {
   }
 
   const { problemId } = req.query;
-  const data = await loadData();
+  const problem = problemId ? await dataManager.getProblem(problemId) : null;
 
   let weights = {
     correctness: 40,
@@ -1158,8 +1656,8 @@ app.get("/api/scoring/rubric", authenticate, async (req, res) => {
     documentation: 10,
   };
 
-  if (problemId && data.problems[problemId]?.scoringWeights) {
-    weights = data.problems[problemId].scoringWeights;
+  if (problem?.scoringWeights) {
+    weights = problem.scoringWeights;
   }
 
   const rubric = {
@@ -1221,20 +1719,20 @@ app.get("/api/scoring/rubric", authenticate, async (req, res) => {
 
 // Get leaderboard for a specific problem
 app.get("/api/problems/:problemId/leaderboard", async (req, res) => {
-  const data = await loadData();
   const { problemId } = req.params;
 
-  if (!data.problems[problemId]) {
+  if (!(await dataManager.getProblem(problemId))) {
     return res.status(404).json({ error: "Problem not found" });
   }
 
-  const submissions = data.problems[problemId].submissions || [];
+  const submissions = await dataManager.getSubmissions(problemId);
+  const failuresByTeam = summarizeTeamFailures(submissions);
 
   const leaderboard = submissions
     .filter((s) => s.status === "evaluated")
     .map((submission) => {
       const avgJudgeScore =
-        (submission.judgeScores || []).length > 0
+        submission.judgeScores.length > 0
           ? (() => {
               const validScores = submission.judgeScores.map((score) => {
                 // Handle null totalScore by calculating from nested scores and weights
@@ -1265,10 +1763,12 @@ app.get("/api/problems/:problemId/leaderboard", async (req, res) => {
         judgeScore: Math.round(avgJudgeScore * 10) / 10,
         totalScore: Math.round(((submission.autoScore || 0) + avgJudgeScore) * 10) / 10,
         submittedAt: submission.submittedAt,
-        judgeCount: (submission.judgeScores || []).length,
+        judgeCount: submission.judgeScores.length,
+        ...failuresByTeam[`${submission.teamId}:${submission.problemId}`],
       };
     })
-    .sort((a, b) => b.totalScore - a.totalScore);
+    // Ties go to the team with fewer failed attempts; infrastructure failures do not count
+    .sort((a, b) => b.totalScore - a.totalScore || a.failedAttempts - b.failedAttempts);
 
   res.json(leaderboard);
 });
@@ -1288,12 +1788,13 @@ app.get("/api/leaderboard", async (req, res) => {
       // Get all submissions
       allSubmissions = await dataManager.getSubmissionsList();
     }
+    const failuresByTeam = summarizeTeamFailures(allSubmissions);
 
     const leaderboard = allSubmissions
       .filter((s) => s.status === "evaluated")
       .map((submission) => {
         const avgJudgeScore =
-          (submission.judgeScores || []).length > 0
+          submission.judgeScores.length > 0
             ? (() => {
                 const validScores = submission.judgeScores.map((score) => {
                   // Handle null totalScore by calculating from nested scores and weights
@@ -1324,10 +1825,12 @@ app.get("/api/leaderboard", async (req, res) => {
           judgeScore: Math.round(avgJudgeScore * 10) / 10,
           totalScore: Math.round(((submission.autoScore || 0) + avgJudgeScore) * 10) / 10,
           submittedAt: submission.submittedAt,
-          judgeCount: (submission.judgeScores || []).length,
+          judgeCount: submission.judgeScores.length,
+          ...failuresByTeam[`${submission.teamId}:${submission.problemId}`],
         };
       })
-      .sort((a, b) => b.totalScore - a.totalScore);
+      // Ties go to the team with fewer failed attempts; infrastructure failures do not count
+      .sort((a, b) => b.totalScore - a.totalScore || a.failedAttempts - b.failedAttempts);
 
     res.json(leaderboard);
   } catch (error) {
@@ -1359,6 +1862,7 @@ app.get("/api/submissions/:submissionId/files", authenticate, async (req, res) =
       submissionId,
       currentPath: requestedPath,
       jobId: submission.jobId,
+      artifacts: submission.artifacts || null,
       files,
     });
   } catch (error) {
@@ -1367,6 +1871,29 @@ app.get("/api/submissions/:submissionId/files", authenticate, async (req, res) =
   }
 });
 
+// Copy a submission's job artifacts into its output directory again (judges and hosts)
+app.post("/api/submissions/:submissionId/files/ingest", authenticate, async (req, res) => {
+  if (req.user.role !== "judge" && req.user.role !== "host") {
+    return res.status(403).json({ error: "Only judges and hosts can ingest job artifacts" });
+  }
+
+  try {
+    const submission = await dataManager.getSubmission(req.params.submissionId);
+    if (!submission) {
+      return res.status(404).json({ error: "Submission not found" });
+    }
+    if (!submission.jobId) {
+      return res.status(409).json({ error: "Submission has no evaluation job" });
+    }
+
+    const manifest = await ingestSubmissionArtifacts(submission.jobId);
+    res.json({ submissionId: submission.id, manifest });
+  } catch (error) {
+    console.error("Error ingesting job artifacts:", error.message);
+    res.status(502).json({ error: "Failed to ingest job artifacts", details: error.message });
+  }
+});
+
 // Get file content
 app.get("/api/submissions/:submissionId/files/content", authenticate, async (req, res) => {
   try {
@@ -1431,56 +1958,60 @@ app.get("/api/files/content", authenticate, async (req, res) => {
   }
 });
 
-// Legacy GCS listing (kept for backward compatibility)
-app.get("/api/gcs/list", authenticate, async (req, res) => {
-  if (req.user.role !== "judge") {
+// List a folder of the results or baselines bucket (judges and hosts); /api/gcs/list is the old name
+async function listStorage(req, res) {
+  if (req.user.role !== "judge" && req.user.role !== "host") {
     return res.status(403).json({ error: "Access denied" });
   }
 
-  try {
-    const { exec } = require("child_process");
-    const { promisify } = require("util");
-    const execAsync = promisify(exec);
+  const { problemId = null, kind = "results", prefix = "" } = req.query;
+  if (!LAYOUT_KINDS.includes(kind)) {
+    return res.status(400).json({ error: `kind must be one of: ${LAYOUT_KINDS.join(", ")}` });
+  }
 
-    const bucketName = submissionMonitor.config.submissionResultsBucket;
-    const { stdout } = await execAsync(`gsutil ls gs://${bucketName}/`);
-    const files = stdout
-      .trim()
-      .split("\n")
-      .filter((line) => line.trim());
+  try {
+    const { bucket, location, objects, prefixes } = await resultsStore.list(kind, { problemId, prefix });
 
     res.json({
-      bucket: `gs://${bucketName}/`,
-      files: files,
+      backend: resultsStore.storage.type,
+      kind,
+      location,
+      prefixes,
+      objects,
+      // Folder and file locations, as `gsutil ls` printed them
+      bucket: resultsStore.storage.url(bucket),
+      files: [...prefixes, ...objects.map((object) => object.key)].map((key) => resultsStore.storage.url(bucket, key)),
     });
   } catch (error) {
-    console.error("Error listing GCS bucket:", error.message);
-    res.status(500).json({ error: "Failed to list bucket contents" });
+    console.error("Error listing storage:", error.message);
+    const status = { NotFound: 404, AccessDenied: 403 }[error.code] || 500;
+    res.status(status).json({ error: "Failed to list bucket contents", details: error.message });
   }
-});
+}
+
+app.get("/api/storage/list", authenticate, listStorage);
+app.get("/api/gcs/list", authenticate, listStorage);
 
 // Get baseline metrics for a specific problem
 app.get("/api/problems/:problemId/baseline", async (req, res) => {
-  const data = await loadData();
-  const { problemId } = req.params;
+  const { problem, baselineMetrics } = await getScoringContext(req.params.problemId);
 
-  if (!data.problems[problemId]) {
+  if (!problem) {
     return res.status(404).json({ error: "Problem not found" });
   }
 
-  res.json(data.problems[problemId].baselineMetrics);
+  res.json(baselineMetrics);
 });
 
 // Get baseline metrics (legacy endpoint)
 app.get("/api/baseline", async (req, res) => {
-  const data = await loadData();
   const { problem } = req.query;
 
-  if (problem && data.problems[problem]) {
-    res.json(data.problems[problem].baselineMetrics);
+  if (problem && (await dataManager.getProblem(problem))) {
+    res.json(await dataManager.getBaselineMetrics(problem));
   } else {
-    // Default to DB optimization problem or legacy baseline
-    res.json(data.problems["db-query-optimization"]?.baselineMetrics || data.baselineMetrics);
+    // Default to DB optimization problem
+    res.json(await dataManager.getBaselineMetrics("db-query-optimization"));
   }
 });
 
@@ -1490,11 +2021,118 @@ app.get("/api/users", authenticate, async (req, res) => {
     return res.status(403).json({ error: "Access denied" });
   }
 
-  const data = await loadData();
-  const users = data.users.map((u) => ({ id: u.id, name: u.name, role: u.role }));
+  const users = (await dataManager.listUsers()).map((u) => ({ id: u.id, name: u.name, role: u.role }));
   res.json(users);
 });
 
+// Export the whole contest as one archive (host only)
+app.get("/api/admin/export", authenticate, async (req, res) => {
+  if (req.user.role !== "host") {
+    return res.status(403).json({ error: "Only hosts can export the contest" });
+  }
+
+  try {
+    const archive = await exportContest(dataManager, { exportedBy: req.user.id });
+    const fileName = `contest-export-${new Date().toISOString().replace(/[:.]/g, "-")}.tar.gz`;
+    console.log(`✓ Contest exported by ${req.user.id} (${archive.length} bytes)`);
+
+    res.setHeader("Content-Type", "application/gzip");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.send(archive);
+  } catch (error) {
+    console.error("Error exporting contest:", error);
+    res.status(500).json({ error: "Failed to export contest", details: error.message });
+  }
+});
+
+// Import a contest export sent as the request body (host only)
+// ?dryRun=true only validates; ?onConflict=fail|skip|replace handles records whose ID exists
+app.post("/api/admin/import", authenticate, express.raw({ type: () => true, limit: IMPORT_MAX_BYTES }), async (req, res) => {
+  if (req.user.role !== "host") {
+    return res.status(403).json({ error: "Only hosts can import a contest" });
+  }
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: "Send the archive from /api/admin/export as the request body" });
+  }
+
+  const dryRun = req.query.dryRun === "true";
+  const onConflict = req.query.onConflict || "fail";
+
+  try {
+    let backup = null;
+    const report = await importContest(dataManager, req.body, {
+      dryRun,
+      onConflict,
+      // Snapshot the current contest before it is changed
+      beforeWrite: async () => {
+        backup = await contestBackups.createBackup("pre-import");
+      },
+    });
+
+    if (report.errors.length > 0) {
+      return res.status(400).json({ error: "Archive is not valid", ...report });
+    }
+    if (!report.imported && !dryRun) {
+      return res.status(409).json({ error: "Records in the archive already exist; import with onConflict=skip or replace", ...report });
+    }
+
+    if (report.imported) {
+      console.log(`✓ Contest imported by ${req.user.id} (conflicts: ${onConflict})${backup ? `; backup taken before: ${backup.name}` : ""}`);
+    }
+    res.json({ ...report, backup });
+  } catch (error) {
+    if (error instanceof ArchiveError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error importing contest:", error);
+    res.status(500).json({ error: "Failed to import contest", details: error.message });
+  }
+});
+
+// Contest backups (host only)
+app.get("/api/admin/backups", authenticate, async (req, res) => {
+  if (req.user.role !== "host") {
+    return res.status(403).json({ error: "Only hosts can view backups" });
+  }
+
+  try {
+    res.json({ ...contestBackups.getStatus(), backups: await contestBackups.listBackups() });
+  } catch (error) {
+    console.error("Error listing backups:", error);
+    res.status(500).json({ error: "Failed to list backups", details: error.message });
+  }
+});
+
+app.post("/api/admin/backups", authenticate, async (req, res) => {
+  if (req.user.role !== "host") {
+    return res.status(403).json({ error: "Only hosts can take backups" });
+  }
+
+  try {
+    res.status(201).json({ backup: await contestBackups.createBackup("manual") });
+  } catch (error) {
+    console.error("Error taking backup:", error);
+    res.status(500).json({ error: "Failed to take backup", details: error.message });
+  }
+});
+
+app.get("/api/admin/backups/:name", authenticate, async (req, res) => {
+  if (req.user.role !== "host") {
+    return res.status(403).json({ error: "Only hosts can download backups" });
+  }
+
+  try {
+    const backupPath = await contestBackups.getBackupPath(req.params.name);
+    if (!backupPath) {
+      return res.status(404).json({ error: "Backup not found" });
+    }
+    res.download(backupPath, req.params.name);
+  } catch (error) {
+    console.error("Error reading backup:", error);
+    res.status(500).json({ error: "Failed to read backup", details: error.message });
+  }
+});
+
 // Monitoring control endpoints
 app.get("/api/monitoring/status", authenticate, async (req, res) => {
   if (req.user.role !== "judge") {
@@ -1511,7 +2149,7 @@ app.post("/api/monitoring/trigger", authenticate, async (req, res) => {
   }
 
   try {
-    const hasUpdates = await submissionMonitor.triggerMonitoring(loadData, saveData, calculateScore);
+    const hasUpdates = await submissionMonitor.triggerMonitoring(calculateScore);
     res.json({
       success: true,
       message: "Monitoring cycle completed",
@@ -1580,7 +2218,7 @@ app.post("/api/monitor/trigger", authenticate, async (req, res) => {
 
   try {
     console.log(`Manual monitoring triggered by ${req.user.id}`);
-    const hasUpdates = await submissionMonitor.triggerMonitoring(loadData, saveData, calculateScore);
+    const hasUpdates = await submissionMonitor.triggerMonitoring(calculateScore);
 
     res.json({
       message: "Monitoring cycle completed",
@@ -1593,19 +2231,27 @@ app.post("/api/monitor/trigger", authenticate, async (req, res) => {
   }
 });
 
-// Get job status from Kubernetes
+// Get job status from the job runner
 app.get("/api/jobs/:jobId/status", authenticate, async (req, res) => {
   const { jobId } = req.params;
 
   try {
-    const k8sStatus = await getKubernetesJobStatus(jobId);
+    let runnerJob;
+    try {
+      runnerJob = await jobRunner.getJobStatus(jobId);
+    } catch (error) {
+      console.warn(`Failed to get ${jobRunner.type} job status for ${jobId}:`, error.message);
+      runnerJob = { status: "unknown", error: error.message };
+    }
 
     // Also check if we have results
-    const hasResults = await fetchSubmissionResultsFromGCS(jobId);
+    const hasResults = await fetchSubmissionResultsFromGCS(jobId, (await dataManager.getJob(jobId))?.problemId);
 
     res.json({
       jobId: jobId,
-      kubernetesStatus: k8sStatus,
+      runner: jobRunner.type,
+      kubernetesStatus: runnerJob.status,
+      job: runnerJob,
       hasResults: !!hasResults,
       resultsStatus: hasResults ? (hasResults.queries ? "ready" : "processing") : "not-available",
       timestamp: new Date().toISOString(),
@@ -1616,6 +2262,218 @@ app.get("/api/jobs/:jobId/status", authenticate, async (req, res) => {
   }
 });
 
+// Receive status callbacks from evaluation jobs (job_metadata.json from entrypoint.sh)
+app.post("/api/jobs/:jobId/status", async (req, res) => {
+  const { jobId } = req.params;
+  const authHeader = req.headers.authorization || "";
+  const token = authHeader.startsWith("Bearer ") ? authHeader.slice("Bearer ".length).trim() : null;
+
+  // Jobs authenticate with their own token instead of a user login
+  if (!verifyCallbackToken(jobId, token)) {
+    return res.status(401).json({ error: "Invalid or missing job callback token" });
+  }
+
+  if (req.body?.job_id && req.body.job_id !== jobId) {
+    return res.status(400).json({ error: "job_id does not match the callback URL" });
+  }
+
+  try {
+    const job = await dataManager.getJob(jobId);
+    const submission = await dataManager.getSubmissionByJobId(jobId);
+
+    if (!submission && !job) {
+      return res.status(404).json({ error: "Unknown job" });
+    }
+
+    const event = buildJobEvent(req.body);
+    const status = CALLBACK_STATUS_MAP[event.status] || null;
+
+    const recorded = await dataManager.addJobEvent(jobId, event, { problemId: submission?.problemId || null, submissionId: submission?.id || null });
+
+    // Finished (or cancelled) jobs keep their final status; late or repeated callbacks only add history
+    const updates = {
+      phase: event.phase,
+      lastCallbackAt: new Date().toISOString(),
+    };
+    if (event.progress !== null) {
+      updates.progress = event.progress;
+    }
+    const repoCommit = parseRepoCommit(req.body);
+    if (repoCommit) {
+      updates.repoCommit = repoCommit;
+    }
+
+    const statusUpdates = {};
+    if (status) {
+      statusUpdates.status = status;
+    }
+    // Classify reported failures right away; the submission is failed or retried below
+    const failure = status === "failed" ? classifyJobFailure({ jobStatus: await jobRunner.getJobStatus(jobId).catch(() => null), events: await dataManager.getJobEvents(jobId) }) : null;
+    if (failure) {
+      statusUpdates.error = failure.message;
+      statusUpdates.failure = failure;
+      statusUpdates.completedAt = new Date().toISOString();
+    }
+    if (job && status && !["completed", "failed", "cancelled"].includes(job.status)) {
+      await dataManager.updateJob(jobId, { status: status === "processing" || status === "failed" ? status : "running" });
+    }
+
+    if (submission) {
+      await dataManager.modifySubmission(submission.id, (current) => (failure || TERMINAL_STATUSES.includes(current.status) ? updates : { ...updates, ...statusUpdates }));
+      if (failure) {
+        await handleJobFailure(jobId, failure);
+      }
+    }
+
+    if (recorded) {
+      console.log(`Job ${jobId} reported ${event.status} (${event.phase}, ${event.progress ?? "?"}%)`);
+    }
+
+    // A job that stopped running frees a queue slot
+    if (status === "processing" || status === "failed") {
+      jobQueue.dispatch().catch((error) => console.error("Error in queue dispatch:", error));
+    }
+
+    res.json({
+      jobId,
+      recorded,
+      status: status,
+      phase: event.phase,
+      progress: event.progress,
+    });
+  } catch (error) {
+    console.error(`Error handling status callback for job ${jobId}:`, error);
+    res.status(500).json({ error: "Failed to record job status" });
+  }
+});
+
+// Log streams: lines sent from before the stream was opened, poll interval while the job
+// has not started, and comment lines that keep idle connections open
+const LOG_STREAM_DEFAULT_TAIL = 200;
+const LOG_STREAM_MAX_TAIL = 5000;
+const LOG_STREAM_WAIT_MS = 2000;
+const LOG_STREAM_HEARTBEAT_MS = 15000;
+
+// Teams may only see the jobs of their own submissions, including attempts that were retried
+async function canViewJob(user, jobId) {
+  if (user.role !== "team") return true;
+
+  const submissions = await dataManager.getSubmissionsByTeam(user.id);
+  return submissions.some((s) => s.jobId === jobId || (s.failedJobs || []).some((job) => job.jobId === jobId));
+}
+
+// Get the event history reported by a job's status callbacks
+app.get("/api/jobs/:jobId/events", authenticate, async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    if (!(await canViewJob(req.user, jobId))) {
+      return res.status(403).json({ error: "You can only view your own jobs" });
+    }
+
+    res.json({
+      jobId,
+      events: await dataManager.getJobEvents(jobId),
+    });
+  } catch (error) {
+    console.error(`Error getting events for job ${jobId}:`, error);
+    res.status(500).json({ error: "Failed to get job events" });
+  }
+});
+
+// Follow a job's log as it is written, as Server-Sent Events:
+// "status" ({ status }) whenever the job status changes, "log" (one data line per log line),
+// "error" ({ error }) and finally "end" ({ status }) once the job's output is complete
+app.get("/api/jobs/:jobId/logs/stream", authenticate, async (req, res) => {
+  const { jobId } = req.params;
+  const tailLines = Math.min(parseInt(req.query.tail) || LOG_STREAM_DEFAULT_TAIL, LOG_STREAM_MAX_TAIL);
+
+  try {
+    if (!(await canViewJob(req.user, jobId))) {
+      return res.status(403).json({ error: "You can only view your own jobs" });
+    }
+  } catch (error) {
+    console.error(`Error checking access to job ${jobId}:`, error);
+    return res.status(500).json({ error: "Failed to open log stream" });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Keep reverse proxies from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  let follow = null;
+  let partialLine = "";
+  let lastLogAt = null;
+
+  const send = (event, data) => {
+    if (!closed) res.write(`event: ${event}\n${data}\n\n`);
+  };
+  const sendJson = (event, value) => send(event, `data: ${JSON.stringify(value)}`);
+  const sendLog = (text) => {
+    lastLogAt = new Date();
+    const lines = (partialLine + text).split("\n");
+    partialLine = lines.pop();
+    if (lines.length > 0) send("log", lines.map((line) => `data: ${line.replace(/\r$/, "")}`).join("\n"));
+  };
+
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(": keep-alive\n\n");
+  }, LOG_STREAM_HEARTBEAT_MS);
+  res.on("close", () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (follow) follow.stop();
+  });
+
+  let status = null;
+  try {
+    while (!closed) {
+      const jobStatus = await jobRunner.getJobStatus(jobId);
+      if (jobStatus.status !== status) {
+        status = jobStatus.status;
+        sendJson("status", { status });
+      }
+
+      if (status === "not-found") {
+        sendJson("error", { error: "Job not found" });
+        break;
+      }
+
+      if (["running", "completed", "failed"].includes(status)) {
+        // Once some of the log was sent, a retry picks up after it instead of replaying the tail
+        follow = jobRunner.followJobLogs(jobId, sendLog, lastLogAt ? { sinceTime: lastLogAt } : { tailLines });
+        try {
+          await follow.done;
+          break;
+        } catch (error) {
+          // A running job's container may still be starting; anything else is final
+          if (status !== "running") throw error;
+          follow = null;
+        }
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, LOG_STREAM_WAIT_MS));
+    }
+
+    if (closed) return;
+    if (partialLine) sendLog("\n");
+    status = (await jobRunner.getJobStatus(jobId)).status;
+  } catch (error) {
+    console.warn(`Log stream for job ${jobId} ended:`, error.message);
+    sendJson("error", { error: error.message });
+  }
+
+  sendJson("end", { status });
+  clearInterval(heartbeat);
+  res.end();
+});
+
 // Get monitoring status
 app.get("/api/monitor/status", authenticate, async (req, res) => {
   if (req.user.role !== "host" && req.user.role !== "judge") {
@@ -1649,6 +2507,7 @@ app.get("/api/submissions/:submissionId/status", authenticate, async (req, res)
 
     let jobStatus = null;
     let jobDetails = null;
+    const queueEntry = isWaitingInQueue(submission) ? await jobQueue.getEntry(submission.id) : null;
 
     // Get job status if submission has a job ID
     if (submission.jobId) {
@@ -1678,17 +2537,24 @@ app.get("/api/submissions/:submissionId/status", authenticate, async (req, res)
         teamName: submission.teamName,
         repoUrl: submission.repoUrl,
         status: submission.status,
+        phase: submission.phase || null,
+        progress: submission.progress ?? null,
+        lastCallbackAt: submission.lastCallbackAt || null,
         submittedAt: submission.submittedAt,
         startedAt: submission.startedAt,
         completedAt: submission.completedAt,
         autoScore: submission.autoScore,
         error: submission.error,
+        failure: submission.failure || null,
+        infraRetries: submission.infraRetries || 0,
       },
+      queue: describeQueueEntry(queueEntry),
       job: {
         id: submission.jobId,
         status: jobStatus,
         details: jobDetails,
       },
+      jobProgress: submission.jobId ? await getJobProgress(submission.jobId, jobStatus || submission.status, submission.problemId) : null,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -1758,60 +2624,31 @@ app.get("/api/jobs/:jobId/poll", authenticate, async (req, res) => {
   const { jobId } = req.params;
 
   try {
+    if (!(await canViewJob(req.user, jobId))) {
+      return res.status(403).json({ error: "You can only view your own jobs" });
+    }
+
     // Get Kubernetes job status
     const k8sStatus = await getKubernetesJobStatus(jobId);
 
     // Get job results from GCS
-    const jobResults = await fetchSubmissionResultsFromGCS(jobId);
+    const jobResults = await fetchSubmissionResultsFromGCS(jobId, (await dataManager.getJob(jobId))?.problemId);
 
     // Get pod logs if job is running or failed (for debugging)
     let podLogs = null;
     if (k8sStatus === "running" || k8sStatus === "failed") {
       try {
-        const { exec } = require("child_process");
-        const { promisify } = require("util");
-        const execAsync = promisify(exec);
-
-        const namespace = process.env.GKE_NAMESPACE || "default";
-        const logCommand = `kubectl logs job/${jobId} -n ${namespace} --tail=10 2>/dev/null || echo "No logs available"`;
-        const { stdout } = await execAsync(logCommand);
-        podLogs = stdout.trim();
+        const logs = await jobRunner.getJobLogs(jobId, { tailLines: 10 });
+        podLogs = logs ? String(logs).trim() : "No logs available";
       } catch (logError) {
         console.warn(`Failed to get logs for job ${jobId}:`, logError.message);
       }
     }
 
-    // Calculate progress based on available information
-    let progress = {
-      phase: "unknown",
-      percentage: 0,
-      estimatedTimeRemaining: null,
-      details: null,
-    };
-
-    switch (k8sStatus) {
-      case "running":
-        progress.phase = "executing";
-        progress.percentage = jobResults ? 50 : 25; // Rough estimate
-        progress.estimatedTimeRemaining = "5-10 minutes";
-        break;
-      case "completed":
-        progress.phase = "completed";
-        progress.percentage = 100;
-        break;
-      case "failed":
-        progress.phase = "failed";
-        progress.percentage = 0;
-        break;
-      case "not-found":
-        progress.phase = "not-found";
-        progress.percentage = 0;
-        break;
-      default:
-        progress.phase = "queued";
-        progress.percentage = 10;
-        progress.estimatedTimeRemaining = "10-15 minutes";
-    }
+    // Phase model from the job's reported progress, with the time left estimated from earlier jobs
+    const progress = await getJobProgress(jobId, k8sStatus);
+    progress.estimatedTimeRemaining = formatRemainingTime(progress.estimatedRemainingMs);
+    progress.details = null;
 
     if (jobResults) {
       progress.details = {
@@ -1855,13 +2692,22 @@ async function startServer() {
     // Log configuration for debugging
     console.log("Server configuration:");
     console.log(`  BASELINE_BUCKET: ${process.env.BASELINE_BUCKET}`);
-    console.log(`  GET_LATEST_BASELINE_SCRIPT: ${process.env.GET_LATEST_BASELINE_SCRIPT}`);
-    console.log(`  CREATE_JOB_SCRIPT: ${process.env.CREATE_JOB_SCRIPT}`);
+    console.log(`  DATA_BACKEND: ${dataManager.type}`);
+    console.log(`  JOB_RUNNER: ${jobRunner.type}`);
+    console.log(`  STORAGE: ${resultsStore.describe()}`);
     console.log(`  GCP_CREDENTIALS_JSON_PATH: ${process.env.GCP_CREDENTIALS_JSON_PATH}`);
 
-    // Initialize data
-    const data = await loadData();
-    await saveData(data);
+    // A new SQLite database starts with the JSON data files; either way a data.json
+    // left by earlier versions is merged in once
+    const dataFile = path.join(__dirname, "data.json");
+    if (dataManager.type === "sqlite" && (await dataManager.isEmpty())) {
+      await importJsonData(dataManager, { dataDir: DATA_DIR, dataFile });
+    } else {
+      await migrateDataJson(dataManager, dataFile);
+    }
+
+    // Bring stored records up to the current schema (backed up first)
+    await runDataMigrations(dataManager);
 
     // Initialize submission results monitor
     await submissionMonitor.initialize();
@@ -1872,7 +2718,12 @@ async function startServer() {
     });
 
     // Start job monitoring using the new module
-    submissionMonitor.startMonitoring(loadData, saveData, calculateScore);
+    submissionMonitor.startMonitoring(calculateScore);
+
+    // Start the job queue; submissions left waiting before a restart are picked up
+    jobQueue.start();
+
+    contestBackups.start();
 
     app.listen(PORT, () => {
       console.log(`✓ Contest Management Server running on http://localhost:${PORT}`);
@@ -0,0 +1,109 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MANIFEST_FILE, DEFAULT_ARTIFACT_PATTERNS, isSafeArtifactPath, selectArtifacts, ingestJobArtifacts, summarizeArtifactManifest } = require("../utils/artifacts");
+const { createResultsStore } = require("../utils/storage/results");
+
+const JOB_ID = "eval-submission-20260101-000000-aaaaaa";
+const limits = { maxFileBytes: 1000, maxTotalBytes: 5000, maxFiles: 10 };
+
+let rootDir;
+let resultsStore;
+let outputDir;
+
+// A job folder as the local runner leaves it
+function writeJobFile(file, content) {
+  const filePath = path.join(rootDir, "results", JOB_ID, ...file.split("/"));
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+beforeEach(() => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "artifacts-"));
+  resultsStore = createResultsStore({ runnerType: "local", localDir: path.join(rootDir, "results") });
+  outputDir = path.join(rootDir, "outputs", "sub_1");
+
+  writeJobFile("summary.json", JSON.stringify({ queries: {} }));
+  writeJobFile("migration.log", "CREATE INDEX\n");
+  writeJobFile("raw/Q1.log", "Q1 run 1\n");
+  writeJobFile("raw/huge.log", "x".repeat(2000));
+  writeJobFile("raw/Q1/plan.log", "nested\n");
+  writeJobFile("db_dump.sql", "-- dump\n");
+});
+
+afterEach(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+test("ingest copies the matching files and records them in a manifest", async () => {
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(path.join(outputDir, "stale.txt"), "from an earlier run");
+
+  const manifest = await ingestJobArtifacts({ resultsStore, jobId: JOB_ID, outputDir, patterns: DEFAULT_ARTIFACT_PATTERNS, limits });
+
+  assert.deepStrictEqual(fs.readdirSync(outputDir).sort(), [MANIFEST_FILE, "migration.log", "raw", "summary.json"]);
+  assert.deepStrictEqual(fs.readdirSync(path.join(outputDir, "raw")), ["Q1.log"]);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(outputDir, MANIFEST_FILE), "utf8")), manifest);
+
+  assert.strictEqual(manifest.storage, "local");
+  assert.deepStrictEqual(
+    manifest.files.map((file) => file.path),
+    ["summary.json", "migration.log", "raw/Q1.log"]
+  );
+  const summary = manifest.files[0];
+  assert.strictEqual(summary.sha256, crypto.createHash("sha256").update(fs.readFileSync(path.join(outputDir, "summary.json"))).digest("hex"));
+  assert.deepStrictEqual(manifest.skipped, [{ path: "raw/huge.log", size: 2000, reason: "file-too-large" }]);
+  assert.deepStrictEqual(summarizeArtifactManifest(manifest), {
+    jobId: JOB_ID,
+    ingestedAt: manifest.ingestedAt,
+    fileCount: 3,
+    totalBytes: manifest.files.reduce((sum, file) => sum + file.size, 0),
+    skipped: manifest.skipped,
+  });
+});
+
+test("a failed ingest leaves the previous copy in place", async () => {
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(path.join(outputDir, "summary.json"), "previous");
+
+  const failing = {
+    storage: resultsStore.storage,
+    listJobArtifacts: (jobId, options) => resultsStore.listJobArtifacts(jobId, options),
+    downloadJobArtifact: async () => {
+      throw new Error("connection reset");
+    },
+  };
+  await assert.rejects(ingestJobArtifacts({ resultsStore: failing, jobId: JOB_ID, outputDir, limits }), /connection reset/);
+
+  assert.strictEqual(fs.readFileSync(path.join(outputDir, "summary.json"), "utf8"), "previous");
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(outputDir)), ["sub_1"]);
+});
+
+test("selection puts earlier patterns first and applies the count and size limits", () => {
+  const files = [
+    { path: "raw/a.log", size: 400 },
+    { path: "raw/b.log", size: 400 },
+    { path: "summary.json", size: 300 },
+    { path: "../summary.json", size: 10 },
+    { path: MANIFEST_FILE, size: 10 },
+  ];
+
+  const bySize = selectArtifacts(files, ["summary.json", "raw/*.log"], { maxFileBytes: 1000, maxTotalBytes: 800, maxFiles: 10 });
+  assert.deepStrictEqual(
+    bySize.selected.map((file) => file.path),
+    ["summary.json", "raw/a.log"]
+  );
+  assert.deepStrictEqual(bySize.skipped, [{ path: "raw/b.log", size: 400, reason: "total-size-limit" }]);
+
+  const byCount = selectArtifacts(files, ["summary.json", "raw/*.log"], { ...limits, maxFiles: 1 });
+  assert.deepStrictEqual(
+    byCount.skipped.map((file) => file.reason),
+    ["file-count-limit", "file-count-limit"]
+  );
+
+  for (const unsafe of ["../x", "a/../../x", "/etc/passwd", "a//b", "a\\b", "", "."]) {
+    assert.strictEqual(isSafeArtifactPath(unsafe), false, unsafe);
+  }
+  assert.strictEqual(isSafeArtifactPath("raw/Q1.log"), true);
+});
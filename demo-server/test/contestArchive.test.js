@@ -0,0 +1,72 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const DataManager = require("../utils/dataManager");
+const { exportContest, importContest } = require("../utils/contestArchive");
+const { packTar, unpackTar } = require("../utils/tarArchive");
+
+let rootDir;
+let dataManager;
+
+beforeEach(async () => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "contest-archive-"));
+  dataManager = new DataManager(path.join(rootDir, "data"));
+  await dataManager.addProblem({ id: "p1", title: "Problem" });
+  await dataManager.addSubmission({ id: "sub_1", problemId: "p1", teamId: "team1", status: "evaluated" });
+  fs.mkdirSync(dataManager.getSubmissionOutputDir("sub_1"), { recursive: true });
+  fs.writeFileSync(path.join(dataManager.getSubmissionOutputDir("sub_1"), "summary.json"), "{}");
+});
+
+afterEach(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+// Rewrite one record file of an export, keeping its manifest consistent
+async function withRecords(archive, name, change) {
+  const entries = await unpackTar(archive);
+  const file = entries.find((entry) => entry.name === name);
+  file.content = Buffer.from(JSON.stringify(change(JSON.parse(file.content.toString("utf8")))));
+
+  const manifestEntry = entries.find((entry) => entry.name === "manifest.json");
+  const manifest = JSON.parse(manifestEntry.content.toString("utf8"));
+  manifest.files = entries
+    .filter((entry) => entry !== manifestEntry)
+    .map((entry) => ({ path: entry.name, size: entry.content.length, sha256: crypto.createHash("sha256").update(entry.content).digest("hex") }));
+  manifestEntry.content = Buffer.from(JSON.stringify(manifest));
+  return packTar(entries);
+}
+
+test("an export imports back over itself with replace", async () => {
+  const report = await importContest(dataManager, await exportContest(dataManager), { onConflict: "replace" });
+  assert.deepStrictEqual(report.errors, []);
+  assert.strictEqual(report.imported, true);
+  assert.strictEqual(report.outputFiles, 1);
+  assert.strictEqual((await dataManager.getSubmission("sub_1")).status, "evaluated");
+});
+
+test("record IDs that are not a plain name are rejected before anything is written", async () => {
+  fs.writeFileSync(path.join(rootDir, "keep.txt"), "outside the data directory");
+  const archive = await exportContest(dataManager);
+
+  for (const id of ["../..", "..", ".", "", "a/b", "a\\b"]) {
+    const tampered = await withRecords(archive, "data/submissions.json", (submissions) => ({
+      ...submissions,
+      [id]: { ...submissions.sub_1, id },
+    }));
+    const report = await importContest(dataManager, tampered, { onConflict: "replace" });
+    assert.strictEqual(report.imported, false);
+    assert.ok(
+      report.errors.some((error) => error.includes(`${JSON.stringify(id)} has an ID that is not a plain name`)),
+      `${JSON.stringify(id)}: ${report.errors}`
+    );
+  }
+
+  const problems = await withRecords(archive, "data/problems.json", (records) => ({ ...records, "../p1": { id: "../p1", title: "Problem" } }));
+  assert.strictEqual((await importContest(dataManager, problems, { onConflict: "replace" })).imported, false);
+  const jobs = await withRecords(archive, "data/jobs.json", () => ({ "..": { id: "..", status: "completed" } }));
+  assert.strictEqual((await importContest(dataManager, jobs, { onConflict: "replace" })).imported, false);
+
+  assert.ok(fs.existsSync(path.join(rootDir, "keep.txt")));
+  assert.ok(fs.existsSync(path.join(dataManager.getSubmissionOutputDir("sub_1"), "summary.json")));
+});
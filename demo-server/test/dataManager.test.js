@@ -0,0 +1,89 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const DataManager = require("../utils/dataManager");
+
+let dataDir;
+let dataManager;
+
+// Make the next write of a data file fail, as a full disk would
+function failNextWrite(fileName) {
+  const writeStore = dataManager.writeStore.bind(dataManager);
+  dataManager.writeStore = (name, data) => {
+    if (name !== fileName) return writeStore(name, data);
+    dataManager.writeStore = writeStore;
+    return Promise.reject(new Error("ENOSPC: no space left on device"));
+  };
+}
+
+const stored = (fileName) => JSON.parse(fs.readFileSync(path.join(dataDir, fileName), "utf8"));
+
+beforeEach(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "data-manager-"));
+  dataManager = new DataManager(dataDir);
+  await dataManager.addProblem({ id: "p1", title: "Problem" });
+  await dataManager.addSubmission({ id: "sub_1", problemId: "p1", status: "submitted" });
+  await dataManager.addJob({ id: "job-1", problemId: "p1", status: "running" });
+});
+
+afterEach(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test("a failed write leaves the record as it was saved", async () => {
+  failNextWrite("submissions.json");
+  await assert.rejects(dataManager.updateSubmission("sub_1", { status: "evaluated" }), /ENOSPC/);
+  assert.strictEqual((await dataManager.getSubmission("sub_1")).status, "submitted");
+  assert.strictEqual((await dataManager.getSubmission("sub_1")).version, 1);
+
+  failNextWrite("submissions.json");
+  await assert.rejects(dataManager.modifySubmission("sub_1", () => ({ priority: 5 })), /ENOSPC/);
+  assert.strictEqual((await dataManager.getSubmission("sub_1")).priority, undefined);
+
+  // The next update is stored with the version after the saved one
+  const updated = await dataManager.updateSubmission("sub_1", { status: "evaluated" }, { expectedVersion: 1 });
+  assert.strictEqual(updated.version, 2);
+  assert.strictEqual(stored("submissions.json").sub_1.status, "evaluated");
+});
+
+test("failed adds, deletes and events are undone", async () => {
+  failNextWrite("problems.json");
+  await assert.rejects(dataManager.addProblem({ id: "p2", title: "Other" }), /ENOSPC/);
+  assert.strictEqual(await dataManager.getProblem("p2"), null);
+
+  failNextWrite("problems.json");
+  await assert.rejects(dataManager.deleteProblem("p1"), /ENOSPC/);
+  assert.strictEqual((await dataManager.getProblem("p1")).title, "Problem");
+
+  failNextWrite("jobs.json");
+  await assert.rejects(dataManager.addJobEvent("job-1", { status: "completed", at: new Date().toISOString() }), /ENOSPC/);
+  assert.deepStrictEqual(await dataManager.getJobEvents("job-1"), []);
+
+  failNextWrite("jobs.json");
+  await assert.rejects(dataManager.addJobEvent("job-2", { status: "running", at: new Date().toISOString() }), /ENOSPC/);
+  assert.strictEqual(await dataManager.getJob("job-2"), null);
+});
+
+test("a failed baseline save keeps the current baseline", async () => {
+  await dataManager.setBaselineMetrics("p1", { jobId: "baseline-1", queries: {} });
+
+  failNextWrite("baselines.json");
+  await assert.rejects(dataManager.setBaselineMetrics("p1", { jobId: "baseline-2", queries: {} }), /ENOSPC/);
+  assert.strictEqual((await dataManager.getBaselineMetrics("p1")).jobId, "baseline-1");
+  // The job's own metrics are kept by job ID all the same
+  assert.strictEqual((await dataManager.getBaselineMetricsByJob("baseline-2")).problemId, "p1");
+});
+
+test("an import that fails to save restores every store", async () => {
+  failNextWrite("jobs.json");
+  await assert.rejects(
+    dataManager.importData({ problems: { p1: { title: "Imported" } }, submissions: { sub_2: { problemId: "p1" } }, jobs: { "job-9": { status: "completed" } } }),
+    /ENOSPC/
+  );
+
+  assert.strictEqual((await dataManager.getProblem("p1")).title, "Problem");
+  assert.strictEqual(await dataManager.getSubmission("sub_2"), undefined);
+  assert.strictEqual(await dataManager.getJob("job-9"), null);
+  assert.strictEqual(stored("problems.json").p1.title, "Problem");
+  assert.strictEqual(stored("submissions.json").sub_2, undefined);
+});
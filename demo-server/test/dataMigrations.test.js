@@ -0,0 +1,151 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const DataManager = require("../utils/dataManager");
+const { SqliteDataManager } = require("../utils/dataStores/sqlite");
+const { SCHEMA_VERSION, migrateRecords, runDataMigrations } = require("../utils/dataMigrations");
+const { migrateDataJson } = require("../utils/legacyData");
+
+let rootDir;
+let dataDir;
+
+// Data files as a server from before schema versions left them
+function writeDataFiles(files) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  Object.entries(files).forEach(([fileName, content]) => fs.writeFileSync(path.join(dataDir, fileName), JSON.stringify(content)));
+}
+
+const oldRecords = () => ({
+  "problems.json": { p1: { id: "p1", title: "Problem" } },
+  "baselines.json": { p1: { jobId: "eval-baseline-1", queries: {} } },
+  "submissions.json": { sub_1: { id: "sub_1", problemId: "p1", teamId: "team1", status: "evaluated" } },
+  "jobs.json": { "eval-submission-1": { id: "eval-submission-1", problemId: "p1", status: "completed" } },
+});
+
+beforeEach(() => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "data-migrations-"));
+  dataDir = path.join(rootDir, "data");
+});
+
+afterEach(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+test("data migrations bring old records up to date once, after a backup", async () => {
+  writeDataFiles(oldRecords());
+  const dataManager = new DataManager(dataDir);
+
+  assert.deepStrictEqual(await runDataMigrations(dataManager), [1, 2, 3]);
+  assert.strictEqual(await dataManager.getSchemaVersion(), SCHEMA_VERSION);
+
+  assert.strictEqual((await dataManager.getProblem("p1")).version, 1);
+  const submission = await dataManager.getSubmission("sub_1");
+  assert.deepStrictEqual([submission.judgeScores, submission.priority], [[], 0]);
+  assert.deepStrictEqual((await dataManager.getJob("eval-submission-1")).events, []);
+  assert.strictEqual((await dataManager.getBaselineMetricsByJob("eval-baseline-1")).problemId, "p1");
+
+  const [backup] = fs.readdirSync(path.join(dataDir, "backups"));
+  assert.match(backup, /-schema-v0$/);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dataDir, "backups", backup, "submissions.json"), "utf8")), oldRecords()["submissions.json"]);
+
+  // A second start has nothing to do and changes nothing
+  const migrated = await dataManager.exportData();
+  const restarted = new DataManager(dataDir);
+  assert.deepStrictEqual(await runDataMigrations(restarted), []);
+  assert.deepStrictEqual(await restarted.exportData(), migrated);
+  assert.strictEqual(fs.readdirSync(path.join(dataDir, "backups")).length, 1);
+});
+
+test("the SQLite backend logs its data migrations and applies them once", async () => {
+  const store = new SqliteDataManager(dataDir);
+  const records = oldRecords();
+  await store.importData({ problems: records["problems.json"], baselines: records["baselines.json"], submissions: records["submissions.json"], jobs: records["jobs.json"] });
+
+  assert.deepStrictEqual(await runDataMigrations(store), [1, 2, 3]);
+  assert.strictEqual((await store.getSubmission("sub_1")).priority, 0);
+  assert.strictEqual((await store.getBaselineMetricsByJob("eval-baseline-1")).problemId, "p1");
+  assert.deepStrictEqual(store.db.prepare("SELECT version FROM data_migrations ORDER BY version").pluck().all(), [1, 2, 3]);
+
+  const migrated = await store.exportData();
+  assert.deepStrictEqual(await runDataMigrations(store), []);
+  assert.deepStrictEqual(await store.exportData(), migrated);
+  store.db.close();
+});
+
+test("migrating records twice gives the same result", () => {
+  const data = {
+    users: [],
+    problems: { p1: { id: "p1" } },
+    baselines: { p1: { jobId: "eval-baseline-1" } },
+    submissions: { sub_1: { id: "sub_1", judgeScores: [{ judgeId: "judge1" }], priority: 2 } },
+    jobs: { "eval-submission-1": { id: "eval-submission-1" } },
+  };
+  const once = migrateRecords(structuredClone(data));
+  assert.deepStrictEqual(migrateRecords(structuredClone(once)), once);
+  assert.deepStrictEqual(once.submissions.sub_1, { id: "sub_1", judgeScores: [{ judgeId: "judge1" }], priority: 2, version: 1 });
+  // Records already at the latest version are left alone
+  assert.deepStrictEqual(migrateRecords(structuredClone(data), SCHEMA_VERSION), data);
+});
+
+test("data from a newer server is refused", async () => {
+  writeDataFiles({ "schema.json": { version: SCHEMA_VERSION + 1, migrations: [] } });
+  const dataManager = new DataManager(dataDir);
+  await dataManager.ensureDirectories();
+  await assert.rejects(runDataMigrations(dataManager), /newer than this server supports/);
+  assert.strictEqual(fs.existsSync(path.join(dataDir, "backups")), false);
+});
+
+test("data.json is merged with its own fields winning only for problems and baselines", async () => {
+  const dataManager = new DataManager(dataDir);
+  await dataManager.addProblem({ id: "p1", title: "Problem", difficulty: "hard" });
+  await dataManager.setBaselineMetrics("p1", { jobId: "eval-baseline-1", queries: {} });
+  await dataManager.addSubmission({ id: "sub_1", problemId: "p1", teamId: "team1", status: "evaluated", autoScore: 80, jobId: "eval-submission-1" });
+  await dataManager.addJobEvent("eval-submission-1", { status: "running", phase: "running-concurrency" }, { problemId: "p1" });
+
+  const dataFile = path.join(rootDir, "data.json");
+  fs.writeFileSync(
+    dataFile,
+    JSON.stringify({
+      problems: {
+        p1: {
+          id: "p1",
+          title: "Renamed problem",
+          baselineMetrics: { jobId: "eval-baseline-2", queries: {} },
+          submissions: [{ id: "sub_1", problemId: "p1", status: "submitted", autoScore: 10, repoUrl: "https://github.com/team1/repo", jobId: "eval-submission-1" }],
+          jobStatuses: { "eval-submission-1": "completed" },
+        },
+      },
+      jobEvents: {
+        "eval-submission-1": [
+          { status: "running", phase: "loading-baseline", receivedAt: "2026-01-01T00:01:00Z" },
+          { status: "running", phase: "running-queries", receivedAt: "2026-01-01T00:02:00Z" },
+        ],
+      },
+      // The layout from before problems: top-level submissions belong to the default problem
+      submissions: [{ id: "sub_old", teamId: "team2", status: "evaluated" }],
+    })
+  );
+
+  const counts = await migrateDataJson(dataManager, dataFile);
+  assert.deepStrictEqual([counts.problems, counts.submissions, counts.baselines, counts.jobs], [2, 2, 1, 1]);
+
+  const problem = await dataManager.getProblem("p1");
+  assert.deepStrictEqual([problem.title, problem.difficulty, problem.submissions], ["Renamed problem", "hard", undefined]);
+  assert.strictEqual((await dataManager.getBaselineMetrics("p1")).jobId, "eval-baseline-2");
+
+  // The backend's submission wins, data.json only fills in what it lacks
+  const submission = await dataManager.getSubmission("sub_1");
+  assert.deepStrictEqual([submission.status, submission.autoScore, submission.repoUrl], ["evaluated", 80, "https://github.com/team1/repo"]);
+  assert.strictEqual((await dataManager.getSubmission("sub_old")).problemId, "db-query-optimization");
+
+  const job = await dataManager.getJob("eval-submission-1");
+  assert.strictEqual(job.status, "completed");
+  assert.deepStrictEqual(
+    job.events.map((event) => event.phase),
+    ["loading-baseline", "running-queries", "running-concurrency"]
+  );
+
+  // The file is set aside, so the next start does not merge it again
+  assert.ok(fs.existsSync(`${dataFile}.migrated`));
+  assert.strictEqual(await migrateDataJson(dataManager, dataFile), null);
+});
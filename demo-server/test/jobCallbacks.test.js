@@ -0,0 +1,64 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+process.env.JOB_CALLBACK_SECRET = "test-secret";
+const { createCallbackToken, verifyCallbackToken, getCallbackEnv, buildJobEvent, recordJobEvent, parseRepoCommit } = require("../utils/jobCallbacks");
+
+test("callback tokens are per job", () => {
+  const token = createCallbackToken("eval-sub-1");
+  assert.strictEqual(verifyCallbackToken("eval-sub-1", token), true);
+  assert.strictEqual(verifyCallbackToken("eval-sub-2", token), false);
+  assert.strictEqual(verifyCallbackToken("eval-sub-1", token.slice(1)), false);
+  assert.strictEqual(verifyCallbackToken("eval-sub-1", null), false);
+
+  process.env.JOB_CALLBACK_URL = "http://demo-server:3000/api/";
+  assert.deepStrictEqual(getCallbackEnv("eval-sub-1"), { API_CALLBACK_URL: "http://demo-server:3000/api", API_CALLBACK_TOKEN: token });
+  delete process.env.JOB_CALLBACK_URL;
+  assert.deepStrictEqual(getCallbackEnv("eval-sub-1"), {});
+});
+
+test("buildJobEvent reads job_metadata.json", () => {
+  const event = buildJobEvent({
+    status: "running",
+    phase: "running-queries",
+    progress: "55%",
+    phase_detail: { query: 3, total: 10, completed: 2, name: "Q3" },
+    updated_at: "2026-01-01T00:00:05Z",
+  });
+  assert.deepStrictEqual(event, {
+    status: "running",
+    phase: "running-queries",
+    detail: { query: 3, total: 10, completed: 2, name: "Q3" },
+    progress: 55,
+    error: null,
+    reportedAt: "2026-01-01T00:00:05Z",
+  });
+  assert.strictEqual(buildJobEvent({ status: "failed", progress: "250" }).progress, 100);
+  assert.strictEqual(parseRepoCommit({ repo_commit: "0123abcd" }), "0123abcd");
+  assert.strictEqual(parseRepoCommit({ repo_commit: "main; rm -rf /" }), null);
+});
+
+test("repeated callbacks are recorded once, including failures with the same error", () => {
+  const events = [];
+  const failure = () => buildJobEvent({ status: "failed", phase: "applying-migration", error: { message: "migration.sql failed", exit_code: 3 } });
+
+  assert.strictEqual(recordJobEvent(events, buildJobEvent({ status: "running", progress: "10%" })), true);
+  assert.strictEqual(recordJobEvent(events, buildJobEvent({ status: "running", progress: "10%" })), false);
+  assert.strictEqual(recordJobEvent(events, failure()), true);
+  assert.strictEqual(recordJobEvent(events, failure()), false);
+  assert.strictEqual(recordJobEvent(events, buildJobEvent({ status: "failed", phase: "applying-migration", error: { message: "other" } })), true);
+  assert.deepStrictEqual(
+    events.map((event) => event.status),
+    ["running", "failed", "failed"]
+  );
+  assert.ok(events.every((event) => event.receivedAt));
+});
+
+test("the event history keeps the newest 200 events", () => {
+  const events = [];
+  for (let progress = 0; progress < 250; progress++) {
+    recordJobEvent(events, { status: "running", phase: "running", progress, error: null, detail: null });
+  }
+  assert.strictEqual(events.length, 200);
+  assert.strictEqual(events[0].progress, 50);
+});
@@ -0,0 +1,67 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { FAILURE_CATEGORIES, classifyJobFailure, getInfraRetryDelay, summarizeTeamFailures } = require("../utils/jobFailures");
+
+const { INFRA, SUBMISSION } = FAILURE_CATEGORIES;
+const classify = (evidence) => {
+  const { category, reason } = classifyJobFailure(evidence);
+  return [category, reason];
+};
+const pod = (overrides) => ({ name: "eval-submission-1-abcde", containers: [], ...overrides });
+// Callback events as the evaluator reports them, ending with its failure
+const events = (...phases) => [...phases.map((phase) => ({ status: "running", phase, error: null })), { status: "failed", phase: "failed", error: "Script failed at line 42" }];
+
+test("the cluster failing to run the evaluator is an infrastructure failure", () => {
+  const imagePull = classifyJobFailure({ jobStatus: { pods: [pod({ containers: [{ name: "evaluator", state: "waiting", reason: "ImagePullBackOff", message: "pull access denied" }] })] } });
+  assert.deepStrictEqual([imagePull.category, imagePull.reason, imagePull.message], [INFRA, "ImagePullBackOff", "Evaluator container could not start: pull access denied"]);
+  assert.ok(imagePull.classifiedAt);
+
+  assert.deepStrictEqual(classify({ jobStatus: { pods: [pod({ reason: "Evicted" })] } }), [INFRA, "Evicted"]);
+  assert.deepStrictEqual(classify({ jobStatus: { pods: [pod({ disruption: "PreemptionByScheduler" })] } }), [INFRA, "PreemptionByScheduler"]);
+  assert.deepStrictEqual(classify({ jobStatus: { failureReason: "ServerRestarted" } }), [INFRA, "ServerRestarted"]);
+  assert.deepStrictEqual(classify({ jobStatus: { failureReason: "SignalSIGKILL" } }), [INFRA, "SignalSIGKILL"]);
+  assert.deepStrictEqual(classify({ jobStatus: { exitCode: 137 } }), [INFRA, "ExitCode137"]);
+  assert.deepStrictEqual(classify({ monitorError: "Job not found after 3 checks" }), [INFRA, "MonitoringFailed"]);
+});
+
+test("running out of memory or time is the submission's failure", () => {
+  // An OOM kill also exits with 137
+  assert.deepStrictEqual(classify({ jobStatus: { exitCode: 137, oomKilled: true } }), [SUBMISSION, "OOMKilled"]);
+  assert.deepStrictEqual(classify({ jobStatus: { failureReason: "DeadlineExceeded" } }), [SUBMISSION, "DeadlineExceeded"]);
+  assert.deepStrictEqual(classify({ jobStatus: { exitCode: 1, failureReason: "BackoffLimitExceeded" } }), [SUBMISSION, "BackoffLimitExceeded"]);
+  assert.deepStrictEqual(classify({}), [SUBMISSION, "JobFailed"]);
+});
+
+test("a reported failure is blamed on the phase the evaluator was in", () => {
+  const migration = classifyJobFailure({ jobStatus: { exitCode: 1 }, events: events("initializing", "loading-baseline", "applying-migration") });
+  assert.deepStrictEqual([migration.category, migration.reason], [SUBMISSION, "FailedIn:applying-migration"]);
+  assert.strictEqual(migration.message, "Script failed at line 42 (during applying-migration)");
+
+  assert.deepStrictEqual(classify({ events: events("initializing", "loading-baseline") }), [INFRA, "FailedIn:loading-baseline"]);
+  assert.deepStrictEqual(classify({ events: events() }), [INFRA, "FailedIn:initializing"]);
+  // The container's own state is more specific than the reported phase
+  assert.deepStrictEqual(classify({ jobStatus: { exitCode: 143 }, events: events("running-queries") }), [INFRA, "ExitCode143"]);
+});
+
+test("infrastructure failures are retried with exponential backoff", () => {
+  const policy = { maxRetries: 3, baseDelayMs: 1000, maxDelayMs: 3000 };
+  assert.deepStrictEqual(
+    [0, 1, 2, 3].map((retries) => getInfraRetryDelay(retries, policy)),
+    [1000, 2000, 3000, null]
+  );
+});
+
+test("only failures that were not the infrastructure's count against the team", () => {
+  const summary = summarizeTeamFailures([
+    { teamId: "team1", problemId: "p1", status: "failed", failure: { category: SUBMISSION } },
+    { teamId: "team1", problemId: "p1", status: "failed", failure: { category: INFRA }, failedJobs: [{ category: INFRA }] },
+    // Retried after an infrastructure failure, then evaluated
+    { teamId: "team1", problemId: "p1", status: "evaluated", failedJobs: [{ category: INFRA }, { category: INFRA }] },
+    // Failed before failures were classified
+    { teamId: "team2", problemId: "p1", status: "failed" },
+  ]);
+  assert.deepStrictEqual(summary, {
+    "team1:p1": { failedAttempts: 1, infraFailures: 3 },
+    "team2:p1": { failedAttempts: 1, infraFailures: 0 },
+  });
+});
@@ -0,0 +1,96 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { getJobType, measurePhaseDurations, summarizePhaseHistory, describeJobProgress, formatRemainingTime } = require("../utils/jobProgress");
+
+const MINUTE = 60 * 1000;
+const at = (minute) => Date.UTC(2026, 0, 1, 0, 0) + minute * MINUTE;
+const event = (minute, phase, extra = {}) => ({ status: "running", phase, detail: null, progress: null, error: null, reportedAt: new Date(at(minute)).toISOString(), receivedAt: new Date(at(minute) + 500).toISOString(), ...extra });
+
+// A completed submission job whose queries took `queryMinutes`
+function completedJob(queryMinutes) {
+  return [
+    event(0, "initializing"),
+    event(1, "loading-baseline"),
+    event(3, "applying-migration"),
+    event(4, "running-queries"),
+    event(4 + queryMinutes, "running-concurrency"),
+    event(6 + queryMinutes, "uploading-results"),
+    event(7 + queryMinutes, "completed", { status: "completed", progress: 100 }),
+  ];
+}
+
+test("phase durations come from completed jobs, as the median per phase", () => {
+  assert.deepStrictEqual(measurePhaseDurations(completedJob(10)), {
+    initializing: MINUTE,
+    "loading-baseline": 2 * MINUTE,
+    "applying-migration": MINUTE,
+    "running-queries": 10 * MINUTE,
+    "running-concurrency": 2 * MINUTE,
+    "uploading-results": MINUTE,
+  });
+  assert.strictEqual(measurePhaseDurations(completedJob(10).slice(0, -1)), null);
+
+  const failed = [...completedJob(40).slice(0, 4), event(44, "error", { status: "failed", error: "Script failed at line 42" })];
+  const history = summarizePhaseHistory([completedJob(10), completedJob(20), failed, []]);
+  assert.strictEqual(history.jobs, 2);
+  assert.strictEqual(history.phases["running-queries"], 15 * MINUTE);
+  assert.strictEqual(history.phases["generating-data"], undefined);
+});
+
+test("a job running queries reports the query and is estimated at its own pace", () => {
+  const history = summarizePhaseHistory([completedJob(10), completedJob(20)]);
+  const events = [...completedJob(0).slice(0, 4), event(6, "running-queries", { progress: 48, detail: { query: 3, total: 10, completed: 2, name: "Q3" } })];
+  const progress = describeJobProgress({ jobId: "eval-submission-1", status: "running", events, history, now: at(8) });
+
+  assert.deepStrictEqual(
+    [progress.state, progress.type, progress.phase, progress.label, progress.step, progress.totalSteps, progress.percentage],
+    ["running", "submission", "running-queries", "Running queries", 4, 6, 48]
+  );
+  assert.deepStrictEqual(progress.query, { current: 3, total: 10, completed: 2, name: "Q3" });
+  assert.strictEqual(progress.phaseStartedAt, new Date(at(4)).toISOString());
+  // 2 minutes per query for the 8 left, then the concurrency test and upload
+  assert.strictEqual(progress.estimatedRemainingMs, 19 * MINUTE);
+  assert.strictEqual(progress.estimatedCompletionAt, new Date(at(27)).toISOString());
+  assert.strictEqual(progress.basedOnJobs, 2);
+});
+
+test("other phases are estimated from the typical durations of earlier jobs", () => {
+  const history = summarizePhaseHistory([completedJob(10), completedJob(20)]);
+  const events = completedJob(0).slice(0, 3);
+  const progress = describeJobProgress({ jobId: "eval-submission-1", status: "running", events, history, now: at(3.5) });
+
+  assert.strictEqual(progress.phase, "applying-migration");
+  assert.strictEqual(progress.percentage, 33);
+  assert.strictEqual(progress.estimatedRemainingMs, 18.5 * MINUTE);
+
+  // Without earlier jobs there is no estimate
+  assert.strictEqual(describeJobProgress({ jobId: "eval-submission-1", status: "running", events, now: at(3.5) }).estimatedRemainingMs, null);
+});
+
+test("waiting, finished and failed jobs", () => {
+  const waiting = describeJobProgress({ jobId: "eval-submission-1", status: "queued" });
+  assert.deepStrictEqual([waiting.state, waiting.phase, waiting.percentage], ["waiting", null, null]);
+
+  const completed = describeJobProgress({ jobId: "eval-submission-1", status: "evaluated", events: completedJob(10) });
+  assert.deepStrictEqual([completed.state, completed.percentage, completed.estimatedRemainingMs], ["completed", 100, 0]);
+
+  // A failed job shows the phase it stopped in
+  const events = [...completedJob(0).slice(0, 3), event(5, "error", { status: "failed", error: "Script failed at line 42" })];
+  const failed = describeJobProgress({ jobId: "eval-submission-1", status: "failed", events });
+  assert.deepStrictEqual([failed.state, failed.phase, failed.label], ["failed", "applying-migration", "Applying migration"]);
+});
+
+test("baseline jobs are told apart by their phases or their ID", () => {
+  assert.strictEqual(getJobType("eval-submission-1", [event(0, "generating-data")]), "baseline");
+  assert.strictEqual(getJobType("eval-baseline-1", [event(0, "loading-baseline")]), "submission");
+  assert.strictEqual(getJobType("eval-baseline-1"), "baseline");
+  assert.strictEqual(describeJobProgress({ jobId: "eval-baseline-1", status: "running", events: [event(0, "generating-data")] }).totalSteps, 5);
+});
+
+test("formatRemainingTime", () => {
+  assert.strictEqual(formatRemainingTime(null), null);
+  assert.strictEqual(formatRemainingTime(30 * 1000), "less than a minute");
+  assert.strictEqual(formatRemainingTime(MINUTE), "about 1 minute");
+  assert.strictEqual(formatRemainingTime(19 * MINUTE), "about 19 minutes");
+  assert.strictEqual(formatRemainingTime(180 * MINUTE), "about 3 hours");
+});
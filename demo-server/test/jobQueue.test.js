@@ -0,0 +1,127 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { JobQueue, orderQueue, estimateJobDuration, estimateStartTimes } = require("../utils/jobQueue");
+
+const MINUTE = 60 * 1000;
+const queuedAt = (minute) => new Date(Date.UTC(2026, 0, 1, 0, minute)).toISOString();
+const entry = (id, teamId, problemId, minute, extra = {}) => ({ id, teamId, problemId, priority: 0, queuedAt: queuedAt(minute), ...extra });
+
+// A queue over in-memory lists, starting jobs by moving them to the active list
+function createQueue(waiting, active = [], config = {}) {
+  const started = [];
+  const queue = new JobQueue({
+    listWaiting: async () => waiting,
+    listActive: async () => active,
+    startJob: async (next) => {
+      waiting.splice(waiting.indexOf(waiting.find((queued) => queued.id === next.id)), 1);
+      active.push({ jobId: `eval-${next.id}`, teamId: next.teamId, problemId: next.problemId });
+      started.push(next.id);
+    },
+    maxConcurrentJobs: 2,
+    maxJobsPerProblem: 2,
+    ...config,
+  });
+  return { queue, started, waiting, active };
+}
+
+test("teams take turns within a priority, and higher priority goes first", () => {
+  const ordered = orderQueue([entry("a1", "a", "p1", 0), entry("a2", "a", "p1", 1), entry("a3", "a", "p1", 2), entry("b1", "b", "p1", 3), entry("c1", "c", "p1", 4, { priority: 1 })]);
+  assert.deepStrictEqual(
+    ordered.map((queued) => [queued.id, queued.round, queued.position]),
+    [
+      ["c1", 0, 1],
+      ["a1", 0, 2],
+      ["b1", 0, 3],
+      ["a2", 1, 4],
+      ["a3", 2, 5],
+    ]
+  );
+
+  // A team with a job already running waits a round
+  assert.deepStrictEqual(
+    orderQueue([entry("a1", "a", "p1", 0), entry("b1", "b", "p1", 1)], [{ teamId: "a", problemId: "p1" }]).map((queued) => queued.id),
+    ["b1", "a1"]
+  );
+});
+
+test("estimated start times replay the queue against the running jobs", () => {
+  assert.strictEqual(estimateJobDuration([]), 10 * MINUTE);
+  assert.strictEqual(estimateJobDuration([3 * MINUTE, 1 * MINUTE, NaN, -5, 2 * MINUTE, 4 * MINUTE]), 2.5 * MINUTE);
+
+  const now = Date.UTC(2026, 0, 1, 1, 0);
+  const active = [{ problemId: "p1", startedAt: new Date(now - 2 * MINUTE).toISOString() }];
+  const ordered = orderQueue([entry("a1", "a", "p1", 0), entry("b1", "b", "p2", 1), entry("c1", "c", "p1", 2)], active);
+  const estimates = estimateStartTimes(ordered, active, { maxConcurrentJobs: 2, maxJobsPerProblem: 1 }, 10 * MINUTE, now);
+
+  assert.deepStrictEqual(
+    estimates.map((queued) => [queued.id, (new Date(queued.estimatedStartAt) - now) / MINUTE]),
+    [
+      // p1 is at its cap until the running job ends; p2 has a free slot
+      ["a1", 8],
+      ["b1", 0],
+      ["c1", 18],
+    ]
+  );
+
+  // An entry waiting out a backoff does not hold up the entries behind it
+  const backoff = orderQueue([entry("a1", "a", "p1", 0, { notBefore: new Date(now + 5 * MINUTE).toISOString() }), entry("b1", "b", "p1", 1)]);
+  assert.deepStrictEqual(
+    estimateStartTimes(backoff, [], { maxConcurrentJobs: 2, maxJobsPerProblem: 2 }, 10 * MINUTE, now).map((queued) => (new Date(queued.estimatedStartAt) - now) / MINUTE),
+    [5, 0]
+  );
+
+  // A job running past the typical duration is assumed to end within a minute
+  const overdue = [{ problemId: "p1", startedAt: new Date(now - 30 * MINUTE).toISOString() }];
+  const [next] = estimateStartTimes(orderQueue([entry("a1", "a", "p1", 0)]), overdue, { maxConcurrentJobs: 1, maxJobsPerProblem: 1 }, 10 * MINUTE, now);
+  assert.strictEqual(new Date(next.estimatedStartAt) - now, MINUTE);
+});
+
+test("dispatch starts jobs up to the concurrency and per-problem caps", async () => {
+  const { queue, started, waiting } = createQueue([entry("a1", "a", "p1", 0), entry("a2", "a", "p1", 1), entry("b1", "b", "p2", 2), entry("c1", "c", "p1", 3)], [], { maxConcurrentJobs: 3, maxJobsPerProblem: 1 });
+
+  assert.deepStrictEqual(await queue.dispatch(), ["a1", "b1"]);
+  assert.deepStrictEqual(started, ["a1", "b1"]);
+  assert.deepStrictEqual(
+    waiting.map((queued) => queued.id),
+    ["a2", "c1"]
+  );
+
+  const snapshot = await queue.getSnapshot();
+  assert.deepStrictEqual(snapshot.limits, { maxConcurrentJobs: 3, maxJobsPerProblem: 1 });
+  assert.deepStrictEqual(
+    snapshot.entries.map((queued) => [queued.id, queued.position]),
+    [
+      ["c1", 1],
+      ["a2", 2],
+    ]
+  );
+  assert.strictEqual((await queue.getEntry("a2")).position, 2);
+  assert.strictEqual(await queue.getEntry("a1"), null);
+});
+
+test("entries waiting out a retry backoff, refused or failing to start are skipped", async () => {
+  const later = new Date(Date.now() + 10 * MINUTE).toISOString();
+  const waiting = [entry("a1", "a", "p1", 0, { notBefore: later }), entry("b1", "b", "p1", 1), entry("c1", "c", "p1", 2), entry("d1", "d", "p1", 3)];
+  const { queue, started } = createQueue(waiting, [], { maxConcurrentJobs: 4, maxJobsPerProblem: 4 });
+  const startJob = queue.startJob;
+  queue.startJob = async (next) => {
+    if (next.id === "b1") return false;
+    if (next.id === "c1") throw new Error("runner unavailable");
+    return startJob(next);
+  };
+
+  assert.deepStrictEqual(await queue.dispatch(), ["d1"]);
+  assert.deepStrictEqual(started, ["d1"]);
+  assert.deepStrictEqual(
+    waiting.map((queued) => queued.id),
+    ["a1", "b1", "c1"]
+  );
+});
+
+test("concurrent dispatch calls share one pass", async () => {
+  const { queue, started } = createQueue([entry("a1", "a", "p1", 0), entry("b1", "b", "p1", 1)]);
+  const [first, second] = await Promise.all([queue.dispatch(), queue.dispatch()]);
+  assert.strictEqual(first, second);
+  assert.deepStrictEqual(started, ["a1", "b1"]);
+  assert.throws(() => new JobQueue({ listWaiting: async () => [] }), /are required/);
+});
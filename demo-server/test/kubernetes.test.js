@@ -0,0 +1,120 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { KubernetesJobBackend, renderJobTemplate, validateDockerParams } = require("../utils/kubernetes");
+
+// Fake API server: keeps created Jobs and serves them back with pods
+const jobs = new Map();
+const pods = new Map();
+const requests = [];
+let server;
+let backend;
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      requests.push({ method: req.method, path: url.pathname, body: body ? JSON.parse(body) : null });
+
+      const jobsPath = url.pathname.match(/^\/apis\/batch\/v1\/namespaces\/([^/]+)\/jobs(?:\/([^/]+))?$/);
+      if (jobsPath && req.method === "POST") {
+        const job = JSON.parse(body);
+        job.metadata.creationTimestamp = "2026-01-01T00:00:00Z";
+        jobs.set(job.metadata.name, job);
+        return send(res, 201, job);
+      }
+      if (jobsPath && req.method === "GET" && jobsPath[2]) {
+        const job = jobs.get(decodeURIComponent(jobsPath[2]));
+        return job ? send(res, 200, job) : send(res, 404, { kind: "Status", reason: "NotFound", message: `jobs "${jobsPath[2]}" not found` });
+      }
+      if (url.pathname.match(/^\/api\/v1\/namespaces\/[^/]+\/pods$/) && req.method === "GET") {
+        const name = url.searchParams.get("labelSelector").replace("job-name=", "");
+        return send(res, 200, { items: pods.get(name) || [] });
+      }
+      send(res, 404, { kind: "Status", reason: "NotFound", message: "not found" });
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  backend = new KubernetesJobBackend({ apiUrl: `http://127.0.0.1:${server.address().port}`, token: "test-token", namespace: "eval-test", baselineBucket: "test-baselines" });
+});
+
+after(() => server.close());
+
+const env = (container) => Object.fromEntries(container.env.map((entry) => [entry.name, entry.value]));
+
+test("createJob posts the rendered submission Job", async () => {
+  const created = await backend.createJob("submission", {
+    repoUrl: "https://github.com/team/repo",
+    problemId: "db-query-optimization",
+    dockerImage: "example/eval:1",
+    dockerParams: { resources: { limits: { memory: "2Gi", cpu: "1" } }, CONCURRENCY_ENABLED: "false", RUNS: 5 },
+    baselineJobId: "eval-baseline-20260101",
+    env: (name) => ({ CALLBACK_TOKEN: `token-for-${name}` }),
+  });
+
+  assert.strictEqual(created.namespace, "eval-test");
+  const posted = requests.find((request) => request.method === "POST").body;
+  assert.strictEqual(posted.metadata.name, created.job_id);
+  assert.strictEqual(posted.metadata.labels["eval/problem-id"], "db-query-optimization");
+
+  const container = posted.spec.template.spec.containers[0];
+  assert.strictEqual(container.image, "example/eval:1");
+  assert.deepStrictEqual(container.resources.limits, { memory: "2Gi", cpu: "1" });
+  // Requests the problem does not set keep the template's
+  assert.ok(container.resources.requests);
+
+  const vars = env(container);
+  assert.strictEqual(vars.REPO_URL, "https://github.com/team/repo");
+  assert.strictEqual(vars.CONCURRENCY_ENABLED, "false");
+  assert.strictEqual(vars.RUNS, "5");
+  assert.strictEqual(vars.resources, undefined);
+  assert.strictEqual(vars.BASELINE_JOB_ID, "eval-baseline-20260101");
+  assert.strictEqual(vars.BASELINE_DUMP_URL, "https://storage.googleapis.com/test-baselines/eval-baseline-20260101/db_dump.sql");
+  assert.strictEqual(vars.JOB_ID, created.job_id);
+  assert.strictEqual(vars.CALLBACK_TOKEN, `token-for-${created.job_id}`);
+});
+
+test("docker parameters can override the pinned baseline dump", () => {
+  const manifest = renderJobTemplate(backend.config.templatesDir, "submission", {
+    repoUrl: "https://github.com/team/repo",
+    baselineJobId: "eval-baseline-20260101",
+    dockerParams: { BASELINE_DUMP_URL: "https://example.com/dump.sql" },
+  });
+  assert.strictEqual(env(manifest.spec.template.spec.containers[0]).BASELINE_DUMP_URL, "https://example.com/dump.sql");
+});
+
+test("object-valued docker parameters other than resources are rejected", async () => {
+  assert.match(validateDockerParams({ volumes: [{ name: "data" }] }, "submissionDockerParams"), /submissionDockerParams\.volumes/);
+  assert.match(validateDockerParams({ resources: { requests: {}, gpus: 1 } }), /resources\.gpus/);
+  assert.strictEqual(validateDockerParams({ resources: { requests: { cpu: "1" } }, TIMEOUT: 10 }), null);
+
+  const posts = requests.filter((request) => request.method === "POST").length;
+  await assert.rejects(backend.createJob("baseline", { dockerParams: { nodeSelector: { pool: "eval" } } }), /dockerParams\.nodeSelector/);
+  assert.strictEqual(requests.filter((request) => request.method === "POST").length, posts);
+});
+
+test("getJobStatus reads Job conditions and pod exit codes", async () => {
+  const { job_id: name } = await backend.createJob("baseline", {});
+  jobs.get(name).status = { failed: 1, conditions: [{ type: "Failed", status: "True", reason: "BackoffLimitExceeded" }] };
+  pods.set(name, [
+    {
+      metadata: { name: `${name}-abc`, creationTimestamp: "2026-01-01T00:00:01Z" },
+      status: { phase: "Failed", containerStatuses: [{ name: "eval", state: { terminated: { exitCode: 137, reason: "OOMKilled" } } }] },
+    },
+  ]);
+
+  const status = await backend.getJobStatus(name);
+  assert.strictEqual(status.status, "failed");
+  assert.strictEqual(status.exitCode, 137);
+  assert.strictEqual(status.oomKilled, true);
+  assert.strictEqual(status.failureReason, "OOMKilled");
+
+  assert.strictEqual((await backend.getJobStatus("eval-missing")).status, "not-found");
+});
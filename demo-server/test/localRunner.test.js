@@ -0,0 +1,85 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { LocalJobRunner } = require("../utils/jobRunners/local");
+const { createJobRunner } = require("../utils/jobRunners");
+
+// Stands in for the evaluator: a baseline leaves a dump, a submission fails
+const EVALUATOR = `#!/bin/sh
+echo "job $JOB_TYPE out=$OUT_DIR upload=$UPLOAD_LOCATION"
+if [ "$JOB_TYPE" = "baseline" ]; then
+  echo "-- dump" > "$OUT_DIR/db_dump.sql"
+  exit 0
+fi
+echo "dump=$BASELINE_DUMP_URL"
+exit 3
+`;
+
+let rootDir;
+let runner;
+
+before(() => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "local-runner-"));
+  fs.writeFileSync(path.join(rootDir, "evaluate.sh"), EVALUATOR, { mode: 0o755 });
+  runner = new LocalJobRunner({ mode: "process", command: path.join(rootDir, "evaluate.sh"), resultsDir: path.join(rootDir, "results") });
+});
+
+after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+// Following the log to its end waits for the job to finish
+async function finish(jobId) {
+  let output = "";
+  await runner.followJobLogs(jobId, (text) => (output += text)).done;
+  return output;
+}
+
+test("JOB_RUNNER selects the runner, and unknown runners or modes are refused", () => {
+  assert.strictEqual(createJobRunner({ type: "local", mode: "process", resultsDir: rootDir }).type, "local");
+  assert.throws(() => createJobRunner({ type: "nomad" }), /Unknown job runner "nomad"/);
+  assert.throws(() => new LocalJobRunner({ mode: "vm" }), /Unknown local runner mode "vm"/);
+  assert.throws(() => runner.jobDir("../evaluate.sh"), /Invalid job ID/);
+});
+
+test("a submission job needs a local baseline dump", async () => {
+  await assert.rejects(runner.createJob("submission", { repoUrl: "https://github.com/team/repo" }), /No local baseline dump found/);
+});
+
+test("process jobs run the command in their own directory with local uploads", async () => {
+  const baseline = await runner.createJob("baseline", { jobSuffix: "20260101-000000-aaaaaa" });
+  assert.strictEqual(baseline.job_id, "eval-baseline-20260101-000000-aaaaaa");
+  assert.strictEqual(baseline.outputDir, path.join(rootDir, "results", baseline.job_id));
+
+  const output = await finish(baseline.job_id);
+  assert.strictEqual(output, `job baseline out=${baseline.outputDir} upload=local\n`);
+  const status = await runner.getJobStatus(baseline.job_id);
+  assert.deepStrictEqual([status.status, status.exitCode, status.failureReason, status.mode], ["completed", 0, null, "process"]);
+  assert.ok(status.completionTime);
+
+  // Submissions load the dump the baseline left
+  const submission = await runner.createJob("submission", { repoUrl: "https://github.com/team/repo", jobSuffix: "20260101-000100-bbbbbb" });
+  await finish(submission.job_id);
+  const failed = await runner.getJobStatus(submission.job_id);
+  assert.deepStrictEqual([failed.status, failed.exitCode, failed.failureReason], ["failed", 3, "ExitCode3"]);
+  assert.strictEqual(await runner.getJobLogs(submission.job_id, { tailLines: 1 }), `dump=${path.join(baseline.outputDir, "db_dump.sql")}\n`);
+});
+
+test("jobs that could not start or were left by an earlier server report why they failed", async () => {
+  const missing = new LocalJobRunner({ mode: "process", command: path.join(rootDir, "no-such-command"), resultsDir: path.join(rootDir, "results") });
+  const job = await missing.createJob("baseline", { jobSuffix: "20260101-000200-cccccc" });
+  await missing.followJobLogs(job.job_id, () => {}).done;
+  assert.strictEqual((await missing.getJobStatus(job.job_id)).failureReason, "ExitCode127");
+  assert.match(await missing.getJobLogs(job.job_id), /Failed to start/);
+
+  // A job left running by an earlier server process
+  const restarted = new LocalJobRunner({ mode: "process", resultsDir: path.join(rootDir, "results") });
+  fs.mkdirSync(restarted.jobDir("eval-baseline-old"));
+  restarted.writeState("eval-baseline-old", { jobId: "eval-baseline-old", mode: "process", state: "running" });
+  assert.strictEqual((await restarted.getJobStatus("eval-baseline-old")).failureReason, "ServerRestarted");
+
+  assert.strictEqual((await restarted.getJobStatus("eval-baseline-none")).status, "not-found");
+  assert.strictEqual(await restarted.getJobLogs("eval-baseline-none"), null);
+  assert.strictEqual(await restarted.deleteJob("eval-baseline-none"), false);
+  await assert.rejects(restarted.followJobLogs("eval-baseline-none", () => {}).done, /not found/);
+});
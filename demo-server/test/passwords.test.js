@@ -0,0 +1,29 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { hashPassword, isPasswordHash, verifyPassword, withHashedPassword } = require("../utils/passwords");
+
+test("verifyPassword checks hashes and plain passwords", async () => {
+  const user = { id: "team1", passwordHash: hashPassword("team123") };
+  assert.ok(isPasswordHash(user.passwordHash));
+  assert.strictEqual(await verifyPassword(user, "team123"), true);
+  assert.strictEqual(await verifyPassword(user, "team124"), false);
+
+  assert.strictEqual(await verifyPassword({ id: "host", password: "host123" }, "host123"), true);
+  assert.strictEqual(await verifyPassword({ id: "host", password: "host123" }, "host"), false);
+
+  assert.strictEqual(await verifyPassword({ id: "judge1", passwordHash: "md5$abc" }, "abc"), false);
+  // Well-formed but empty or short hashes match nothing, and imports do not take them
+  assert.strictEqual(isPasswordHash("scrypt$AAAA$="), false);
+  assert.strictEqual(await verifyPassword({ id: "judge1", passwordHash: "scrypt$AAAA$=" }, "anything"), false);
+  assert.strictEqual(await verifyPassword({ id: "judge1", passwordHash: `scrypt$AAAA$${Buffer.alloc(16).toString("base64")}` }, "anything"), false);
+  const [, , hash] = user.passwordHash.split("$");
+  assert.strictEqual(await verifyPassword({ id: "team1", passwordHash: `scrypt$=$${hash}` }, "team123"), false);
+  assert.strictEqual(await verifyPassword(null, "team123"), false);
+  assert.strictEqual(await verifyPassword(user, undefined), false);
+});
+
+test("withHashedPassword replaces a plain password with a hash that verifies", async () => {
+  const exported = withHashedPassword({ id: "team2", role: "team", password: "team123" });
+  assert.strictEqual(exported.password, undefined);
+  assert.strictEqual(await verifyPassword(exported, "team123"), true);
+});
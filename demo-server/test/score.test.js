@@ -0,0 +1,182 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  scoreSubmission,
+  calculateScore,
+  prepareMetrics,
+  reprepareMetrics,
+  getScoringRulesVersion,
+  createScoringRuleSet,
+  getScoringRuleSets,
+  getProblemAtRulesVersion,
+  recordScoreAudit,
+} = require("../utils/score");
+
+// summary.json as query-runner.sh writes it, for a baseline and for submissions
+const runs = (...times) => times.map((time, index) => ({ run: index + 1, status: "success", time }));
+const fingerprint = (rows, hash, ordered = false) => ({ rows, ordered, ordered_hash: `ordered-${hash}`, unordered_hash: `unordered-${hash}` });
+
+function baselineMetrics() {
+  return {
+    jobId: "baseline-1",
+    migration: { status: "success", time: "0" },
+    queries: {
+      Q1: { status: "success", runs: runs(2000, 2000, 2000), fingerprint: fingerprint(10, "q1") },
+      Q2: { status: "success", runs: runs(3000, 3000, 3000), fingerprint: fingerprint(5, "q2", true) },
+      // Queries the baseline could not run are not scored
+      Q3: { status: "empty" },
+    },
+    concurrency: { status: "completed", query: "Q1", qps: 4 },
+    storage: { status: "measured", base_bytes: 1000, extra_bytes: 0 },
+  };
+}
+
+function submissionMetrics(overrides = {}) {
+  return {
+    migration: { status: "success", time: "1.5" },
+    queries: {
+      Q1: { status: "success", runs: runs(100, 100, 100), fingerprint: fingerprint(10, "q1") },
+      Q2: { status: "success", runs: runs(200, 200, 200), fingerprint: fingerprint(5, "q2", true) },
+    },
+    concurrency: { status: "completed", query: "Q1", qps: 20 },
+    storage: { status: "measured", base_bytes: 1000, extra_bytes: 0 },
+    ...overrides,
+  };
+}
+
+const problem = { id: "p1", constraints: { queryTimeout: "4s target, 10s max" } };
+const prepared = (metrics, baseline = baselineMetrics(), scoredProblem = problem) => prepareMetrics(metrics, baseline, scoredProblem);
+
+test("a submission that matches every query within the target scores 100", () => {
+  const breakdown = scoreSubmission(prepared(submissionMetrics()), baselineMetrics(), problem);
+
+  assert.strictEqual(breakdown.total, 100);
+  assert.strictEqual(breakdown.failure, null);
+  assert.deepStrictEqual(Object.keys(breakdown.components), ["correctness", "latency", "concurrency", "storageEfficiency"]);
+  assert.deepStrictEqual(
+    Object.values(breakdown.components).map((component) => [component.weight, component.points]),
+    [
+      [50, 50],
+      [30, 30],
+      [10, 10],
+      [10, 10],
+    ]
+  );
+  assert.deepStrictEqual(Object.keys(breakdown.components.correctness.queries), ["Q1", "Q2"]);
+});
+
+test("latency scores target / time per query, and a run over the hard timeout scores 0", () => {
+  const metrics = submissionMetrics();
+  metrics.queries.Q1.runs = runs(8000, 8000, 8000);
+  metrics.queries.Q2.runs = runs(1000, 1000, 11000);
+  const { latency } = scoreSubmission(prepared(metrics), baselineMetrics(), problem).components;
+
+  assert.strictEqual(latency.queries.Q1.score, 0.5);
+  assert.strictEqual(latency.queries.Q1.baselineTimeMs, 2000);
+  assert.strictEqual(latency.queries.Q2.timedOut, true);
+  assert.strictEqual(latency.queries.Q2.score, 0);
+  assert.strictEqual(latency.score, 0.25);
+  assert.strictEqual(latency.inputs.targetMs, 4000);
+  assert.strictEqual(latency.inputs.hardTimeoutMs, 10000);
+});
+
+test("problem weights, including legacy names, set the share of each component", () => {
+  const weighted = { ...problem, scoringWeights: { correctness: 80, performance: 20, concurrency: 0, efficiency: 0 } };
+  const metrics = submissionMetrics();
+  metrics.queries.Q1.runs = runs(8000, 8000, 8000);
+  const breakdown = scoreSubmission(prepared(metrics), baselineMetrics(), weighted);
+
+  assert.strictEqual(breakdown.components.latency.weight, 20);
+  assert.strictEqual(breakdown.components.latency.points, 15);
+  assert.strictEqual(breakdown.total, 95);
+});
+
+test("a failed migration scores 0 overall whatever the components measured", () => {
+  const metrics = prepared(submissionMetrics({ migration: { status: "failed", time: "1800" } }));
+  const breakdown = scoreSubmission(metrics, baselineMetrics(), problem);
+
+  assert.strictEqual(breakdown.total, 0);
+  assert.match(breakdown.failure, /migration\.sql failed/);
+  assert.strictEqual(breakdown.components.correctness.score, 1);
+  assert.ok(Object.values(breakdown.components).every((component) => component.points === 0));
+  assert.strictEqual(calculateScore(metrics, baselineMetrics(), problem), 0);
+
+  // No migration.sql at all is not a failure
+  assert.strictEqual(calculateScore(prepared(submissionMetrics({ migration: { status: "missing", time: "0" } })), baselineMetrics(), problem), 100);
+});
+
+test("calculateScore is 0 without metrics or without the baseline the scorer needs", () => {
+  assert.strictEqual(calculateScore(null, baselineMetrics(), problem), 0);
+  assert.strictEqual(calculateScore(prepared(submissionMetrics()), null, problem), 0);
+});
+
+test("rescoring checks stored results against the baseline being rescored with", () => {
+  // Evaluated against a baseline without fingerprints, so the run-based check was kept
+  const oldBaseline = baselineMetrics();
+  Object.values(oldBaseline.queries).forEach((query) => delete query.fingerprint);
+  const metrics = submissionMetrics();
+  metrics.queries.Q1.fingerprint = fingerprint(10, "wrong");
+  metrics.queries.Q1.correctness_check = true;
+  metrics.queries.Q2.correctness_check = true;
+  const stored = prepared(metrics, oldBaseline);
+  assert.strictEqual(stored.queries.Q1.correctness.verified, false);
+
+  const snapshot = structuredClone(stored);
+  const rescored = reprepareMetrics(stored, baselineMetrics(), problem);
+  assert.deepStrictEqual(stored, snapshot);
+  assert.strictEqual(rescored.queries.Q1.correctness_check, false);
+  assert.strictEqual(rescored.queries.Q1.correctness.reason, "Result values differ");
+
+  // Half the correctness points, and the concurrency query's throughput no longer counts
+  assert.strictEqual(calculateScore(rescored, baselineMetrics(), problem), 65);
+  assert.strictEqual(calculateScore(reprepareMetrics(prepared(submissionMetrics()), baselineMetrics(), problem), baselineMetrics(), problem), 100);
+  assert.strictEqual(reprepareMetrics(null, baselineMetrics(), problem), null);
+});
+
+test("earlier rule-set versions score submissions as they were scored then", () => {
+  // A problem from before versioning, then a weight change as PUT /api/problems/:id makes it
+  const original = { ...problem, createdBy: "host", createdAt: "2026-01-01T00:00:00Z" };
+  assert.strictEqual(getScoringRulesVersion(original), 1);
+  assert.deepStrictEqual(
+    getScoringRuleSets(original).map((set) => [set.version, set.createdBy, set.createdAt]),
+    [[1, "host", "2026-01-01T00:00:00Z"]]
+  );
+
+  const updates = { scoringWeights: { correctness: 100, latency: 0, concurrency: 0, storageEfficiency: 0 } };
+  const updated = {
+    ...original,
+    ...updates,
+    scoringRulesVersion: 2,
+    scoringRuleSets: [...getScoringRuleSets(original), createScoringRuleSet({ ...original, ...updates }, 2, "host")],
+  };
+
+  const metrics = submissionMetrics();
+  metrics.queries.Q1.fingerprint = fingerprint(10, "wrong");
+  const scored = prepared(metrics);
+  assert.strictEqual(calculateScore(scored, baselineMetrics(), updated), 50);
+  assert.strictEqual(calculateScore(scored, baselineMetrics(), getProblemAtRulesVersion(updated, 2)), 50);
+  // Version 1 had the default weights
+  const v1 = getProblemAtRulesVersion(updated, 1);
+  assert.strictEqual(v1.scoringWeights, null);
+  assert.strictEqual(v1.scoringRulesVersion, 1);
+  assert.strictEqual(calculateScore(scored, baselineMetrics(), v1), 65);
+  assert.strictEqual(getProblemAtRulesVersion(updated, 3), null);
+});
+
+test("recordScoreAudit records the rules and baseline of each score", () => {
+  const submission = { id: "sub_1", autoScore: 80 };
+  const first = recordScoreAudit(submission, problem, baselineMetrics(), "evaluation");
+  assert.deepStrictEqual([first.autoScore, first.scoringRulesVersion, first.baselineJobId, first.reason], [80, 1, "baseline-1", "evaluation"]);
+
+  submission.autoScore = 90;
+  recordScoreAudit(submission, { ...problem, scoringRulesVersion: 2 }, { ...baselineMetrics(), jobId: "baseline-2" }, "rescore");
+  assert.strictEqual(submission.scoringRulesVersion, 2);
+  assert.strictEqual(submission.baselineJobId, "baseline-2");
+  assert.deepStrictEqual(
+    submission.scoreHistory.map((entry) => [entry.autoScore, entry.reason]),
+    [
+      [80, "evaluation"],
+      [90, "rescore"],
+    ]
+  );
+});
@@ -0,0 +1,83 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Custom scorer modules are loaded from this directory
+const scorersDir = fs.mkdtempSync(path.join(os.tmpdir(), "custom-scorers-"));
+process.env.CUSTOM_SCORERS_DIR = scorersDir;
+const { getScorer, getScorerConfig, listScorers } = require("../utils/scorers");
+const { scoreSubmission, calculateScore, hasScorableResults, canScore } = require("../utils/score");
+
+before(() => {
+  fs.writeFileSync(
+    path.join(scorersDir, "rows.js"),
+    `module.exports = {
+      defaultWeights: { rows: 60, speed: 40 },
+      resolveRules: (problem) => ({ targetRows: problem.constraints.targetRows }),
+      failureReason: (results) => (results.crashed ? "evaluator crashed" : null),
+      score: (results, baseline, rules) => ({
+        rows: { score: Math.min(1, results.rows / rules.targetRows), formula: "rows / target", inputs: { rows: results.rows } },
+        speed: { score: results.ms ? Math.min(1, 100 / results.ms) : null, formula: "min(1, 100 / ms)", inputs: { ms: results.ms } },
+      }),
+    };`
+  );
+});
+
+after(() => fs.rmSync(scorersDir, { recursive: true, force: true }));
+
+test("problems pick a scorer by type name or { type, options }", () => {
+  assert.deepStrictEqual(getScorerConfig(null), { type: "sql-latency", options: {} });
+  assert.deepStrictEqual(getScorerConfig({ scorer: "pass-fail-tests" }), { type: "pass-fail-tests", options: {} });
+  assert.deepStrictEqual(getScorerConfig({ scorer: { type: "custom-js", options: { module: "rows.js" } } }), { type: "custom-js", options: { module: "rows.js" } });
+  assert.deepStrictEqual(
+    listScorers().map((scorer) => scorer.type),
+    ["sql-latency", "pass-fail-tests", "custom-js"]
+  );
+  assert.throws(() => getScorer({ scorer: "bleu" }), /Unknown scorer type "bleu"/);
+});
+
+test("pass-fail-tests scores the weighted share of passing tests", () => {
+  const problem = { scorer: "pass-fail-tests" };
+  const results = {
+    tests: [
+      { name: "parses empty input", status: "passed", weight: 3 },
+      { name: "handles unicode", status: "failed", weight: 1, message: "expected é" },
+    ],
+  };
+
+  assert.strictEqual(canScore(problem, null), true);
+  assert.strictEqual(hasScorableResults(results, problem), true);
+  assert.strictEqual(hasScorableResults({ tests: [] }, problem), false);
+  assert.strictEqual(calculateScore(results, null, problem), 75);
+
+  // Tests the reference solution fails are left out
+  const reference = { tests: { "parses empty input": { status: "passed", weight: 3 }, "handles unicode": { status: "failed" } } };
+  const { tests } = scoreSubmission(results, reference, problem).components;
+  assert.strictEqual(tests.score, 1);
+  assert.strictEqual(tests.inputs.excludedByBaseline, 1);
+  assert.deepStrictEqual(Object.keys(tests.tests), ["parses empty input"]);
+});
+
+test("custom-js scorers are loaded from the custom scorers directory", () => {
+  const problem = { scorer: { type: "custom-js", options: { module: "rows.js" } }, constraints: { targetRows: 10 } };
+  const breakdown = scoreSubmission({ rows: 5 }, null, problem);
+
+  assert.strictEqual(breakdown.rules.targetRows, 10);
+  assert.strictEqual(breakdown.components.rows.score, 0.5);
+  // A component the module could not measure scores 0 against its weight
+  assert.strictEqual(breakdown.components.speed.measured, false);
+  assert.strictEqual(breakdown.components.speed.score, 0);
+  assert.strictEqual(breakdown.total, 30);
+  assert.strictEqual(scoreSubmission({ rows: 10, ms: 200 }, null, problem).total, 80);
+
+  const crashed = scoreSubmission({ rows: 10, crashed: true }, null, problem);
+  assert.strictEqual(crashed.failure, "evaluator crashed");
+  assert.strictEqual(crashed.total, 0);
+});
+
+test("custom-js modules outside the custom scorers directory are refused", () => {
+  assert.throws(() => getScorer({ scorer: { type: "custom-js", options: { module: "../rows.js" } } }), /must be inside/);
+  assert.throws(() => getScorer({ scorer: { type: "custom-js", options: {} } }), /requires options\.module/);
+});
@@ -0,0 +1,134 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const sqlLatency = require("../utils/scorers/sqlLatency");
+
+const runs = (...times) => times.map((time, index) => ({ run: index + 1, status: "success", time }));
+const fingerprint = (rows, hash, ordered = false, unorderedHash = hash) => ({ rows, ordered, ordered_hash: `ordered-${hash}`, unordered_hash: `unordered-${unorderedHash}` });
+const rules = (problem = {}) => sqlLatency.resolveRules(problem);
+
+function baseline() {
+  return {
+    queries: {
+      Q1: { status: "success", runs: runs(500, 500), fingerprint: fingerprint(10, "q1") },
+      Q2: { status: "success", runs: runs(500, 500), fingerprint: fingerprint(3, "q2", true) },
+    },
+    concurrency: { status: "completed", query: "Q1", qps: 5 },
+    storage: { status: "measured", base_bytes: 1000, extra_bytes: 0 },
+  };
+}
+
+test("prepareMetrics checks each query's result fingerprint against the baseline", () => {
+  const metrics = sqlLatency.prepareMetrics(
+    {
+      overall: {},
+      queries: {
+        Q1: { status: "success", runs: runs(100, 100), fingerprint: fingerprint(10, "q1-reordered", false, "q1") },
+        // Ordered in the baseline: the same rows in another order do not match
+        Q2: { status: "success", runs: runs(100, 100), fingerprint: fingerprint(3, "q2-reordered", true, "q2") },
+      },
+    },
+    baseline(),
+    rules()
+  );
+
+  assert.strictEqual(metrics.queries.Q1.correctness_check, true);
+  assert.deepStrictEqual(metrics.queries.Q1.correctness, { verified: true, ordered: false, expected_rows: 10, actual_rows: 10, row_diff: 0, match: true, reason: null });
+  assert.strictEqual(metrics.queries.Q2.correctness_check, false);
+  assert.strictEqual(metrics.queries.Q2.correctness.reason, "Rows match but ordering differs");
+  assert.strictEqual(metrics.overall.matching_queries, 1);
+  assert.strictEqual(metrics.queries.Q1.timing.aggregate_ms, 100);
+});
+
+test("mismatched results say why they differ", () => {
+  const metrics = sqlLatency.prepareMetrics(
+    {
+      queries: {
+        Q1: { status: "success", runs: runs(100), fingerprint: fingerprint(12, "other") },
+        Q2: { status: "timeout", runs: [] },
+      },
+    },
+    baseline(),
+    rules()
+  );
+  assert.strictEqual(metrics.queries.Q1.correctness.reason, "Row count differs by 2");
+  assert.strictEqual(metrics.queries.Q1.correctness.row_diff, 2);
+  assert.strictEqual(metrics.queries.Q2.correctness.reason, "Query did not run successfully");
+
+  const values = sqlLatency.prepareMetrics({ queries: { Q1: { status: "success", runs: runs(100), fingerprint: fingerprint(10, "other") } } }, baseline(), rules());
+  assert.strictEqual(values.queries.Q1.correctness.reason, "Result values differ");
+
+  const missing = sqlLatency.prepareMetrics({ queries: { Q1: { status: "success", runs: runs(100) } } }, baseline(), rules());
+  assert.strictEqual(missing.queries.Q1.correctness.reason, "Submission has no result fingerprint");
+  assert.strictEqual(missing.queries.Q1.correctness_check, false);
+});
+
+test("a baseline without fingerprints keeps the evaluator's run-based check", () => {
+  const old = baseline();
+  delete old.queries.Q1.fingerprint;
+  const metrics = sqlLatency.prepareMetrics({ queries: { Q1: { status: "success", runs: runs(100), correctness_check: true } } }, old, rules());
+
+  assert.strictEqual(metrics.queries.Q1.correctness_check, true);
+  assert.deepStrictEqual(metrics.queries.Q1.correctness, { verified: false, match: true, reason: "Baseline has no result fingerprint" });
+
+  const components = sqlLatency.score(metrics, old, rules());
+  assert.strictEqual(components.correctness.queries.Q1.score, 1);
+  assert.strictEqual(components.correctness.queries.Q1.verified, false);
+  // Q2 did not run at all
+  assert.strictEqual(components.correctness.queries.Q2.status, "missing");
+  assert.strictEqual(components.correctness.score, 0.5);
+});
+
+test("concurrency scores measured QPS against the target, and 0 when the stage did not complete", () => {
+  const metrics = (concurrency) => sqlLatency.prepareMetrics({ queries: { Q1: { status: "success", runs: runs(100), fingerprint: fingerprint(10, "q1") } }, concurrency }, baseline(), rules());
+  const problem = { constraints: { concurrencyTargetQps: 20 } };
+
+  const measured = sqlLatency.score(metrics({ status: "completed", query: "Q1", qps: 5, errors: 0 }), baseline(), rules(problem)).concurrency;
+  assert.strictEqual(measured.score, 0.25);
+  assert.strictEqual(measured.inputs.targetQps, 20);
+  assert.strictEqual(measured.inputs.baselineQps, 5);
+  assert.strictEqual(sqlLatency.score(metrics({ status: "completed", query: "Q1", qps: 50 }), baseline(), rules(problem)).concurrency.score, 1);
+
+  for (const stage of [{ status: "skipped" }, { status: "failed", query: "Q1" }, { status: "completed", query: "Q1" }, undefined]) {
+    const { concurrency } = sqlLatency.score(metrics(stage), baseline(), rules(problem));
+    assert.strictEqual(concurrency.score, 0, JSON.stringify(stage));
+    assert.strictEqual(concurrency.inputs.status, stage?.status ?? "missing");
+  }
+});
+
+test("throughput of a query with wrong results does not count", () => {
+  const metrics = sqlLatency.prepareMetrics(
+    { queries: { Q1: { status: "success", runs: runs(100), fingerprint: fingerprint(10, "wrong") } }, concurrency: { status: "completed", query: "Q1", qps: 50 } },
+    baseline(),
+    rules()
+  );
+  assert.strictEqual(sqlLatency.score(metrics, baseline(), rules()).concurrency.score, 0);
+});
+
+test("problems that turn the concurrency stage off are scored without it", () => {
+  const problem = { submissionDockerParams: { CONCURRENCY_ENABLED: "false" } };
+  assert.strictEqual(rules(problem).concurrencyEnabled, false);
+  assert.strictEqual(rules({ submissionDockerParams: { CONCURRENCY_ENABLED: true } }).concurrencyEnabled, true);
+  assert.strictEqual(sqlLatency.score({ queries: {} }, baseline(), rules(problem)).concurrency, undefined);
+});
+
+test("storage scores the extra space against the allowance, and 0 when it was not measured", () => {
+  const storageScore = (storage, problem = {}) => sqlLatency.score({ queries: {}, storage }, baseline(), rules(problem)).storageEfficiency;
+
+  assert.strictEqual(storageScore({ status: "measured", base_bytes: 1000, extra_bytes: 0 }).score, 1);
+  assert.strictEqual(storageScore({ status: "measured", base_bytes: 1000, extra_bytes: 150 }).score, 0.5);
+  assert.strictEqual(storageScore({ status: "measured", base_bytes: 1000, extra_bytes: 600 }).score, 0);
+  // The allowance comes from the problem: a ratio, or the percentage in the description
+  assert.strictEqual(storageScore({ status: "measured", base_bytes: 1000, extra_bytes: 150 }, { constraints: { auxiliaryStorageRatio: 0.6 } }).score, 0.75);
+  assert.strictEqual(storageScore({ status: "measured", base_bytes: 1000, extra_bytes: 150 }, { constraints: { auxiliaryStorage: "≤50% extra over base DB" } }).inputs.ratio, 0.5);
+
+  for (const storage of [{ status: "unavailable" }, { status: "measured", base_bytes: 0, extra_bytes: 0 }, undefined]) {
+    const component = storageScore(storage);
+    assert.strictEqual(component.score, 0, JSON.stringify(storage));
+    assert.strictEqual(component.inputs.status, storage?.status ?? "missing");
+  }
+});
+
+test("problems that turn storage scoring off are scored without it", () => {
+  const problem = { constraints: { storageScoring: false } };
+  assert.strictEqual(sqlLatency.score({ queries: {} }, baseline(), rules(problem)).storageEfficiency, undefined);
+});
@@ -0,0 +1,103 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const DataManager = require("../utils/dataManager");
+const { createDataManager } = require("../utils/dataStores");
+const { MIGRATIONS, SqliteDataManager } = require("../utils/dataStores/sqlite");
+const { importJsonData } = require("../utils/dataStores/importer");
+const { VersionConflictError } = require("../utils/dataErrors");
+
+let dataDir;
+let store;
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "sqlite-data-"));
+  store = createDataManager({ type: "sqlite", dataDir });
+});
+
+afterEach(() => {
+  store.db.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test("the schema is created once and reopening the database applies nothing", async () => {
+  assert.strictEqual(store.type, "sqlite");
+  assert.strictEqual(store.databasePath, path.join(dataDir, "contest.db"));
+  assert.strictEqual(await store.isEmpty(), true);
+  assert.deepStrictEqual(store.db.prepare("SELECT version FROM schema_migrations ORDER BY version").pluck().all(), MIGRATIONS.map((migration) => migration.version));
+
+  await store.addProblem({ id: "p1", title: "Problem" });
+  store.db.close();
+  store = new SqliteDataManager(dataDir);
+  assert.deepStrictEqual(store.migrate(), []);
+  assert.strictEqual((await store.getProblem("p1")).title, "Problem");
+  assert.throws(() => createDataManager({ type: "mongo", dataDir }), /Unknown data backend "mongo"/);
+});
+
+test("submissions keep their judge scores and reject writes from stale copies", async () => {
+  await store.addProblem({ id: "p1", title: "Problem" });
+  await store.addSubmission({ id: "sub_1", problemId: "p1", teamId: "team1", status: "submitted", submittedAt: "2026-01-01T00:00:00Z", judgeScores: [] });
+  await store.addSubmission({ id: "sub_2", problemId: "p1", teamId: "team1", status: "evaluated", submittedAt: "2026-01-01T01:00:00Z" });
+
+  const updated = await store.updateSubmission("sub_1", { status: "evaluated", judgeScores: [{ judgeId: "judge1", totalScore: 8 }] }, { expectedVersion: 1 });
+  assert.strictEqual(updated.version, 2);
+  assert.deepStrictEqual(updated.judgeScores, [{ judgeId: "judge1", totalScore: 8 }]);
+  await assert.rejects(store.updateSubmission("sub_1", { status: "failed" }, { expectedVersion: 1 }), VersionConflictError);
+  assert.strictEqual((await store.getSubmission("sub_1")).status, "evaluated");
+  await assert.rejects(store.updateSubmission("sub_9", { status: "failed" }), /Submission not found/);
+
+  assert.deepStrictEqual(
+    (await store.getSubmissionsByTeam("team1", "p1")).map((submission) => submission.id),
+    ["sub_2", "sub_1"]
+  );
+  const [problem] = await store.getProblemsArray();
+  assert.deepStrictEqual([problem.submissionCount, problem.evaluatedCount], [2, 2]);
+});
+
+test("job events are their own rows, deduplicated and put back into the job", async () => {
+  const event = { status: "running", phase: "running-queries", progress: 40, error: null, detail: null };
+  assert.strictEqual(await store.addJobEvent("eval-submission-1", event, { problemId: "p1", type: "submission" }), true);
+  assert.strictEqual(await store.addJobEvent("eval-submission-1", { ...event }), false);
+  await store.addJobEvent("eval-submission-1", { ...event, status: "completed", progress: 100 });
+
+  const job = await store.updateJob("eval-submission-1", { status: "completed" });
+  assert.deepStrictEqual(
+    job.events.map((recorded) => recorded.status),
+    ["running", "completed"]
+  );
+  assert.deepStrictEqual(
+    (await store.listJobs({ problemId: "p1", statuses: ["completed"] })).map((listed) => listed.id),
+    ["eval-submission-1"]
+  );
+  assert.deepStrictEqual(await store.listJobs({ statuses: ["running"] }), []);
+  assert.strictEqual(await store.updateJob("eval-submission-9", { status: "failed" }), null);
+});
+
+test("baselines are kept per problem and by job ID", async () => {
+  await store.setBaselineMetrics("p1", { jobId: "baseline-1", queries: {} });
+  await store.setBaselineMetrics("p1", { jobId: "baseline-2", queries: {} });
+
+  assert.strictEqual((await store.getBaselineMetrics("p1")).jobId, "baseline-2");
+  assert.strictEqual((await store.getBaselineMetricsByJob("baseline-1")).problemId, "p1");
+  assert.strictEqual(await store.getBaselineMetricsByJob("baseline-3"), null);
+});
+
+test("JSON data imports into SQLite and exports the same records", async () => {
+  const json = new DataManager(path.join(dataDir, "json"));
+  await json.addProblem({ id: "p1", title: "Problem" });
+  await json.addSubmission({ id: "sub_1", problemId: "p1", teamId: "team1", status: "evaluated", judgeScores: [{ judgeId: "judge1", totalScore: 7 }] });
+  await json.setBaselineMetrics("p1", { jobId: "baseline-1", queries: {} });
+  await json.addJobEvent("eval-submission-1", { status: "completed", phase: "completed", progress: 100, error: null, detail: null }, { problemId: "p1" });
+
+  const { imported, migrated } = await importJsonData(store, { dataDir: path.join(dataDir, "json") });
+  assert.deepStrictEqual([imported.problems, imported.submissions, imported.jobs, imported.baselines, migrated], [1, 1, 1, 1, null]);
+
+  const exported = await store.exportData();
+  assert.strictEqual(exported.problems.p1.title, "Problem");
+  assert.deepStrictEqual(exported.submissions.sub_1.judgeScores, [{ judgeId: "judge1", totalScore: 7 }]);
+  assert.strictEqual(exported.jobs["eval-submission-1"].events.length, 1);
+  assert.strictEqual(exported.baselineHistory["baseline-1"].problemId, "p1");
+  assert.strictEqual(await store.isEmpty(), false);
+});
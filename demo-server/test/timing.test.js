@@ -0,0 +1,120 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { DEFAULT_TIMING_OPTIONS, getTimingOptions, getSpeedFactor, getHardwareAdjustment, summarizeRunTimes } = require("../utils/timing");
+const sqlLatency = require("../utils/scorers/sqlLatency");
+
+const runs = (...times) => times.map((time, index) => ({ run: index + 1, status: typeof time === "number" ? "success" : time, time }));
+const options = (timing) => getTimingOptions({ timing });
+const calibrated = (speedFactor) => ({ calibration: { status: "measured", speed_factor: speedFactor } });
+
+test("getTimingOptions applies defaults and ignores invalid values", () => {
+  assert.deepStrictEqual(getTimingOptions(), DEFAULT_TIMING_OPTIONS);
+  assert.deepStrictEqual(getTimingOptions(null), DEFAULT_TIMING_OPTIONS);
+  assert.deepStrictEqual(options({ aggregation: "p99", warmupRuns: -1, trimFraction: 0.5, maxCoefficientOfVariation: 0, normalizeHardware: "yes" }), DEFAULT_TIMING_OPTIONS);
+  assert.deepStrictEqual(options({ aggregation: "trimmed-mean", warmupRuns: "2", trimFraction: 0.25, maxCoefficientOfVariation: 0.2, normalizeHardware: true }), {
+    aggregation: "trimmed-mean",
+    warmupRuns: 2,
+    trimFraction: 0.25,
+    maxCoefficientOfVariation: 0.2,
+    normalizeHardware: true,
+  });
+});
+
+test("warm-up runs are discarded in run order, keeping at least one run", () => {
+  // Runs may arrive out of order; the cold first run is the slow one
+  const shuffled = [
+    { run: 3, status: "success", time: 110 },
+    { run: 1, status: "success", time: 900 },
+    { run: 2, status: "success", time: 100 },
+  ];
+  const summary = summarizeRunTimes(shuffled, options({ warmupRuns: 1, aggregation: "mean" }));
+  assert.strictEqual(summary.warmup_discarded, 1);
+  assert.strictEqual(summary.samples, 2);
+  assert.strictEqual(summary.aggregate_ms, 105);
+
+  const single = summarizeRunTimes(runs(900), options({ warmupRuns: 3 }));
+  assert.strictEqual(single.warmup_discarded, 0);
+  assert.strictEqual(single.aggregate_ms, 900);
+  assert.strictEqual(single.stddev_ms, 0);
+});
+
+test("runs are reduced with a median, trimmed mean or mean", () => {
+  const times = runs(100, 100, 100, 100, 100, 100, 100, 100, 100, 1100);
+  assert.strictEqual(summarizeRunTimes(times).aggregate_ms, 100);
+  assert.strictEqual(summarizeRunTimes(times, options({ aggregation: "mean" })).aggregate_ms, 200);
+  // 10% trimmed from each end drops the outlier
+  assert.strictEqual(summarizeRunTimes(times, options({ aggregation: "trimmed-mean" })).aggregate_ms, 100);
+  // Too few samples to trim any falls back to the plain mean
+  assert.strictEqual(summarizeRunTimes(runs(100, 200, 600), options({ aggregation: "trimmed-mean" })).aggregate_ms, 300);
+
+  const summary = summarizeRunTimes(times);
+  assert.strictEqual(summary.p50_ms, 100);
+  assert.strictEqual(summary.p90_ms, 100);
+  assert.strictEqual(summary.max_ms, 1100);
+});
+
+test("failed and timed-out runs are not samples, and a timeout is flagged", () => {
+  const summary = summarizeRunTimes(runs(100, "error", 300, "timeout"));
+  assert.strictEqual(summary.samples, 2);
+  assert.strictEqual(summary.aggregate_ms, 200);
+  assert.strictEqual(summary.timed_out, true);
+
+  // A timed-out warm-up run does not count
+  assert.strictEqual(summarizeRunTimes(runs("timeout", 100), options({ warmupRuns: 1 })).timed_out, false);
+
+  const empty = summarizeRunTimes([]);
+  assert.deepStrictEqual([empty.aggregate_ms, empty.samples, empty.stddev_ms, empty.cv, empty.high_variance], [null, 0, null, null, false]);
+});
+
+test("timings that vary more than the allowed coefficient of variation are flagged", () => {
+  const steady = summarizeRunTimes(runs(100, 110, 90));
+  assert.strictEqual(steady.stddev_ms, 10);
+  assert.strictEqual(steady.cv, 0.1);
+  assert.strictEqual(steady.high_variance, false);
+  assert.strictEqual(summarizeRunTimes(runs(100, 110, 90), options({ maxCoefficientOfVariation: 0.05 })).high_variance, true);
+
+  const noisy = summarizeRunTimes(runs(100, 1000));
+  assert.ok(noisy.cv > 0.5);
+  assert.strictEqual(noisy.high_variance, true);
+});
+
+test("a submission on a faster node has its times scaled up to the baseline's node", () => {
+  const normalized = options({ normalizeHardware: true });
+  assert.deepStrictEqual(getHardwareAdjustment(calibrated(2), calibrated(1), normalized), {
+    applied: true,
+    scale: 2,
+    submissionSpeedFactor: 2,
+    baselineSpeedFactor: 1,
+  });
+  assert.strictEqual(getHardwareAdjustment(calibrated(1), calibrated(2), normalized).scale, 0.5);
+
+  // Off by default, and only when both jobs were calibrated
+  assert.strictEqual(getHardwareAdjustment(calibrated(2), calibrated(1)).applied, false);
+  assert.strictEqual(getHardwareAdjustment(calibrated(2), calibrated(1)).scale, 1);
+  assert.strictEqual(getHardwareAdjustment(calibrated(2), { calibration: { status: "failed", speed_factor: 1 } }, normalized).scale, 1);
+  assert.strictEqual(getHardwareAdjustment(calibrated(2), {}, normalized).applied, false);
+  assert.strictEqual(getSpeedFactor(calibrated(0)), null);
+  assert.strictEqual(getSpeedFactor(null), null);
+});
+
+test("latency and throughput are scored on the baseline's node when normalizing hardware", () => {
+  const problem = { constraints: { queryTimeout: "400ms target, 1s max", concurrencyTargetQps: 10, timing: { normalizeHardware: true } } };
+  const rules = sqlLatency.resolveRules(problem);
+  const baseline = { ...calibrated(1), queries: { Q1: { status: "success", runs: runs(1000) } }, concurrency: { status: "completed", query: "Q1", qps: 5 } };
+  const submission = { ...calibrated(2), queries: { Q1: { status: "success", runs: runs(300), correctness_check: true } }, concurrency: { status: "completed", query: "Q1", qps: 10 } };
+
+  const components = sqlLatency.score(submission, baseline, rules);
+  assert.strictEqual(components.latency.queries.Q1.rawTimeMs, 300);
+  assert.strictEqual(components.latency.queries.Q1.timeMs, 600);
+  assert.strictEqual(components.latency.queries.Q1.score, 400 / 600);
+  assert.strictEqual(components.concurrency.inputs.measuredQps, 5);
+  assert.strictEqual(components.concurrency.score, 0.5);
+
+  // The hard timeout applies to the raw times
+  const slow = { ...submission, queries: { Q1: { status: "success", runs: runs(900), correctness_check: true } } };
+  assert.strictEqual(sqlLatency.score(slow, baseline, rules).latency.queries.Q1.timedOut, false);
+
+  const raw = sqlLatency.score(submission, baseline, sqlLatency.resolveRules({ constraints: { ...problem.constraints, timing: {} } }));
+  assert.strictEqual(raw.latency.queries.Q1.score, 1);
+  assert.strictEqual(raw.concurrency.score, 1);
+});
@@ -0,0 +1,195 @@
+/**
+ * Job Artifacts Module
+ *
+ * Once a job has completed, the files in its folder of the results store (see
+ * utils/storage/results.js) are mirrored into the submission's output directory,
+ * data/outputs/<submission id>/, where the file browser reads them.
+ *
+ * Only files matching `JOB_ARTIFACT_PATTERNS` are copied (database dumps are
+ * left in the bucket), within per-file, total size and file count limits. Each
+ * ingest replaces the directory and writes artifact_manifest.json listing every
+ * copied file with its size and SHA-256, and every skipped file with the reason.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const MANIFEST_FILE = "artifact_manifest.json";
+const DEFAULT_ARTIFACT_PATTERNS = ["summary.json", "migration.log", "job_metadata.json", "raw/*.log"];
+
+/**
+ * Ingest limits from the environment
+ */
+function getArtifactLimits() {
+  return {
+    maxFileBytes: parseInt(process.env.JOB_ARTIFACT_MAX_FILE_BYTES) || 10 * 1024 * 1024,
+    maxTotalBytes: parseInt(process.env.JOB_ARTIFACT_MAX_TOTAL_BYTES) || 100 * 1024 * 1024,
+    maxFiles: parseInt(process.env.JOB_ARTIFACT_MAX_FILES) || 500,
+  };
+}
+
+/**
+ * Patterns of the files to copy; `*` matches within one path segment
+ */
+function getArtifactPatterns() {
+  const patterns = (process.env.JOB_ARTIFACT_PATTERNS || "")
+    .split(",")
+    .map((pattern) => pattern.trim())
+    .filter(Boolean);
+  return patterns.length > 0 ? patterns : DEFAULT_ARTIFACT_PATTERNS;
+}
+
+function patternToRegExp(pattern) {
+  const source = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join("[^/]*");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Index of the first pattern an artifact path matches, or -1
+ */
+function matchArtifactPattern(artifactPath, patterns) {
+  return patterns.findIndex((pattern) => patternToRegExp(pattern).test(artifactPath));
+}
+
+/**
+ * Relative artifact paths only; anything that could leave the output directory is rejected
+ */
+function isSafeArtifactPath(artifactPath) {
+  const segments = String(artifactPath || "").split("/");
+  return segments.length > 0 && segments.every((segment) => segment && segment !== "." && segment !== "..") && !artifactPath.includes("\\");
+}
+
+/**
+ * Choose the files to copy from a job's listing
+ * @param {Array} files - { path, size } relative to the job's prefix
+ * @param {Array} patterns - Patterns of the files to copy, most important first
+ * @param {Object} limits - { maxFileBytes, maxTotalBytes, maxFiles }
+ * @returns {Object} { selected, skipped } where skipped entries carry a `reason`
+ */
+function selectArtifacts(files, patterns, limits) {
+  const selected = [];
+  const skipped = [];
+  let totalBytes = 0;
+
+  const candidates = files
+    .filter((file) => isSafeArtifactPath(file.path) && file.path !== MANIFEST_FILE)
+    .map((file) => ({ ...file, rank: matchArtifactPattern(file.path, patterns) }))
+    .filter((file) => file.rank !== -1)
+    // Earlier patterns first, so a large log cannot crowd out summary.json
+    .sort((a, b) => a.rank - b.rank || a.path.localeCompare(b.path));
+
+  for (const { rank, ...file } of candidates) {
+    if (file.size > limits.maxFileBytes) {
+      skipped.push({ ...file, reason: "file-too-large" });
+    } else if (selected.length >= limits.maxFiles) {
+      skipped.push({ ...file, reason: "file-count-limit" });
+    } else if (totalBytes + file.size > limits.maxTotalBytes) {
+      skipped.push({ ...file, reason: "total-size-limit" });
+    } else {
+      selected.push(file);
+      totalBytes += file.size;
+    }
+  }
+
+  return { selected, skipped };
+}
+
+async function sha256File(filePath) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * Mirror a job's artifacts into an output directory
+ * @param {Object} options
+ * @param {Object} options.resultsStore - Where the job's files are (utils/storage/results.js)
+ * @param {string} options.jobId - The job whose artifacts to copy
+ * @param {string} options.problemId - The job's problem, for its bucket layout
+ * @param {string} options.outputDir - Destination, replaced once all files are copied
+ * @param {Array} options.patterns - Defaults to getArtifactPatterns()
+ * @param {Object} options.limits - Defaults to getArtifactLimits()
+ * @returns {Object} The manifest written to artifact_manifest.json
+ */
+async function ingestJobArtifacts({ resultsStore, jobId, problemId = null, outputDir, patterns = getArtifactPatterns(), limits = getArtifactLimits() }) {
+  const listing = await resultsStore.listJobArtifacts(jobId, { problemId });
+  const { selected, skipped } = selectArtifacts(listing.files, patterns, limits);
+
+  // Copy into a sibling directory first, so a failed ingest leaves the previous copy in place
+  const stagingDir = `${outputDir}.ingest-${process.pid}-${Date.now()}`;
+  await fs.promises.mkdir(stagingDir, { recursive: true });
+
+  try {
+    const files = [];
+    let totalBytes = 0;
+
+    for (const file of selected) {
+      const destPath = path.join(stagingDir, ...file.path.split("/"));
+      await fs.promises.mkdir(path.dirname(destPath), { recursive: true });
+      await resultsStore.downloadJobArtifact(jobId, file.path, destPath, { problemId });
+
+      // The listing may be stale (a log still being written); the limits apply to what arrived
+      const { size } = await fs.promises.stat(destPath);
+      if (size > limits.maxFileBytes || totalBytes + size > limits.maxTotalBytes) {
+        await fs.promises.rm(destPath, { force: true });
+        skipped.push({ path: file.path, size, reason: size > limits.maxFileBytes ? "file-too-large" : "total-size-limit" });
+        continue;
+      }
+
+      files.push({ path: file.path, size, sha256: await sha256File(destPath) });
+      totalBytes += size;
+    }
+
+    const manifest = {
+      jobId,
+      storage: resultsStore.storage.type,
+      source: listing.location,
+      ingestedAt: new Date().toISOString(),
+      patterns,
+      limits,
+      fileCount: files.length,
+      totalBytes,
+      files,
+      skipped,
+    };
+    await fs.promises.writeFile(path.join(stagingDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+    await fs.promises.rm(outputDir, { recursive: true, force: true });
+    await fs.promises.rename(stagingDir, outputDir);
+    return manifest;
+  } catch (error) {
+    await fs.promises.rm(stagingDir, { recursive: true, force: true }).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Short form of a manifest for the submission record
+ */
+function summarizeArtifactManifest(manifest) {
+  return {
+    jobId: manifest.jobId,
+    ingestedAt: manifest.ingestedAt,
+    fileCount: manifest.fileCount,
+    totalBytes: manifest.totalBytes,
+    skipped: manifest.skipped,
+  };
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  DEFAULT_ARTIFACT_PATTERNS,
+  getArtifactLimits,
+  getArtifactPatterns,
+  matchArtifactPattern,
+  isSafeArtifactPath,
+  selectArtifacts,
+  ingestJobArtifacts,
+  summarizeArtifactManifest,
+};
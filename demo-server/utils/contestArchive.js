@@ -0,0 +1,365 @@
+/**
+ * Contest Export and Import
+ *
+ * A contest export is one gzipped tar archive (utils/tarArchive.js) that another
+ * server, or this one later, can import:
+ *
+ *   manifest.json               format, schema version, counts, and size and SHA-256 of every file
+ *   data/users.json             [user] with password hashes only, never plain passwords
+ *   data/problems.json          { <problem id>: problem }
+ *   data/baselines.json         { <problem id>: baseline metrics }
+ *   data/baseline-history.json  { <baseline job id>: baseline metrics } (missing from exports made before it was kept)
+ *   data/submissions.json       { <submission id>: submission } (judge scores included)
+ *   data/jobs.json              { <job id>: job } (event history included)
+ *   outputs/<submission id>/... the submission's artifacts from data/outputs/
+ *
+ * Import checks the whole archive before writing anything; a dry run stops
+ * there and reports what would be imported. Records whose ID already exists are
+ * conflicts, handled by `onConflict`:
+ * - `fail` (default) - import nothing and report them
+ * - `skip` - keep the existing records, import the rest
+ * - `replace` - the archive's records (and outputs) replace the existing ones
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { packTar, unpackTar } = require("./tarArchive");
+const { SCHEMA_VERSION, migrateRecords } = require("./dataMigrations");
+const { isPasswordHash, withHashedPassword } = require("./passwords");
+const { MONITORED_JOB_STATUSES } = require("./submissionResults");
+
+const ARCHIVE_FORMAT = "contest-export";
+const ARCHIVE_FORMAT_VERSION = 1;
+const RECORD_FILES = {
+  users: "data/users.json",
+  problems: "data/problems.json",
+  baselines: "data/baselines.json",
+  baselineHistory: "data/baseline-history.json",
+  submissions: "data/submissions.json",
+  jobs: "data/jobs.json",
+};
+// Record files that older exports do not have; the data migrations fill them in
+const OPTIONAL_RECORD_FILES = ["baselineHistory"];
+const CONFLICT_MODES = ["fail", "skip", "replace"];
+const USER_ROLES = ["host", "judge", "team"];
+
+class ArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ArchiveError";
+    this.status = 400;
+  }
+}
+
+function sha256(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+// Files under a directory, as "/"-separated paths relative to it
+async function listFiles(dir, relativePath = "") {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(dir, relativePath), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const entryPath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(dir, entryPath)));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Export all contest data and submission outputs as one archive
+ * @param {DataManager} dataManager - The data backend
+ * @param {Object} options - { exportedBy } user ID recorded in the manifest
+ * @returns {Buffer} The gzipped tar archive
+ */
+async function exportContest(dataManager, { exportedBy = null } = {}) {
+  const data = await dataManager.exportData();
+  const records = { ...data, users: data.users.map(withHashedPassword) };
+
+  const entries = Object.entries(RECORD_FILES).map(([kind, name]) => ({ name, content: Buffer.from(JSON.stringify(records[kind], null, 2)) }));
+  for (const submissionId of Object.keys(data.submissions)) {
+    const outputDir = dataManager.getSubmissionOutputDir(submissionId);
+    for (const file of await listFiles(outputDir)) {
+      entries.push({ name: `outputs/${submissionId}/${file}`, content: await fs.readFile(path.join(outputDir, ...file.split("/"))) });
+    }
+  }
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    formatVersion: ARCHIVE_FORMAT_VERSION,
+    schemaVersion: await dataManager.getSchemaVersion(),
+    exportedAt: new Date().toISOString(),
+    exportedBy,
+    counts: {
+      users: records.users.length,
+      problems: Object.keys(records.problems).length,
+      baselines: Object.keys(records.baselines).length,
+      baselineHistory: Object.keys(records.baselineHistory).length,
+      submissions: Object.keys(records.submissions).length,
+      judgeScores: Object.values(records.submissions).reduce((sum, submission) => sum + (submission.judgeScores?.length || 0), 0),
+      jobs: Object.keys(records.jobs).length,
+      outputFiles: entries.length - Object.keys(RECORD_FILES).length,
+    },
+    files: entries.map((entry) => ({ path: entry.name, size: entry.content.length, sha256: sha256(entry.content) })),
+  };
+
+  return packTar([{ name: "manifest.json", content: Buffer.from(JSON.stringify(manifest, null, 2)) }, ...entries]);
+}
+
+/**
+ * Unpack an archive and check it against its manifest
+ * @returns {Object} { manifest, records, outputs: [{ submissionId, path, content }] }
+ * @throws {ArchiveError} If it is not a contest export or is damaged
+ */
+async function readContestArchive(archive) {
+  let entries;
+  try {
+    entries = await unpackTar(archive);
+  } catch (error) {
+    throw new ArchiveError(`Not a readable archive: ${error.message}`);
+  }
+
+  const files = new Map(entries.map((entry) => [entry.name, entry.content]));
+  const parse = (name) => {
+    try {
+      return JSON.parse(files.get(name).toString("utf8"));
+    } catch (error) {
+      throw new ArchiveError(`${name} is not valid JSON: ${error.message}`);
+    }
+  };
+
+  if (!files.has("manifest.json")) {
+    throw new ArchiveError("Not a contest export: manifest.json is missing");
+  }
+  const manifest = parse("manifest.json");
+  if (manifest.format !== ARCHIVE_FORMAT) {
+    throw new ArchiveError(`Not a contest export: format is ${JSON.stringify(manifest.format)}`);
+  }
+  if (manifest.formatVersion > ARCHIVE_FORMAT_VERSION) {
+    throw new ArchiveError(`Archive format ${manifest.formatVersion} is newer than this server supports (${ARCHIVE_FORMAT_VERSION})`);
+  }
+  if (!(manifest.schemaVersion >= 0) || manifest.schemaVersion > SCHEMA_VERSION) {
+    throw new ArchiveError(`Archive data schema version ${manifest.schemaVersion} is not supported (this server: ${SCHEMA_VERSION})`);
+  }
+
+  const listed = new Map((manifest.files || []).map((file) => [file.path, file]));
+  for (const [name, content] of files) {
+    if (name === "manifest.json") continue;
+    const file = listed.get(name);
+    if (!file) {
+      throw new ArchiveError(`${name} is not listed in the manifest`);
+    }
+    if (file.size !== content.length || file.sha256 !== sha256(content)) {
+      throw new ArchiveError(`${name} does not match its checksum in the manifest`);
+    }
+  }
+  listed.forEach((file, name) => {
+    if (!files.has(name)) throw new ArchiveError(`${name} is listed in the manifest but missing`);
+  });
+
+  const records = {};
+  Object.entries(RECORD_FILES).forEach(([kind, name]) => {
+    if (files.has(name)) {
+      records[kind] = parse(name);
+    } else if (OPTIONAL_RECORD_FILES.includes(kind)) {
+      records[kind] = {};
+    } else {
+      throw new ArchiveError(`${name} is missing`);
+    }
+  });
+
+  const outputs = [];
+  files.forEach((content, name) => {
+    if (!name.startsWith("outputs/")) return;
+    const [, submissionId, ...rest] = name.split("/");
+    if (!submissionId || rest.length === 0 || [submissionId, ...rest].some((part) => part === "" || part === "." || part === "..")) {
+      throw new ArchiveError(`Invalid output path: ${name}`);
+    }
+    outputs.push({ submissionId, path: rest.join("/"), content });
+  });
+
+  return { manifest, records, outputs };
+}
+
+// Record IDs name directories under data/ (submission outputs), so each must be one plain path segment
+function isSafeId(id) {
+  return typeof id === "string" && id !== "" && id !== "." && id !== ".." && !/[/\\]/.test(id);
+}
+
+// Problems with the records of an archive, as messages; warnings do not stop an import
+function validateRecords(records, current, outputs) {
+  const errors = [];
+  const warnings = [];
+
+  if (!Array.isArray(records.users)) {
+    errors.push("users must be a list");
+    return { errors, warnings };
+  }
+  ["problems", "baselines", "baselineHistory", "submissions", "jobs"].forEach((kind) => {
+    if (!records[kind] || typeof records[kind] !== "object" || Array.isArray(records[kind])) {
+      errors.push(`${kind} must be an object keyed by ID`);
+    }
+  });
+  if (errors.length > 0) {
+    return { errors, warnings };
+  }
+
+  records.users.forEach((user, index) => {
+    if (!user?.id) errors.push(`users[${index}] has no id`);
+    else if (!USER_ROLES.includes(user.role)) errors.push(`User ${user.id} has unknown role ${JSON.stringify(user.role)}`);
+    else if (user.password !== undefined) errors.push(`User ${user.id} has a plain password; exports carry password hashes only`);
+    else if (!isPasswordHash(user.passwordHash)) errors.push(`User ${user.id} has no valid passwordHash`);
+  });
+  const userIds = new Set([...records.users.map((user) => user.id), ...current.users.map((user) => user.id)]);
+
+  // The checks below read these records, so they must be well-formed
+  const malformed = [];
+  ["problems", "submissions", "jobs"].forEach((kind) =>
+    Object.entries(records[kind]).forEach(([id, record]) => {
+      if (!isSafeId(id)) malformed.push(`${kind} record ${JSON.stringify(id)} has an ID that is not a plain name`);
+      else if (!record || record.id !== id) malformed.push(`${kind} record ${id} has a different id (${record?.id})`);
+    })
+  );
+  ["baselines", "baselineHistory"].forEach((kind) =>
+    Object.keys(records[kind])
+      .filter((id) => !isSafeId(id))
+      .forEach((id) => malformed.push(`${kind} record ${JSON.stringify(id)} has an ID that is not a plain name`))
+  );
+  if (malformed.length > 0) {
+    return { errors: [...errors, ...malformed], warnings };
+  }
+
+  const problemIds = new Set([...Object.keys(records.problems), ...Object.keys(current.problems)]);
+  Object.keys(records.baselines)
+    .filter((problemId) => !problemIds.has(problemId))
+    .forEach((problemId) => errors.push(`Baseline of unknown problem ${problemId}`));
+  Object.entries(records.baselineHistory)
+    .filter(([, metrics]) => !problemIds.has(metrics?.problemId))
+    .forEach(([jobId, metrics]) => errors.push(`Baseline job ${jobId} is for unknown problem ${metrics?.problemId}`));
+
+  Object.values(records.submissions).forEach((submission) => {
+    if (!problemIds.has(submission.problemId)) errors.push(`Submission ${submission.id} is for unknown problem ${submission.problemId}`);
+    if (!userIds.has(submission.teamId)) warnings.push(`Submission ${submission.id} is from unknown team ${submission.teamId}`);
+  });
+
+  const submissionIds = new Set([...Object.keys(records.submissions), ...Object.keys(current.submissions)]);
+  Object.values(records.jobs).forEach((job) => {
+    if (job.submissionId && !submissionIds.has(job.submissionId)) warnings.push(`Job ${job.id} is for unknown submission ${job.submissionId}`);
+    if (MONITORED_JOB_STATUSES.includes(job.status)) warnings.push(`Job ${job.id} was still ${job.status} when exported; its results may never arrive here`);
+  });
+
+  new Set(outputs.map((output) => output.submissionId)).forEach((submissionId) => {
+    if (!records.submissions[submissionId]) errors.push(`Outputs of submission ${submissionId}, which is not in the archive`);
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * Import a contest export
+ * @param {DataManager} dataManager - The data backend to import into
+ * @param {Buffer} archive - The archive from exportContest
+ * @param {Object} options - { dryRun, onConflict, beforeWrite } where `beforeWrite` is
+ *   awaited just before anything is written (e.g. to take a backup)
+ * @returns {Object} Report: { imported, dryRun, onConflict, manifest, records, conflicts, outputFiles, errors, warnings };
+ *   nothing is written if it has errors, or conflicts with onConflict "fail"
+ * @throws {ArchiveError} If the archive cannot be read, or onConflict is unknown
+ */
+async function importContest(dataManager, archive, { dryRun = false, onConflict = "fail", beforeWrite = null } = {}) {
+  if (!CONFLICT_MODES.includes(onConflict)) {
+    throw new ArchiveError(`Unknown conflict handling "${onConflict}". Available: ${CONFLICT_MODES.join(", ")}`);
+  }
+
+  const { manifest, records, outputs } = await readContestArchive(archive);
+  const current = await dataManager.exportData();
+  const { errors, warnings } = validateRecords(records, current, outputs);
+
+  const report = {
+    imported: false,
+    dryRun,
+    onConflict,
+    manifest: { schemaVersion: manifest.schemaVersion, exportedAt: manifest.exportedAt, exportedBy: manifest.exportedBy, counts: manifest.counts },
+    records: {},
+    conflicts: {},
+    outputFiles: 0,
+    errors,
+    warnings,
+  };
+  if (errors.length > 0) {
+    return report;
+  }
+
+  // Archives of an older schema are brought up to date
+  migrateRecords(records, manifest.schemaVersion);
+
+  const existing = {
+    users: new Set(current.users.map((user) => user.id)),
+    problems: new Set(Object.keys(current.problems)),
+    baselines: new Set(Object.keys(current.baselines)),
+    baselineHistory: new Set(Object.keys(current.baselineHistory)),
+    submissions: new Set(Object.keys(current.submissions)),
+    jobs: new Set(Object.keys(current.jobs)),
+  };
+  const selected = {};
+  Object.keys(RECORD_FILES).forEach((kind) => {
+    const entries = kind === "users" ? records.users.map((user) => [user.id, user]) : Object.entries(records[kind]);
+    const conflicts = entries.filter(([id]) => existing[kind].has(id)).map(([id]) => id);
+    const chosen = entries.filter(([id]) => onConflict === "replace" || !existing[kind].has(id));
+
+    selected[kind] = kind === "users" ? chosen.map(([, user]) => user) : Object.fromEntries(chosen);
+    report.conflicts[kind] = conflicts;
+    report.records[kind] = { total: entries.length, new: entries.length - conflicts.length, conflicts: conflicts.length, toImport: chosen.length };
+  });
+
+  const selectedOutputs = outputs.filter((output) => selected.submissions[output.submissionId]);
+  report.outputFiles = selectedOutputs.length;
+
+  const hasConflicts = Object.values(report.conflicts).some((ids) => ids.length > 0);
+  if (dryRun || (hasConflicts && onConflict === "fail")) {
+    return report;
+  }
+  if (Object.values(report.records).every((counts) => counts.toImport === 0)) {
+    // Nothing new and conflicts skipped: done without writing
+    report.imported = true;
+    return report;
+  }
+
+  if (beforeWrite) {
+    await beforeWrite();
+  }
+
+  await dataManager.importData(selected);
+
+  // Imported submissions get the archive's outputs in place of any they had
+  const outputDirs = new Set(Object.keys(selected.submissions));
+  for (const submissionId of outputDirs) {
+    await fs.rm(dataManager.getSubmissionOutputDir(submissionId), { recursive: true, force: true });
+  }
+  for (const output of selectedOutputs) {
+    const filePath = path.join(dataManager.getSubmissionOutputDir(output.submissionId), ...output.path.split("/"));
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, output.content);
+  }
+
+  report.imported = true;
+  return report;
+}
+
+module.exports = {
+  ArchiveError,
+  CONFLICT_MODES,
+  exportContest,
+  importContest,
+};
@@ -0,0 +1,154 @@
+/**
+ * Contest Backups
+ *
+ * Writes a contest export (utils/contestArchive.js) to the backup directory
+ * (`BACKUP_DIR`, default data/backups/) every `BACKUP_INTERVAL_MS` (default 6
+ * hours, 0 turns scheduled backups off) and keeps the newest `BACKUP_RETENTION`
+ * (default 10). Hosts can also take one on demand, and one is taken before
+ * every import. A backup is restored by importing it.
+ *
+ * Backups are named contest-<time>-<reason>.tar.gz; other files in the directory
+ * (such as the copies taken before data migrations) are left alone.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { exportContest } = require("./contestArchive");
+
+const DEFAULT_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const BACKUP_FILE_PATTERN = /^contest-[0-9TZ-]+-[a-z-]+\.tar\.gz$/;
+
+class ContestBackups {
+  constructor({ dataManager, ...config } = {}) {
+    if (!dataManager) {
+      throw new Error("dataManager is required for contest backups");
+    }
+
+    const interval = config.intervalMs ?? parseInt(process.env.BACKUP_INTERVAL_MS);
+    this.config = {
+      ...config,
+      dir: config.dir || process.env.BACKUP_DIR || path.join(dataManager.dataDir, "backups"),
+      intervalMs: Number.isFinite(interval) && interval >= 0 ? interval : DEFAULT_INTERVAL_MS,
+      retention: config.retention || parseInt(process.env.BACKUP_RETENTION) || 10,
+    };
+
+    this.dataManager = dataManager;
+    this.timer = null;
+    this.queue = Promise.resolve();
+    this.lastBackup = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Write a backup now, then remove the oldest beyond the retention
+   * @param {string} reason - Part of the file name (scheduled, manual, pre-import)
+   * @returns {Object} { name, size, createdAt }
+   */
+  async createBackup(reason = "manual") {
+    // One at a time, so overlapping backups do not export the same data twice
+    const backup = this.queue.catch(() => {}).then(() => this.writeBackup(reason));
+    this.queue = backup;
+    return backup;
+  }
+
+  async writeBackup(reason) {
+    const createdAt = new Date().toISOString();
+    const name = `contest-${createdAt.replace(/[:.]/g, "-")}-${reason}.tar.gz`;
+    const archive = await exportContest(this.dataManager, { exportedBy: `backup:${reason}` });
+
+    await fs.mkdir(this.config.dir, { recursive: true });
+    const tempPath = path.join(this.config.dir, `.${name}.tmp`);
+    await fs.writeFile(tempPath, archive);
+    await fs.rename(tempPath, path.join(this.config.dir, name));
+
+    this.lastBackup = { name, size: archive.length, createdAt };
+    console.log(`✓ Contest backup written: ${name} (${archive.length} bytes)`);
+    await this.prune();
+    return this.lastBackup;
+  }
+
+  /**
+   * Backups in the backup directory, newest first
+   * @returns {Array} [{ name, size, createdAt }]
+   */
+  async listBackups() {
+    let names;
+    try {
+      names = await fs.readdir(this.config.dir);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const backups = [];
+    for (const name of names.filter((n) => BACKUP_FILE_PATTERN.test(n))) {
+      const stats = await fs.stat(path.join(this.config.dir, name));
+      backups.push({ name, size: stats.size, createdAt: stats.mtime.toISOString() });
+    }
+    return backups.sort((a, b) => b.name.localeCompare(a.name));
+  }
+
+  /**
+   * Path of a backup by name, or null if there is no such backup
+   */
+  async getBackupPath(name) {
+    const backups = await this.listBackups();
+    return backups.some((backup) => backup.name === name) ? path.join(this.config.dir, name) : null;
+  }
+
+  async prune() {
+    const expired = (await this.listBackups()).slice(this.config.retention);
+    for (const backup of expired) {
+      await fs.rm(path.join(this.config.dir, backup.name), { force: true });
+      console.log(`Removed old contest backup ${backup.name}`);
+    }
+  }
+
+  getStatus() {
+    return {
+      dir: this.config.dir,
+      intervalMs: this.config.intervalMs,
+      retention: this.config.retention,
+      scheduled: Boolean(this.timer),
+      lastBackup: this.lastBackup,
+      lastError: this.lastError,
+    };
+  }
+
+  /**
+   * Take backups periodically; the first one after one interval
+   */
+  start() {
+    if (this.timer) {
+      console.warn("Contest backups are already scheduled");
+      return;
+    }
+    if (this.config.intervalMs === 0) {
+      console.log("Scheduled contest backups are off (BACKUP_INTERVAL_MS=0)");
+      return;
+    }
+
+    console.log(`Scheduling contest backups (interval: ${this.config.intervalMs}ms, keeping ${this.config.retention} in ${this.config.dir})`);
+    this.timer = setInterval(() => {
+      this.createBackup("scheduled")
+        .then(() => {
+          this.lastError = null;
+        })
+        .catch((error) => {
+          this.lastError = { message: error.message, at: new Date().toISOString() };
+          console.error("❌ Scheduled contest backup failed:", error.message);
+        });
+    }, this.config.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = {
+  ContestBackups,
+};
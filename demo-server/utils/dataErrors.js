@@ -0,0 +1,33 @@
+/**
+ * Data Repository Errors
+ *
+ * Records carry a `version` that every write increments. An update made from a
+ * copy read earlier passes that copy's version, and is rejected with a
+ * VersionConflictError if another write got there first, instead of silently
+ * overwriting it. Routes answer these with 409.
+ */
+
+class VersionConflictError extends Error {
+  constructor(message, { expectedVersion, currentVersion } = {}) {
+    super(message);
+    this.name = "VersionConflictError";
+    this.status = 409;
+    this.expectedVersion = expectedVersion;
+    this.currentVersion = currentVersion;
+  }
+}
+
+// Reject an update made from a copy older than the stored record
+function checkVersion(record, expectedVersion, label) {
+  if (expectedVersion !== undefined && expectedVersion !== null && Number(expectedVersion) !== record.version) {
+    throw new VersionConflictError(`${label} has changed since version ${expectedVersion} (now version ${record.version})`, {
+      expectedVersion: Number(expectedVersion),
+      currentVersion: record.version,
+    });
+  }
+}
+
+module.exports = {
+  VersionConflictError,
+  checkVersion,
+};
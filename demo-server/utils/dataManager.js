@@ -1,151 +1,553 @@
+/**
+ * Contest Data Repository
+ *
+ * The one place contest data is read and written: users, problems, baseline
+ * metrics, submissions and evaluation jobs (with the status events they
+ * reported), each kept in its own JSON file under the data directory:
+ *
+ *   users.json        { users: [...] }
+ *   problems.json     { <problem id>: problem }
+ *   baselines.json    { <problem id>: processed baseline metrics }
+ *   baseline-history.json  { <baseline job id>: processed baseline metrics, with problemId }
+ *   submissions.json  { <submission id>: submission }
+ *   jobs.json         { <job id>: { id, problemId, type, status, submissionId, events } }
+ *   schema.json       { version, migrations: [...] } (see utils/dataMigrations.js)
+ *
+ * Routes and the job monitor go through these methods instead of reading the
+ * files. Data from the old single data.json is merged in once at startup by
+ * utils/legacyData.js.
+ *
+ * Each file is written through a temp file that is renamed over it, one write
+ * per file at a time, so a crash never leaves a truncated store. The get
+ * methods return copies; problems, submissions and jobs carry a `version`, and
+ * an update passing `expectedVersion` fails with a VersionConflictError if the
+ * record was written since that copy was read.
+ *
+ * This is the `json` data backend; utils/dataStores/sqlite.js keeps the same
+ * records in SQLite behind the same methods (see utils/dataStores/index.js).
+ */
+
 const fs = require("fs").promises;
 const path = require("path");
+const { recordJobEvent } = require("./jobCallbacks");
+const { checkVersion } = require("./dataErrors");
+
+// Copy of a record, so callers cannot change the stored one by accident
+function copy(value) {
+  return value === undefined || value === null ? value : structuredClone(value);
+}
+
+// The store files, in the order they are backed up
+const STORE_FILES = ["schema.json", "users.json", "problems.json", "baselines.json", "baseline-history.json", "submissions.json", "jobs.json"];
+
+// Write a file through a temp file that is flushed to disk and renamed over it
+async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  const handle = await fs.open(tempPath, "w");
+  try {
+    await handle.writeFile(content);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
 
 class DataManager {
   constructor(dataDir = "./data") {
+    this.type = "json";
     this.dataDir = dataDir;
     this.users = null;
     this.problems = null;
     this.baselines = null;
+    this.baselineHistory = null;
     this.submissions = null;
+    this.jobs = null;
+    this.schema = null;
+    // Pending first reads and queued writes, per store file
+    this.reads = new Map();
+    this.writes = new Map();
     // Ensure directories exist when DataManager is created
     this.ensureDirectories().catch(console.error);
   }
 
-  async loadUsers() {
-    if (!this.users) {
+  /**
+   * Read a store file once; concurrent first reads share it. A missing file is
+   * created from `defaults()`, an unreadable one is an error rather than replaced.
+   */
+  readStore(fileName, defaults) {
+    if (!this.reads.has(fileName)) {
+      const read = (async () => {
+        const filePath = path.join(this.dataDir, fileName);
+        try {
+          return JSON.parse(await fs.readFile(filePath, "utf8"));
+        } catch (error) {
+          if (error.code !== "ENOENT") {
+            throw new Error(`Cannot read ${filePath}: ${error.message}`);
+          }
+        }
+
+        const data = defaults();
+        await this.writeStore(fileName, data);
+        return data;
+      })();
+      // A failed read is tried again next time
+      this.reads.set(fileName, read);
+      read.catch(() => this.reads.delete(fileName));
+    }
+    return this.reads.get(fileName);
+  }
+
+  /**
+   * Write a store file atomically. Writes of the same file run one at a time in
+   * call order, each with the contents at the time of its call.
+   */
+  async writeStore(fileName, data) {
+    const content = JSON.stringify(data, null, 2);
+    const previous = this.writes.get(fileName) || Promise.resolve();
+    const write = previous
+      .catch(() => {})
+      .then(async () => {
+        await this.ensureDirectoryExists(this.dataDir);
+        await writeFileAtomic(path.join(this.dataDir, fileName), content);
+      });
+    this.writes.set(fileName, write);
+
+    try {
+      await write;
+    } finally {
+      if (this.writes.get(fileName) === write) {
+        this.writes.delete(fileName);
+      }
+    }
+  }
+
+  /**
+   * Put a record into a loaded store (undefined removes it) and write the store.
+   * The change is in memory from the start, so changes made meanwhile build on it;
+   * if the write fails it is undone, unless the record has been changed again since.
+   */
+  async storeRecord(fileName, store, id, record) {
+    const existed = Object.hasOwn(store, id);
+    const previous = store[id];
+    if (record === undefined) {
+      delete store[id];
+    } else {
+      store[id] = record;
+    }
+
+    try {
+      await this.writeStore(fileName, store);
+    } catch (error) {
+      if (store[id] === record && Object.hasOwn(store, id) === (record !== undefined)) {
+        if (existed) {
+          store[id] = previous;
+        } else {
+          delete store[id];
+        }
+      }
+      throw error;
+    }
+  }
+
+  // Schema version of the stored records and the data migrations applied (utils/dataMigrations.js)
+  async loadSchema() {
+    if (!this.schema) {
+      const schema = await this.readStore("schema.json", () => ({ version: 0, migrations: [] }));
+      this.schema ||= schema;
+    }
+    return this.schema;
+  }
+
+  async getSchemaVersion() {
+    return (await this.loadSchema()).version;
+  }
+
+  async recordMigration(migration) {
+    const schema = await this.loadSchema();
+    const updated = { ...schema, version: migration.version, migrations: [...schema.migrations, copy(migration)] };
+    await this.writeStore("schema.json", updated);
+    this.schema = updated;
+  }
+
+  /**
+   * Copy the store files to data/backups/<time>-<label>/; copying them back restores the data
+   * @returns {string} The backup directory
+   */
+  async backup(label) {
+    const backupDir = path.join(this.dataDir, "backups", `${new Date().toISOString().replace(/[:.]/g, "-")}-${label}`);
+    await this.ensureDirectoryExists(backupDir);
+    // Queued writes finish first, so every copy is a whole file
+    await Promise.allSettled([...this.writes.values()]);
+
+    for (const fileName of STORE_FILES) {
       try {
-        const data = await fs.readFile(path.join(this.dataDir, "users.json"), "utf8");
-        this.users = JSON.parse(data).users;
+        await fs.copyFile(path.join(this.dataDir, fileName), path.join(backupDir, fileName));
       } catch (error) {
-        console.log("No users file found, creating default users");
-        this.users = [
-          { id: "host", name: "Contest Host", role: "host", password: "host123", createdAt: new Date().toISOString() },
-          { id: "judge1", name: "Judge Alice", role: "judge", password: "judge123", createdAt: new Date().toISOString() },
-          { id: "judge2", name: "Judge Bob", role: "judge", password: "judge123", createdAt: new Date().toISOString() },
-          { id: "team1", name: "Team Alpha", role: "team", password: "team123", createdAt: new Date().toISOString() },
-          { id: "team2", name: "Team Beta", role: "team", password: "team123", createdAt: new Date().toISOString() },
-          { id: "team3", name: "Team Gamma", role: "team", password: "team123", createdAt: new Date().toISOString() },
-        ];
-        await this.saveUsers();
+        if (error.code !== "ENOENT") throw error;
       }
     }
+    return backupDir;
+  }
+
+  async loadUsers() {
+    if (!this.users) {
+      const { users } = await this.readStore("users.json", () => {
+        console.log("No users file found, creating default users");
+        return {
+          users: [
+            { id: "host", name: "Contest Host", role: "host", password: "host123", createdAt: new Date().toISOString() },
+            { id: "judge1", name: "Judge Alice", role: "judge", password: "judge123", createdAt: new Date().toISOString() },
+            { id: "judge2", name: "Judge Bob", role: "judge", password: "judge123", createdAt: new Date().toISOString() },
+            { id: "team1", name: "Team Alpha", role: "team", password: "team123", createdAt: new Date().toISOString() },
+            { id: "team2", name: "Team Beta", role: "team", password: "team123", createdAt: new Date().toISOString() },
+            { id: "team3", name: "Team Gamma", role: "team", password: "team123", createdAt: new Date().toISOString() },
+          ],
+        };
+      });
+      this.users ||= users;
+    }
     return this.users;
   }
 
   async saveUsers() {
-    await this.ensureDirectoryExists(this.dataDir);
-    await fs.writeFile(path.join(this.dataDir, "users.json"), JSON.stringify({ users: this.users }, null, 2));
+    await this.writeStore("users.json", { users: this.users });
+  }
+
+  async getUser(userId) {
+    const users = await this.loadUsers();
+    return copy(users.find((u) => u.id === userId) || null);
+  }
+
+  async listUsers() {
+    return (await this.loadUsers()).map(copy);
   }
 
   async loadProblems() {
     if (!this.problems) {
-      try {
-        const data = await fs.readFile(path.join(this.dataDir, "problems.json"), "utf8");
-        this.problems = JSON.parse(data);
-      } catch (error) {
+      const problems = await this.readStore("problems.json", () => {
         console.log("No problems file found, creating default problems");
-        this.problems = {};
-        await this.saveProblems();
-      }
+        return {};
+      });
+      this.problems ||= problems;
     }
     return this.problems;
   }
 
   async saveProblems() {
-    await this.ensureDirectoryExists(this.dataDir);
-    await fs.writeFile(path.join(this.dataDir, "problems.json"), JSON.stringify(this.problems, null, 2));
+    await this.writeStore("problems.json", this.problems);
   }
 
   async loadBaselines() {
     if (!this.baselines) {
-      try {
-        const data = await fs.readFile(path.join(this.dataDir, "baselines.json"), "utf8");
-        this.baselines = JSON.parse(data);
-      } catch (error) {
+      const baselines = await this.readStore("baselines.json", () => {
         console.log("No baselines file found, creating empty baselines");
-        this.baselines = {};
-        await this.saveBaselines();
-      }
+        return {};
+      });
+      this.baselines ||= baselines;
     }
     return this.baselines;
   }
 
   async saveBaselines() {
-    await this.ensureDirectoryExists(this.dataDir);
-    await fs.writeFile(path.join(this.dataDir, "baselines.json"), JSON.stringify(this.baselines, null, 2));
+    await this.writeStore("baselines.json", this.baselines);
+  }
+
+  // Every baseline a problem has had, by job ID, so scores stay reproducible after it changes
+  async loadBaselineHistory() {
+    if (!this.baselineHistory) {
+      const history = await this.readStore("baseline-history.json", () => ({}));
+      this.baselineHistory ||= history;
+    }
+    return this.baselineHistory;
+  }
+
+  async saveBaselineHistory() {
+    await this.writeStore("baseline-history.json", this.baselineHistory);
+  }
+
+  async getBaselineMetrics(problemId) {
+    const baselines = await this.loadBaselines();
+    return copy(baselines[problemId] || null);
+  }
+
+  /**
+   * The baseline metrics of a baseline job, whether or not it is still the problem's current baseline
+   */
+  async getBaselineMetricsByJob(jobId) {
+    const history = await this.loadBaselineHistory();
+    return copy(history[jobId] || null);
+  }
+
+  /**
+   * Make metrics the problem's current baseline; metrics with a `jobId` are also kept by job ID
+   */
+  async setBaselineMetrics(problemId, metrics) {
+    // History first: if the current baseline then fails to save, the job's metrics are still its own
+    if (metrics?.jobId) {
+      await this.storeRecord("baseline-history.json", await this.loadBaselineHistory(), metrics.jobId, { ...copy(metrics), problemId });
+    }
+    await this.storeRecord("baselines.json", await this.loadBaselines(), problemId, copy(metrics));
+    return metrics;
   }
 
   async loadSubmissions() {
     if (!this.submissions) {
-      try {
-        const data = await fs.readFile(path.join(this.dataDir, "submissions.json"), "utf8");
-        this.submissions = JSON.parse(data);
-      } catch (error) {
+      const submissions = await this.readStore("submissions.json", () => {
         console.log("No submissions file found, creating empty submissions");
-        this.submissions = {};
-        await this.saveSubmissions();
-      }
+        return {};
+      });
+      this.submissions ||= submissions;
     }
     return this.submissions;
   }
 
   async saveSubmissions() {
-    await this.ensureDirectoryExists(this.dataDir);
-    await fs.writeFile(path.join(this.dataDir, "submissions.json"), JSON.stringify(this.submissions, null, 2));
+    await this.writeStore("submissions.json", this.submissions);
+  }
+
+  async loadJobs() {
+    if (!this.jobs) {
+      const jobs = await this.readStore("jobs.json", () => {
+        console.log("No jobs file found, creating empty jobs");
+        return {};
+      });
+      this.jobs ||= jobs;
+    }
+    return this.jobs;
+  }
+
+  async saveJobs() {
+    await this.writeStore("jobs.json", this.jobs);
   }
 
   // Helper methods for submissions
   async getSubmissionsList() {
     const submissions = await this.loadSubmissions();
-    return Object.values(submissions);
+    return Object.values(submissions).map(copy);
+  }
+
+  async getSubmissions(problemId = null) {
+    const submissions = await this.getSubmissionsList();
+    return problemId ? submissions.filter((s) => s.problemId === problemId) : submissions;
   }
 
   async getSubmission(submissionId) {
     const submissions = await this.loadSubmissions();
-    return submissions[submissionId];
+    return copy(submissions[submissionId]);
   }
 
-  async addSubmission(submission) {
+  // The submission a job evaluates (its current job; retried jobs are kept in failedJobs)
+  async getSubmissionByJobId(jobId) {
     const submissions = await this.loadSubmissions();
-    submissions[submission.id] = submission;
-    await this.saveSubmissions();
-    return submission;
+    return copy(Object.values(submissions).find((s) => s.jobId === jobId) || null);
   }
 
-  async updateSubmission(submissionId, updates) {
-    const submissions = await this.loadSubmissions();
-    if (submissions[submissionId]) {
-      submissions[submissionId] = { ...submissions[submissionId], ...updates };
-      await this.saveSubmissions();
-      return submissions[submissionId];
-    }
-    return null;
+  async addSubmission(submission) {
+    const stored = { ...copy(submission), version: 1 };
+    await this.storeRecord("submissions.json", await this.loadSubmissions(), submission.id, stored);
+    return copy(stored);
   }
 
   // Helper methods for problems
   async getProblemsArray() {
     const problems = await this.loadProblems();
+    const submissions = await this.getSubmissionsList();
     return Object.values(problems).map((problem) => ({
-      ...problem,
-      submissionCount: this.getSubmissionCountForProblem(problem.id),
-      evaluatedCount: this.getEvaluatedCountForProblem(problem.id),
+      ...copy(problem),
+      submissionCount: submissions.filter((s) => s.problemId === problem.id).length,
+      evaluatedCount: submissions.filter((s) => s.problemId === problem.id && s.status === "evaluated").length,
     }));
   }
 
-  async getSubmissionCountForProblem(problemId) {
-    const submissions = await this.getSubmissionsList();
-    return submissions.filter((s) => s.problemId === problemId).length;
+  async getProblem(problemId) {
+    const problems = await this.loadProblems();
+    return copy(problems[problemId] || null);
   }
 
-  async getEvaluatedCountForProblem(problemId) {
-    const submissions = await this.getSubmissionsList();
-    return submissions.filter((s) => s.problemId === problemId && s.status === "evaluated").length;
+  async addProblem(problem) {
+    const stored = { ...copy(problem), version: 1 };
+    await this.storeRecord("problems.json", await this.loadProblems(), problem.id, stored);
+    return copy(stored);
+  }
+
+  /**
+   * Update a problem
+   * @param {Object} options - { expectedVersion } of the copy the updates were made from
+   * @returns {Object|null} The updated problem, or null if it does not exist
+   * @throws {VersionConflictError} If the problem was written since that version
+   */
+  async updateProblem(problemId, updates, { expectedVersion } = {}) {
+    const problems = await this.loadProblems();
+    const current = problems[problemId];
+    if (!current) {
+      return null;
+    }
+
+    checkVersion(current, expectedVersion, `Problem ${problemId}`);
+    const updated = { ...current, ...copy(updates), id: problemId, version: current.version + 1 };
+    await this.storeRecord("problems.json", problems, problemId, updated);
+    return copy(updated);
+  }
+
+  async deleteProblem(problemId, { expectedVersion } = {}) {
+    const problems = await this.loadProblems();
+    if (!problems[problemId]) {
+      return false;
+    }
+
+    checkVersion(problems[problemId], expectedVersion, `Problem ${problemId}`);
+    await this.storeRecord("problems.json", problems, problemId, undefined);
+    return true;
+  }
+
+  /**
+   * The problem definition and baseline metrics its submissions are scored with
+   * @returns {Object} { problem, baselineMetrics } (either may be null)
+   */
+  async getScoringContext(problemId) {
+    return {
+      problem: await this.getProblem(problemId),
+      baselineMetrics: await this.getBaselineMetrics(problemId),
+    };
+  }
+
+  // Helper methods for evaluation jobs
+  async getJob(jobId) {
+    const jobs = await this.loadJobs();
+    return copy(jobs[jobId] || null);
+  }
+
+  /**
+   * List jobs, optionally of one problem and/or with one of the given statuses
+   */
+  async listJobs({ problemId = null, statuses = null } = {}) {
+    const jobs = await this.loadJobs();
+    return Object.values(jobs)
+      .filter((job) => (!problemId || job.problemId === problemId) && (!statuses || statuses.includes(job.status)))
+      .map(copy);
+  }
+
+  async addJob(job) {
+    const jobs = await this.loadJobs();
+    const now = new Date().toISOString();
+    const existing = jobs[job.id];
+    const stored = { events: [], createdAt: now, ...existing, ...copy(job), updatedAt: now, version: (existing?.version || 0) + 1 };
+    await this.storeRecord("jobs.json", jobs, job.id, stored);
+    return copy(stored);
+  }
+
+  async updateJob(jobId, updates, { expectedVersion } = {}) {
+    const jobs = await this.loadJobs();
+    const current = jobs[jobId];
+    if (!current) {
+      return null;
+    }
+
+    checkVersion(current, expectedVersion, `Job ${jobId}`);
+    const updated = { ...current, ...copy(updates), id: jobId, updatedAt: new Date().toISOString(), version: current.version + 1 };
+    await this.storeRecord("jobs.json", jobs, jobId, updated);
+    return copy(updated);
+  }
+
+  async getJobEvents(jobId) {
+    return (await this.getJob(jobId))?.events || [];
+  }
+
+  /**
+   * Add a status event to a job's history (repeats of the last event are skipped)
+   * @returns {boolean} Whether the event was recorded
+   */
+  async addJobEvent(jobId, event, job = {}) {
+    const jobs = await this.loadJobs();
+    const now = new Date().toISOString();
+    const current = jobs[jobId] || { id: jobId, problemId: null, status: null, ...job, events: [], createdAt: now, updatedAt: now, version: 0 };
+    const events = [...(current.events || [])];
+
+    if (!recordJobEvent(events, copy(event))) {
+      return false;
+    }
+    await this.storeRecord("jobs.json", jobs, jobId, { ...current, events, version: current.version + 1 });
+    return true;
+  }
+
+  /**
+   * All records, as kept in the data files
+   * @returns {Object} { users: [...], problems, baselines, baselineHistory, submissions, jobs } (objects by ID)
+   */
+  async exportData() {
+    return {
+      users: copy(await this.loadUsers()),
+      problems: copy(await this.loadProblems()),
+      baselines: copy(await this.loadBaselines()),
+      baselineHistory: copy(await this.loadBaselineHistory()),
+      submissions: copy(await this.loadSubmissions()),
+      jobs: copy(await this.loadJobs()),
+    };
+  }
+
+  /**
+   * Store records in the shape exportData returns; a record replaces the one with
+   * its ID (taking the next version), records not given are kept. If any data file
+   * fails to save, every store is put back as it was.
+   * @returns {Object} Counts of stored records per kind
+   */
+  async importData({ users = [], problems = {}, baselines = {}, baselineHistory = {}, submissions = {}, jobs = {} } = {}) {
+    const before = await this.exportData();
+    const storedUsers = await this.loadUsers();
+    users.forEach((user) => {
+      const index = storedUsers.findIndex((u) => u.id === user.id);
+      storedUsers.splice(index === -1 ? storedUsers.length : index, 1, copy(user));
+    });
+
+    const replace = (store, records) =>
+      Object.entries(records).forEach(([id, record]) => {
+        store[id] = { ...copy(record), id, version: (store[id]?.version || 0) + 1 };
+      });
+    replace(await this.loadProblems(), problems);
+    replace(await this.loadSubmissions(), submissions);
+    replace(await this.loadJobs(), jobs);
+    Object.assign(await this.loadBaselines(), copy(baselines));
+    Object.assign(await this.loadBaselineHistory(), copy(baselineHistory));
+
+    const saveAll = () => [this.saveUsers(), this.saveProblems(), this.saveBaselines(), this.saveBaselineHistory(), this.saveSubmissions(), this.saveJobs()];
+    const saved = await Promise.allSettled(saveAll());
+    const failed = saved.find((result) => result.status === "rejected");
+    if (failed) {
+      // In place, so callers holding a store see it restored; the files that were saved are written back too
+      storedUsers.splice(0, storedUsers.length, ...before.users);
+      for (const kind of ["problems", "baselines", "baselineHistory", "submissions", "jobs"]) {
+        const store = this[kind];
+        Object.keys(store).forEach((id) => delete store[id]);
+        Object.assign(store, before[kind]);
+      }
+      await Promise.allSettled(saveAll());
+      throw failed.reason;
+    }
+
+    return {
+      users: users.length,
+      problems: Object.keys(problems).length,
+      baselines: Object.keys(baselines).length,
+      baselineHistory: Object.keys(baselineHistory).length,
+      submissions: Object.keys(submissions).length,
+      jobs: Object.keys(jobs).length,
+    };
   }
 
   // File output operations
+  getSubmissionOutputDir(submissionId) {
+    return path.join(this.dataDir, "outputs", submissionId);
+  }
+
   async getSubmissionOutputFiles(submissionId, requestedPath = "") {
-    const outputDir = path.join(this.dataDir, "outputs", submissionId);
+    const outputDir = this.getSubmissionOutputDir(submissionId);
     const targetDir = requestedPath ? path.join(outputDir, requestedPath) : outputDir;
 
     try {
@@ -181,7 +583,7 @@ class DataManager {
   }
 
   async getFileContent(submissionId, filePath) {
-    const fullPath = path.join(this.dataDir, "outputs", submissionId, filePath);
+    const fullPath = path.join(this.getSubmissionOutputDir(submissionId), filePath);
 
     try {
       const stats = await fs.stat(fullPath);
@@ -215,20 +617,20 @@ class DataManager {
       const submissionId = `sub_${Date.now()}`;
       const submission = {
         id: submissionId,
+        priority: 0,
         ...submissionData,
         submittedAt: new Date().toISOString(),
         autoScore: null,
         judgeScores: [],
         metrics: null,
         status: submissionData.status || "submitted",
+        version: 1,
       };
 
-      submissions[submissionId] = submission;
-      await this.saveSubmissions();
+      await this.storeRecord("submissions.json", submissions, submissionId, copy(submission));
 
       // Create output directory for this submission
-      const outputDir = path.join(this.dataDir, "outputs", submissionId);
-      await this.ensureDirectoryExists(outputDir);
+      await this.ensureDirectoryExists(this.getSubmissionOutputDir(submissionId));
 
       return submission;
     } catch (error) {
@@ -237,28 +639,60 @@ class DataManager {
     }
   }
 
-  async updateSubmission(submissionId, updates) {
-    try {
-      const submissions = await this.loadSubmissions();
+  /**
+   * Update a submission
+   * @param {Object} options - { expectedVersion } of the copy the updates were made from
+   * @returns {Object} The updated submission
+   * @throws {VersionConflictError} If the submission was written since that version
+   */
+  async updateSubmission(submissionId, updates, { expectedVersion } = {}) {
+    const submissions = await this.loadSubmissions();
+    const current = submissions[submissionId];
 
-      if (!submissions[submissionId]) {
-        throw new Error("Submission not found");
-      }
+    if (!current) {
+      console.error(`Error updating submission: ${submissionId} not found`);
+      throw new Error("Submission not found");
+    }
 
-      submissions[submissionId] = { ...submissions[submissionId], ...updates };
-      await this.saveSubmissions();
+    checkVersion(current, expectedVersion, `Submission ${submissionId}`);
+    const updated = { ...current, ...copy(updates), id: submissionId, version: current.version + 1 };
+    await this.storeRecord("submissions.json", submissions, submissionId, updated);
 
-      return submissions[submissionId];
-    } catch (error) {
-      console.error("Error updating submission:", error);
-      throw error;
+    return copy(updated);
+  }
+
+  /**
+   * Update a submission from its latest copy: `change(submission)` gets a copy
+   * and returns the updates, or null to leave it as it is. It must not await;
+   * no other write can then come between reading the submission and storing the change.
+   * @param {Object} options - { expectedVersion } of the caller's own copy, if it has one
+   * @returns {Object|null} The updated submission, or null if it does not exist or was left unchanged
+   * @throws {VersionConflictError} If the submission was written since `expectedVersion`
+   */
+  async modifySubmission(submissionId, change, { expectedVersion } = {}) {
+    const submissions = await this.loadSubmissions();
+    const current = submissions[submissionId];
+    if (!current) {
+      return null;
+    }
+
+    checkVersion(current, expectedVersion, `Submission ${submissionId}`);
+    const updates = change(copy(current));
+    if (!updates) {
+      return null;
     }
+
+    const updated = { ...current, ...copy(updates), id: submissionId, version: current.version + 1 };
+    await this.storeRecord("submissions.json", submissions, submissionId, updated);
+    return copy(updated);
   }
 
   async getSubmissionsByTeam(teamId, problemId = null) {
     try {
       const submissions = await this.loadSubmissions();
-      let filtered = Object.values(submissions).filter((sub) => sub.teamId === teamId);
+      let filtered = Object.values(submissions)
+        .filter((sub) => sub.teamId === teamId)
+        .map(copy);
 
       if (problemId) {
         filtered = filtered.filter((sub) => sub.problemId === problemId);
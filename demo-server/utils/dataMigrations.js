@@ -0,0 +1,145 @@
+/**
+ * Data Migrations
+ *
+ * Stored records change shape over time (new fields, renamed statuses). Rather
+ * than every route falling back on missing fields, each change is a migration
+ * here that brings the stored records up to date once, at startup.
+ *
+ * The data backend keeps its schema version and the log of applied migrations
+ * (schema.json for JSON files, the data_migrations table for SQLite). Before
+ * applying any, the server backs the data up to data/backups/<time>-schema-v<version>/;
+ * copying those files back undoes the migrations (see README, Data Migrations).
+ *
+ * A migration gets all records in the shape of `exportData()` ({ users: [...],
+ * problems, baselines, baselineHistory, submissions, jobs } by ID) and changes or adds records in
+ * place; it does not delete them. Migrations must give the same result when run
+ * again: records imported from older data are run through them too.
+ *
+ * Add new migrations at the end with the next version; never change a released one.
+ */
+
+const DATA_MIGRATIONS = [
+  {
+    version: 1,
+    name: "number record versions",
+    // Problems, submissions and jobs written before versions were kept start at version 1
+    up(data) {
+      [data.problems, data.submissions, data.jobs].forEach((records) =>
+        Object.values(records).forEach((record) => {
+          if (!record.version) record.version = 1;
+        })
+      );
+    },
+  },
+  {
+    version: 2,
+    name: "fill in submission and job defaults",
+    // Submissions from data.json and early versions lack judge scores or a priority, jobs their events
+    up(data) {
+      Object.values(data.submissions).forEach((submission) => {
+        if (!Array.isArray(submission.judgeScores)) submission.judgeScores = [];
+        if (typeof submission.priority !== "number") submission.priority = 0;
+      });
+      Object.values(data.jobs).forEach((job) => {
+        if (!Array.isArray(job.events)) job.events = [];
+      });
+    },
+  },
+  {
+    version: 3,
+    name: "keep baselines by job ID",
+    // Scores record the baseline job they used; keep the current baselines by that ID too
+    up(data) {
+      data.baselineHistory ||= {};
+      Object.entries(data.baselines).forEach(([problemId, metrics]) => {
+        if (metrics?.jobId && !data.baselineHistory[metrics.jobId]) {
+          data.baselineHistory[metrics.jobId] = { ...metrics, problemId };
+        }
+      });
+    },
+  },
+];
+
+const SCHEMA_VERSION = DATA_MIGRATIONS[DATA_MIGRATIONS.length - 1].version;
+
+function pendingMigrations(fromVersion) {
+  return DATA_MIGRATIONS.filter((migration) => migration.version > fromVersion);
+}
+
+/**
+ * Bring records read from data of an older schema up to date, in memory
+ * @param {Object} data - Records in the shape of `exportData()` (changed in place)
+ * @param {number} fromVersion - Schema version the records were stored with
+ * @returns {Object} The same data
+ */
+function migrateRecords(data, fromVersion = 0) {
+  pendingMigrations(fromVersion).forEach((migration) => migration.up(data));
+  return data;
+}
+
+// The records a migration changed or added, in the shape importData takes
+function changedRecords(before, after) {
+  const changed = (previous, record) => JSON.stringify(previous) !== JSON.stringify(record);
+  const byId = (records) => Object.fromEntries(records.map((record) => [record.id, record]));
+  const changedById = (previous, records) => Object.fromEntries(Object.entries(records).filter(([id, record]) => changed(previous[id], record)));
+
+  const users = Object.values(changedById(byId(before.users), byId(after.users)));
+  return {
+    users,
+    problems: changedById(before.problems, after.problems),
+    baselines: changedById(before.baselines, after.baselines),
+    baselineHistory: changedById(before.baselineHistory || {}, after.baselineHistory),
+    submissions: changedById(before.submissions, after.submissions),
+    jobs: changedById(before.jobs, after.jobs),
+  };
+}
+
+/**
+ * Apply the migrations the data backend has not had yet, after backing it up
+ * @param {DataManager} dataManager - The data backend
+ * @returns {number[]} Versions applied now
+ * @throws {Error} If the data is from a newer server, or a migration fails (the backup is kept)
+ */
+async function runDataMigrations(dataManager) {
+  const currentVersion = await dataManager.getSchemaVersion();
+  if (currentVersion > SCHEMA_VERSION) {
+    throw new Error(`Data schema version ${currentVersion} is newer than this server supports (${SCHEMA_VERSION})`);
+  }
+
+  const pending = pendingMigrations(currentVersion);
+  if (pending.length === 0) {
+    console.log(`✓ Data schema is at version ${currentVersion}`);
+    return [];
+  }
+
+  const backup = await dataManager.backup(`schema-v${currentVersion}`);
+  console.log(`Migrating data from schema version ${currentVersion} to ${SCHEMA_VERSION}; backup in ${backup}`);
+
+  for (const migration of pending) {
+    try {
+      const before = await dataManager.exportData();
+      const after = structuredClone(before);
+      migration.up(after);
+
+      const changes = changedRecords(before, after);
+      const counts = await dataManager.importData(changes);
+      await dataManager.recordMigration({ version: migration.version, name: migration.name, appliedAt: new Date().toISOString(), backup });
+
+      const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+      console.log(`✓ Applied data migration ${migration.version} (${migration.name}): ${total} records changed`);
+    } catch (error) {
+      console.error(`❌ Data migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+      console.error(`   Restore the data from ${backup} before starting again`);
+      throw error;
+    }
+  }
+
+  return pending.map((migration) => migration.version);
+}
+
+module.exports = {
+  DATA_MIGRATIONS,
+  SCHEMA_VERSION,
+  migrateRecords,
+  runDataMigrations,
+};
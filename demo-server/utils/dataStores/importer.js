@@ -0,0 +1,66 @@
+/**
+ * JSON Data Importer
+ *
+ * Copies the records of the JSON data files (data/*.json) into another data
+ * backend, then merges an old data.json into it as the server does at startup
+ * (utils/legacyData.js). Records already in the target with the same ID are
+ * replaced. The server runs this when it starts on an empty SQLite database;
+ * it can also be run by hand:
+ *
+ *   node utils/dataStores/importer.js [--data-dir data] [--data-file data.json] [--sqlite-path data/contest.db]
+ */
+
+const path = require("path");
+const DataManager = require("../dataManager");
+const { migrateDataJson } = require("../legacyData");
+const { migrateRecords } = require("../dataMigrations");
+
+/**
+ * Import the JSON data files and data.json into a data backend
+ * @param {DataManager} target - The backend to import into
+ * @param {Object} options - { dataDir, dataFile } (data.json is skipped if it does not exist)
+ * @returns {Object} { imported, migrated } counts of records (migrated is null without data.json)
+ */
+async function importJsonData(target, { dataDir, dataFile } = {}) {
+  const source = new DataManager(dataDir);
+  console.log(`Importing ${path.resolve(dataDir)} into the ${target.type} data backend...`);
+
+  // Records of an older schema are brought up to date on the way
+  const records = migrateRecords(await source.exportData(), await source.getSchemaVersion());
+  const imported = await target.importData(records);
+  console.log(
+    `✓ Imported ${imported.problems} problems, ${imported.submissions} submissions, ${imported.jobs} jobs, ${imported.baselines} baselines and ${imported.users} users`
+  );
+
+  const migrated = dataFile ? await migrateDataJson(target, dataFile) : null;
+  return { imported, migrated };
+}
+
+// Command line: import into the SQLite database
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? fallback : args[index + 1];
+  };
+
+  require("dotenv").config();
+  const root = path.join(__dirname, "..", "..");
+  const dataDir = path.resolve(option("data-dir", path.join(root, "data")));
+  const { SqliteDataManager } = require("./sqlite");
+  const target = new SqliteDataManager(dataDir, { databasePath: option("sqlite-path") });
+
+  importJsonData(target, { dataDir, dataFile: path.resolve(option("data-file", path.join(root, "data.json"))) })
+    .then(() => {
+      target.db.close();
+      console.log(`✓ Data is in ${target.databasePath}; start the server with DATA_BACKEND=sqlite to use it`);
+    })
+    .catch((error) => {
+      console.error("❌ Import failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  importJsonData,
+};
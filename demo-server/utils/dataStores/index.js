@@ -0,0 +1,45 @@
+/**
+ * Data Backend Registry
+ *
+ * The server keeps contest data in the backend selected by `DATA_BACKEND`:
+ * - `json` (default) - one JSON file per kind of record in the data directory (utils/dataManager.js)
+ * - `sqlite` - one SQLite database, `SQLITE_PATH` (default <data dir>/contest.db) (./sqlite.js)
+ *
+ * Both have the DataManager methods, plus:
+ * - `type`
+ * - `exportData()` / `importData(data)` - all records as { users, problems, baselines, baselineHistory, submissions, jobs }
+ * - `getSchemaVersion()` / `recordMigration(migration)` - the data migrations applied (utils/dataMigrations.js)
+ * - `backup(label)` - copy of the data in data/backups/<time>-<label>/, returns that directory
+ *
+ * Existing JSON data is copied into a new SQLite database by ./importer.js.
+ */
+
+const DataManager = require("../dataManager");
+
+const BACKENDS = {
+  json: () => DataManager,
+  // Loaded only when selected, so the JSON backend runs without the native module
+  sqlite: () => require("./sqlite").SqliteDataManager,
+};
+
+/**
+ * Create the data backend selected by config or `DATA_BACKEND`
+ * @param {Object} config - { type, dataDir, databasePath } (`type` overrides `DATA_BACKEND`)
+ * @returns {DataManager} The data backend
+ * @throws {Error} If the backend type is unknown
+ */
+function createDataManager(config = {}) {
+  const type = config.type || process.env.DATA_BACKEND || "json";
+  const loadBackend = BACKENDS[type];
+
+  if (!loadBackend) {
+    throw new Error(`Unknown data backend "${type}". Available: ${Object.keys(BACKENDS).join(", ")}`);
+  }
+
+  const Backend = loadBackend();
+  return new Backend(config.dataDir, config);
+}
+
+module.exports = {
+  createDataManager,
+};
@@ -0,0 +1,550 @@
+/**
+ * SQLite Data Backend
+ *
+ * Keeps the contest data in one SQLite database (`SQLITE_PATH`, default
+ * <data dir>/contest.db) behind the same methods as the JSON DataManager, so
+ * lookups by ID, team, problem, job or status use indexes instead of reparsing
+ * whole files. Fields that are queried have their own columns; the rest of each
+ * record is kept as JSON in `data`. Judge scores and job events are rows of their
+ * own tables and are put back into their submission or job when it is read.
+ * Submission output files stay under <data dir>/outputs/.
+ *
+ * The tables are created and upgraded by MIGRATIONS, each applied once, in a
+ * transaction, and recorded in `schema_migrations`. Changes to the records
+ * themselves are the data migrations of utils/dataMigrations.js, logged in
+ * `data_migrations`.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const DataManager = require("../dataManager");
+const { recordJobEvent } = require("../jobCallbacks");
+const { checkVersion } = require("../dataErrors");
+
+// Schema versions, in order; never change one that has been released, add another
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create contest tables",
+    sql: `
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        role TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE problems (
+        id TEXT PRIMARY KEY,
+        version INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE baselines (
+        problem_id TEXT PRIMARY KEY,
+        job_id TEXT,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE submissions (
+        id TEXT PRIMARY KEY,
+        problem_id TEXT,
+        team_id TEXT,
+        job_id TEXT,
+        status TEXT,
+        submitted_at TEXT,
+        version INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX submissions_problem_status ON submissions (problem_id, status);
+      CREATE INDEX submissions_team_problem ON submissions (team_id, problem_id, submitted_at);
+      CREATE INDEX submissions_job ON submissions (job_id);
+      CREATE INDEX submissions_status ON submissions (status);
+
+      CREATE TABLE judge_scores (
+        submission_id TEXT NOT NULL REFERENCES submissions (id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        judge_id TEXT,
+        total_score REAL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (submission_id, position)
+      );
+      CREATE INDEX judge_scores_judge ON judge_scores (judge_id);
+
+      CREATE TABLE jobs (
+        id TEXT PRIMARY KEY,
+        problem_id TEXT,
+        type TEXT,
+        status TEXT,
+        submission_id TEXT,
+        version INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX jobs_status ON jobs (status);
+      CREATE INDEX jobs_problem_type ON jobs (problem_id, type);
+
+      CREATE TABLE job_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT NOT NULL REFERENCES jobs (id) ON DELETE CASCADE,
+        received_at TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX job_events_job ON job_events (job_id, id);
+    `,
+  },
+  {
+    version: 2,
+    name: "create data migration log",
+    sql: `
+      CREATE TABLE data_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL,
+        backup TEXT
+      );
+    `,
+  },
+  {
+    version: 3,
+    name: "keep baselines by job ID",
+    sql: `
+      CREATE TABLE baseline_history (
+        job_id TEXT PRIMARY KEY,
+        problem_id TEXT,
+        data TEXT NOT NULL,
+        recorded_at TEXT NOT NULL
+      );
+      CREATE INDEX baseline_history_problem ON baseline_history (problem_id);
+    `,
+  },
+];
+
+class SqliteDataManager extends DataManager {
+  constructor(dataDir = "./data", config = {}) {
+    super(dataDir);
+    this.type = "sqlite";
+    this.databasePath = config.databasePath || process.env.SQLITE_PATH || path.join(dataDir, "contest.db");
+
+    fs.mkdirSync(path.dirname(this.databasePath), { recursive: true });
+    this.db = new Database(this.databasePath);
+    this.db.pragma("journal_mode = WAL");
+    this.db.pragma("foreign_keys = ON");
+    this.migrate();
+  }
+
+  /**
+   * Apply the migrations the database has not had yet
+   * @returns {number[]} Versions applied now
+   */
+  migrate() {
+    this.db.exec("CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at TEXT NOT NULL)");
+    const applied = new Set(this.db.prepare("SELECT version FROM schema_migrations").pluck().all());
+
+    return MIGRATIONS.filter((migration) => !applied.has(migration.version)).map((migration) => {
+      this.db.transaction(() => {
+        this.db.exec(migration.sql);
+        this.db.prepare("INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)").run(migration.version, migration.name, new Date().toISOString());
+      })();
+      console.log(`✓ Applied database migration ${migration.version} (${migration.name}) to ${this.databasePath}`);
+      return migration.version;
+    });
+  }
+
+  // Whether the database has no users or problems yet (a new database)
+  async isEmpty() {
+    return this.db.prepare("SELECT (SELECT COUNT(*) FROM users) + (SELECT COUNT(*) FROM problems)").pluck().get() === 0;
+  }
+
+  // Schema version of the stored records (utils/dataMigrations.js), apart from the table migrations above
+  async getSchemaVersion() {
+    return this.db.prepare("SELECT COALESCE(MAX(version), 0) FROM data_migrations").pluck().get();
+  }
+
+  async recordMigration({ version, name, appliedAt, backup }) {
+    this.db.prepare("INSERT INTO data_migrations (version, name, applied_at, backup) VALUES (?, ?, ?, ?)").run(version, name, appliedAt, backup ?? null);
+  }
+
+  /**
+   * Copy the database to data/backups/<time>-<label>/; copying it back to SQLITE_PATH restores the data
+   * @returns {string} The backup directory
+   */
+  async backup(label) {
+    const backupDir = path.join(this.dataDir, "backups", `${new Date().toISOString().replace(/[:.]/g, "-")}-${label}`);
+    await this.ensureDirectoryExists(backupDir);
+    await this.db.backup(path.join(backupDir, path.basename(this.databasePath)));
+    return backupDir;
+  }
+
+  // Rows to records
+
+  readSubmissions(rows) {
+    if (rows.length === 0) return [];
+
+    const scores = {};
+    this.db
+      .prepare("SELECT submission_id, data FROM judge_scores WHERE submission_id IN (SELECT value FROM json_each(?)) ORDER BY submission_id, position")
+      .all(JSON.stringify(rows.map((row) => row.id)))
+      .forEach((score) => (scores[score.submission_id] ||= []).push(JSON.parse(score.data)));
+
+    return rows.map((row) => ({ ...JSON.parse(row.data), judgeScores: scores[row.id] || [], version: row.version }));
+  }
+
+  readJobs(rows) {
+    if (rows.length === 0) return [];
+
+    const events = {};
+    this.db
+      .prepare("SELECT job_id, data FROM job_events WHERE job_id IN (SELECT value FROM json_each(?)) ORDER BY job_id, id")
+      .all(JSON.stringify(rows.map((row) => row.id)))
+      .forEach((event) => (events[event.job_id] ||= []).push(JSON.parse(event.data)));
+
+    return rows.map((row) => ({ ...JSON.parse(row.data), events: events[row.id] || [], version: row.version }));
+  }
+
+  // Records to rows (callers run these in a transaction)
+
+  writeUser(user) {
+    this.db.prepare("INSERT OR REPLACE INTO users (id, role, data) VALUES (?, ?, ?)").run(user.id, user.role, JSON.stringify(user));
+  }
+
+  writeProblem(problem, version) {
+    const { version: ignored, ...data } = problem;
+    this.db.prepare("INSERT OR REPLACE INTO problems (id, version, data) VALUES (?, ?, ?)").run(problem.id, version, JSON.stringify(data));
+  }
+
+  writeSubmission(submission, version) {
+    const { judgeScores = [], version: ignored, ...data } = submission;
+    this.db
+      .prepare(
+        `INSERT INTO submissions (id, problem_id, team_id, job_id, status, submitted_at, version, data) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (id) DO UPDATE SET problem_id = excluded.problem_id, team_id = excluded.team_id, job_id = excluded.job_id,
+           status = excluded.status, submitted_at = excluded.submitted_at, version = excluded.version, data = excluded.data`
+      )
+      .run(submission.id, data.problemId ?? null, data.teamId ?? null, data.jobId ?? null, data.status ?? null, data.submittedAt ?? null, version, JSON.stringify(data));
+
+    this.db.prepare("DELETE FROM judge_scores WHERE submission_id = ?").run(submission.id);
+    const insertScore = this.db.prepare("INSERT INTO judge_scores (submission_id, position, judge_id, total_score, data) VALUES (?, ?, ?, ?, ?)");
+    (judgeScores || []).forEach((score, position) => insertScore.run(submission.id, position, score.judgeId ?? null, score.totalScore ?? null, JSON.stringify(score)));
+  }
+
+  writeJob(job, version) {
+    const { events, version: ignored, ...data } = job;
+    this.db
+      .prepare(
+        `INSERT INTO jobs (id, problem_id, type, status, submission_id, version, data) VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (id) DO UPDATE SET problem_id = excluded.problem_id, type = excluded.type, status = excluded.status,
+           submission_id = excluded.submission_id, version = excluded.version, data = excluded.data`
+      )
+      .run(job.id, data.problemId ?? null, data.type ?? null, data.status ?? null, data.submissionId ?? null, version, JSON.stringify(data));
+
+    // Only a job given with its events has them replaced
+    if (events) {
+      this.db.prepare("DELETE FROM job_events WHERE job_id = ?").run(job.id);
+      const insertEvent = this.db.prepare("INSERT INTO job_events (job_id, received_at, data) VALUES (?, ?, ?)");
+      events.forEach((event) => insertEvent.run(job.id, event.receivedAt ?? null, JSON.stringify(event)));
+    }
+  }
+
+  // Users
+
+  async loadUsers() {
+    return this.listUsers();
+  }
+
+  async getUser(userId) {
+    const row = this.db.prepare("SELECT data FROM users WHERE id = ?").get(userId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async listUsers() {
+    return this.db
+      .prepare("SELECT data FROM users ORDER BY rowid")
+      .all()
+      .map((row) => JSON.parse(row.data));
+  }
+
+  // Problems and baselines
+
+  async getProblem(problemId) {
+    const row = this.db.prepare("SELECT data, version FROM problems WHERE id = ?").get(problemId);
+    return row ? { ...JSON.parse(row.data), version: row.version } : null;
+  }
+
+  async getProblemsArray() {
+    const counts = {};
+    this.db
+      .prepare("SELECT problem_id, COUNT(*) AS submissionCount, SUM(status = 'evaluated') AS evaluatedCount FROM submissions GROUP BY problem_id")
+      .all()
+      .forEach((row) => (counts[row.problem_id] = row));
+
+    return this.db
+      .prepare("SELECT id, data, version FROM problems ORDER BY rowid")
+      .all()
+      .map((row) => ({
+        ...JSON.parse(row.data),
+        version: row.version,
+        submissionCount: counts[row.id]?.submissionCount || 0,
+        evaluatedCount: counts[row.id]?.evaluatedCount || 0,
+      }));
+  }
+
+  async addProblem(problem) {
+    this.db.transaction(() => this.writeProblem(problem, 1))();
+    return this.getProblem(problem.id);
+  }
+
+  async updateProblem(problemId, updates, { expectedVersion } = {}) {
+    const current = await this.getProblem(problemId);
+    if (!current) {
+      return null;
+    }
+
+    checkVersion(current, expectedVersion, `Problem ${problemId}`);
+    this.db.transaction(() => this.writeProblem({ ...current, ...updates, id: problemId }, current.version + 1))();
+    return this.getProblem(problemId);
+  }
+
+  async deleteProblem(problemId, { expectedVersion } = {}) {
+    const current = await this.getProblem(problemId);
+    if (!current) {
+      return false;
+    }
+
+    checkVersion(current, expectedVersion, `Problem ${problemId}`);
+    this.db.prepare("DELETE FROM problems WHERE id = ?").run(problemId);
+    return true;
+  }
+
+  async getBaselineMetrics(problemId) {
+    const row = this.db.prepare("SELECT data FROM baselines WHERE problem_id = ?").get(problemId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async getBaselineMetricsByJob(jobId) {
+    const row = this.db.prepare("SELECT data FROM baseline_history WHERE job_id = ?").get(jobId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async setBaselineMetrics(problemId, metrics) {
+    this.db.transaction(() => {
+      this.db
+        .prepare("INSERT OR REPLACE INTO baselines (problem_id, job_id, data, updated_at) VALUES (?, ?, ?, ?)")
+        .run(problemId, metrics?.jobId ?? null, JSON.stringify(metrics), new Date().toISOString());
+      if (metrics?.jobId) {
+        this.writeBaselineHistory(metrics.jobId, { ...metrics, problemId });
+      }
+    })();
+    return metrics;
+  }
+
+  writeBaselineHistory(jobId, metrics) {
+    this.db
+      .prepare("INSERT OR REPLACE INTO baseline_history (job_id, problem_id, data, recorded_at) VALUES (?, ?, ?, ?)")
+      .run(jobId, metrics?.problemId ?? null, JSON.stringify(metrics), new Date().toISOString());
+  }
+
+  // Submissions
+
+  async getSubmissionsList() {
+    return this.readSubmissions(this.db.prepare("SELECT id, data, version FROM submissions ORDER BY rowid").all());
+  }
+
+  async getSubmissions(problemId = null) {
+    if (!problemId) {
+      return this.getSubmissionsList();
+    }
+    return this.readSubmissions(this.db.prepare("SELECT id, data, version FROM submissions WHERE problem_id = ? ORDER BY rowid").all(problemId));
+  }
+
+  async getSubmission(submissionId) {
+    return this.readSubmissions(this.db.prepare("SELECT id, data, version FROM submissions WHERE id = ?").all(submissionId))[0];
+  }
+
+  async getSubmissionByJobId(jobId) {
+    return this.readSubmissions(this.db.prepare("SELECT id, data, version FROM submissions WHERE job_id = ? LIMIT 1").all(jobId))[0] || null;
+  }
+
+  async getSubmissionsByTeam(teamId, problemId = null) {
+    const rows = problemId
+      ? this.db.prepare("SELECT id, data, version FROM submissions WHERE team_id = ? AND problem_id = ? ORDER BY submitted_at DESC").all(teamId, problemId)
+      : this.db.prepare("SELECT id, data, version FROM submissions WHERE team_id = ? ORDER BY submitted_at DESC").all(teamId);
+    return this.readSubmissions(rows);
+  }
+
+  async addSubmission(submission) {
+    this.db.transaction(() => this.writeSubmission(submission, 1))();
+    return this.getSubmission(submission.id);
+  }
+
+  async createSubmission(submissionData) {
+    const submission = await this.addSubmission({
+      id: `sub_${Date.now()}`,
+      priority: 0,
+      ...submissionData,
+      submittedAt: new Date().toISOString(),
+      autoScore: null,
+      judgeScores: [],
+      metrics: null,
+      status: submissionData.status || "submitted",
+    });
+
+    // Create output directory for this submission
+    await this.ensureDirectoryExists(this.getSubmissionOutputDir(submission.id));
+    return submission;
+  }
+
+  async updateSubmission(submissionId, updates, { expectedVersion } = {}) {
+    const updated = await this.modifySubmission(submissionId, () => updates, { expectedVersion });
+    if (!updated) {
+      console.error(`Error updating submission: ${submissionId} not found`);
+      throw new Error("Submission not found");
+    }
+    return updated;
+  }
+
+  async modifySubmission(submissionId, change, { expectedVersion } = {}) {
+    // The transaction is synchronous, so nothing else writes between the read and the update
+    return this.db.transaction(() => {
+      const [current] = this.readSubmissions(this.db.prepare("SELECT id, data, version FROM submissions WHERE id = ?").all(submissionId));
+      if (!current) {
+        return null;
+      }
+
+      checkVersion(current, expectedVersion, `Submission ${submissionId}`);
+      const updates = change(structuredClone(current));
+      if (!updates) {
+        return null;
+      }
+
+      this.writeSubmission({ ...current, ...updates, id: submissionId }, current.version + 1);
+      return this.readSubmissions(this.db.prepare("SELECT id, data, version FROM submissions WHERE id = ?").all(submissionId))[0];
+    })();
+  }
+
+  // Evaluation jobs
+
+  async getJob(jobId) {
+    return this.readJobs(this.db.prepare("SELECT id, data, version FROM jobs WHERE id = ?").all(jobId))[0] || null;
+  }
+
+  async listJobs({ problemId = null, statuses = null } = {}) {
+    const conditions = [];
+    const params = [];
+    if (problemId) {
+      conditions.push("problem_id = ?");
+      params.push(problemId);
+    }
+    if (statuses) {
+      conditions.push("status IN (SELECT value FROM json_each(?))");
+      params.push(JSON.stringify(statuses));
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    return this.readJobs(this.db.prepare(`SELECT id, data, version FROM jobs ${where} ORDER BY rowid`).all(...params));
+  }
+
+  async addJob(job) {
+    this.db.transaction(() => {
+      const existing = this.readJobs(this.db.prepare("SELECT id, data, version FROM jobs WHERE id = ?").all(job.id))[0];
+      const now = new Date().toISOString();
+      this.writeJob({ createdAt: now, ...existing, ...job, events: job.events || existing?.events || [], updatedAt: now }, (existing?.version || 0) + 1);
+    })();
+    return this.getJob(job.id);
+  }
+
+  async updateJob(jobId, updates, { expectedVersion } = {}) {
+    const updated = this.db.transaction(() => {
+      const row = this.db.prepare("SELECT data, version FROM jobs WHERE id = ?").get(jobId);
+      if (!row) {
+        return false;
+      }
+
+      checkVersion(row, expectedVersion, `Job ${jobId}`);
+      const { events, ...fields } = updates;
+      this.writeJob({ ...JSON.parse(row.data), ...fields, id: jobId, ...(events ? { events } : {}), updatedAt: new Date().toISOString() }, row.version + 1);
+      return true;
+    })();
+    return updated ? this.getJob(jobId) : null;
+  }
+
+  async addJobEvent(jobId, event, job = {}) {
+    return this.db.transaction(() => {
+      if (!this.db.prepare("SELECT 1 FROM jobs WHERE id = ?").get(jobId)) {
+        const now = new Date().toISOString();
+        this.writeJob({ id: jobId, problemId: null, status: null, ...job, createdAt: now, updatedAt: now }, 0);
+      }
+
+      const events = this.db
+        .prepare("SELECT data FROM job_events WHERE job_id = ? ORDER BY id")
+        .all(jobId)
+        .map((eventRow) => JSON.parse(eventRow.data));
+      if (!recordJobEvent(events, event)) {
+        return false;
+      }
+
+      const recorded = events[events.length - 1];
+      this.db.prepare("INSERT INTO job_events (job_id, received_at, data) VALUES (?, ?, ?)").run(jobId, recorded.receivedAt, JSON.stringify(recorded));
+      // recordJobEvent keeps only the most recent events
+      this.db.prepare("DELETE FROM job_events WHERE job_id = ? AND id NOT IN (SELECT id FROM job_events WHERE job_id = ? ORDER BY id DESC LIMIT ?)").run(jobId, jobId, events.length);
+      this.db.prepare("UPDATE jobs SET version = version + 1 WHERE id = ?").run(jobId);
+      return true;
+    })();
+  }
+
+  // Export and import
+
+  async exportData() {
+    const byId = (records) => Object.fromEntries(records.map((record) => [record.id, record]));
+    const baselines = {};
+    this.db
+      .prepare("SELECT problem_id, data FROM baselines")
+      .all()
+      .forEach((row) => (baselines[row.problem_id] = JSON.parse(row.data)));
+    const baselineHistory = {};
+    this.db
+      .prepare("SELECT job_id, data FROM baseline_history ORDER BY rowid")
+      .all()
+      .forEach((row) => (baselineHistory[row.job_id] = JSON.parse(row.data)));
+
+    return {
+      users: await this.listUsers(),
+      problems: byId(this.db.prepare("SELECT data, version FROM problems ORDER BY rowid").all().map((row) => ({ ...JSON.parse(row.data), version: row.version }))),
+      baselines,
+      baselineHistory,
+      submissions: byId(await this.getSubmissionsList()),
+      jobs: byId(await this.listJobs()),
+    };
+  }
+
+  async importData({ users = [], problems = {}, baselines = {}, baselineHistory = {}, submissions = {}, jobs = {} } = {}) {
+    const nextVersion = (table, id) => (this.db.prepare(`SELECT version FROM ${table} WHERE id = ?`).pluck().get(id) || 0) + 1;
+
+    this.db.transaction(() => {
+      users.forEach((user) => this.writeUser(user));
+      Object.entries(problems).forEach(([id, problem]) => this.writeProblem({ ...problem, id }, nextVersion("problems", id)));
+      Object.entries(submissions).forEach(([id, submission]) => this.writeSubmission({ ...submission, id }, nextVersion("submissions", id)));
+      Object.entries(jobs).forEach(([id, job]) => this.writeJob({ ...job, id, events: job.events || [] }, nextVersion("jobs", id)));
+      Object.entries(baselines).forEach(([problemId, metrics]) =>
+        this.db
+          .prepare("INSERT OR REPLACE INTO baselines (problem_id, job_id, data, updated_at) VALUES (?, ?, ?, ?)")
+          .run(problemId, metrics?.jobId ?? null, JSON.stringify(metrics), new Date().toISOString())
+      );
+      Object.entries(baselineHistory).forEach(([jobId, metrics]) => this.writeBaselineHistory(jobId, metrics));
+    })();
+
+    return {
+      users: users.length,
+      problems: Object.keys(problems).length,
+      baselines: Object.keys(baselines).length,
+      baselineHistory: Object.keys(baselineHistory).length,
+      submissions: Object.keys(submissions).length,
+      jobs: Object.keys(jobs).length,
+    };
+  }
+}
+
+module.exports = {
+  MIGRATIONS,
+  SqliteDataManager,
+};
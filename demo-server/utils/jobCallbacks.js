@@ -0,0 +1,142 @@
+/**
+ * Job Callbacks Module
+ *
+ * Evaluation jobs report their progress by POSTing job_metadata.json to
+ * `$API_CALLBACK_URL/jobs/$JOB_ID/status` (see scripts/entrypoint.sh). Each job
+ * gets its own token, an HMAC of its job ID under `JOB_CALLBACK_SECRET`, so a job
+ * can only report on itself and the server needs no token store.
+ *
+ * Callbacks are enabled by setting `JOB_CALLBACK_URL` to the API base URL the
+ * jobs can reach (e.g. http://demo-server:3000/api).
+ */
+
+const crypto = require("crypto");
+
+const MAX_EVENTS_PER_JOB = 200;
+
+// job_metadata.json status -> submission status
+const CALLBACK_STATUS_MAP = {
+  initializing: "running",
+  running: "running",
+  // The evaluator is done; results still have to be fetched and scored
+  completed: "processing",
+  failed: "failed",
+};
+
+let generatedSecret = null;
+
+function getCallbackSecret() {
+  if (process.env.JOB_CALLBACK_SECRET) {
+    return process.env.JOB_CALLBACK_SECRET;
+  }
+  if (!generatedSecret) {
+    generatedSecret = crypto.randomBytes(32).toString("hex");
+    console.warn("⚠ JOB_CALLBACK_SECRET is not set; callbacks from jobs started before a restart will be rejected");
+  }
+  return generatedSecret;
+}
+
+/**
+ * Create the callback token for a job
+ */
+function createCallbackToken(jobId) {
+  return crypto.createHmac("sha256", getCallbackSecret()).update(String(jobId)).digest("hex");
+}
+
+/**
+ * Check a callback token in constant time
+ */
+function verifyCallbackToken(jobId, token) {
+  if (!token || typeof token !== "string") return false;
+
+  const expected = Buffer.from(createCallbackToken(jobId));
+  const received = Buffer.from(token);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Environment variables that let a job call back, or none if callbacks are disabled
+ * @param {string} jobId - The job ID
+ * @returns {Object} { API_CALLBACK_URL, API_CALLBACK_TOKEN } or {}
+ */
+function getCallbackEnv(jobId) {
+  const url = process.env.JOB_CALLBACK_URL;
+  if (!url) return {};
+
+  return {
+    API_CALLBACK_URL: url.replace(/\/$/, ""),
+    API_CALLBACK_TOKEN: createCallbackToken(jobId),
+  };
+}
+
+/**
+ * Parse a progress value such as "50%" into a 0-100 number
+ */
+function parseProgress(progress) {
+  const value = parseFloat(String(progress ?? "").replace("%", ""));
+  return Number.isFinite(value) ? Math.min(100, Math.max(0, value)) : null;
+}
+
+/**
+ * Build a job event from a job_metadata.json payload
+ * @param {Object} metadata - The callback body
+ * @returns {Object} { status, phase, detail, progress, error, reportedAt }
+ */
+function buildJobEvent(metadata = {}) {
+  const status = String(metadata.status || "unknown");
+
+  return {
+    status,
+    phase: metadata.phase || status,
+    // Where in the phase the job is, e.g. { query, total, completed, name } while running queries
+    detail: metadata.phase_detail && typeof metadata.phase_detail === "object" ? metadata.phase_detail : null,
+    progress: parseProgress(metadata.progress),
+    error: metadata.error || null,
+    reportedAt: metadata.updated_at || metadata.started_at || null,
+  };
+}
+
+/**
+ * Commit the job evaluated (`repo_commit`, reported once the repository is cloned), or null
+ */
+function parseRepoCommit(metadata = {}) {
+  const commit = String(metadata.repo_commit || "");
+  return /^[0-9a-f]{7,40}$/i.test(commit) ? commit : null;
+}
+
+/**
+ * Append an event to a job's history if it is a transition from the last one
+ * @param {Array} events - The job's event history (modified in place)
+ * @param {Object} event - The new event
+ * @returns {boolean} Whether the event was recorded
+ */
+function recordJobEvent(events, event) {
+  const last = events[events.length - 1];
+  if (
+    last &&
+    last.status === event.status &&
+    last.phase === event.phase &&
+    last.progress === event.progress &&
+    JSON.stringify(last.error ?? null) === JSON.stringify(event.error ?? null) &&
+    JSON.stringify(last.detail ?? null) === JSON.stringify(event.detail ?? null)
+  ) {
+    return false;
+  }
+
+  events.push({ ...event, receivedAt: new Date().toISOString() });
+  if (events.length > MAX_EVENTS_PER_JOB) {
+    events.splice(0, events.length - MAX_EVENTS_PER_JOB);
+  }
+  return true;
+}
+
+module.exports = {
+  CALLBACK_STATUS_MAP,
+  createCallbackToken,
+  verifyCallbackToken,
+  getCallbackEnv,
+  parseProgress,
+  buildJobEvent,
+  recordJobEvent,
+  parseRepoCommit,
+};
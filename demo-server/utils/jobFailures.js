@@ -0,0 +1,155 @@
+/**
+ * Job Failure Classification
+ *
+ * Tells failures caused by the infrastructure (image pulls, node preemption or
+ * eviction, storage outages, the server losing track of a job) apart from failures
+ * caused by the submission (failing queries, running out of memory or time).
+ * Infrastructure failures are retried with exponential backoff and do not count
+ * against the team.
+ *
+ * Evidence, most specific first: container and pod state from the job runner, the
+ * container's exit code, the phase the job reported (job_metadata.json callbacks)
+ * before it failed, and finally what the monitor saw (missing results, API errors).
+ */
+
+const FAILURE_CATEGORIES = {
+  INFRA: "infra",
+  SUBMISSION: "submission",
+};
+
+// Container waiting reasons that mean the evaluator never started
+const STARTUP_FAILURE_REASONS = ["ImagePullBackOff", "ErrImagePull", "InvalidImageName", "ErrImageNeverPull", "CreateContainerConfigError", "CreateContainerError", "RunContainerError"];
+// Of those, the ones Kubernetes will not recover from by itself
+const STUCK_STARTUP_REASONS = ["ImagePullBackOff", "InvalidImageName", "ErrImageNeverPull", "CreateContainerConfigError"];
+// Pod reasons set when the node takes the pod away
+const INFRA_POD_REASONS = ["Evicted", "Preempting", "NodeLost", "NodeShutdown", "Shutdown", "Terminated", "UnexpectedAdmissionError"];
+// Job failure reasons reported by the runners (the local runner reports signals as Signal<name>)
+const INFRA_JOB_REASONS = ["ServerRestarted", "SignalSIGKILL", "SignalSIGTERM"];
+// Killed from outside: SIGKILL without an OOM kill, SIGTERM
+const INFRA_EXIT_CODES = [137, 143];
+// Evaluator phases (scripts/entrypoint.sh, query-runner.sh) in which the submission's own code runs
+const SUBMISSION_PHASES = ["applying-migration", "running-queries", "running-concurrency"];
+
+function describeFailure(category, reason, message) {
+  return { category, reason, message, classifiedAt: new Date().toISOString() };
+}
+
+/**
+ * Container that could not be started, if any
+ * @param {Object} jobStatus - Structured status from the job runner
+ * @param {boolean} stuckOnly - Only reasons Kubernetes does not recover from
+ */
+function findStartupFailure(jobStatus, stuckOnly = false) {
+  const reasons = stuckOnly ? STUCK_STARTUP_REASONS : STARTUP_FAILURE_REASONS;
+  for (const pod of jobStatus?.pods || []) {
+    const container = (pod.containers || []).find((c) => c.state === "waiting" && reasons.includes(c.reason));
+    if (container) return { pod: pod.name, ...container };
+  }
+  return null;
+}
+
+/**
+ * Classify a failed job
+ * @param {Object} evidence
+ * @param {Object} evidence.jobStatus - Structured status from the job runner (pods, exitCode, oomKilled, failureReason)
+ * @param {Array} evidence.events - The job's callback event history ({ status, phase, error })
+ * @param {string} evidence.monitorError - Why the monitor gave up on the job, if it did
+ * @returns {Object} { category, reason, message, classifiedAt }
+ */
+function classifyJobFailure({ jobStatus = null, events = [], monitorError = null } = {}) {
+  const startupFailure = findStartupFailure(jobStatus);
+  if (startupFailure) {
+    return describeFailure(FAILURE_CATEGORIES.INFRA, startupFailure.reason, `Evaluator container could not start: ${startupFailure.message || startupFailure.reason}`);
+  }
+
+  const disruptedPod = (jobStatus?.pods || []).find((pod) => pod.disruption || INFRA_POD_REASONS.includes(pod.reason));
+  if (disruptedPod) {
+    const reason = disruptedPod.disruption || disruptedPod.reason;
+    return describeFailure(FAILURE_CATEGORIES.INFRA, reason, `Pod ${disruptedPod.name} was stopped by the cluster (${reason})`);
+  }
+
+  if (INFRA_JOB_REASONS.includes(jobStatus?.failureReason)) {
+    const message = jobStatus.failureReason === "ServerRestarted" ? "The server lost track of the job" : `The evaluator was stopped (${jobStatus.failureReason})`;
+    return describeFailure(FAILURE_CATEGORIES.INFRA, jobStatus.failureReason, message);
+  }
+  if (jobStatus?.oomKilled) {
+    return describeFailure(FAILURE_CATEGORIES.SUBMISSION, "OOMKilled", "The evaluation ran out of memory");
+  }
+  if (jobStatus?.failureReason === "DeadlineExceeded") {
+    return describeFailure(FAILURE_CATEGORIES.SUBMISSION, "DeadlineExceeded", "The evaluation exceeded its time limit");
+  }
+  if (INFRA_EXIT_CODES.includes(jobStatus?.exitCode)) {
+    return describeFailure(FAILURE_CATEGORIES.INFRA, `ExitCode${jobStatus.exitCode}`, `The evaluator was killed (exit code ${jobStatus.exitCode})`);
+  }
+
+  // The failure callback reports phase "failed"; the phase before it is where the job stopped
+  const failedEvent = [...events].reverse().find((event) => event.status === "failed");
+  if (failedEvent) {
+    const lastPhase = [...events].reverse().find((event) => event.status !== "failed")?.phase || "initializing";
+    const category = SUBMISSION_PHASES.includes(lastPhase) ? FAILURE_CATEGORIES.SUBMISSION : FAILURE_CATEGORIES.INFRA;
+    return describeFailure(category, `FailedIn:${lastPhase}`, `${failedEvent.error || "Evaluation failed"} (during ${lastPhase})`);
+  }
+
+  if (monitorError) {
+    return describeFailure(FAILURE_CATEGORIES.INFRA, "MonitoringFailed", monitorError);
+  }
+
+  const reason = jobStatus?.failureReason || "JobFailed";
+  return describeFailure(FAILURE_CATEGORIES.SUBMISSION, reason, `Evaluation job failed (${reason})`);
+}
+
+/**
+ * Automatic retry policy for infrastructure failures
+ */
+function getInfraRetryPolicy() {
+  const maxRetries = parseInt(process.env.JOB_INFRA_MAX_RETRIES);
+  return {
+    maxRetries: Number.isInteger(maxRetries) && maxRetries >= 0 ? maxRetries : 3,
+    baseDelayMs: parseInt(process.env.JOB_INFRA_RETRY_BASE_MS) || 60 * 1000,
+    maxDelayMs: parseInt(process.env.JOB_INFRA_RETRY_MAX_MS) || 15 * 60 * 1000,
+  };
+}
+
+/**
+ * Delay before the next automatic retry, or null once retries are used up
+ * @param {number} retries - Automatic retries made so far
+ */
+function getInfraRetryDelay(retries, policy = getInfraRetryPolicy()) {
+  if (retries >= policy.maxRetries) return null;
+  return Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** retries);
+}
+
+/**
+ * Count failures per team and problem for the leaderboard. Failed submissions count
+ * against the team unless the infrastructure was to blame; infrastructure failures,
+ * including retried ones, are only reported.
+ * @param {Array} submissions - Submissions of any status
+ * @returns {Object} `${teamId}:${problemId}` -> { failedAttempts, infraFailures }
+ */
+function summarizeTeamFailures(submissions) {
+  const summary = {};
+
+  submissions.forEach((submission) => {
+    const key = `${submission.teamId}:${submission.problemId}`;
+    const counts = (summary[key] = summary[key] || { failedAttempts: 0, infraFailures: 0 });
+
+    const failedJobs = submission.failedJobs || [];
+    counts.infraFailures += failedJobs.filter((job) => job.category === FAILURE_CATEGORIES.INFRA).length;
+
+    // Failures recorded before classification existed count against the team
+    if (submission.status === "failed" && submission.failure?.category !== FAILURE_CATEGORIES.INFRA) {
+      counts.failedAttempts += 1;
+    }
+  });
+
+  return summary;
+}
+
+module.exports = {
+  FAILURE_CATEGORIES,
+  findStartupFailure,
+  classifyJobFailure,
+  getInfraRetryPolicy,
+  getInfraRetryDelay,
+  summarizeTeamFailures,
+};
@@ -0,0 +1,233 @@
+/**
+ * Job Progress Module
+ *
+ * Evaluators write where they are to job_metadata.json (scripts/entrypoint.sh and
+ * query-runner.sh). The server receives it through status callbacks or, without
+ * callbacks, reads it from the job's results location; both end up in the job's
+ * event history, which this module turns into a phase model:
+ *
+ *   submission: initializing -> loading-baseline -> applying-migration -> running-queries
+ *               (query N of M) -> running-concurrency -> uploading-results
+ *   baseline:   initializing -> generating-data -> running-queries -> running-concurrency
+ *               -> uploading-results
+ *
+ * The remaining time is estimated from how long each phase took in earlier completed
+ * jobs of the same problem and type (median per phase). Phases that none of those jobs
+ * went through (no migration, concurrency test disabled) are assumed to be skipped.
+ */
+
+const PHASE_LABELS = {
+  initializing: "Initializing",
+  "loading-baseline": "Restoring baseline",
+  "generating-data": "Generating data",
+  "applying-migration": "Applying migration",
+  "running-queries": "Running queries",
+  "running-concurrency": "Concurrency test",
+  "uploading-results": "Uploading results",
+};
+
+const PHASE_ORDER = {
+  submission: ["initializing", "loading-baseline", "applying-migration", "running-queries", "running-concurrency", "uploading-results"],
+  baseline: ["initializing", "generating-data", "running-queries", "running-concurrency", "uploading-results"],
+};
+
+// Runner and submission statuses -> progress state
+const WAITING_STATUSES = ["creating", "queued", "pending", "pending-resources"];
+const FINISHED_STATUSES = ["completed", "processing", "evaluating", "evaluated"];
+
+const MAX_HISTORY_JOBS = 20;
+
+// Times come from the job's own clock (updated_at), which is consistent within one job
+function eventTime(event) {
+  const reported = Date.parse(event.reportedAt);
+  return Number.isFinite(reported) ? reported : Date.parse(event.receivedAt);
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * Whether a job evaluates a submission or builds a baseline, from the phases it went through
+ */
+function getJobType(jobId, events = []) {
+  if (events.some((event) => event.phase === "generating-data")) return "baseline";
+  if (events.some((event) => event.phase === "loading-baseline")) return "submission";
+  return String(jobId).includes("baseline") ? "baseline" : "submission";
+}
+
+/**
+ * When each phase of a job started
+ * @param {Array} events - The job's event history
+ * @returns {Array} [{ phase, startedAt }] in order, startedAt in ms
+ */
+function listPhaseStarts(events = []) {
+  const starts = [];
+  events.forEach((event) => {
+    const time = eventTime(event);
+    if (!Number.isFinite(time)) return;
+
+    const last = starts[starts.length - 1];
+    if (!last || last.phase !== event.phase) starts.push({ phase: event.phase, startedAt: time });
+  });
+  return starts;
+}
+
+/**
+ * How long each phase of a completed job took
+ * @returns {Object|null} phase -> ms, or null if the job did not complete
+ */
+function measurePhaseDurations(events = []) {
+  if (events[events.length - 1]?.status !== "completed") return null;
+
+  const starts = listPhaseStarts(events);
+  const durations = {};
+  for (let i = 0; i < starts.length - 1; i++) {
+    const { phase, startedAt } = starts[i];
+    if (PHASE_LABELS[phase]) durations[phase] = (durations[phase] || 0) + Math.max(0, starts[i + 1].startedAt - startedAt);
+  }
+  return durations;
+}
+
+/**
+ * Typical phase durations over the most recent completed jobs
+ * @param {Array<Array>} histories - Event histories of earlier jobs of the same problem and type
+ * @returns {Object} { jobs, phases } - number of jobs measured, phase -> median ms
+ */
+function summarizePhaseHistory(histories = []) {
+  const measured = histories
+    .filter((events) => events?.length > 0)
+    .sort((a, b) => eventTime(b[b.length - 1]) - eventTime(a[a.length - 1]))
+    .map(measurePhaseDurations)
+    .filter(Boolean)
+    .slice(0, MAX_HISTORY_JOBS);
+
+  const phases = {};
+  Object.keys(PHASE_LABELS).forEach((phase) => {
+    const values = measured.map((durations) => durations[phase]).filter((value) => Number.isFinite(value));
+    if (values.length > 0) phases[phase] = median(values);
+  });
+
+  return { jobs: measured.length, phases };
+}
+
+/**
+ * Time left for a running job: the rest of the current phase plus the typical duration of
+ * the phases after it. While running queries the job's own pace per query is used.
+ * @returns {number|null} ms, or null without history
+ */
+function estimateRemainingMs(type, phase, phaseStartedAt, detail, history, now) {
+  const order = PHASE_ORDER[type];
+  const index = order.indexOf(phase);
+  if (!history || history.jobs === 0 || index < 0) return null;
+
+  const elapsed = phaseStartedAt ? Math.max(0, now - phaseStartedAt) : 0;
+  let current;
+  if (phase === "running-queries" && detail?.completed > 0 && detail.total > 0) {
+    current = (elapsed / detail.completed) * Math.max(0, detail.total - detail.completed);
+  } else {
+    current = Math.max(0, (history.phases[phase] || 0) - elapsed);
+  }
+
+  const later = order.slice(index + 1).reduce((sum, next) => sum + (history.phases[next] || 0), 0);
+  return Math.round(current + later);
+}
+
+/**
+ * Describe where a job is and when it should finish
+ * @param {Object} options
+ * @param {string} options.jobId - The job ID
+ * @param {string} options.status - Runner status (running, completed, ...) or submission status
+ * @param {Array} options.events - The job's event history
+ * @param {Object} options.history - summarizePhaseHistory() of earlier jobs of the same problem and type
+ * @param {number} options.now - Current time in ms
+ * @returns {Object} { state, type, phase, label, step, totalSteps, percentage, query, detail, phaseStartedAt,
+ *   reportedAt, estimatedRemainingMs, estimatedCompletionAt, basedOnJobs }
+ */
+function describeJobProgress({ jobId, status, events = [], history = null, now = Date.now() } = {}) {
+  const type = getJobType(jobId, events);
+  const order = PHASE_ORDER[type];
+  const last = events[events.length - 1] || null;
+
+  let state;
+  if (status === "failed" || status === "cancelled" || status === "not-found") state = status;
+  else if (FINISHED_STATUSES.includes(status) || last?.status === "completed") state = "completed";
+  else if (status === "running" || (last && !WAITING_STATUSES.includes(status))) state = "running";
+  else state = "waiting";
+
+  const progress = {
+    state,
+    type,
+    phase: null,
+    label: null,
+    step: null,
+    totalSteps: order.length,
+    percentage: state === "completed" ? 100 : null,
+    query: null,
+    detail: null,
+    phaseStartedAt: null,
+    reportedAt: last?.receivedAt || null,
+    estimatedRemainingMs: state === "completed" ? 0 : null,
+    estimatedCompletionAt: null,
+    basedOnJobs: history?.jobs || 0,
+  };
+
+  if (state !== "running") {
+    // Where a failed or cancelled job stopped
+    const stoppedIn = [...events].reverse().find((event) => PHASE_LABELS[event.phase]);
+    if (state !== "completed" && state !== "waiting" && stoppedIn) {
+      progress.phase = stoppedIn.phase;
+      progress.label = PHASE_LABELS[stoppedIn.phase];
+    }
+    return progress;
+  }
+
+  const starts = listPhaseStarts(events);
+  const current = starts[starts.length - 1] || null;
+  const phase = current?.phase || "initializing";
+  const step = order.indexOf(phase) + 1;
+  const detail = last?.phase === phase ? last.detail || null : null;
+
+  progress.phase = phase;
+  progress.label = PHASE_LABELS[phase] || phase;
+  progress.step = step || null;
+  progress.percentage = last?.progress ?? (step ? Math.round((100 * (step - 1)) / order.length) : null);
+  progress.detail = detail;
+  progress.phaseStartedAt = current ? new Date(current.startedAt).toISOString() : null;
+
+  if (phase === "running-queries" && detail?.total > 0) {
+    progress.query = { current: detail.query ?? null, total: detail.total, completed: detail.completed ?? null, name: detail.name || null };
+  }
+
+  progress.estimatedRemainingMs = estimateRemainingMs(type, phase, current?.startedAt, detail, history, now);
+  if (progress.estimatedRemainingMs !== null) {
+    progress.estimatedCompletionAt = new Date(now + progress.estimatedRemainingMs).toISOString();
+  }
+
+  return progress;
+}
+
+/**
+ * Remaining time in words, e.g. "about 4 minutes"
+ */
+function formatRemainingTime(ms) {
+  if (ms === null || ms === undefined) return null;
+  if (ms < 60 * 1000) return "less than a minute";
+
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 90) return `about ${minutes} minute${minutes === 1 ? "" : "s"}`;
+  return `about ${Math.round(minutes / 60)} hours`;
+}
+
+module.exports = {
+  PHASE_LABELS,
+  PHASE_ORDER,
+  getJobType,
+  listPhaseStarts,
+  measurePhaseDurations,
+  summarizePhaseHistory,
+  describeJobProgress,
+  formatRemainingTime,
+};
@@ -0,0 +1,265 @@
+/**
+ * Job Queue Module
+ *
+ * Submissions wait in a server-side queue and are handed to the job runner only
+ * while the cluster has room, so a burst of submissions does not end up as
+ * dozens of `pending-resources` jobs.
+ *
+ * Scheduling:
+ * - at most `maxConcurrentJobs` jobs run at once (JOB_QUEUE_MAX_CONCURRENT), and at most
+ *   `maxJobsPerProblem` per problem (JOB_QUEUE_MAX_PER_PROBLEM)
+ * - higher `priority` goes first; judges raise it for re-runs
+ * - within a priority, teams take turns: a team's n-th waiting submission is placed in
+ *   round n (plus the jobs it already has running), ties broken by queue time
+ * - a submission whose problem is at its cap is skipped until a slot frees up, and one
+ *   waiting to be retried (`notBefore`) until its backoff has passed
+ *
+ * Estimated start times replay the queue against the running jobs, assuming every
+ * job takes the typical duration of recent evaluations.
+ */
+
+const DEFAULT_JOB_DURATION_MS = 10 * 60 * 1000;
+// A job running longer than expected is assumed to finish within this time
+const OVERDUE_GRACE_MS = 60 * 1000;
+
+/**
+ * Order waiting entries by priority, then round-robin across teams
+ * @param {Array} entries - Waiting entries { id, teamId, problemId, priority, queuedAt, notBefore }
+ * @param {Array} activeJobs - Running jobs { teamId, problemId }
+ * @returns {Array} Entries in dispatch order, with `position` (1-based) and `round`
+ */
+function orderQueue(entries, activeJobs = []) {
+  const runningByTeam = {};
+  activeJobs.forEach((job) => {
+    if (job.teamId) runningByTeam[job.teamId] = (runningByTeam[job.teamId] || 0) + 1;
+  });
+
+  const byTeam = {};
+  entries.forEach((entry) => {
+    (byTeam[entry.teamId] = byTeam[entry.teamId] || []).push(entry);
+  });
+
+  const ranked = [];
+  Object.entries(byTeam).forEach(([teamId, teamEntries]) => {
+    teamEntries
+      .slice()
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0) || new Date(a.queuedAt) - new Date(b.queuedAt))
+      .forEach((entry, index) => ranked.push({ ...entry, round: (runningByTeam[teamId] || 0) + index }));
+  });
+
+  return ranked
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0) || a.round - b.round || new Date(a.queuedAt) - new Date(b.queuedAt))
+    .map((entry, index) => ({ ...entry, position: index + 1 }));
+}
+
+/**
+ * Typical job duration from recent runs (median), or the default without history
+ * @param {Array<number>} durations - Durations of recent jobs in ms
+ */
+function estimateJobDuration(durations = [], fallback = DEFAULT_JOB_DURATION_MS) {
+  const valid = durations.filter((d) => Number.isFinite(d) && d > 0).sort((a, b) => a - b);
+  if (valid.length === 0) return fallback;
+
+  const mid = Math.floor(valid.length / 2);
+  return valid.length % 2 ? valid[mid] : Math.round((valid[mid - 1] + valid[mid]) / 2);
+}
+
+/**
+ * Estimate when each queued entry will start. Replays dispatch: whenever a job
+ * ends or a backoff passes, entries are started in queue order while they fit
+ * under both caps.
+ * @param {Array} ordered - Entries from orderQueue()
+ * @param {Array} activeJobs - Running jobs { problemId, startedAt }
+ * @param {Object} limits - { maxConcurrentJobs, maxJobsPerProblem }
+ * @param {number} durationMs - Expected job duration
+ * @param {number} now - Current time in ms
+ * @returns {Array} Entries with `estimatedStartAt` (ISO string, null if they can never start)
+ */
+function estimateStartTimes(ordered, activeJobs, limits, durationMs, now = Date.now()) {
+  const running = activeJobs.map((job) => {
+    const startedAt = job.startedAt ? new Date(job.startedAt).getTime() : now;
+    return { problemId: job.problemId, endsAt: Math.max(now + OVERDUE_GRACE_MS, startedAt + durationMs) };
+  });
+
+  const startsAt = new Map();
+  let pending = ordered;
+  let t = now;
+
+  while (pending.length > 0) {
+    const waiting = [];
+    for (const entry of pending) {
+      const live = running.filter((job) => job.endsAt > t);
+      const liveForProblem = live.filter((job) => job.problemId === entry.problemId);
+      const ready = !entry.notBefore || new Date(entry.notBefore).getTime() <= t;
+
+      if (ready && live.length < limits.maxConcurrentJobs && liveForProblem.length < limits.maxJobsPerProblem) {
+        running.push({ problemId: entry.problemId, endsAt: t + durationMs });
+        startsAt.set(entry, t);
+      } else {
+        waiting.push(entry);
+      }
+    }
+    pending = waiting;
+
+    const events = [...running.map((job) => job.endsAt), ...pending.map((entry) => new Date(entry.notBefore).getTime())].filter((time) => time > t);
+    if (events.length === 0) break;
+    t = Math.min(...events);
+  }
+
+  return ordered.map((entry) => ({ ...entry, estimatedStartAt: startsAt.has(entry) ? new Date(startsAt.get(entry)).toISOString() : null }));
+}
+
+class JobQueue {
+  /**
+   * @param {Object} options
+   * @param {Function} options.listWaiting - async () => waiting entries { id, teamId, problemId, priority, queuedAt, notBefore }
+   * @param {Function} options.listActive - async () => jobs holding a slot { jobId, teamId, problemId, startedAt }
+   * @param {Function} options.startJob - async (entry) => starts the entry's job and takes it out of the waiting
+   *   list; returns false if no job was started
+   * @param {Function} options.listDurations - async () => durations (ms) of recent jobs, for estimates
+   */
+  constructor({ listWaiting, listActive, startJob, listDurations, ...config } = {}) {
+    if (!listWaiting || !listActive || !startJob) {
+      throw new Error("listWaiting, listActive and startJob are required for the job queue");
+    }
+
+    this.config = {
+      ...config,
+      maxConcurrentJobs: config.maxConcurrentJobs || parseInt(process.env.JOB_QUEUE_MAX_CONCURRENT) || 4,
+      maxJobsPerProblem: config.maxJobsPerProblem || parseInt(process.env.JOB_QUEUE_MAX_PER_PROBLEM) || 2,
+      dispatchInterval: config.dispatchInterval || parseInt(process.env.JOB_QUEUE_INTERVAL_MS) || 15000,
+      defaultJobDurationMs: config.defaultJobDurationMs || parseInt(process.env.JOB_QUEUE_DEFAULT_DURATION_MS) || DEFAULT_JOB_DURATION_MS,
+      debug: config.debug || false,
+    };
+
+    this.listWaiting = listWaiting;
+    this.listActive = listActive;
+    this.startJob = startJob;
+    this.listDurations = listDurations || (async () => []);
+
+    this.dispatching = null;
+    this.dispatchRequested = false;
+    this.dispatchTimer = null;
+  }
+
+  get limits() {
+    return {
+      maxConcurrentJobs: this.config.maxConcurrentJobs,
+      maxJobsPerProblem: this.config.maxJobsPerProblem,
+    };
+  }
+
+  /**
+   * Current queue with positions and estimated start times
+   * @returns {Object} { limits, active, estimatedJobDurationMs, entries }
+   */
+  async getSnapshot() {
+    const [waiting, active, durations] = await Promise.all([this.listWaiting(), this.listActive(), this.listDurations()]);
+    const estimatedJobDurationMs = estimateJobDuration(durations, this.config.defaultJobDurationMs);
+    const entries = estimateStartTimes(orderQueue(waiting, active), active, this.limits, estimatedJobDurationMs);
+
+    return { limits: this.limits, active, estimatedJobDurationMs, entries };
+  }
+
+  /**
+   * Queue position and estimated start of one entry, or null if it is not waiting
+   */
+  async getEntry(id) {
+    const { entries } = await this.getSnapshot();
+    return entries.find((entry) => entry.id === id) || null;
+  }
+
+  /**
+   * Next entry that fits under both caps, skipping entries already tried in this pass
+   */
+  async nextStartable(attempted) {
+    const [waiting, active] = await Promise.all([this.listWaiting(), this.listActive()]);
+    if (active.length >= this.config.maxConcurrentJobs) return null;
+
+    const runningByProblem = {};
+    active.forEach((job) => {
+      runningByProblem[job.problemId] = (runningByProblem[job.problemId] || 0) + 1;
+    });
+
+    const now = Date.now();
+    return (
+      orderQueue(waiting, active).find(
+        (entry) => !attempted.has(entry.id) && !(entry.notBefore && new Date(entry.notBefore).getTime() > now) && (runningByProblem[entry.problemId] || 0) < this.config.maxJobsPerProblem
+      ) || null
+    );
+  }
+
+  /**
+   * Start queued jobs while there are free slots. Concurrent calls share one pass;
+   * a call made during a pass makes it look at the queue again before finishing.
+   * @returns {Promise<Array>} IDs of the entries started
+   */
+  dispatch() {
+    this.dispatchRequested = true;
+    if (!this.dispatching) {
+      this.dispatching = this.runDispatch().finally(() => {
+        this.dispatching = null;
+      });
+    }
+    return this.dispatching;
+  }
+
+  async runDispatch() {
+    const started = [];
+
+    while (this.dispatchRequested) {
+      this.dispatchRequested = false;
+      const attempted = new Set();
+
+      let entry;
+      while ((entry = await this.nextStartable(attempted))) {
+        attempted.add(entry.id);
+        try {
+          if ((await this.startJob(entry)) === false) continue;
+          started.push(entry.id);
+          console.log(`✓ Dispatched ${entry.id} (team ${entry.teamId}, problem ${entry.problemId}, priority ${entry.priority || 0})`);
+        } catch (error) {
+          console.error(`❌ Failed to dispatch ${entry.id}:`, error.message);
+        }
+      }
+    }
+
+    if (this.config.debug && started.length === 0) {
+      console.log("Job queue: nothing to dispatch");
+    }
+    return started;
+  }
+
+  /**
+   * Dispatch periodically, so slots freed by finished jobs are reused
+   */
+  start() {
+    if (this.dispatchTimer) {
+      console.warn("Job queue is already running");
+      return;
+    }
+
+    console.log(`Starting job queue (max ${this.config.maxConcurrentJobs} jobs, ${this.config.maxJobsPerProblem} per problem, interval: ${this.config.dispatchInterval}ms)`);
+
+    this.dispatch().catch((error) => console.error("Error in initial queue dispatch:", error));
+    this.dispatchTimer = setInterval(() => {
+      this.dispatch().catch((error) => console.error("Error in queue dispatch:", error));
+    }, this.config.dispatchInterval);
+  }
+
+  stop() {
+    if (this.dispatchTimer) {
+      clearInterval(this.dispatchTimer);
+      this.dispatchTimer = null;
+    }
+  }
+}
+
+module.exports = {
+  JobQueue,
+  DEFAULT_JOB_DURATION_MS,
+  orderQueue,
+  estimateJobDuration,
+  estimateStartTimes,
+  createJobQueue: (options) => new JobQueue(options),
+};
@@ -0,0 +1,50 @@
+/**
+ * Job Runner Registry
+ *
+ * A job runner executes evaluation jobs. The server selects one with `JOB_RUNNER`
+ * (default `kubernetes`). Their outputs are read through the results store
+ * (utils/storage/results.js), which defaults to the runner's output location.
+ *
+ * A runner exposes:
+ * - `type`
+ * - `createJob(type, params)` - start a "baseline" or "submission" job; returns { job_id, type, created_at }
+ * - `getJobStatus(jobId)` - structured status whose `status` is completed, failed, running,
+ *   pending, pending-resources, queued, not-found or unknown
+ * - `getJobLogs(jobId, { tailLines })` - log text, or null before the job has started
+ * - `followJobLogs(jobId, onData, { tailLines, sinceTime })` - stream the log as it is written,
+ *   from the last tailLines lines or from sinceTime on; returns { stop, done }, where done
+ *   settles once the job's output ends (rejects if it has not started)
+ * - `deleteJob(jobId)` - stop and remove a job; false if it did not exist
+ */
+
+const { KubernetesJobRunner } = require("./kubernetes");
+const { LocalJobRunner } = require("./local");
+
+const DEFAULT_RUNNER_TYPE = "kubernetes";
+
+const RUNNERS = {
+  kubernetes: KubernetesJobRunner,
+  local: LocalJobRunner,
+};
+
+/**
+ * Create the job runner selected by config or `JOB_RUNNER`
+ * @param {Object} config - Runner options (`type` overrides `JOB_RUNNER`)
+ * @returns {Object} The job runner
+ * @throws {Error} If the runner type is unknown
+ */
+function createJobRunner(config = {}) {
+  const type = config.type || process.env.JOB_RUNNER || DEFAULT_RUNNER_TYPE;
+  const Runner = RUNNERS[type];
+
+  if (!Runner) {
+    throw new Error(`Unknown job runner "${type}". Available: ${Object.keys(RUNNERS).join(", ")}`);
+  }
+
+  return new Runner(config);
+}
+
+module.exports = {
+  DEFAULT_RUNNER_TYPE,
+  createJobRunner,
+};
@@ -0,0 +1,44 @@
+/**
+ * Kubernetes Job Runner
+ *
+ * Runs evaluation jobs on the cluster through the Kubernetes REST API (see
+ * utils/kubernetes.js). Jobs upload their outputs to a bucket, where the results
+ * store (utils/storage/results.js) reads them.
+ */
+
+const { KubernetesJobBackend } = require("../kubernetes");
+
+class KubernetesJobRunner {
+  constructor(config = {}) {
+    this.type = "kubernetes";
+    this.config = {
+      debug: config.debug || false,
+    };
+
+    this.backend = config.backend || new KubernetesJobBackend({ debug: this.config.debug });
+  }
+
+  async createJob(type, params = {}) {
+    return await this.backend.createJob(type, params);
+  }
+
+  async getJobStatus(jobId) {
+    return await this.backend.getJobStatus(jobId);
+  }
+
+  async getJobLogs(jobId, options = {}) {
+    return await this.backend.getJobLogs(jobId, options);
+  }
+
+  followJobLogs(jobId, onData, options = {}) {
+    return this.backend.followJobLogs(jobId, onData, options);
+  }
+
+  async deleteJob(jobId) {
+    return await this.backend.deleteJob(jobId);
+  }
+}
+
+module.exports = {
+  KubernetesJobRunner,
+};
@@ -0,0 +1,420 @@
+/**
+ * Local Job Runner
+ *
+ * Runs evaluation jobs on the server's own machine so a contest works on one
+ * laptop or an air-gapped LAN. Jobs are rendered from the same k8s/job-*.yml
+ * templates and each writes to its own directory, <LOCAL_RESULTS_DIR>/<job id>/.
+ *
+ * Two modes (`LOCAL_RUNNER_MODE`):
+ * - `docker` (default): runs the eval-db image with the job directory mounted at /output
+ * - `process`: spawns `LOCAL_JOB_COMMAND` (default the image's entrypoint.sh) as a child
+ *   process, for running inside the eval-db image or with a custom evaluation script
+ *
+ * Outputs stay local (UPLOAD_LOCATION=local). Submission jobs load the database
+ * dump of the problem's baseline job, or of the newest local baseline.
+ */
+
+const { execFile, spawn } = require("child_process");
+const { promisify } = require("util");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { StringDecoder } = require("string_decoder");
+const { renderJobTemplate } = require("../kubernetes");
+
+const execFileAsync = promisify(execFile);
+
+const MODES = ["docker", "process"];
+const JOB_LOG_FILE = "job.log";
+const JOB_STATE_FILE = "local_job.json";
+const BASELINE_DUMP_FILES = ["baseline_dump.sql", "db_dump.sql"];
+const CONTAINER_OUTPUT_DIR = "/output";
+const CONTAINER_BASELINE_DUMP = "/baseline/db_dump.sql";
+// How often a followed job.log is checked for new output (process mode)
+const LOG_POLL_INTERVAL_MS = 500;
+
+class LocalJobRunner {
+  constructor(config = {}) {
+    this.type = "local";
+    this.config = {
+      mode: config.mode || process.env.LOCAL_RUNNER_MODE || "docker",
+      resultsDir: path.resolve(config.resultsDir || process.env.LOCAL_RESULTS_DIR || path.join(__dirname, "..", "..", "results")),
+      image: config.image || process.env.LOCAL_JOB_IMAGE || null,
+      command: config.command || process.env.LOCAL_JOB_COMMAND || "/usr/local/bin/entrypoint.sh",
+      templatesDir: config.templatesDir || path.join(__dirname, "..", "..", "k8s"),
+      debug: config.debug || false,
+    };
+
+    if (!MODES.includes(this.config.mode)) {
+      throw new Error(`Unknown local runner mode "${this.config.mode}". Available: ${MODES.join(", ")}`);
+    }
+
+    // Child processes started by this server (process mode)
+    this.processes = new Map();
+  }
+
+  jobDir(jobId) {
+    const dir = path.resolve(this.config.resultsDir, jobId);
+    if (!dir.startsWith(this.config.resultsDir + path.sep)) {
+      throw new Error(`Invalid job ID: ${jobId}`);
+    }
+    return dir;
+  }
+
+  /**
+   * Find a baseline database dump, preferring the given baseline job
+   * @returns {string|null} Path of the dump file
+   */
+  findBaselineDump(baselineJobId = null) {
+    const candidates = [baselineJobId, ...this.listJobDirs("baseline").map((entry) => entry.jobId)].filter(Boolean);
+
+    for (const jobId of candidates) {
+      for (const file of BASELINE_DUMP_FILES) {
+        const dumpPath = path.join(this.jobDir(jobId), file);
+        if (fs.existsSync(dumpPath)) return dumpPath;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * List local job directories of a type, newest first
+   */
+  listJobDirs(type) {
+    let entries;
+    try {
+      entries = fs.readdirSync(this.config.resultsDir, { withFileTypes: true });
+    } catch (error) {
+      return [];
+    }
+
+    return entries
+      .filter((entry) => entry.isDirectory() && entry.name.startsWith(`eval-${type}-`))
+      .map((entry) => ({ jobId: entry.name, mtime: fs.statSync(path.join(this.config.resultsDir, entry.name)).mtimeMs }))
+      .sort((a, b) => b.mtime - a.mtime);
+  }
+
+  /**
+   * Build the job's environment from its rendered template
+   */
+  buildJobEnv(manifest, outDir, baselineDump) {
+    const container = manifest.spec.template.spec.containers[0];
+    const env = {};
+
+    for (const entry of container.env || []) {
+      if (entry.value !== undefined) {
+        env[entry.name] = entry.value;
+      } else if (process.env[entry.name]) {
+        // Secrets come from the server's environment
+        env[entry.name] = process.env[entry.name];
+      }
+    }
+
+    // The database only lives as long as the job, so any password will do
+    env.POSTGRES_PASSWORD = env.POSTGRES_PASSWORD || crypto.randomBytes(12).toString("hex");
+    env.UPLOAD_ENABLED = "true";
+    env.UPLOAD_LOCATION = "local";
+    delete env.GCP_CREDENTIALS_JSON;
+
+    if (baselineDump) {
+      env.BASELINE_DUMP_URL = this.config.mode === "docker" ? CONTAINER_BASELINE_DUMP : baselineDump;
+    }
+
+    // Without a container, /output paths point into the job directory
+    if (this.config.mode === "process") {
+      for (const [name, value] of Object.entries(env)) {
+        if (value === CONTAINER_OUTPUT_DIR || value.startsWith(`${CONTAINER_OUTPUT_DIR}/`)) {
+          env[name] = outDir + value.slice(CONTAINER_OUTPUT_DIR.length);
+        }
+      }
+    }
+
+    return env;
+  }
+
+  /**
+   * Start an evaluation job
+   * @returns {Object} { job_id, type, created_at, outputDir }
+   */
+  async createJob(type, params = {}) {
+    const manifest = renderJobTemplate(this.config.templatesDir, type, params);
+    const jobId = manifest.metadata.name;
+    const outDir = this.jobDir(jobId);
+
+    let baselineDump = null;
+    if (type === "submission") {
+      baselineDump = this.findBaselineDump(params.baselineJobId);
+      if (!baselineDump) {
+        throw new Error(`No local baseline dump found in ${this.config.resultsDir}; run a baseline job first`);
+      }
+    }
+
+    fs.mkdirSync(outDir, { recursive: true });
+    const env = this.buildJobEnv(manifest, outDir, baselineDump);
+
+    if (this.config.mode === "docker") {
+      const image = this.config.image || manifest.spec.template.spec.containers[0].image;
+      const args = ["run", "-d", "--name", jobId, "--label", "app.kubernetes.io/managed-by=eval-demo-server", "-v", `${outDir}:${CONTAINER_OUTPUT_DIR}`];
+      if (baselineDump) {
+        args.push("-v", `${baselineDump}:${CONTAINER_BASELINE_DUMP}:ro`);
+      }
+      for (const [name, value] of Object.entries(env)) {
+        args.push("-e", `${name}=${value}`);
+      }
+      args.push(image);
+
+      try {
+        await execFileAsync("docker", args);
+      } catch (error) {
+        throw new Error(`docker run failed: ${(error.stderr || error.message).trim()}`);
+      }
+    } else {
+      this.startProcess(jobId, outDir, env);
+    }
+
+    const createdAt = new Date().toISOString();
+    this.writeState(jobId, { jobId, type, mode: this.config.mode, createdAt, state: "running" });
+
+    return {
+      job_id: jobId,
+      type,
+      created_at: createdAt,
+      outputDir: outDir,
+    };
+  }
+
+  startProcess(jobId, outDir, env) {
+    const log = fs.openSync(path.join(outDir, JOB_LOG_FILE), "a");
+    const child = spawn(this.config.command, [], {
+      env: { ...process.env, ...env },
+      cwd: outDir,
+      stdio: ["ignore", log, log],
+    });
+    fs.closeSync(log);
+
+    const entry = { child, exitCode: null, signal: null };
+    this.processes.set(jobId, entry);
+
+    const finish = (exitCode, signal) => {
+      entry.exitCode = exitCode;
+      entry.signal = signal;
+      this.writeState(jobId, {
+        ...this.readState(jobId),
+        state: exitCode === 0 ? "completed" : "failed",
+        exitCode,
+        signal,
+        finishedAt: new Date().toISOString(),
+      });
+    };
+
+    // A command that cannot be started emits "error" without "exit"
+    child.on("error", (error) => {
+      fs.appendFileSync(path.join(outDir, JOB_LOG_FILE), `Failed to start ${this.config.command}: ${error.message}\n`);
+      finish(127, null);
+    });
+    child.on("exit", (code, signal) => finish(code, signal));
+  }
+
+  readState(jobId) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.jobDir(jobId), JOB_STATE_FILE), "utf8"));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  writeState(jobId, state) {
+    fs.writeFileSync(path.join(this.jobDir(jobId), JOB_STATE_FILE), JSON.stringify(state, null, 2));
+  }
+
+  /**
+   * Get the structured status of a local job (same shape as the Kubernetes backend's)
+   */
+  async getJobStatus(jobId) {
+    const state = this.readState(jobId);
+    if (!state) {
+      return { name: jobId, status: "not-found", conditions: [], pods: [] };
+    }
+
+    let status;
+    let exitCode = state.exitCode ?? null;
+    let oomKilled = false;
+    let failureReason = null;
+
+    if (state.mode === "docker") {
+      let container;
+      try {
+        const { stdout } = await execFileAsync("docker", ["inspect", "--format", "{{json .State}}", jobId]);
+        container = JSON.parse(stdout);
+      } catch (error) {
+        return { name: jobId, status: "not-found", conditions: [], pods: [] };
+      }
+
+      exitCode = container.Status === "exited" || container.Status === "dead" ? container.ExitCode : null;
+      oomKilled = Boolean(container.OOMKilled);
+      if (container.Status === "running" || container.Status === "restarting") status = "running";
+      else if (container.Status === "created") status = "pending";
+      else status = exitCode === 0 ? "completed" : "failed";
+      if (status === "failed") failureReason = oomKilled ? "OOMKilled" : container.Error || `ExitCode${exitCode}`;
+    } else if (state.state === "completed" || state.state === "failed") {
+      status = state.state;
+      if (status === "failed") failureReason = state.signal ? `Signal${state.signal}` : `ExitCode${exitCode}`;
+    } else if (this.processes.has(jobId)) {
+      status = "running";
+    } else {
+      // The process belonged to an earlier server run and can no longer be followed
+      status = "failed";
+      failureReason = "ServerRestarted";
+    }
+
+    return {
+      name: jobId,
+      status,
+      mode: state.mode,
+      conditions: [],
+      startTime: state.createdAt,
+      completionTime: state.finishedAt || null,
+      pods: [],
+      exitCode,
+      oomKilled,
+      failureReason,
+    };
+  }
+
+  async getJobLogs(jobId, { tailLines = null } = {}) {
+    const state = this.readState(jobId);
+    if (!state) return null;
+
+    if (state.mode === "docker") {
+      const args = ["logs", ...(tailLines ? ["--tail", String(tailLines)] : []), jobId];
+      const { stdout, stderr } = await execFileAsync("docker", args, { maxBuffer: 64 * 1024 * 1024 });
+      return stdout + stderr;
+    }
+
+    let logs;
+    try {
+      logs = fs.readFileSync(path.join(this.jobDir(jobId), JOB_LOG_FILE), "utf8");
+    } catch (error) {
+      return null;
+    }
+    return tailLines ? logs.split("\n").slice(-tailLines - 1).join("\n") : logs;
+  }
+
+  /**
+   * Follow a job's log as it is written
+   * @param {Function} onData - Called with each chunk of log text
+   * @param {Object} options - { tailLines, sinceTime }; sinceTime (a Date) skips output from before it.
+   *   Process logs carry no timestamps, so there it skips everything already in the log.
+   * @returns {Object} { stop, done } - done resolves once the job has finished or stop() is called
+   */
+  followJobLogs(jobId, onData, { tailLines = null, sinceTime = null } = {}) {
+    const state = this.readState(jobId);
+
+    if (state?.mode === "docker") {
+      const from = sinceTime ? ["--since", sinceTime.toISOString()] : tailLines ? ["--tail", String(tailLines)] : [];
+      const child = spawn("docker", ["logs", "--follow", ...from, jobId], { stdio: ["ignore", "pipe", "pipe"] });
+      child.stdout.on("data", (chunk) => onData(chunk.toString()));
+      child.stderr.on("data", (chunk) => onData(chunk.toString()));
+
+      return {
+        stop: () => child.kill(),
+        done: new Promise((resolve, reject) => {
+          child.on("error", (error) => reject(new Error(`docker logs failed: ${error.message}`)));
+          child.on("close", resolve);
+        }),
+      };
+    }
+
+    let stopped = false;
+    let timer = null;
+    let wake = null;
+
+    const done = (async () => {
+      if (!state) throw new Error(`Job ${jobId} not found`);
+
+      const logPath = path.join(this.jobDir(jobId), JOB_LOG_FILE);
+      const decoder = new StringDecoder("utf8");
+      let offset = 0;
+
+      if (sinceTime) {
+        try {
+          offset = (await fs.promises.stat(logPath)).size;
+        } catch (error) {
+          // No output yet
+        }
+      } else if (tailLines) {
+        try {
+          const logs = await fs.promises.readFile(logPath);
+          offset = logs.length;
+          const text = decoder.write(logs);
+          if (text) onData(text.split("\n").slice(-tailLines - 1).join("\n"));
+        } catch (error) {
+          // No output yet
+        }
+      }
+
+      while (!stopped) {
+        // Checked before reading, so output written just before the job exited is not missed
+        const { status } = await this.getJobStatus(jobId);
+
+        let handle = null;
+        try {
+          handle = await fs.promises.open(logPath, "r");
+          const { size } = await handle.stat();
+          if (size > offset) {
+            const buffer = Buffer.alloc(size - offset);
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, offset);
+            offset += bytesRead;
+            const text = decoder.write(buffer.subarray(0, bytesRead));
+            if (text) onData(text);
+          }
+        } catch (error) {
+          // No output yet
+        } finally {
+          if (handle) await handle.close();
+        }
+
+        if (status !== "running") return;
+        await new Promise((resolve) => {
+          wake = resolve;
+          timer = setTimeout(resolve, LOG_POLL_INTERVAL_MS);
+        });
+      }
+    })();
+
+    return {
+      stop: () => {
+        stopped = true;
+        clearTimeout(timer);
+        if (wake) wake();
+      },
+      done,
+    };
+  }
+
+  /**
+   * Stop a job; its output directory is kept
+   */
+  async deleteJob(jobId) {
+    const state = this.readState(jobId);
+    if (!state) return false;
+
+    if (state.mode === "docker") {
+      try {
+        await execFileAsync("docker", ["rm", "-f", jobId]);
+      } catch (error) {
+        return false;
+      }
+    } else {
+      const entry = this.processes.get(jobId);
+      if (entry && entry.exitCode === null) entry.child.kill("SIGTERM");
+    }
+
+    this.processes.delete(jobId);
+    return true;
+  }
+}
+
+module.exports = {
+  LocalJobRunner,
+};
@@ -0,0 +1,579 @@
+/**
+ * Kubernetes Job Backend
+ *
+ * Creates and inspects evaluation Jobs through the Kubernetes REST API instead
+ * of shelling out to kubectl and create-job.sh.
+ *
+ * Features:
+ * - Jobs rendered from the k8s/job-*.yml templates ({JOB_ID}, {REPO_URL}, ... placeholders)
+ * - A problem's docker parameters: `resources` become the container's requests and
+ *   limits, every other (scalar) parameter an environment variable
+ * - Submission jobs pinned to their problem's baseline job (BASELINE_JOB_ID and its dump)
+ * - Structured status: Job conditions, pod phases, container exit codes and OOMKilled reasons
+ * - Watch support for following a Job until it finishes
+ *
+ * Connection settings come from the environment, falling back to the in-cluster
+ * service account:
+ * - KUBERNETES_API_URL (or https://$KUBERNETES_SERVICE_HOST:$KUBERNETES_SERVICE_PORT)
+ * - KUBERNETES_TOKEN / KUBERNETES_TOKEN_PATH
+ * - KUBERNETES_CA_PATH, KUBERNETES_INSECURE_SKIP_TLS_VERIFY
+ * - GKE_NAMESPACE (default eval-system)
+ * - BASELINE_BUCKET (default db-baseline), where baseline jobs upload their database dump
+ *
+ * Pointing KUBERNETES_API_URL at `kubectl proxy` or a local fake API server
+ * needs no token.
+ */
+
+const axios = require("axios");
+const fs = require("fs");
+const https = require("https");
+const path = require("path");
+const crypto = require("crypto");
+const YAML = require("yaml");
+
+const SERVICE_ACCOUNT_DIR = "/var/run/secrets/kubernetes.io/serviceaccount";
+const JOB_TYPES = ["baseline", "submission"];
+// Baseline jobs upload their outputs, db_dump.sql included, to <bucket>/<job id>/ (scripts/dump-db.sh)
+const BASELINE_DUMP_URL = "https://storage.googleapis.com/{BUCKET}/{JOB_ID}/db_dump.sql";
+const DEFAULT_BASELINE_BUCKET = "db-baseline";
+const RESOURCE_FIELDS = ["requests", "limits"];
+
+const BASELINE_DEFAULTS = {
+  users_count: 50000,
+  devices_count: 50000,
+  events_count: 1000000,
+};
+
+class KubernetesApiError extends Error {
+  constructor(message, status = null, reason = null, details = null) {
+    super(message);
+    this.name = "KubernetesApiError";
+    this.status = status;
+    this.reason = reason;
+    this.details = details;
+  }
+}
+
+function readFileIfExists(filePath) {
+  try {
+    return filePath ? fs.readFileSync(filePath, "utf8").trim() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Replace {PLACEHOLDER} tokens in every string of a parsed manifest
+ */
+function fillPlaceholders(value, params) {
+  if (typeof value === "string") {
+    return value.replace(/\{([A-Z_]+)\}/g, (match, key) => (params[key] !== undefined ? String(params[key]) : match));
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => fillPlaceholders(item, params));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillPlaceholders(item, params)]));
+  }
+  return value;
+}
+
+/**
+ * Set (or add) an environment variable on a container spec
+ */
+function setContainerEnv(container, name, value) {
+  container.env = container.env || [];
+  const existing = container.env.find((entry) => entry.name === name);
+  if (existing) {
+    delete existing.valueFrom;
+    existing.value = String(value);
+  } else {
+    container.env.push({ name, value: String(value) });
+  }
+}
+
+/**
+ * Check a problem's docker parameters: `resources` ({ requests, limits }) sets the
+ * container's resources, every other parameter must be a scalar environment variable
+ * @param {Object} dockerParams - The parameters
+ * @param {string} field - Name used in the message
+ * @returns {string|null} What is wrong with them, or null if they are valid
+ */
+function validateDockerParams(dockerParams, field = "dockerParams") {
+  if (dockerParams === undefined || dockerParams === null) return null;
+  if (typeof dockerParams !== "object" || Array.isArray(dockerParams)) return `${field} must be an object`;
+
+  for (const [name, value] of Object.entries(dockerParams)) {
+    if (name === "resources") {
+      if (!value || typeof value !== "object" || Array.isArray(value)) return `${field}.resources must be an object`;
+      const unknown = Object.keys(value).find((key) => !RESOURCE_FIELDS.includes(key));
+      if (unknown) return `Unknown resource field ${field}.resources.${unknown}. Available: ${RESOURCE_FIELDS.join(", ")}`;
+    } else if (value !== null && typeof value === "object") {
+      return `${field}.${name} must be a string, number or boolean; only resources can be an object`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Render the Job manifest for a job type from its template
+ * @param {string} templatesDir - Directory holding job-<type>.yml
+ * @param {string} type - "baseline" or "submission"
+ * @param {Object} params - repoUrl, repoCommit, users_count, devices_count, events_count, problemId,
+ *   dockerImage, dockerParams, baselineJobId, baselineBucket, namespace, env (object, or function of the Job name)
+ * @returns {Object} The Job manifest
+ * @throws {Error} If the type or docker parameters are invalid, or a submission has no repository
+ */
+function renderJobTemplate(templatesDir, type, params = {}) {
+  if (!JOB_TYPES.includes(type)) {
+    throw new Error(`Invalid job type: ${type}. Must be 'baseline' or 'submission'`);
+  }
+  if (type === "submission" && !params.repoUrl) {
+    throw new Error("Repository URL is required for submission jobs");
+  }
+  const dockerParamsError = validateDockerParams(params.dockerParams);
+  if (dockerParamsError) {
+    throw new Error(dockerParamsError);
+  }
+
+  const templatePath = path.join(templatesDir, `job-${type}.yml`);
+  const template = YAML.parse(fs.readFileSync(templatePath, "utf8"));
+  const suffix = params.jobSuffix || `${new Date().toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15)}-${crypto.randomBytes(3).toString("hex")}`;
+
+  const manifest = fillPlaceholders(template, {
+    JOB_ID: suffix,
+    REPO_URL: params.repoUrl || "",
+    USERS_COUNT: params.users_count || BASELINE_DEFAULTS.users_count,
+    DEVICES_COUNT: params.devices_count || BASELINE_DEFAULTS.devices_count,
+    EVENTS_COUNT: params.events_count || BASELINE_DEFAULTS.events_count,
+  });
+
+  if (params.namespace) {
+    manifest.metadata.namespace = params.namespace;
+  }
+  manifest.metadata.labels = { ...manifest.metadata.labels, "app.kubernetes.io/managed-by": "eval-demo-server", "eval/job-type": type };
+  if (params.problemId) {
+    manifest.metadata.labels["eval/problem-id"] = String(params.problemId).replace(/[^A-Za-z0-9._-]/g, "-").slice(0, 63);
+  }
+
+  const container = manifest.spec.template.spec.containers[0];
+  if (params.dockerImage) {
+    container.image = params.dockerImage;
+  }
+
+  // Evaluate against the problem's baseline job rather than the dump the template names
+  if (type === "submission" && params.baselineJobId) {
+    setContainerEnv(container, "BASELINE_JOB_ID", params.baselineJobId);
+    setContainerEnv(container, "BASELINE_DUMP_URL", fillPlaceholders(BASELINE_DUMP_URL, { BUCKET: params.baselineBucket || DEFAULT_BASELINE_BUCKET, JOB_ID: params.baselineJobId }));
+  }
+
+  // Docker parameters come last, so a problem can still set BASELINE_DUMP_URL itself
+  for (const [name, value] of Object.entries(params.dockerParams || {})) {
+    if (name === "resources") {
+      container.resources = { ...container.resources, ...structuredClone(value) };
+    } else if (value !== null) {
+      setContainerEnv(container, name, value);
+    }
+  }
+
+  // Pin the commit to evaluate (retries re-run the commit evaluated before)
+  if (params.repoCommit) {
+    setContainerEnv(container, "REPO_COMMIT", params.repoCommit);
+  }
+
+  // Extra variables may depend on the generated Job name (e.g. per-job callback tokens)
+  const extraEnv = typeof params.env === "function" ? params.env(manifest.metadata.name) : params.env;
+  for (const [name, value] of Object.entries(extraEnv || {})) {
+    setContainerEnv(container, name, value);
+  }
+
+  // Results are uploaded under the container's JOB_ID, so it must match the Job name
+  setContainerEnv(container, "JOB_ID", manifest.metadata.name);
+
+  return manifest;
+}
+
+/**
+ * Summarize a container status into { state, exitCode, reason, oomKilled }
+ */
+function describeContainerStatus(containerStatus) {
+  const state = containerStatus.state || {};
+  // A restarted container reports its previous failure under lastState
+  const terminated = state.terminated || containerStatus.lastState?.terminated || null;
+  const waiting = state.waiting || null;
+
+  return {
+    name: containerStatus.name,
+    state: state.running ? "running" : state.terminated ? "terminated" : waiting ? "waiting" : "unknown",
+    ready: Boolean(containerStatus.ready),
+    restartCount: containerStatus.restartCount || 0,
+    exitCode: terminated ? terminated.exitCode : null,
+    reason: terminated?.reason || waiting?.reason || null,
+    message: terminated?.message || waiting?.message || null,
+    oomKilled: terminated?.reason === "OOMKilled",
+  };
+}
+
+function describePod(pod) {
+  const scheduled = (pod.status?.conditions || []).find((condition) => condition.type === "PodScheduled");
+  // Set when the pod is being removed by preemption, eviction or node shutdown
+  const disruption = (pod.status?.conditions || []).find((condition) => condition.type === "DisruptionTarget" && condition.status === "True");
+
+  return {
+    name: pod.metadata?.name,
+    phase: pod.status?.phase || "Unknown",
+    node: pod.spec?.nodeName || null,
+    reason: pod.status?.reason || null,
+    disruption: disruption ? disruption.reason || "DisruptionTarget" : null,
+    unschedulable: scheduled?.status === "False" ? scheduled.message || scheduled.reason || true : false,
+    startTime: pod.status?.startTime || null,
+    containers: [...(pod.status?.initContainerStatuses || []), ...(pod.status?.containerStatuses || [])].map(describeContainerStatus),
+  };
+}
+
+class KubernetesJobBackend {
+  constructor(config = {}) {
+    const inClusterUrl = process.env.KUBERNETES_SERVICE_HOST ? `https://${process.env.KUBERNETES_SERVICE_HOST}:${process.env.KUBERNETES_SERVICE_PORT || 443}` : null;
+
+    this.config = {
+      apiUrl: config.apiUrl || process.env.KUBERNETES_API_URL || inClusterUrl || "http://127.0.0.1:8001",
+      token: config.token || process.env.KUBERNETES_TOKEN || readFileIfExists(process.env.KUBERNETES_TOKEN_PATH || path.join(SERVICE_ACCOUNT_DIR, "token")),
+      caPath: config.caPath || process.env.KUBERNETES_CA_PATH || path.join(SERVICE_ACCOUNT_DIR, "ca.crt"),
+      insecureSkipTlsVerify: config.insecureSkipTlsVerify ?? process.env.KUBERNETES_INSECURE_SKIP_TLS_VERIFY === "true",
+      namespace: config.namespace || process.env.GKE_NAMESPACE || "eval-system",
+      baselineBucket: config.baselineBucket || process.env.BASELINE_BUCKET || DEFAULT_BASELINE_BUCKET,
+      templatesDir: config.templatesDir || path.join(__dirname, "..", "k8s"),
+      requestTimeout: config.requestTimeout || 15000,
+      debug: config.debug || false,
+    };
+
+    const ca = readFileIfExists(this.config.caPath);
+    this.httpsAgent = new https.Agent({
+      ca: ca || undefined,
+      rejectUnauthorized: !this.config.insecureSkipTlsVerify,
+    });
+  }
+
+  /**
+   * Send a request to the API server
+   * @returns {Object} The parsed response body
+   * @throws {KubernetesApiError} On a non-2xx response or connection failure
+   */
+  async request(method, apiPath, { data, params, responseType, timeout } = {}) {
+    let response;
+    try {
+      response = await axios({
+        method,
+        url: `${this.config.apiUrl.replace(/\/$/, "")}${apiPath}`,
+        data,
+        params,
+        responseType,
+        timeout: timeout ?? this.config.requestTimeout,
+        httpsAgent: this.httpsAgent,
+        headers: {
+          Accept: "application/json",
+          ...(this.config.token ? { Authorization: `Bearer ${this.config.token}` } : {}),
+        },
+        validateStatus: () => true,
+      });
+    } catch (error) {
+      throw new KubernetesApiError(`Kubernetes API unreachable at ${this.config.apiUrl}: ${error.message}`, null, "Unreachable");
+    }
+
+    if (response.status >= 200 && response.status < 300) {
+      return response.data;
+    }
+
+    // Errors come back as a Status object ({ kind: "Status", reason, message, details })
+    const body = response.data && typeof response.data === "object" ? response.data : {};
+    throw new KubernetesApiError(body.message || `Kubernetes API returned ${response.status}`, response.status, body.reason || null, body.details || null);
+  }
+
+  jobsPath(name = null) {
+    return `/apis/batch/v1/namespaces/${encodeURIComponent(this.config.namespace)}/jobs${name ? `/${encodeURIComponent(name)}` : ""}`;
+  }
+
+  /**
+   * Render the Job manifest for a job type in this backend's namespace
+   */
+  renderJobTemplate(type, params = {}) {
+    return renderJobTemplate(this.config.templatesDir, type, { baselineBucket: this.config.baselineBucket, ...params, namespace: this.config.namespace });
+  }
+
+  /**
+   * Create an evaluation Job
+   * @returns {Object} { job_id, type, namespace, created_at }
+   */
+  async createJob(type, params = {}) {
+    const manifest = this.renderJobTemplate(type, params);
+    const created = await this.request("post", this.jobsPath(), { data: manifest });
+
+    return {
+      job_id: created.metadata.name,
+      type,
+      namespace: created.metadata.namespace || this.config.namespace,
+      created_at: created.metadata.creationTimestamp || new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Get a Job object, or null if it does not exist
+   */
+  async getJob(name) {
+    try {
+      return await this.request("get", this.jobsPath(name));
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * List the pods a Job created, oldest first
+   */
+  async listJobPods(name) {
+    const pods = await this.request("get", `/api/v1/namespaces/${encodeURIComponent(this.config.namespace)}/pods`, {
+      params: { labelSelector: `job-name=${name}` },
+    });
+
+    return (pods.items || []).sort((a, b) => String(a.metadata?.creationTimestamp).localeCompare(String(b.metadata?.creationTimestamp)));
+  }
+
+  /**
+   * Get the structured status of a Job
+   * @param {string} name - Job name
+   * @param {Object} job - Job object, if already fetched (e.g. from a watch event)
+   * @returns {Object} { name, namespace, status, conditions, active, succeeded, failed,
+   *   startTime, completionTime, pods, exitCode, oomKilled, failureReason }
+   */
+  async getJobStatus(name, job = null) {
+    job = job || (await this.getJob(name));
+    if (!job) {
+      return { name, namespace: this.config.namespace, status: "not-found", conditions: [], pods: [] };
+    }
+
+    const conditions = (job.status?.conditions || []).map((condition) => ({
+      type: condition.type,
+      status: condition.status,
+      reason: condition.reason || null,
+      message: condition.message || null,
+      lastTransitionTime: condition.lastTransitionTime || null,
+    }));
+    const pods = (await this.listJobPods(name)).map(describePod);
+
+    const latestPod = pods[pods.length - 1] || null;
+    const terminated = latestPod?.containers.find((container) => container.exitCode !== null && container.exitCode !== 0) || latestPod?.containers.find((container) => container.exitCode !== null);
+    const failedCondition = conditions.find((condition) => condition.type === "Failed" && condition.status === "True");
+    const oomKilled = pods.some((pod) => pod.containers.some((container) => container.oomKilled));
+
+    let status;
+    if (conditions.some((condition) => condition.type === "Complete" && condition.status === "True")) status = "completed";
+    else if (failedCondition) status = "failed";
+    else if (latestPod?.phase === "Pending") status = latestPod.unschedulable ? "pending-resources" : "pending";
+    else if (latestPod?.phase === "Running" || (job.status?.active || 0) > 0) status = "running";
+    else status = "queued";
+
+    return {
+      name,
+      namespace: job.metadata?.namespace || this.config.namespace,
+      status,
+      conditions,
+      active: job.status?.active || 0,
+      succeeded: job.status?.succeeded || 0,
+      failed: job.status?.failed || 0,
+      startTime: job.status?.startTime || null,
+      completionTime: job.status?.completionTime || null,
+      pods,
+      exitCode: terminated ? terminated.exitCode : null,
+      oomKilled,
+      failureReason: failedCondition ? (oomKilled ? "OOMKilled" : failedCondition.reason) : null,
+    };
+  }
+
+  /**
+   * Open a streaming GET request (watches, followed logs)
+   * @returns {Object|null} The axios response with a stream body, or null if aborted before it opened
+   */
+  async openStream(apiPath, params, signal) {
+    let response;
+    try {
+      response = await axios({
+        method: "get",
+        url: `${this.config.apiUrl.replace(/\/$/, "")}${apiPath}`,
+        params,
+        responseType: "stream",
+        httpsAgent: this.httpsAgent,
+        signal,
+        headers: this.config.token ? { Authorization: `Bearer ${this.config.token}` } : {},
+        validateStatus: () => true,
+      });
+    } catch (error) {
+      if (signal.aborted) return null;
+      throw new KubernetesApiError(`Kubernetes API unreachable at ${this.config.apiUrl}: ${error.message}`, null, "Unreachable");
+    }
+
+    if (response.status >= 200 && response.status < 300) {
+      return response;
+    }
+
+    // Errors are a Status object, same as for regular requests
+    let text = "";
+    for await (const chunk of response.data) text += chunk.toString();
+    let body = {};
+    try {
+      body = JSON.parse(text);
+    } catch {
+      // Not a Status object
+    }
+    throw new KubernetesApiError(body.message || `Kubernetes API returned ${response.status}`, response.status, body.reason || null);
+  }
+
+  /**
+   * Watch a Job, calling onEvent({ type, job }) for every change
+   * @param {string} name - Job name
+   * @param {Function} onEvent - Called with ADDED / MODIFIED / DELETED events
+   * @param {Object} options - { timeoutSeconds }
+   * @returns {Object} { stop(), done } where done resolves when the watch ends
+   */
+  watchJob(name, onEvent, { timeoutSeconds = 300 } = {}) {
+    const controller = new AbortController();
+
+    const done = (async () => {
+      const stream = await this.openStream(this.jobsPath(), { watch: "true", fieldSelector: `metadata.name=${name}`, timeoutSeconds }, controller.signal);
+      if (!stream) return;
+
+      // The watch body is newline-delimited JSON events
+      let buffer = "";
+      await new Promise((resolve, reject) => {
+        stream.data.on("data", (chunk) => {
+          buffer += chunk.toString();
+          let newline;
+          while ((newline = buffer.indexOf("\n")) >= 0) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            if (!line) continue;
+            try {
+              const event = JSON.parse(line);
+              onEvent({ type: event.type, job: event.object });
+            } catch (error) {
+              if (this.config.debug) {
+                console.warn(`Ignoring malformed watch event for ${name}:`, error.message);
+              }
+            }
+          }
+        });
+        stream.data.on("end", resolve);
+        stream.data.on("close", resolve);
+        stream.data.on("error", (error) => (controller.signal.aborted ? resolve() : reject(error)));
+      });
+    })();
+
+    return {
+      stop: () => controller.abort(),
+      done,
+    };
+  }
+
+  /**
+   * Wait until a Job completes or fails
+   * @returns {Object} The final structured status (or the last one seen on timeout)
+   */
+  async waitForJob(name, { timeoutSeconds = 1800 } = {}) {
+    const initial = await this.getJobStatus(name);
+    if (["completed", "failed", "not-found"].includes(initial.status)) {
+      return initial;
+    }
+
+    let finished = null;
+    const watch = this.watchJob(
+      name,
+      ({ type, job }) => {
+        const conditions = job?.status?.conditions || [];
+        if (type === "DELETED" || conditions.some((c) => (c.type === "Complete" || c.type === "Failed") && c.status === "True")) {
+          finished = job;
+          watch.stop();
+        }
+      },
+      { timeoutSeconds }
+    );
+    await watch.done;
+
+    return finished ? this.getJobStatus(name, finished) : this.getJobStatus(name);
+  }
+
+  /**
+   * Get the logs of a Job's most recent pod
+   * @returns {string|null} Log text, or null if the Job has no pods yet
+   */
+  async getJobLogs(name, { tailLines = null } = {}) {
+    const pods = await this.listJobPods(name);
+    const pod = pods[pods.length - 1];
+    if (!pod) return null;
+
+    return await this.request("get", `/api/v1/namespaces/${encodeURIComponent(this.config.namespace)}/pods/${encodeURIComponent(pod.metadata.name)}/log`, {
+      params: tailLines ? { tailLines } : {},
+      responseType: "text",
+    });
+  }
+
+  /**
+   * Follow the logs of a Job's most recent pod as they are written
+   * @param {Function} onData - Called with each chunk of log text
+   * @param {Object} options - { tailLines, sinceTime }; sinceTime (a Date) skips lines logged before it
+   * @returns {Object} { stop, done } - done resolves once the container exits or stop() is called,
+   *   and rejects if the pod has no log yet (still being scheduled or pulling its image)
+   */
+  followJobLogs(name, onData, { tailLines = null, sinceTime = null } = {}) {
+    const controller = new AbortController();
+
+    const done = (async () => {
+      const pods = await this.listJobPods(name);
+      const pod = pods[pods.length - 1];
+      if (!pod) {
+        throw new KubernetesApiError(`Job ${name} has no pods yet`, null, "NoPods");
+      }
+
+      const stream = await this.openStream(
+        `/api/v1/namespaces/${encodeURIComponent(this.config.namespace)}/pods/${encodeURIComponent(pod.metadata.name)}/log`,
+        { follow: "true", ...(sinceTime ? { sinceTime: sinceTime.toISOString() } : tailLines ? { tailLines } : {}) },
+        controller.signal
+      );
+      if (!stream) return;
+
+      await new Promise((resolve, reject) => {
+        stream.data.on("data", (chunk) => onData(chunk.toString()));
+        stream.data.on("end", resolve);
+        stream.data.on("close", resolve);
+        stream.data.on("error", (error) => (controller.signal.aborted ? resolve() : reject(error)));
+      });
+    })();
+
+    return {
+      stop: () => controller.abort(),
+      done,
+    };
+  }
+
+  /**
+   * Delete a Job together with its pods
+   * @returns {boolean} false if the Job did not exist
+   */
+  async deleteJob(name) {
+    try {
+      await this.request("delete", this.jobsPath(name), { data: { propagationPolicy: "Background" } });
+      return true;
+    } catch (error) {
+      if (error.status === 404) return false;
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  KubernetesJobBackend,
+  KubernetesApiError,
+  renderJobTemplate,
+  setContainerEnv,
+  validateDockerParams,
+  createJobBackend: (config) => new KubernetesJobBackend(config),
+};
@@ -0,0 +1,156 @@
+/**
+ * data.json Migrator
+ *
+ * Earlier versions kept problems, their submissions, job statuses, job events and
+ * cached baseline metrics in one data.json next to server.js, while newer routes
+ * used the DataManager files in data/. This merges a data.json into the
+ * data backend (JSON files or SQLite) once, then renames it to data.json.migrated
+ * so it is not merged again.
+ *
+ * Where both have a record:
+ * - problems: data.json fields win (problem create/update wrote there)
+ * - baseline metrics: data.json wins (the server cached fetched baselines there)
+ * - users, submissions and jobs: the backend's record wins; data.json only fills in fields it lacks
+ * - job events: the two histories are combined
+ */
+
+const fs = require("fs").promises;
+const { getJobType } = require("./jobProgress");
+const { migrateRecords } = require("./dataMigrations");
+
+const DEFAULT_PROBLEM_ID = "db-query-optimization";
+// Problem fields that data.json kept on the problem but the DataManager keeps elsewhere
+const PROBLEM_COLLECTIONS = ["submissions", "jobStatuses", "baselineMetrics"];
+
+/**
+ * Fill in the fields a record lacks from another copy of it
+ */
+function fillMissing(record, other) {
+  const merged = { ...record };
+  Object.entries(other).forEach(([key, value]) => {
+    if (merged[key] === undefined || merged[key] === null) {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Move the pre-multi-problem layout (top-level submissions, jobStatuses and
+ * baselineMetrics) into the default problem
+ */
+function foldLegacyProblem(data) {
+  const problems = { ...(data.problems || {}) };
+  const hasLegacyData = (data.submissions || []).length > 0 || Object.keys(data.jobStatuses || {}).length > 0 || data.baselineMetrics;
+
+  if (hasLegacyData) {
+    const problem = problems[DEFAULT_PROBLEM_ID] || { id: DEFAULT_PROBLEM_ID, title: "Database Query Optimization Challenge" };
+    problems[DEFAULT_PROBLEM_ID] = {
+      ...problem,
+      submissions: [...(problem.submissions || []), ...(data.submissions || []).map((s) => ({ ...s, problemId: s.problemId || DEFAULT_PROBLEM_ID }))],
+      jobStatuses: { ...(data.jobStatuses || {}), ...(problem.jobStatuses || {}) },
+      baselineMetrics: problem.baselineMetrics || data.baselineMetrics || null,
+    };
+  }
+
+  return problems;
+}
+
+/**
+ * Merge a data.json into the DataManager's files and set the file aside
+ * @param {DataManager} dataManager - The repository to merge into
+ * @param {string} dataFile - Path of data.json
+ * @returns {Object|null} Counts of merged records, or null if there was no data.json
+ */
+async function migrateDataJson(dataManager, dataFile) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(dataFile, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw new Error(`Cannot read ${dataFile}: ${error.message}`);
+  }
+
+  console.log(`Migrating ${dataFile} into the ${dataManager.type} data backend...`);
+  const counts = { users: 0, problems: 0, baselines: 0, submissions: 0, jobs: 0 };
+  const mergedJobs = new Set();
+
+  const current = await dataManager.exportData();
+  const users = (data.users || []).map((user) => {
+    const existing = current.users.find((u) => u.id === user.id);
+    counts.users++;
+    return existing ? fillMissing(existing, user) : user;
+  });
+
+  // Only records data.json adds to or changes are stored again
+  const problems = {};
+  const baselines = {};
+  const submissions = {};
+  const jobs = {};
+
+  const mergeJob = (jobId, fields, events = []) => {
+    const job = jobs[jobId] || current.jobs[jobId] || { id: jobId, type: getJobType(jobId), events: [], createdAt: new Date().toISOString() };
+    jobs[jobId] = { ...fillMissing(job, fields), events: [...(job.events || [])], updatedAt: new Date().toISOString() };
+
+    const seen = new Set(jobs[jobId].events.map((event) => JSON.stringify(event)));
+    events.filter((event) => !seen.has(JSON.stringify(event))).forEach((event) => jobs[jobId].events.push(event));
+    jobs[jobId].events.sort((a, b) => new Date(a.receivedAt) - new Date(b.receivedAt));
+    mergedJobs.add(jobId);
+  };
+
+  for (const [problemId, problem] of Object.entries(foldLegacyProblem(data))) {
+    const definition = Object.fromEntries(Object.entries(problem).filter(([key]) => !PROBLEM_COLLECTIONS.includes(key)));
+    // The default problem made up for legacy data only fills in a problem that exists
+    const existing = current.problems[problemId] || {};
+    problems[problemId] = data.problems?.[problemId] ? { ...existing, ...definition, id: problemId } : fillMissing(existing, definition);
+    counts.problems++;
+
+    if (problem.baselineMetrics) {
+      baselines[problemId] = problem.baselineMetrics;
+      counts.baselines++;
+    }
+
+    (problem.submissions || []).forEach((submission, index) => {
+      const id = submission.id || `sub_${problemId}_${index}`;
+      const incoming = { ...submission, id, problemId: submission.problemId || problemId };
+      const existing = submissions[id] || current.submissions[id];
+      submissions[id] = existing ? fillMissing(existing, incoming) : incoming;
+      counts.submissions++;
+    });
+
+    Object.entries(problem.jobStatuses || {}).forEach(([jobId, status]) => {
+      const submission = (problem.submissions || []).find((s) => s.jobId === jobId);
+      mergeJob(jobId, { problemId, status, submissionId: submission?.id || null });
+    });
+  }
+
+  // Events of jobs no problem listed are kept too; the job monitor ignores jobs without a status
+  Object.entries(data.jobEvents || {}).forEach(([jobId, events]) => {
+    const submission = [...Object.values(submissions), ...Object.values(current.submissions)].find((s) => s.jobId === jobId);
+    mergeJob(jobId, { problemId: submission?.problemId || null, status: null, submissionId: submission?.id || null }, events);
+  });
+
+  counts.jobs = mergedJobs.size;
+
+  // data.json predates the data migrations, so its records go through all of them
+  await dataManager.importData(migrateRecords({ users, problems, baselines, submissions, jobs }, 0));
+
+  // Keep the old file, but out of the way of the next start
+  let migratedFile = `${dataFile}.migrated`;
+  try {
+    await fs.access(migratedFile);
+    migratedFile = `${dataFile}.migrated-${Date.now()}`;
+  } catch (error) {
+    // No earlier migration to keep
+  }
+  await fs.rename(dataFile, migratedFile);
+
+  console.log(
+    `✓ Migrated ${counts.problems} problems, ${counts.submissions} submissions, ${counts.jobs} jobs, ${counts.baselines} baselines and ${counts.users} users; old file kept as ${migratedFile}`
+  );
+  return counts;
+}
+
+module.exports = {
+  migrateDataJson,
+};
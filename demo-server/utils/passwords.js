@@ -0,0 +1,71 @@
+/**
+ * Password Hashes
+ *
+ * Users in data/ may have a plain `password` (the demo accounts) or a
+ * `passwordHash`. Contest exports only ever carry hashes (scrypt, with a random
+ * salt), so accounts imported from an export log in with their hash.
+ *
+ *   passwordHash: "scrypt$<salt, base64>$<hash, base64>"
+ */
+
+const crypto = require("crypto");
+const util = require("util");
+
+const KEY_LENGTH = 32;
+const scrypt = util.promisify(crypto.scrypt);
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+/**
+ * Check that a value is a hash this module made: a salt and a KEY_LENGTH-byte hash.
+ * Hashes also come in from contest imports, and an empty one would match any password.
+ */
+function isPasswordHash(value) {
+  if (typeof value !== "string" || !/^scrypt\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/.test(value)) {
+    return false;
+  }
+  const [, salt, hash] = value.split("$");
+  return Buffer.from(salt, "base64").length > 0 && Buffer.from(hash, "base64").length === KEY_LENGTH;
+}
+
+/**
+ * Check a password against a user's hash, or its plain password if it has no hash.
+ * Runs on every authenticated request, so the hash is computed off the event loop.
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(user, password) {
+  if (!user || typeof password !== "string") {
+    return false;
+  }
+
+  if (user.passwordHash) {
+    if (!isPasswordHash(user.passwordHash)) {
+      return false;
+    }
+    const [, salt, hash] = user.passwordHash.split("$");
+    const expected = Buffer.from(hash, "base64");
+    const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  return user.password === password;
+}
+
+/**
+ * A user as it may leave the server: the plain password replaced by its hash
+ */
+function withHashedPassword(user) {
+  const { password, ...rest } = user;
+  return { ...rest, passwordHash: user.passwordHash || (password !== undefined ? hashPassword(password) : null) };
+}
+
+module.exports = {
+  hashPassword,
+  isPasswordHash,
+  verifyPassword,
+  withHashedPassword,
+};
@@ -1 +1,251 @@
-// This file is used to generate scores from metrics by comparing them with baseline metrics
+/**
+ * Scoring Module
+ *
+ * This module generates auto scores from submission metrics by comparing them
+ * with the baseline metrics. The per-problem scorer (see `scorers/`) turns the
+ * results into components with a 0-1 score each; the default `sql-latency`
+ * scorer follows the evaluation rules in PROBLEM.md.
+ *
+ * The final score is the weighted sum of the components on a 0-100 scale,
+ * divided by the sum of all their weights. A component without a measurement
+ * scores 0 against its full weight, and results the scorer reports a failure
+ * for (e.g. a failed migration) score 0 overall.
+ */
+
+const { clamp, median } = require("./scorers/math");
+const { getScorer, getScorerConfig } = require("./scorers");
+const sqlLatency = require("./scorers/sqlLatency");
+
+const DEFAULT_WEIGHTS = sqlLatency.defaultWeights;
+
+/**
+ * Resolve the scoring rules (weights and thresholds) for a problem
+ * @param {Object|null} problem - The problem definition
+ * @returns {Object} Scoring rules
+ */
+function getScoringRules(problem = null) {
+  const scorer = getScorer(problem);
+  const aliases = scorer.weightAliases || {};
+  const weights = { ...scorer.defaultWeights };
+
+  if (problem?.scoringWeights) {
+    for (const [key, value] of Object.entries(problem.scoringWeights)) {
+      const component = aliases[key] || key;
+      if (component in weights && typeof value === "number") {
+        weights[component] = value;
+      }
+    }
+  }
+
+  return {
+    scorer: scorer.type,
+    weights,
+    ...scorer.resolveRules(problem),
+  };
+}
+
+/**
+ * Get the version of a problem's scoring rules. It is bumped whenever the
+ * scorer, weights or constraints change; problems that predate versioning are on 1.
+ */
+function getScoringRulesVersion(problem = null) {
+  return problem?.scoringRulesVersion || 1;
+}
+
+/**
+ * Build a rule-set snapshot from a problem's current scorer, weights and constraints
+ * @param {Object} problem - The problem definition
+ * @param {number} version - Rule-set version
+ * @param {string|null} createdBy - User who introduced the rules
+ * @returns {Object} Rule set
+ */
+function createScoringRuleSet(problem, version, createdBy = null) {
+  return {
+    version,
+    scorer: getScorerConfig(problem),
+    scoringWeights: problem.scoringWeights ? { ...problem.scoringWeights } : null,
+    constraints: problem.constraints ? { ...problem.constraints } : {},
+    createdAt: new Date().toISOString(),
+    createdBy,
+  };
+}
+
+/**
+ * Get the history of a problem's scoring rule sets, oldest first.
+ * Problems without a recorded history get a single entry for their current rules.
+ */
+function getScoringRuleSets(problem) {
+  if (problem.scoringRuleSets?.length > 0) {
+    return problem.scoringRuleSets;
+  }
+
+  return [
+    {
+      ...createScoringRuleSet(problem, getScoringRulesVersion(problem), problem.updatedBy || problem.createdBy || null),
+      createdAt: problem.updatedAt || problem.createdAt || null,
+    },
+  ];
+}
+
+/**
+ * Get the problem definition as it was under a given rule-set version
+ * @param {Object} problem - The problem definition
+ * @param {number} version - Rule-set version
+ * @returns {Object|null} Problem with that version's weights and constraints, or null if unknown
+ */
+function getProblemAtRulesVersion(problem, version) {
+  const ruleSet = getScoringRuleSets(problem).find((set) => set.version === version);
+  if (!ruleSet) return null;
+
+  return {
+    ...problem,
+    scorer: ruleSet.scorer || problem.scorer,
+    scoringWeights: ruleSet.scoringWeights,
+    constraints: ruleSet.constraints,
+    scoringRulesVersion: ruleSet.version,
+  };
+}
+
+/**
+ * Get the ID of the baseline job that produced a set of baseline metrics
+ */
+function getBaselineJobId(problem, baselineMetrics) {
+  return baselineMetrics?.jobId || problem?.baselineJobId || null;
+}
+
+/**
+ * Record which rules and baseline produced a submission's current autoScore.
+ * The entry is appended to `scoreHistory` so earlier scores stay auditable.
+ * @param {Object} submission - Submission whose autoScore was just computed
+ * @param {Object|null} problem - The problem definition used for scoring
+ * @param {Object} baselineMetrics - Baseline metrics used for scoring
+ * @param {string} reason - Why the score was computed ("evaluation", "rescore")
+ * @returns {Object} The audit entry
+ */
+function recordScoreAudit(submission, problem, baselineMetrics, reason) {
+  const entry = {
+    autoScore: submission.autoScore,
+    scoringRulesVersion: getScoringRulesVersion(problem),
+    baselineJobId: getBaselineJobId(problem, baselineMetrics),
+    reason,
+    scoredAt: new Date().toISOString(),
+  };
+
+  submission.scoringRulesVersion = entry.scoringRulesVersion;
+  submission.baselineJobId = entry.baselineJobId;
+  submission.scoreHistory = [...(submission.scoreHistory || []), entry];
+
+  return entry;
+}
+
+/**
+ * Score a submission against the baseline with the problem's scorer.
+ * Each component records its score (0-1), the raw measurement, the baseline
+ * value it was compared against and the formula inputs, so the result doubles
+ * as the explanation shown to teams.
+ * @param {Object} submissionMetrics - Processed submission metrics
+ * @param {Object|null} baselineMetrics - Processed baseline metrics
+ * @param {Object|null} problem - The problem definition (scorer, weights and constraints)
+ * @returns {Object} Total score with per-component details, and the `failure` that made it 0 if any
+ */
+function scoreSubmission(submissionMetrics, baselineMetrics, problem = null) {
+  const rules = getScoringRules(problem);
+  const scorer = getScorer(problem);
+  const components = scorer.score(submissionMetrics, baselineMetrics, rules);
+  const failure = scorer.failureReason?.(submissionMetrics, rules) || null;
+
+  let weightedSum = 0;
+  let totalWeight = 0;
+  for (const [name, component] of Object.entries(components)) {
+    component.weight = rules.weights[name] ?? 0;
+    component.measured = component.score !== null && component.score !== undefined;
+    if (!component.measured) component.score = 0;
+    weightedSum += component.score * component.weight;
+    totalWeight += component.weight;
+  }
+
+  // Points each component contributes to the 0-100 total; a failure leaves the
+  // component scores as measured, so the breakdown still shows them, but counts none
+  for (const component of Object.values(components)) {
+    component.points = totalWeight > 0 && !failure ? Math.round(((component.score * component.weight) / totalWeight) * 10000) / 100 : 0;
+  }
+
+  return {
+    total: totalWeight > 0 && !failure ? Math.round((weightedSum / totalWeight) * 100) : 0,
+    failure,
+    components,
+    rules,
+  };
+}
+
+/**
+ * Check whether a problem's submissions can be scored with the given baseline
+ */
+function canScore(problem, baselineMetrics) {
+  return Boolean(baselineMetrics) || !getScorer(problem).requiresBaseline;
+}
+
+/**
+ * Check whether fetched results are complete enough for the problem's scorer
+ */
+function hasScorableResults(results, problem = null) {
+  return Boolean(results) && getScorer(problem).hasResults(results);
+}
+
+/**
+ * Let the problem's scorer enrich fetched results before they are stored
+ * (e.g. the SQL scorer compares result fingerprints with the baseline)
+ * @param {Object} results - Processed submission results
+ * @param {Object|null} baselineMetrics - Processed baseline metrics
+ * @param {Object|null} problem - The problem definition
+ * @returns {Object} The metrics to store on the submission
+ */
+function prepareMetrics(results, baselineMetrics, problem = null) {
+  const scorer = getScorer(problem);
+  return scorer.prepareMetrics ? scorer.prepareMetrics(results, baselineMetrics, getScoringRules(problem)) : results;
+}
+
+/**
+ * Prepare a copy of a submission's stored metrics again against a baseline, so
+ * scoring it gives what a fresh evaluation against that baseline would: the
+ * correctness checks compare result fingerprints with this baseline rather than
+ * the one (if any) the submission was evaluated with
+ * @param {Object|null} storedMetrics - The metrics stored on the submission (left as they are)
+ * @param {Object|null} baselineMetrics - The baseline to score against
+ * @param {Object|null} problem - The problem definition
+ * @returns {Object|null} Metrics to score
+ */
+function reprepareMetrics(storedMetrics, baselineMetrics, problem = null) {
+  return storedMetrics ? prepareMetrics(structuredClone(storedMetrics), baselineMetrics, problem) : storedMetrics;
+}
+
+/**
+ * Calculate the auto score (0-100) of a submission
+ * @param {Object} submissionMetrics - Processed submission metrics
+ * @param {Object|null} baselineMetrics - Processed baseline metrics
+ * @param {Object|null} problem - The problem definition (scorer, weights and constraints)
+ * @returns {number} The auto score
+ */
+function calculateScore(submissionMetrics, baselineMetrics, problem = null) {
+  if (!submissionMetrics || !canScore(problem, baselineMetrics)) return 0;
+  return scoreSubmission(submissionMetrics, baselineMetrics, problem).total;
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  clamp,
+  median,
+  getScoringRules,
+  getScoringRulesVersion,
+  createScoringRuleSet,
+  getScoringRuleSets,
+  getProblemAtRulesVersion,
+  getBaselineJobId,
+  recordScoreAudit,
+  scoreSubmission,
+  canScore,
+  hasScorableResults,
+  prepareMetrics,
+  reprepareMetrics,
+  calculateScore,
+};
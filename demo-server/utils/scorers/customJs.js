@@ -0,0 +1,71 @@
+/**
+ * Custom JS Scorer
+ *
+ * Loads a problem-specific scorer module from the custom scorers directory
+ * (`CUSTOM_SCORERS_DIR`, default `demo-server/scorers`). The problem selects it with:
+ *
+ *   "scorer": { "type": "custom-js", "options": { "module": "my-challenge.js" } }
+ *
+ * The module must export `score(metrics, baselineMetrics, rules)` returning
+ * components keyed by name ({ score: 0-1 or null, formula, inputs }). It may
+ * also export `defaultWeights`, `requiresBaseline`, `resolveRules(problem)`,
+ * `hasResults(results)`, `prepareMetrics(results, baselineMetrics, rules)` and
+ * `failureReason(results, rules)`.
+ */
+
+const path = require("path");
+
+const CUSTOM_SCORERS_DIR = path.resolve(process.env.CUSTOM_SCORERS_DIR || path.join(__dirname, "..", "..", "scorers"));
+
+const DEFAULT_WEIGHTS = {
+  score: 100,
+};
+
+/**
+ * Resolve a scorer module path, refusing anything outside the custom scorers directory
+ */
+function resolveModulePath(modulePath) {
+  if (!modulePath || typeof modulePath !== "string") {
+    throw new Error("custom-js scorer requires options.module");
+  }
+
+  const resolved = path.resolve(CUSTOM_SCORERS_DIR, modulePath);
+  if (!resolved.startsWith(CUSTOM_SCORERS_DIR + path.sep)) {
+    throw new Error(`custom-js scorer module must be inside ${CUSTOM_SCORERS_DIR}`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Load the scorer module configured for a problem
+ * @param {Object} options - Scorer options from the problem (`module` is required)
+ * @returns {Object} Scorer implementing the same interface as the built-in scorers
+ */
+function load(options = {}) {
+  const custom = require(resolveModulePath(options.module));
+
+  if (typeof custom.score !== "function") {
+    throw new Error(`custom-js scorer ${options.module} does not export a score() function`);
+  }
+
+  return {
+    type: "custom-js",
+    description: custom.description || `Custom scorer ${options.module}`,
+    requiresBaseline: custom.requiresBaseline ?? false,
+    defaultWeights: custom.defaultWeights || DEFAULT_WEIGHTS,
+    weightAliases: custom.weightAliases || {},
+    resolveRules: (problem) => ({ options, ...(custom.resolveRules ? custom.resolveRules(problem) : {}) }),
+    hasResults: custom.hasResults || ((results) => Boolean(results) && results.status !== "processing"),
+    prepareMetrics: custom.prepareMetrics,
+    failureReason: custom.failureReason,
+    score: custom.score,
+  };
+}
+
+module.exports = {
+  type: "custom-js",
+  description: "Problem-specific scorer module loaded from the custom scorers directory",
+  CUSTOM_SCORERS_DIR,
+  load,
+};
@@ -0,0 +1,76 @@
+/**
+ * Scorer Registry
+ *
+ * A problem declares how its results are scored with a `scorer` field, either a
+ * type name or `{ type, options }`. Problems without one use `sql-latency`.
+ *
+ * A scorer exposes:
+ * - `type`, `description`
+ * - `requiresBaseline` - whether scores can only be computed against a baseline
+ * - `defaultWeights` - component weights used when the problem does not set them
+ * - `weightAliases` (optional) - legacy weight names mapped to component names
+ * - `resolveRules(problem)` - scorer-specific thresholds read from the problem
+ * - `hasResults(results)` - whether fetched results are complete enough to score
+ * - `prepareMetrics(results, baselineMetrics, rules)` (optional) - enrich results before they are stored
+ * - `score(metrics, baselineMetrics, rules)` - components keyed by name, each with
+ *   a 0-1 `score` (null when not measured), `formula` and `inputs`
+ * - `failureReason(metrics, rules)` (optional) - why the results score 0 overall, or null
+ *
+ * Scorers that need per-problem setup export `load(options)` instead and return
+ * the scorer from it.
+ */
+
+const sqlLatency = require("./sqlLatency");
+const passFailTests = require("./passFailTests");
+const customJs = require("./customJs");
+
+const DEFAULT_SCORER_TYPE = sqlLatency.type;
+
+const SCORERS = {
+  [sqlLatency.type]: sqlLatency,
+  [passFailTests.type]: passFailTests,
+  [customJs.type]: customJs,
+};
+
+/**
+ * Get the scorer type and options declared by a problem
+ * @param {Object|null} problem - The problem definition
+ * @returns {Object} { type, options }
+ */
+function getScorerConfig(problem = null) {
+  const scorer = problem?.scorer;
+  if (!scorer) return { type: DEFAULT_SCORER_TYPE, options: {} };
+  if (typeof scorer === "string") return { type: scorer, options: {} };
+  return { type: scorer.type || DEFAULT_SCORER_TYPE, options: scorer.options || {} };
+}
+
+/**
+ * Get the scorer for a problem
+ * @param {Object|null} problem - The problem definition
+ * @returns {Object} The scorer
+ * @throws {Error} If the scorer type is unknown or cannot be loaded
+ */
+function getScorer(problem = null) {
+  const { type, options } = getScorerConfig(problem);
+  const scorer = SCORERS[type];
+
+  if (!scorer) {
+    throw new Error(`Unknown scorer type "${type}". Available: ${Object.keys(SCORERS).join(", ")}`);
+  }
+
+  return typeof scorer.load === "function" ? scorer.load(options) : scorer;
+}
+
+/**
+ * List the available scorer types
+ */
+function listScorers() {
+  return Object.values(SCORERS).map((scorer) => ({ type: scorer.type, description: scorer.description }));
+}
+
+module.exports = {
+  DEFAULT_SCORER_TYPE,
+  getScorerConfig,
+  getScorer,
+  listScorers,
+};
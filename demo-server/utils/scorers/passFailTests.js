@@ -0,0 +1,101 @@
+/**
+ * Pass/Fail Tests Scorer
+ *
+ * Scores challenges whose evaluator runs a test suite and writes a summary like:
+ *
+ *   { "tests": [{ "name": "parses empty input", "status": "passed", "weight": 2, "duration_ms": 12 }] }
+ *
+ * `tests` may also be an object keyed by test name. The score is the weighted
+ * share of passing tests. When a baseline (reference solution) run is
+ * available, tests it does not pass are treated as broken and left out.
+ */
+
+const PASSING_STATUSES = ["passed", "pass", "success", "ok"];
+
+const DEFAULT_WEIGHTS = {
+  tests: 100,
+};
+
+/**
+ * Normalize the `tests` field into { name: test } form
+ */
+function getTests(results) {
+  const tests = results?.tests;
+  if (Array.isArray(tests)) {
+    return Object.fromEntries(tests.map((test, index) => [test.name || `test-${index + 1}`, test]));
+  }
+  return tests && typeof tests === "object" ? tests : {};
+}
+
+function isPassing(test) {
+  return PASSING_STATUSES.includes(String(test?.status).toLowerCase());
+}
+
+function resolveRules() {
+  return {};
+}
+
+/**
+ * Check whether a results file contains test results that can be scored
+ */
+function hasResults(results) {
+  return Object.keys(getTests(results)).length > 0;
+}
+
+/**
+ * Score the weighted share of passing tests
+ * @param {Object} submissionMetrics - Submission test results
+ * @param {Object|null} baselineMetrics - Reference solution test results, if any
+ * @returns {Object} Components keyed by name
+ */
+function score(submissionMetrics, baselineMetrics) {
+  const submissionTests = getTests(submissionMetrics);
+  const baselineTests = getTests(baselineMetrics);
+  const hasBaseline = Object.keys(baselineTests).length > 0;
+
+  // The reference run defines the test set; without one every reported test counts
+  const testNames = hasBaseline ? Object.keys(baselineTests).filter((name) => isPassing(baselineTests[name])) : Object.keys(submissionTests);
+
+  const tests = {};
+  let passedWeight = 0;
+  let totalWeight = 0;
+
+  for (const name of testNames) {
+    const test = submissionTests[name];
+    const weight = Number((hasBaseline ? baselineTests[name] : test)?.weight) || 1;
+    const passed = isPassing(test);
+
+    tests[name] = {
+      score: passed ? 1 : 0,
+      status: test?.status || "missing",
+      weight,
+      message: test?.message || null,
+    };
+
+    totalWeight += weight;
+    if (passed) passedWeight += weight;
+  }
+
+  return {
+    tests: {
+      score: totalWeight > 0 ? passedWeight / totalWeight : null,
+      formula: "sum(weight of passing tests) / sum(weight of all tests)",
+      inputs: {
+        testCount: testNames.length,
+        passedCount: Object.values(tests).filter((test) => test.score === 1).length,
+        excludedByBaseline: hasBaseline ? Object.keys(baselineTests).length - testNames.length : 0,
+      },
+      tests,
+    },
+  };
+}
+
+module.exports = {
+  type: "pass-fail-tests",
+  description: "Weighted share of passing tests (summary.json with a `tests` list)",
+  requiresBaseline: false,
+  defaultWeights: DEFAULT_WEIGHTS,
+  resolveRules,
+  hasResults,
+  score,
+};
@@ -0,0 +1,377 @@
+/**
+ * SQL Latency Scorer
+ *
+ * Scores the summary.json produced by query-runner.sh with the evaluation
+ * rules in PROBLEM.md:
+ *
+ * - Correctness: per-query match against the baseline, averaged across queries
+ * - Latency: clamp(target_ms / time_ms, 0, 1) per query, where time_ms aggregates the
+ *   measured runs (median by default, see utils/timing.js), optionally rescaled to the
+ *   baseline's node speed; 0 if any run exceeds the hard timeout
+ * - Concurrency: clamp(measured_qps / target_qps, 0, 1)
+ * - Storage efficiency: clamp(1 - extra / (0.3 * base), 0, 1)
+ *
+ * A submission whose migration.sql failed (or hit the migration timeout) scores 0 overall.
+ */
+
+const { clamp, average } = require("./math");
+const { getTimingOptions, getHardwareAdjustment, summarizeRunTimes } = require("../timing");
+
+const DEFAULT_WEIGHTS = {
+  correctness: 50,
+  latency: 30,
+  concurrency: 10,
+  storageEfficiency: 10,
+};
+
+const DEFAULT_TARGET_MS = 4000;
+const DEFAULT_HARD_TIMEOUT_MS = 10000;
+const DEFAULT_TARGET_QPS = 10;
+const DEFAULT_STORAGE_RATIO = 0.3;
+
+// Older problems were created with these weight names
+const LEGACY_WEIGHT_ALIASES = {
+  performance: "latency",
+  efficiency: "storageEfficiency",
+};
+
+/**
+ * Parse a duration such as "4s" or "4000ms" into milliseconds
+ */
+function parseDurationMs(amount, unit) {
+  const value = parseFloat(amount);
+  return unit.toLowerCase() === "s" ? value * 1000 : value;
+}
+
+/**
+ * Read the latency target and hard timeout from a problem's constraints.
+ * Numeric `latencyTargetMs`/`hardTimeoutMs` take precedence; otherwise the
+ * human-readable `queryTimeout` string ("4s target, 10s max") is parsed.
+ */
+function getTimingConstraints(constraints = {}) {
+  let targetMs = Number(constraints.latencyTargetMs) || null;
+  let hardTimeoutMs = Number(constraints.hardTimeoutMs) || null;
+
+  if (typeof constraints.queryTimeout === "string") {
+    const targetMatch = constraints.queryTimeout.match(/([\d.]+)\s*(ms|s)\s*target/i);
+    const maxMatch = constraints.queryTimeout.match(/([\d.]+)\s*(ms|s)\s*max/i);
+
+    if (!targetMs && targetMatch) {
+      targetMs = parseDurationMs(targetMatch[1], targetMatch[2]);
+    }
+    if (!hardTimeoutMs && maxMatch) {
+      hardTimeoutMs = parseDurationMs(maxMatch[1], maxMatch[2]);
+    }
+  }
+
+  return {
+    targetMs: targetMs || DEFAULT_TARGET_MS,
+    hardTimeoutMs: hardTimeoutMs || DEFAULT_HARD_TIMEOUT_MS,
+  };
+}
+
+/**
+ * Read the auxiliary storage allowance (fraction of the base size) from a
+ * problem's constraints: numeric `auxiliaryStorageRatio`, or the percentage in
+ * the `auxiliaryStorage` string ("≤30% extra over base DB").
+ */
+function getStorageRatio(constraints = {}) {
+  const ratio = Number(constraints.auxiliaryStorageRatio);
+  if (ratio > 0) return ratio;
+
+  const match = typeof constraints.auxiliaryStorage === "string" && constraints.auxiliaryStorage.match(/([\d.]+)\s*%/);
+  return match ? parseFloat(match[1]) / 100 : DEFAULT_STORAGE_RATIO;
+}
+
+/**
+ * Check whether a problem's submission jobs run the concurrency stage, which
+ * the `CONCURRENCY_ENABLED: "false"` job parameter (read by query-runner.sh) turns off
+ */
+function isConcurrencyEnabled(problem) {
+  const enabled = problem?.submissionDockerParams?.CONCURRENCY_ENABLED;
+  return enabled === undefined || enabled === null || String(enabled) === "true";
+}
+
+/**
+ * Resolve the thresholds used by this scorer from a problem's constraints
+ */
+function resolveRules(problem = null) {
+  return {
+    ...getTimingConstraints(problem?.constraints),
+    concurrencyEnabled: isConcurrencyEnabled(problem),
+    targetQps: Number(problem?.constraints?.concurrencyTargetQps) || DEFAULT_TARGET_QPS,
+    storageEnabled: problem?.constraints?.storageScoring !== false,
+    storageRatio: getStorageRatio(problem?.constraints),
+    timing: getTimingOptions(problem?.constraints),
+  };
+}
+
+/**
+ * Check whether a results file contains query results that can be scored
+ */
+function hasResults(results) {
+  return Boolean(results && results.queries);
+}
+
+/**
+ * Summarize each query's run timings with the problem's timing options, then
+ * compare each query's result fingerprint against the baseline's fingerprint
+ * and record the outcome as the query's correctness check.
+ * Queries are compared order-sensitively when the baseline marks them as ordered.
+ * @param {Object} metrics - Processed submission metrics (updated in place)
+ * @param {Object} baselineMetrics - Processed baseline metrics
+ * @param {Object} rules - Resolved scoring rules
+ * @returns {Object} The submission metrics with timing and correctness results
+ */
+function prepareMetrics(metrics, baselineMetrics, rules) {
+  for (const query of Object.values(metrics?.queries || {})) {
+    query.timing = summarizeRunTimes(query.runs, rules.timing);
+  }
+
+  if (!metrics?.queries || !baselineMetrics?.queries) {
+    return metrics;
+  }
+
+  for (const [queryId, query] of Object.entries(metrics.queries)) {
+    const expected = baselineMetrics.queries[queryId]?.fingerprint;
+
+    if (!expected) {
+      // Baseline predates result fingerprints: keep the run-based check
+      query.correctness = { verified: false, match: query.correctness_check, reason: "Baseline has no result fingerprint" };
+      continue;
+    }
+
+    const actual = query.fingerprint;
+    const correctness = {
+      verified: true,
+      ordered: expected.ordered,
+      expected_rows: expected.rows,
+      actual_rows: actual ? actual.rows : null,
+      row_diff: actual ? actual.rows - expected.rows : null,
+      match: false,
+      reason: null,
+    };
+
+    if (query.status !== "success") {
+      correctness.reason = "Query did not run successfully";
+    } else if (!actual) {
+      correctness.reason = "Submission has no result fingerprint";
+    } else {
+      const hashKey = expected.ordered ? "ordered_hash" : "unordered_hash";
+      correctness.match = actual[hashKey] === expected[hashKey];
+
+      if (!correctness.match) {
+        if (correctness.row_diff !== 0) {
+          correctness.reason = `Row count differs by ${correctness.row_diff}`;
+        } else if (expected.ordered && actual.unordered_hash === expected.unordered_hash) {
+          correctness.reason = "Rows match but ordering differs";
+        } else {
+          correctness.reason = "Result values differ";
+        }
+      }
+    }
+
+    query.correctness = correctness;
+    query.correctness_check = correctness.match;
+  }
+
+  if (metrics.overall) {
+    metrics.overall.matching_queries = Object.values(metrics.queries).filter((q) => q.correctness_check).length;
+  }
+
+  return metrics;
+}
+
+/**
+ * Why a submission scores 0 overall whatever its components measured, or null:
+ * PROBLEM.md gives a failed migration.sql 0 points
+ */
+function failureReason(submissionMetrics) {
+  return submissionMetrics?.migration?.status === "failed" ? "migration.sql failed or exceeded the migration timeout" : null;
+}
+
+/**
+ * Score a single query's correctness (0-1)
+ */
+function scoreQueryCorrectness(submissionQuery) {
+  if (!submissionQuery || submissionQuery.status !== "success") return 0;
+  return submissionQuery.correctness_check ? 1 : 0;
+}
+
+/**
+ * Score a single query's latency (0-1) from the aggregate of its measured runs.
+ * The hard timeout applies to the raw times, the target to the times rescaled by `scale`.
+ */
+function scoreQueryLatency(submissionQuery, rules, scale = 1) {
+  if (!submissionQuery || submissionQuery.status !== "success") {
+    return { score: 0, timing: null, timeMs: null, timedOut: false };
+  }
+
+  const timing = summarizeRunTimes(submissionQuery.runs, rules.timing);
+  const timedOut = timing.timed_out || (timing.max_ms !== null && timing.max_ms > rules.hardTimeoutMs);
+  const timeMs = timing.aggregate_ms === null ? null : Math.round(timing.aggregate_ms * scale * 1000) / 1000;
+
+  if (timedOut || timeMs === null) {
+    return { score: 0, timing, timeMs, timedOut };
+  }
+
+  const score = timeMs > 0 ? clamp(rules.targetMs / timeMs, 0, 1) : 1;
+  return { score, timing, timeMs, timedOut };
+}
+
+/**
+ * Score the concurrency stage (0-1) from the measured throughput.
+ * A stage that was skipped, failed or reported no throughput scores 0.
+ */
+function scoreConcurrency(submissionMetrics, rules, scale = 1) {
+  const concurrency = submissionMetrics.concurrency;
+  if (!concurrency || concurrency.status !== "completed" || typeof concurrency.qps !== "number") {
+    return 0;
+  }
+
+  // Throughput of a query that returns wrong results does not count
+  const query = submissionMetrics.queries?.[concurrency.query];
+  if (query && query.correctness_check === false) {
+    return 0;
+  }
+
+  return clamp(concurrency.qps / scale / rules.targetQps, 0, 1);
+}
+
+/**
+ * Score storage efficiency (0-1) from the extra space created by the migration.
+ * Storage that was not measured (sizes unavailable, migration failed) scores 0.
+ */
+function scoreStorage(submissionMetrics, rules) {
+  const storage = submissionMetrics.storage;
+  if (!storage || storage.status !== "measured" || !(storage.base_bytes > 0)) {
+    return 0;
+  }
+
+  return clamp(1 - storage.extra_bytes / (rules.storageRatio * storage.base_bytes), 0, 1);
+}
+
+/**
+ * Get the query IDs that are scored: every query the baseline ran successfully
+ */
+function getScoredQueryIds(baselineMetrics) {
+  return Object.entries(baselineMetrics.queries || {})
+    .filter(([, query]) => query.status === "success")
+    .map(([queryId]) => queryId);
+}
+
+/**
+ * Score each component of a submission against the baseline.
+ * Each component records its score (0-1), the raw measurement, the baseline
+ * value it was compared against and the formula inputs.
+ * @param {Object} submissionMetrics - Processed submission metrics
+ * @param {Object} baselineMetrics - Processed baseline metrics
+ * @param {Object} rules - Resolved scoring rules
+ * @returns {Object} Components keyed by name
+ */
+function score(submissionMetrics, baselineMetrics, rules) {
+  const correctnessQueries = {};
+  const latencyQueries = {};
+  const hardware = getHardwareAdjustment(submissionMetrics, baselineMetrics, rules.timing);
+
+  for (const queryId of getScoredQueryIds(baselineMetrics)) {
+    const submissionQuery = submissionMetrics.queries?.[queryId];
+    const baselineQuery = baselineMetrics.queries[queryId];
+    const check = submissionQuery?.correctness || {};
+    const latency = scoreQueryLatency(submissionQuery, rules, hardware.scale);
+
+    correctnessQueries[queryId] = {
+      score: scoreQueryCorrectness(submissionQuery),
+      status: submissionQuery?.status || "missing",
+      verified: check.verified ?? false,
+      ordered: check.ordered ?? null,
+      expectedRows: check.expected_rows ?? baselineQuery.fingerprint?.rows ?? null,
+      actualRows: check.actual_rows ?? submissionQuery?.fingerprint?.rows ?? null,
+      rowDiff: check.row_diff ?? null,
+      reason: check.reason ?? null,
+    };
+
+    latencyQueries[queryId] = {
+      score: latency.score,
+      status: submissionQuery?.status || "missing",
+      timeMs: latency.timeMs,
+      rawTimeMs: latency.timing?.aggregate_ms ?? null,
+      baselineTimeMs: summarizeRunTimes(baselineQuery.runs, rules.timing).aggregate_ms,
+      p50Ms: latency.timing?.p50_ms ?? null,
+      p90Ms: latency.timing?.p90_ms ?? null,
+      stddevMs: latency.timing?.stddev_ms ?? null,
+      cv: latency.timing?.cv ?? null,
+      highVariance: latency.timing?.high_variance ?? false,
+      timedOut: latency.timedOut,
+    };
+  }
+
+  const concurrency = submissionMetrics.concurrency || null;
+  const storage = submissionMetrics.storage || null;
+
+  return {
+    correctness: {
+      score: average(Object.values(correctnessQueries).map((q) => q.score)),
+      formula: "average over queries of (result matches baseline ? 1 : 0)",
+      inputs: { queryCount: Object.keys(correctnessQueries).length },
+      queries: correctnessQueries,
+    },
+    latency: {
+      score: average(Object.values(latencyQueries).map((q) => q.score)),
+      formula: `average over queries of clamp(target_ms / ${rules.timing.aggregation}_ms, 0, 1); 0 if any run exceeds hard_timeout_ms`,
+      inputs: {
+        targetMs: rules.targetMs,
+        hardTimeoutMs: rules.hardTimeoutMs,
+        aggregation: rules.timing.aggregation,
+        warmupRuns: rules.timing.warmupRuns,
+        hardware,
+        highVarianceQueries: Object.keys(latencyQueries).filter((queryId) => latencyQueries[queryId].highVariance),
+      },
+      queries: latencyQueries,
+    },
+    // Problems that do not run the concurrency stage are scored without it
+    ...(rules.concurrencyEnabled && {
+      concurrency: {
+        score: scoreConcurrency(submissionMetrics, rules, hardware.scale),
+        formula: "clamp(measured_qps / target_qps, 0, 1); 0 if the query's results are wrong or the stage did not complete",
+        inputs: {
+          status: concurrency?.status ?? "missing",
+          query: concurrency?.query ?? null,
+          measuredQps: typeof concurrency?.qps === "number" ? Math.round((concurrency.qps / hardware.scale) * 1000) / 1000 : null,
+          rawQps: concurrency?.qps ?? null,
+          hardware,
+          targetQps: rules.targetQps,
+          baselineQps: baselineMetrics.concurrency?.qps ?? null,
+          errors: concurrency?.errors ?? null,
+        },
+      },
+    }),
+    // Problems with `constraints.storageScoring: false` are scored without it
+    ...(rules.storageEnabled && {
+      storageEfficiency: {
+        score: scoreStorage(submissionMetrics, rules),
+        formula: "clamp(1 - extra_bytes / (ratio * base_bytes), 0, 1); 0 if storage was not measured",
+        inputs: {
+          status: storage?.status ?? "missing",
+          extraBytes: storage?.extra_bytes ?? null,
+          baseBytes: storage?.base_bytes ?? null,
+          ratio: rules.storageRatio,
+          baselineExtraBytes: baselineMetrics.storage?.extra_bytes ?? null,
+        },
+      },
+    }),
+  };
+}
+
+module.exports = {
+  type: "sql-latency",
+  description: "SQL query correctness, latency, concurrency and storage efficiency (summary.json from query-runner.sh)",
+  requiresBaseline: true,
+  defaultWeights: DEFAULT_WEIGHTS,
+  weightAliases: LEGACY_WEIGHT_ALIASES,
+  resolveRules,
+  hasResults,
+  prepareMetrics,
+  failureReason,
+  score,
+};
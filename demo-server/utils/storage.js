@@ -1 +0,0 @@
-// This file is used to download metrics from GCS
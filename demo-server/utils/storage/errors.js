@@ -0,0 +1,63 @@
+/**
+ * Storage Errors
+ *
+ * Every backend reports failures as a StorageError whose `code` is one of
+ * NotFound, AccessDenied or RequestFailed, so callers can tell a missing file
+ * apart from a broken connection whatever the backend.
+ */
+
+class StorageError extends Error {
+  constructor(message, code = "RequestFailed", status = null) {
+    super(message);
+    this.name = "StorageError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function codeForStatus(status) {
+  if (status === 404) return "NotFound";
+  if (status === 401 || status === 403) return "AccessDenied";
+  return "RequestFailed";
+}
+
+/**
+ * Build a StorageError from a failed HTTP response, reading the body for the message
+ * @param {Object} response - axios response (json, arraybuffer or stream body)
+ * @param {string} location - What was being accessed, for the message
+ */
+async function storageErrorFromResponse(response, location) {
+  let body = response.data;
+
+  if (body && typeof body.pipe === "function") {
+    const chunks = [];
+    try {
+      for await (const chunk of body) chunks.push(chunk);
+    } catch (error) {
+      // Keep whatever arrived
+    }
+    body = Buffer.concat(chunks).toString("utf8");
+  } else if (Buffer.isBuffer(body) || body instanceof ArrayBuffer) {
+    body = Buffer.from(body).toString("utf8");
+  }
+
+  let detail = "";
+  if (body && typeof body === "object") {
+    detail = body.error?.message || body.message || "";
+  } else if (typeof body === "string") {
+    // S3 errors are XML (<Message>), JSON APIs return { error: { message } }
+    const xmlMessage = body.match(/<Message>([\s\S]*?)<\/Message>/);
+    try {
+      detail = xmlMessage ? xmlMessage[1] : JSON.parse(body).error?.message || "";
+    } catch (error) {
+      detail = body.trim().slice(0, 200);
+    }
+  }
+
+  return new StorageError(`${location}: HTTP ${response.status}${detail ? ` - ${detail}` : ""}`, codeForStatus(response.status), response.status);
+}
+
+module.exports = {
+  StorageError,
+  storageErrorFromResponse,
+};
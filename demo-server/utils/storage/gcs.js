@@ -0,0 +1,202 @@
+/**
+ * Google Cloud Storage Backend
+ *
+ * Reads buckets through the Cloud Storage JSON API instead of shelling out to
+ * gsutil. Access tokens come from, in order:
+ * - GCS_ACCESS_TOKEN
+ * - a service account key file (GCP_CREDENTIALS_JSON_PATH or GOOGLE_APPLICATION_CREDENTIALS),
+ *   exchanged for a token with a signed JWT
+ * - the metadata server (GKE workload identity, Compute Engine)
+ *
+ * GCS_API_URL points the backend at an emulator such as fake-gcs-server; without
+ * a key file or token, requests to a custom API URL are sent unauthenticated.
+ */
+
+const axios = require("axios");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { StorageError, storageErrorFromResponse } = require("./errors");
+
+const DEFAULT_API_URL = "https://storage.googleapis.com";
+const DEFAULT_TOKEN_URL = "https://oauth2.googleapis.com/token";
+const METADATA_TOKEN_URL = "http://metadata.google.internal/computeMetadata/v1/instance/service-accounts/default/token";
+const TOKEN_SCOPE = "https://www.googleapis.com/auth/devstorage.read_only";
+// Tokens are renewed this long before they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+function base64url(value) {
+  return Buffer.from(value).toString("base64").replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+class GcsStorage {
+  constructor(config = {}) {
+    this.type = "gcs";
+    this.config = {
+      ...config,
+      apiUrl: (config.apiUrl || process.env.GCS_API_URL || DEFAULT_API_URL).replace(/\/$/, ""),
+      accessToken: config.accessToken || process.env.GCS_ACCESS_TOKEN || null,
+      credentialsPath: config.credentialsPath || process.env.GCP_CREDENTIALS_JSON_PATH || process.env.GOOGLE_APPLICATION_CREDENTIALS || null,
+      timeout: config.timeout || parseInt(process.env.STORAGE_TIMEOUT_MS) || 30000,
+      debug: config.debug || false,
+    };
+
+    // { value, expiresAt } of the last token fetched
+    this.token = null;
+  }
+
+  url(bucket, key = "") {
+    return `gs://${bucket}/${key}`;
+  }
+
+  readServiceAccount() {
+    if (!this.config.credentialsPath) return null;
+    try {
+      return JSON.parse(fs.readFileSync(path.resolve(process.cwd(), this.config.credentialsPath), "utf8"));
+    } catch (error) {
+      if (this.config.debug) {
+        console.log(`GCP credentials file not readable at ${this.config.credentialsPath}, using default authentication`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Exchange a JWT signed with the service account's key for an access token
+   */
+  async fetchServiceAccountToken(account) {
+    const now = Math.floor(Date.now() / 1000);
+    const tokenUrl = account.token_uri || DEFAULT_TOKEN_URL;
+    const unsigned = `${base64url(JSON.stringify({ alg: "RS256", typ: "JWT" }))}.${base64url(
+      JSON.stringify({ iss: account.client_email, scope: TOKEN_SCOPE, aud: tokenUrl, iat: now, exp: now + 3600 })
+    )}`;
+    const signature = base64url(crypto.createSign("RSA-SHA256").update(unsigned).sign(account.private_key));
+
+    const { data } = await axios.post(
+      tokenUrl,
+      new URLSearchParams({ grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer", assertion: `${unsigned}.${signature}` }).toString(),
+      { headers: { "Content-Type": "application/x-www-form-urlencoded" }, timeout: this.config.timeout }
+    );
+    return data;
+  }
+
+  async fetchMetadataToken() {
+    const { data } = await axios.get(METADATA_TOKEN_URL, { headers: { "Metadata-Flavor": "Google" }, timeout: this.config.timeout });
+    return data;
+  }
+
+  /**
+   * Bearer token for the next request, or null for an unauthenticated emulator
+   */
+  async getAccessToken() {
+    if (this.config.accessToken) return this.config.accessToken;
+    if (this.token && this.token.expiresAt - TOKEN_EXPIRY_MARGIN_MS > Date.now()) return this.token.value;
+
+    const account = this.readServiceAccount();
+    if (!account && this.config.apiUrl !== DEFAULT_API_URL) return null;
+
+    let data;
+    try {
+      data = account ? await this.fetchServiceAccountToken(account) : await this.fetchMetadataToken();
+    } catch (error) {
+      const detail = error.response?.data?.error_description || error.message;
+      throw new StorageError(`Could not get a Cloud Storage access token (${account ? "service account" : "metadata server"}): ${detail}`, "AccessDenied");
+    }
+
+    this.token = { value: data.access_token, expiresAt: Date.now() + (data.expires_in || 3600) * 1000 };
+    return this.token.value;
+  }
+
+  async request(apiPath, { params = {}, responseType = "json" } = {}) {
+    const token = await this.getAccessToken();
+
+    let response;
+    try {
+      response = await axios.get(`${this.config.apiUrl}${apiPath}`, {
+        params,
+        responseType,
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        timeout: this.config.timeout,
+        maxContentLength: Infinity,
+        validateStatus: null,
+      });
+    } catch (error) {
+      throw new StorageError(`Cloud Storage request failed: ${error.message}`);
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      throw await storageErrorFromResponse(response, `Cloud Storage ${apiPath}`);
+    }
+    return response;
+  }
+
+  objectPath(bucket, key) {
+    return `/storage/v1/b/${encodeURIComponent(bucket)}/o/${encodeURIComponent(key)}`;
+  }
+
+  /**
+   * List the objects under a prefix
+   * @param {string} bucket - Bucket name
+   * @param {string} prefix - Key prefix, usually a folder ending in "/"
+   * @param {Object} options - { recursive, limit }
+   * @returns {Object} { objects: [{ key, size, updatedAt }], prefixes: ["folder/"] }
+   */
+  async list(bucket, prefix = "", { recursive = false, limit = Infinity } = {}) {
+    const objects = [];
+    const prefixes = [];
+    let pageToken;
+
+    do {
+      const { data } = await this.request(`/storage/v1/b/${encodeURIComponent(bucket)}/o`, {
+        params: {
+          prefix: prefix || undefined,
+          delimiter: recursive ? undefined : "/",
+          pageToken,
+          maxResults: Number.isFinite(limit) ? limit : undefined,
+        },
+      });
+
+      (data.items || []).forEach((item) => objects.push({ key: item.name, size: parseInt(item.size) || 0, updatedAt: item.updated || null }));
+      prefixes.push(...(data.prefixes || []));
+      pageToken = data.nextPageToken;
+    } while (pageToken && objects.length + prefixes.length < limit);
+
+    return { objects, prefixes };
+  }
+
+  /**
+   * Size and modification time of an object, or null if it does not exist
+   */
+  async stat(bucket, key) {
+    try {
+      const { data } = await this.request(this.objectPath(bucket, key));
+      return { key, size: parseInt(data.size) || 0, updatedAt: data.updated || null };
+    } catch (error) {
+      if (error.code === "NotFound") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Contents of an object
+   * @returns {Buffer}
+   * @throws {StorageError} NotFound if it does not exist
+   */
+  async read(bucket, key) {
+    const { data } = await this.request(this.objectPath(bucket, key), { params: { alt: "media" }, responseType: "arraybuffer" });
+    return Buffer.from(data);
+  }
+
+  /**
+   * Readable stream of an object
+   * @throws {StorageError} NotFound if it does not exist
+   */
+  async stream(bucket, key) {
+    const { data } = await this.request(this.objectPath(bucket, key), { params: { alt: "media" }, responseType: "stream" });
+    return data;
+  }
+}
+
+module.exports = {
+  GcsStorage,
+};
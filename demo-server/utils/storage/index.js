@@ -0,0 +1,52 @@
+/**
+ * Storage Backend Registry
+ *
+ * A storage backend reads job outputs from a bucket-style store. The server
+ * selects one with `STORAGE_BACKEND` (default `local` with the local job runner,
+ * `gcs` otherwise).
+ *
+ * A backend exposes:
+ * - `type`
+ * - `list(bucket, prefix, { recursive, limit })` - { objects: [{ key, size, updatedAt }], prefixes }
+ *   where prefixes are the "folders" directly under `prefix` (none when recursive)
+ * - `stat(bucket, key)` - { key, size, updatedAt }, or null if the object does not exist
+ * - `read(bucket, key)` - the object's contents as a Buffer
+ * - `stream(bucket, key)` - a readable stream of the object
+ * - `url(bucket, key)` - where the object lives, for logs and listings
+ *
+ * Failures are StorageErrors; `read` and `stream` fail with code NotFound for
+ * missing objects.
+ */
+
+const { GcsStorage } = require("./gcs");
+const { LocalStorage } = require("./local");
+const { S3Storage } = require("./s3");
+const { StorageError } = require("./errors");
+
+const BACKENDS = {
+  gcs: GcsStorage,
+  local: LocalStorage,
+  s3: S3Storage,
+};
+
+/**
+ * Create the storage backend selected by config or `STORAGE_BACKEND`
+ * @param {Object} config - Backend options (`type` overrides `STORAGE_BACKEND`)
+ * @returns {Object} The storage backend
+ * @throws {Error} If the backend type is unknown
+ */
+function createStorage(config = {}) {
+  const type = config.type || process.env.STORAGE_BACKEND || "gcs";
+  const Backend = BACKENDS[type];
+
+  if (!Backend) {
+    throw new Error(`Unknown storage backend "${type}". Available: ${Object.keys(BACKENDS).join(", ")}`);
+  }
+
+  return new Backend(config);
+}
+
+module.exports = {
+  StorageError,
+  createStorage,
+};
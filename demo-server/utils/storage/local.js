@@ -0,0 +1,129 @@
+/**
+ * Local Filesystem Storage Backend
+ *
+ * Serves a directory tree as buckets: bucket `name` is <root>/name/, and the
+ * empty bucket name is the root itself. The local job runner writes each job to
+ * <LOCAL_RESULTS_DIR>/<job id>/, which is the default root when it is used.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { StorageError } = require("./errors");
+
+class LocalStorage {
+  constructor(config = {}) {
+    this.type = "local";
+    this.config = {
+      ...config,
+      root: path.resolve(config.root || process.env.STORAGE_LOCAL_DIR || path.join(__dirname, "..", "..", "results")),
+    };
+  }
+
+  bucketDir(bucket) {
+    const dir = path.resolve(this.config.root, bucket || ".");
+    if (dir !== this.config.root && !dir.startsWith(this.config.root + path.sep)) {
+      throw new StorageError(`Invalid bucket: ${bucket}`, "AccessDenied");
+    }
+    return dir;
+  }
+
+  resolve(bucket, key) {
+    const dir = this.bucketDir(bucket);
+    const fullPath = path.resolve(dir, ...String(key).split("/").filter(Boolean));
+    if (fullPath !== dir && !fullPath.startsWith(dir + path.sep)) {
+      throw new StorageError(`Invalid key: ${key}`, "AccessDenied");
+    }
+    return fullPath;
+  }
+
+  url(bucket, key = "") {
+    return path.join(this.bucketDir(bucket), ...key.split("/").filter(Boolean)) + (key === "" || key.endsWith("/") ? path.sep : "");
+  }
+
+  /**
+   * List the objects under a prefix
+   * @param {string} bucket - Bucket (directory under the root)
+   * @param {string} prefix - Key prefix, usually a folder ending in "/"
+   * @param {Object} options - { recursive, limit }
+   * @returns {Object} { objects: [{ key, size, updatedAt }], prefixes: ["folder/"] }
+   */
+  async list(bucket, prefix = "", { recursive = false, limit = Infinity } = {}) {
+    const slash = prefix.lastIndexOf("/");
+    const folder = prefix.slice(0, slash + 1);
+    const namePrefix = prefix.slice(slash + 1);
+    const objects = [];
+    const prefixes = [];
+
+    const walk = async (keyPrefix, filter) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(this.resolve(bucket, keyPrefix), { withFileTypes: true });
+      } catch (error) {
+        if (error.code === "ENOENT" || error.code === "ENOTDIR") return;
+        throw new StorageError(`${this.url(bucket, keyPrefix)}: ${error.message}`);
+      }
+
+      for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        if (objects.length + prefixes.length >= limit) return;
+        if (filter && !entry.name.startsWith(filter)) continue;
+
+        const key = `${keyPrefix}${entry.name}`;
+        if (entry.isDirectory()) {
+          if (recursive) {
+            await walk(`${key}/`, null);
+          } else {
+            prefixes.push(`${key}/`);
+          }
+        } else if (entry.isFile()) {
+          const stats = await fs.promises.stat(this.resolve(bucket, key));
+          objects.push({ key, size: stats.size, updatedAt: stats.mtime.toISOString() });
+        }
+      }
+    };
+
+    await walk(folder, namePrefix);
+    return { objects, prefixes };
+  }
+
+  /**
+   * Size and modification time of an object, or null if it does not exist
+   */
+  async stat(bucket, key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(bucket, key));
+      return stats.isFile() ? { key, size: stats.size, updatedAt: stats.mtime.toISOString() } : null;
+    } catch (error) {
+      if (error.code === "ENOENT" || error.code === "ENOTDIR") return null;
+      throw new StorageError(`${this.url(bucket, key)}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Contents of an object
+   * @returns {Buffer}
+   * @throws {StorageError} NotFound if it does not exist
+   */
+  async read(bucket, key) {
+    try {
+      return await fs.promises.readFile(this.resolve(bucket, key));
+    } catch (error) {
+      const code = error.code === "ENOENT" || error.code === "EISDIR" ? "NotFound" : "RequestFailed";
+      throw new StorageError(`${this.url(bucket, key)}: ${error.message}`, code);
+    }
+  }
+
+  /**
+   * Readable stream of an object
+   * @throws {StorageError} NotFound if it does not exist
+   */
+  async stream(bucket, key) {
+    if (!(await this.stat(bucket, key))) {
+      throw new StorageError(`${this.url(bucket, key)}: not found`, "NotFound");
+    }
+    return fs.createReadStream(this.resolve(bucket, key));
+  }
+}
+
+module.exports = {
+  LocalStorage,
+};
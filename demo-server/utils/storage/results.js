@@ -0,0 +1,325 @@
+/**
+ * Job Results Store
+ *
+ * Finds job outputs (summary.json, job_metadata.json, logs) in a storage backend
+ * by bucket layout. A layout says where a job's folder is, separately for
+ * submission jobs (`results`) and baseline jobs (`baselines`):
+ *
+ *   {
+ *     results: { bucket: "eval-artifacts", prefix: "{jobId}/" },
+ *     baselines: { bucket: "db-baseline", prefix: "{jobId}/", jobPattern: "^eval-baseline-" }
+ *   }
+ *
+ * `{jobId}` and `{problemId}` are filled in in bucket names and prefixes. The
+ * server's layout comes from SUBMISSION_RESULTS_BUCKET and BASELINE_BUCKET (or the
+ * local runner's results directory); a problem's `storage` setting overrides it
+ * field by field. The newest baseline is the last job folder, by name, under the
+ * part of the baseline prefix before `{jobId}` whose name matches `jobPattern`.
+ */
+
+const fs = require("fs");
+const { pipeline } = require("stream/promises");
+const { createStorage } = require("./index");
+const { getJobType } = require("../jobProgress");
+
+const LAYOUT_KINDS = ["results", "baselines"];
+const DEFAULT_JOB_PREFIX = "{jobId}/";
+const JOB_METADATA_FILE = "job_metadata.json";
+
+/**
+ * Fill {jobId} and {problemId} into a bucket name or prefix
+ */
+function fillLayout(template, { jobId = "", problemId = "" } = {}) {
+  return String(template || "")
+    .replace(/\{jobId\}/g, jobId)
+    .replace(/\{problemId\}/g, problemId);
+}
+
+/**
+ * Check a problem's `storage` setting
+ * @returns {string|null} What is wrong with it, or null if it is valid
+ */
+function validateStorageLayout(storage) {
+  if (storage === undefined || storage === null) return null;
+  if (typeof storage !== "object" || Array.isArray(storage)) return "storage must be an object";
+
+  for (const [kind, entry] of Object.entries(storage)) {
+    if (!LAYOUT_KINDS.includes(kind)) return `Unknown storage layout "${kind}". Available: ${LAYOUT_KINDS.join(", ")}`;
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) return `storage.${kind} must be an object`;
+
+    const { bucket, prefix, jobPattern } = entry;
+    if (bucket !== undefined && (typeof bucket !== "string" || /[\s\\]/.test(bucket))) return `storage.${kind}.bucket must be a bucket name`;
+    if (prefix !== undefined && (typeof prefix !== "string" || (prefix && !prefix.endsWith("/")) || prefix.startsWith("/"))) {
+      return `storage.${kind}.prefix must be a relative folder ending in "/"`;
+    }
+    if (kind === "baselines" && String(bucket || "").includes("{jobId}")) return "storage.baselines.bucket cannot contain {jobId}; put it in the prefix";
+    if (kind === "baselines" && prefix !== undefined && !prefix.includes("{jobId}")) return "storage.baselines.prefix must contain {jobId}";
+    if (kind === "results" && prefix !== undefined && !`${bucket || ""}${prefix}`.includes("{jobId}")) return "storage.results needs {jobId} in its bucket or prefix";
+    if (jobPattern !== undefined) {
+      try {
+        new RegExp(jobPattern);
+      } catch (error) {
+        return `storage.${kind}.jobPattern is not a valid regular expression`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Layout with a problem's overrides applied
+ */
+function resolveStorageLayout(defaults, overrides = null) {
+  return Object.fromEntries(LAYOUT_KINDS.map((kind) => [kind, { ...defaults[kind], ...(overrides?.[kind] || {}) }]));
+}
+
+class ResultsStore {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage - Storage backend (see utils/storage/index.js)
+   * @param {Object} options.layout - Default layout { results, baselines }
+   * @param {Function} options.getProblem - async (problemId) => problem, whose `storage` overrides the layout
+   */
+  constructor({ storage, getProblem, ...config } = {}) {
+    this.config = {
+      ...config,
+      layout: resolveStorageLayout({ results: { bucket: "", prefix: DEFAULT_JOB_PREFIX }, baselines: { bucket: "", prefix: DEFAULT_JOB_PREFIX } }, config.layout),
+      debug: config.debug || false,
+    };
+
+    this.storage = storage || createStorage({ debug: this.config.debug });
+    this.getProblem = getProblem || (async () => null);
+  }
+
+  async getLayout(problemId = null) {
+    const problem = problemId ? await this.getProblem(problemId) : null;
+    return resolveStorageLayout(this.config.layout, problem?.storage);
+  }
+
+  /**
+   * Where a job's folder is
+   * @param {string} jobId - The job ID
+   * @param {Object} options - { problemId, type } (type defaults to the one in the job's name)
+   * @returns {Object} { bucket, prefix, location }
+   */
+  async locateJob(jobId, { problemId = null, type = null } = {}) {
+    const layout = await this.getLayout(problemId);
+    const entry = (type || getJobType(jobId)) === "baseline" ? layout.baselines : layout.results;
+    const bucket = fillLayout(entry.bucket, { jobId, problemId });
+    const prefix = fillLayout(entry.prefix, { jobId, problemId });
+
+    return { bucket, prefix, location: this.storage.url(bucket, prefix) };
+  }
+
+  /**
+   * All files in a job's folder, or none if its bucket does not exist (yet)
+   */
+  async listJobFiles(job) {
+    try {
+      return (await this.storage.list(job.bucket, job.prefix, { recursive: true })).objects;
+    } catch (error) {
+      if (error.code === "NotFound") return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Read a job's results file
+   * @param {string} jobId - The job ID
+   * @param {string} fileName - Results file name (summary.json)
+   * @param {Object} options - { problemId, type }
+   * @returns {Object|null} { summary }, { processing: true } or null
+   */
+  async readJobSummary(jobId, fileName, options = {}) {
+    const job = await this.locateJob(jobId, options);
+    const files = await this.listJobFiles(job);
+
+    if (files.length === 0) {
+      if (this.config.debug) {
+        console.log(`Job ${jobId} has no files in ${job.location}`);
+      }
+      return null;
+    }
+
+    const summaryKey = `${job.prefix}${fileName}`;
+    if (files.some((file) => file.key === summaryKey)) {
+      try {
+        const summaryJson = (await this.storage.read(job.bucket, summaryKey)).toString("utf8");
+        if (summaryJson.trim()) {
+          return { summary: JSON.parse(summaryJson) };
+        }
+      } catch (error) {
+        if (this.config.debug) {
+          console.log(`Summary file not yet readable for job ${jobId}: ${error.message}`);
+        }
+      }
+    }
+
+    // Query logs (raw/, logs/) show the job got far enough to write results
+    if (files.some((file) => file.key.endsWith(".log") && file.key.slice(job.prefix.length).includes("/"))) {
+      return { processing: true };
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the job_metadata.json a job keeps up to date. Jobs that upload their
+   * outputs at the end only have it in a bucket once they are done.
+   * @returns {Object|null} The metadata, or null if it is not available
+   */
+  async readJobMetadata(jobId, options = {}) {
+    const job = await this.locateJob(jobId, options);
+    try {
+      return JSON.parse((await this.storage.read(job.bucket, `${job.prefix}${JOB_METADATA_FILE}`)).toString("utf8"));
+    } catch (error) {
+      if (this.config.debug) {
+        console.log(`Job metadata not available for job ${jobId}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * List the files in a job's folder
+   * @returns {Object} { location, files } with files as { path, size }, paths relative to the job's folder
+   */
+  async listJobArtifacts(jobId, options = {}) {
+    const job = await this.locateJob(jobId, options);
+    const files = (await this.listJobFiles(job)).map((file) => ({ path: file.key.slice(job.prefix.length), size: file.size })).filter((file) => file.path);
+
+    return { location: job.location, files };
+  }
+
+  /**
+   * Copy one of a job's files to a local path
+   */
+  async downloadJobArtifact(jobId, artifactPath, destPath, options = {}) {
+    const job = await this.locateJob(jobId, options);
+    await pipeline(await this.storage.stream(job.bucket, `${job.prefix}${artifactPath}`), fs.createWriteStream(destPath));
+  }
+
+  /**
+   * Find the newest (or the given) baseline job's results
+   * @param {string} fileName - Results file name (summary.json)
+   * @param {Object} options - { baselineJobId, problemId }
+   * @returns {Object} { jobId, location, summary }
+   * @throws {Error} If no baseline results are found
+   */
+  async fetchLatestBaseline(fileName, { baselineJobId = null, problemId = null } = {}) {
+    const layout = (await this.getLayout(problemId)).baselines;
+    const bucket = fillLayout(layout.bucket, { problemId });
+    const root = fillLayout(layout.prefix.split("{jobId}")[0], { problemId });
+
+    let jobIds = [baselineJobId];
+    if (!baselineJobId) {
+      if (!layout.prefix.includes("{jobId}")) {
+        throw new Error("The baseline layout's prefix must contain {jobId} to find the newest baseline");
+      }
+
+      const pattern = layout.jobPattern ? new RegExp(layout.jobPattern) : null;
+      const { prefixes } = await this.storage.list(bucket, root);
+      jobIds = prefixes
+        .map((prefix) => prefix.slice(root.length).replace(/\/$/, ""))
+        .filter((jobId) => jobId && (!pattern || pattern.test(jobId)))
+        .sort()
+        .reverse();
+    }
+
+    // Job IDs start with their creation time, so the last one by name is the newest
+    for (const jobId of jobIds) {
+      const job = await this.locateJob(jobId, { problemId, type: "baseline" });
+      const key = `${job.prefix}${fileName}`;
+      try {
+        const summary = JSON.parse((await this.storage.read(job.bucket, key)).toString("utf8"));
+        return { jobId, location: this.storage.url(job.bucket, key), summary };
+      } catch (error) {
+        // A baseline still running (or that failed) has no results; try the one before it
+        if (error.code !== "NotFound" && !(error instanceof SyntaxError)) throw error;
+      }
+    }
+
+    throw new Error(`No ${fileName} found for a baseline job in ${this.storage.url(bucket, root)}`);
+  }
+
+  /**
+   * List a folder of the results or baselines bucket
+   * @param {string} kind - "results" or "baselines"
+   * @param {Object} options - { problemId, prefix }
+   * @returns {Object} { bucket, location, objects, prefixes }
+   */
+  async list(kind, { problemId = null, prefix = "" } = {}) {
+    if (!LAYOUT_KINDS.includes(kind)) {
+      throw new Error(`Unknown storage layout "${kind}". Available: ${LAYOUT_KINDS.join(", ")}`);
+    }
+
+    const entry = (await this.getLayout(problemId))[kind];
+    if (entry.bucket.includes("{jobId}")) {
+      throw new Error(`The ${kind} bucket depends on the job (${entry.bucket}); list a job's files instead`);
+    }
+
+    const bucket = fillLayout(entry.bucket, { problemId });
+    const { objects, prefixes } = await this.storage.list(bucket, prefix);
+    return { bucket, location: this.storage.url(bucket, prefix), objects, prefixes };
+  }
+
+  /**
+   * Check that the default results and baseline buckets can be read
+   * @throws {Error} If one cannot
+   */
+  async validateAccess() {
+    const checked = new Set();
+
+    for (const kind of LAYOUT_KINDS) {
+      const { bucket } = this.config.layout[kind];
+      if (checked.has(bucket) || /\{(jobId|problemId)\}/.test(bucket)) continue;
+      checked.add(bucket);
+
+      try {
+        await this.storage.list(bucket, "", { limit: 1 });
+      } catch (error) {
+        throw new Error(`Cannot read the ${kind} bucket ${this.storage.url(bucket)}: ${error.message}`);
+      }
+    }
+    return true;
+  }
+
+  describe() {
+    const { results, baselines } = this.config.layout;
+    return `${this.storage.type} (results: ${this.storage.url(results.bucket, results.prefix)}, baselines: ${this.storage.url(baselines.bucket, baselines.prefix)})`;
+  }
+}
+
+/**
+ * Create the results store for a job runner: jobs of the local runner are read
+ * from its results directory, others from SUBMISSION_RESULTS_BUCKET and BASELINE_BUCKET
+ * in the `STORAGE_BACKEND` (default gcs)
+ * @param {Object} config - { runnerType, localDir, resultsBucket, baselineBucket, credentialsPath, getProblem, debug }
+ */
+function createResultsStore({ runnerType, localDir, resultsBucket, baselineBucket, getProblem, ...config } = {}) {
+  const type = config.type || process.env.STORAGE_BACKEND || (runnerType === "local" ? "local" : "gcs");
+  const storage = createStorage({ ...config, type, root: process.env.STORAGE_LOCAL_DIR || localDir });
+
+  // The local runner writes every job to its own folder of one directory
+  const layout =
+    type === "local" && runnerType === "local"
+      ? {
+          results: { bucket: "", prefix: DEFAULT_JOB_PREFIX },
+          baselines: { bucket: "", prefix: DEFAULT_JOB_PREFIX, jobPattern: "^eval-baseline-" },
+        }
+      : {
+          results: { bucket: resultsBucket || process.env.SUBMISSION_RESULTS_BUCKET || process.env.BASELINE_BUCKET || "eval-artifacts-hackathon-demo-473203", prefix: DEFAULT_JOB_PREFIX },
+          baselines: { bucket: baselineBucket || process.env.BASELINE_BUCKET || "db-baseline", prefix: DEFAULT_JOB_PREFIX },
+        };
+
+  return new ResultsStore({ storage, getProblem, layout, debug: config.debug });
+}
+
+module.exports = {
+  ResultsStore,
+  LAYOUT_KINDS,
+  fillLayout,
+  validateStorageLayout,
+  resolveStorageLayout,
+  createResultsStore,
+};
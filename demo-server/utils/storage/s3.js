@@ -0,0 +1,236 @@
+/**
+ * S3-Compatible Storage Backend
+ *
+ * Reads buckets from Amazon S3 or any S3-compatible server (MinIO, Ceph RGW,
+ * Cloud Storage interoperability mode) with AWS Signature Version 4 requests.
+ *
+ * Settings:
+ * - S3_ENDPOINT: e.g. http://127.0.0.1:9000 for MinIO (default https://s3.<region>.amazonaws.com)
+ * - S3_REGION (or AWS_REGION, default us-east-1)
+ * - S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY / S3_SESSION_TOKEN (or the AWS_* equivalents)
+ * - S3_FORCE_PATH_STYLE: `true` for http://endpoint/bucket/key addressing (the default with a custom
+ *   endpoint), `false` for http://bucket.endpoint/key
+ */
+
+const axios = require("axios");
+const crypto = require("crypto");
+const { StorageError, storageErrorFromResponse } = require("./errors");
+
+const EMPTY_PAYLOAD_SHA256 = crypto.createHash("sha256").update("").digest("hex");
+
+function sha256Hex(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function hmac(key, value) {
+  return crypto.createHmac("sha256", key).update(value).digest();
+}
+
+/**
+ * URI-encode as SigV4 expects: everything but unreserved characters
+ */
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodeKey(key) {
+  return key.split("/").map(uriEncode).join("/");
+}
+
+/**
+ * Sign a request with AWS Signature Version 4 (unsigned empty payload)
+ * @param {Object} request - { method, host, path (URI-encoded), query (object), headers }
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, sessionToken }
+ * @param {string} region - Signing region
+ * @param {Date} now - Request time
+ * @returns {Object} { headers, queryString }: the headers to send, including Authorization, and the encoded query
+ */
+function signRequest({ method, host, path, query = {}, headers = {} }, credentials, region, now = new Date()) {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const date = amzDate.slice(0, 8);
+
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, " ")])),
+    host,
+    "x-amz-content-sha256": EMPTY_PAYLOAD_SHA256,
+    "x-amz-date": amzDate,
+  };
+  if (credentials.sessionToken) {
+    signed["x-amz-security-token"] = credentials.sessionToken;
+  }
+
+  const headerNames = Object.keys(signed).sort();
+  const canonicalQuery = Object.entries(query)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => [uriEncode(name), uriEncode(String(value))])
+    .sort(([a, x], [b, y]) => (a < b ? -1 : a > b ? 1 : x < y ? -1 : x > y ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join("&");
+
+  const canonicalRequest = [method, path, canonicalQuery, headerNames.map((name) => `${name}:${signed[name]}\n`).join(""), headerNames.join(";"), EMPTY_PAYLOAD_SHA256].join("\n");
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${credentials.secretAccessKey}`, date), region), "s3"), "aws4_request");
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+  return {
+    headers: { ...signed, authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${headerNames.join(";")}, Signature=${signature}` },
+    queryString: canonicalQuery,
+  };
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&amp;/g, "&");
+}
+
+function xmlValue(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+function xmlBlocks(xml, tag) {
+  return xml.match(new RegExp(`<${tag}>[\\s\\S]*?</${tag}>`, "g")) || [];
+}
+
+class S3Storage {
+  constructor(config = {}) {
+    this.type = "s3";
+    const region = config.region || process.env.S3_REGION || process.env.AWS_REGION || "us-east-1";
+    const endpoint = config.endpoint || process.env.S3_ENDPOINT || null;
+    const forcePathStyle = config.forcePathStyle ?? (process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === "true" : Boolean(endpoint));
+
+    this.config = {
+      ...config,
+      region,
+      endpoint: (endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/$/, ""),
+      forcePathStyle,
+      accessKeyId: config.accessKeyId || process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID || null,
+      secretAccessKey: config.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY || null,
+      sessionToken: config.sessionToken || process.env.S3_SESSION_TOKEN || process.env.AWS_SESSION_TOKEN || null,
+      timeout: config.timeout || parseInt(process.env.STORAGE_TIMEOUT_MS) || 30000,
+      debug: config.debug || false,
+    };
+  }
+
+  url(bucket, key = "") {
+    return `s3://${bucket}/${key}`;
+  }
+
+  async request(method, bucket, key = "", { query = {}, responseType = "text" } = {}) {
+    if (!this.config.accessKeyId || !this.config.secretAccessKey) {
+      throw new StorageError("S3 credentials are not configured (S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY)", "AccessDenied");
+    }
+
+    const endpoint = new URL(this.config.endpoint);
+    const host = this.config.forcePathStyle ? endpoint.host : `${bucket}.${endpoint.host}`;
+    const basePath = `${endpoint.pathname.replace(/\/$/, "")}${this.config.forcePathStyle ? `/${uriEncode(bucket)}` : ""}`;
+    const path = `${basePath}${key ? `/${encodeKey(key)}` : ""}` || "/";
+
+    const signed = signRequest({ method, host, path, query }, this.config, this.config.region);
+    // The HTTP client sets Host itself
+    const { host: signedHost, ...headers } = signed.headers;
+
+    let response;
+    try {
+      response = await axios.request({
+        method,
+        url: `${endpoint.protocol}//${host}${path}${signed.queryString ? `?${signed.queryString}` : ""}`,
+        headers,
+        responseType,
+        timeout: this.config.timeout,
+        maxContentLength: Infinity,
+        validateStatus: null,
+      });
+    } catch (error) {
+      throw new StorageError(`S3 request failed: ${error.message}`);
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      throw await storageErrorFromResponse(response, `S3 ${method} ${this.url(bucket, key)}`);
+    }
+    return response;
+  }
+
+  /**
+   * List the objects under a prefix (ListObjectsV2)
+   * @param {string} bucket - Bucket name
+   * @param {string} prefix - Key prefix, usually a folder ending in "/"
+   * @param {Object} options - { recursive, limit }
+   * @returns {Object} { objects: [{ key, size, updatedAt }], prefixes: ["folder/"] }
+   */
+  async list(bucket, prefix = "", { recursive = false, limit = Infinity } = {}) {
+    const objects = [];
+    const prefixes = [];
+    let continuationToken;
+
+    do {
+      const { data } = await this.request("GET", bucket, "", {
+        query: {
+          "list-type": 2,
+          prefix,
+          delimiter: recursive ? undefined : "/",
+          "continuation-token": continuationToken,
+          "max-keys": Number.isFinite(limit) ? limit : undefined,
+        },
+      });
+
+      xmlBlocks(data, "Contents").forEach((block) => {
+        objects.push({ key: xmlValue(block, "Key"), size: parseInt(xmlValue(block, "Size")) || 0, updatedAt: xmlValue(block, "LastModified") });
+      });
+      xmlBlocks(data, "CommonPrefixes").forEach((block) => prefixes.push(xmlValue(block, "Prefix")));
+
+      continuationToken = xmlValue(data, "IsTruncated") === "true" ? xmlValue(data, "NextContinuationToken") : null;
+    } while (continuationToken && objects.length + prefixes.length < limit);
+
+    return { objects, prefixes };
+  }
+
+  /**
+   * Size and modification time of an object, or null if it does not exist
+   */
+  async stat(bucket, key) {
+    try {
+      const { headers } = await this.request("HEAD", bucket, key);
+      return {
+        key,
+        size: parseInt(headers["content-length"]) || 0,
+        updatedAt: headers["last-modified"] ? new Date(headers["last-modified"]).toISOString() : null,
+      };
+    } catch (error) {
+      if (error.code === "NotFound") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Contents of an object
+   * @returns {Buffer}
+   * @throws {StorageError} NotFound if it does not exist
+   */
+  async read(bucket, key) {
+    const { data } = await this.request("GET", bucket, key, { responseType: "arraybuffer" });
+    return Buffer.from(data);
+  }
+
+  /**
+   * Readable stream of an object
+   * @throws {StorageError} NotFound if it does not exist
+   */
+  async stream(bucket, key) {
+    const { data } = await this.request("GET", bucket, key, { responseType: "stream" });
+    return data;
+  }
+}
+
+module.exports = {
+  S3Storage,
+  signRequest,
+};
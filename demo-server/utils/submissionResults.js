@@ -1,38 +1,56 @@
 /**
  * Submission Results Module
  *
- * This module handles fetching submission evaluation results from GCS buckets,
- * monitoring job statuses, and processing submission metrics.
+ * This module handles fetching submission evaluation results from the results
+ * store (see utils/storage/results.js), monitoring job statuses through the job
+ * runner, and processing submission metrics.
  *
  * Features:
- * - Async polling of GCS buckets for submission results
+ * - Async polling of the results store for submission results
  * - Job status monitoring with automatic status updates
  * - Result processing and scoring integration
  * - Error handling and retry logic
  * - Configurable monitoring intervals
  */
 
-const { exec } = require("child_process");
-const { promisify } = require("util");
-const fs = require("fs").promises;
-const path = require("path");
+const { recordScoreAudit, hasScorableResults, prepareMetrics, canScore } = require("./score");
+const { DEFAULT_TIMING_OPTIONS, getTimingOptions, summarizeRunTimes } = require("./timing");
+const { createJobRunner } = require("./jobRunners");
+const { createResultsStore } = require("./storage/results");
+const { classifyJobFailure, findStartupFailure } = require("./jobFailures");
+const { buildJobEvent } = require("./jobCallbacks");
+const DataManager = require("./dataManager");
 
-const execAsync = promisify(exec);
+// Job statuses the monitor keeps checking
+const MONITORED_JOB_STATUSES = ["running", "queued", "processing", "pending", "pending-resources"];
+// Submission statuses the monitor no longer changes
+const FINAL_SUBMISSION_STATUSES = ["evaluated", "failed", "cancelled"];
 
 class SubmissionResultsMonitor {
-  constructor(config = {}) {
+  constructor({ jobRunner, resultsStore, dataManager, ...config } = {}) {
     this.config = {
-      submissionResultsBucket: config.submissionResultsBucket || process.env.SUBMISSION_RESULTS_BUCKET || process.env.BASELINE_BUCKET || "eval-artifacts-hackathon-demo-473203",
+      ...config,
       summaryFile: config.summaryFile || process.env.SUBMISSION_SUMMARY_FILE || "summary.json",
-      credentialsPath: config.credentialsPath || process.env.GCP_CREDENTIALS_JSON_PATH,
       monitorInterval: config.monitorInterval || parseInt(process.env.JOB_MONITOR_INTERVAL_MS) || 30000,
       maxRetries: config.maxRetries || 5,
       debug: config.debug || false,
-      ...config,
+      // Called with { problemId, jobId, failure } for every job the monitor gives up on
+      onJobFailure: config.onJobFailure || null,
+      // Running jobs that have not called back for this long have their job_metadata.json read from storage
+      metadataStaleAfter: config.metadataStaleAfter || parseInt(process.env.JOB_METADATA_STALE_MS) || 60000,
+      // Called with { problemId, jobId, event } for progress read from job_metadata.json
+      onJobProgress: config.onJobProgress || null,
+      // Called with { problemId, jobId } for every job whose results were scored
+      onJobCompleted: config.onJobCompleted || null,
     };
 
+    this.jobRunner = jobRunner || createJobRunner({ debug: this.config.debug });
+    this.resultsStore = resultsStore || createResultsStore({ runnerType: this.jobRunner.type, localDir: this.jobRunner.config?.resultsDir, debug: this.config.debug });
+    this.dataManager = dataManager || new DataManager();
     this.isMonitoring = false;
     this.monitoringInterval = null;
+    // Check counts of jobs that have no submission (baseline jobs)
+    this.jobErrorCounts = new Map();
   }
 
   /**
@@ -41,127 +59,57 @@ class SubmissionResultsMonitor {
   async initialize() {
     if (this.config.debug) {
       console.log("=== Submission Results Monitor Configuration ===");
-      console.log(`  Bucket: ${this.config.submissionResultsBucket}`);
+      console.log(`  Job Runner: ${this.jobRunner.type}`);
+      console.log(`  Storage: ${this.resultsStore.describe()}`);
       console.log(`  Summary File: ${this.config.summaryFile}`);
       console.log(`  Monitor Interval: ${this.config.monitorInterval}ms`);
       console.log(`  Max Retries: ${this.config.maxRetries}`);
-      console.log(`  Credentials Path: ${this.config.credentialsPath || "default"}`);
       console.log("==============================================");
     }
 
-    // Validate GCS access
+    // Validate access to where job results are stored
     try {
-      await this.validateGCSAccess();
-      console.log("✓ GCS access validated");
+      await this.resultsStore.validateAccess();
+      console.log(`✓ Results storage access validated (${this.resultsStore.describe()})`);
     } catch (error) {
-      console.warn("⚠ GCS access validation failed:", error.message);
-    }
-  }
-
-  /**
-   * Validate GCS access by testing bucket connectivity
-   */
-  async validateGCSAccess() {
-    const env = this.getGCPEnvironment();
-    const { stdout } = await execAsync(`gsutil ls gs://${this.config.submissionResultsBucket}/ | head -1`, { env });
-    return stdout.trim().length > 0;
-  }
-
-  /**
-   * Get GCP environment variables for command execution
-   */
-  getGCPEnvironment() {
-    const env = { ...process.env };
-
-    if (this.config.credentialsPath) {
-      const fullCredentialsPath = path.resolve(process.cwd(), this.config.credentialsPath);
-      try {
-        require("fs").accessSync(fullCredentialsPath);
-        env.GOOGLE_APPLICATION_CREDENTIALS = fullCredentialsPath;
-      } catch (error) {
-        if (this.config.debug) {
-          console.log(`GCP credentials file not found at ${fullCredentialsPath}, using default authentication`);
-        }
-      }
+      console.warn("⚠ Results storage access validation failed:", error.message);
     }
-
-    return env;
   }
 
   /**
-   * Fetch submission results from GCS for a specific job
+   * Fetch submission results for a specific job from the results store
    * @param {string} jobId - The job ID to fetch results for
-   * @param {string} problemId - The problem ID (for logging/organization)
+   * @param {string} problemId - The problem ID (selects the problem's bucket layout and timing options)
    * @returns {Object|null} The submission results or null if not available
    */
   async fetchSubmissionResults(jobId, problemId = null) {
     try {
-      const env = this.getGCPEnvironment();
-      const bucketName = this.config.submissionResultsBucket;
-      const summaryFile = this.config.summaryFile;
-
       if (this.config.debug) {
-        console.log(`Checking for submission results: gs://${bucketName}/${jobId}/${summaryFile}`);
+        console.log(`Checking for submission results of job ${jobId} (${this.resultsStore.storage.type} storage)`);
       }
 
-      // First, check if the job directory exists and list its contents
-      let jobDirectoryExists = false;
-      try {
-        const { stdout: listOutput } = await execAsync(`gsutil ls gs://${bucketName}/${jobId}/ 2>/dev/null`, { env });
-        jobDirectoryExists = listOutput.trim().length > 0;
-
-        if (this.config.debug && jobDirectoryExists) {
-          console.log(`Job ${jobId} directory contents:\n${listOutput}`);
-        }
-      } catch (error) {
-        if (this.config.debug) {
-          console.log(`Job ${jobId} directory not found or empty`);
-        }
-        return null;
-      }
-
-      if (!jobDirectoryExists) {
+      const results = await this.resultsStore.readJobSummary(jobId, this.config.summaryFile, { problemId });
+      if (!results) {
         return null;
       }
 
-      // Try to download the summary.json file
-      const summaryUrl = `gs://${bucketName}/${jobId}/${summaryFile}`;
-      try {
-        const { stdout: summaryJson } = await execAsync(`gsutil cat "${summaryUrl}" 2>/dev/null`, { env });
-
-        if (summaryJson.trim()) {
-          const rawResults = JSON.parse(summaryJson);
-
-          // Process the results to ensure compatibility with scoring
-          const processedResults = this.processSubmissionMetrics(rawResults);
-
-          if (this.config.debug) {
-            console.log(`✓ Successfully fetched submission results for job ${jobId}`);
-            console.log(`  Results include ${Object.keys(processedResults.queries || {}).length} queries`);
-          }
-
-          return processedResults;
-        }
-      } catch (error) {
+      if (results.processing) {
         if (this.config.debug) {
-          console.log(`Summary file not yet available for job ${jobId}: ${error.message}`);
+          console.log(`Job ${jobId} has log files but summary.json not ready yet`);
         }
+        return { status: "processing", message: "Job completed, results being processed" };
       }
 
-      // If summary.json not available, check for other result files to determine job status
-      try {
-        const { stdout: rawFiles } = await execAsync(`gsutil ls gs://${bucketName}/${jobId}/**/*.log 2>/dev/null | head -5`, { env });
-        if (rawFiles.trim()) {
-          if (this.config.debug) {
-            console.log(`Job ${jobId} has log files but summary.json not ready yet`);
-          }
-          return { status: "processing", message: "Job completed, results being processed" };
-        }
-      } catch (error) {
-        // No log files yet, job might still be running
+      // Process the results to ensure compatibility with scoring, timed the way the problem aggregates runs
+      const problem = problemId ? await this.dataManager.getProblem(problemId) : null;
+      const processedResults = this.processSubmissionMetrics(results.summary, getTimingOptions(problem?.constraints));
+
+      if (this.config.debug) {
+        console.log(`✓ Successfully fetched submission results for job ${jobId}`);
+        console.log(`  Results include ${Object.keys(processedResults.queries || {}).length} queries`);
       }
 
-      return null;
+      return processedResults;
     } catch (error) {
       console.error(`Error fetching submission results for job ${jobId}:`, error.message);
       return null;
@@ -171,21 +119,23 @@ class SubmissionResultsMonitor {
   /**
    * Process submission metrics to add computed fields and ensure compatibility
    * @param {Object} rawMetrics - Raw metrics from GCS
+   * @param {Object} timingOptions - Run aggregation options (warm-up runs are left out of the averages)
    * @returns {Object} Processed metrics with additional computed fields
    */
-  processSubmissionMetrics(rawMetrics) {
+  processSubmissionMetrics(rawMetrics, timingOptions = DEFAULT_TIMING_OPTIONS) {
     const processedMetrics = { ...rawMetrics };
 
-    // Add average times to each query for compatibility with the scoring function
+    // Add timing statistics to each query for compatibility with the scoring function
     if (processedMetrics.queries) {
       Object.keys(processedMetrics.queries).forEach((queryId) => {
         const query = processedMetrics.queries[queryId];
 
         if (query.status === "success" && query.runs && query.runs.length > 0) {
+          query.timing = summarizeRunTimes(query.runs, timingOptions);
           const validTimes = query.runs.filter((run) => run.status === "success" && typeof run.time === "number").map((run) => run.time);
 
           if (validTimes.length > 0) {
-            query.avg_time = validTimes.reduce((sum, time) => sum + time, 0) / validTimes.length;
+            query.avg_time = query.timing.mean_ms;
             query.min_time = Math.min(...validTimes);
             query.max_time = Math.max(...validTimes);
             query.success_rate = validTimes.length / query.runs.length;
@@ -225,92 +175,142 @@ class SubmissionResultsMonitor {
    */
   async getKubernetesJobStatus(jobId) {
     try {
-      const env = this.getGCPEnvironment();
-      const namespace = process.env.GKE_NAMESPACE || "default";
+      const { status } = await this.jobRunner.getJobStatus(jobId);
+      return status;
+    } catch (error) {
+      if (this.config.debug) {
+        console.warn(`Failed to get Kubernetes job status for ${jobId}:`, error.message);
+      }
+      return "unknown";
+    }
+  }
 
-      // First check if job exists and get basic status
-      const jobExistsCommand = `kubectl get job ${jobId} -n ${namespace} -o json 2>/dev/null`;
-      let jobData;
-      try {
-        const { stdout } = await execAsync(jobExistsCommand, { env });
-        jobData = JSON.parse(stdout);
-      } catch (error) {
-        // Job not found in this namespace, try other common namespaces
-        const namespaces = ["default", "eval-system"];
-        for (const ns of namespaces) {
-          try {
-            const command = `kubectl get job ${jobId} -n ${ns} -o json 2>/dev/null`;
-            const { stdout } = await execAsync(command, { env });
-            jobData = JSON.parse(stdout);
-            if (this.config.debug) {
-              console.log(`Found job ${jobId} in namespace ${ns}`);
-            }
-            break;
-          } catch (e) {
-            continue;
-          }
-        }
-        if (!jobData) {
-          return "not-found";
-        }
+  /**
+   * Get the structured status of a job, or { status: "unknown" } if it cannot be read
+   * @param {string} jobId - The job ID to check
+   * @returns {Object} Job status (see the job runner's getJobStatus)
+   */
+  async getJobStatusDetails(jobId) {
+    try {
+      return await this.jobRunner.getJobStatus(jobId);
+    } catch (error) {
+      if (this.config.debug) {
+        console.warn(`Failed to get job status for ${jobId}:`, error.message);
       }
+      return { name: jobId, status: "unknown", pods: [] };
+    }
+  }
 
-      // Check job conditions for completion status
-      const conditions = jobData.status?.conditions || [];
-      const completedCondition = conditions.find((c) => c.type === "Complete");
-      const failedCondition = conditions.find((c) => c.type === "Failed");
+  /**
+   * Count a failed check of a job and tell whether it has used up its retries
+   */
+  async countJobError(jobId, submission) {
+    if (!submission) {
+      const count = (this.jobErrorCounts.get(jobId) || 0) + 1;
+      this.jobErrorCounts.set(jobId, count);
+      return count >= this.config.maxRetries;
+    }
 
-      if (completedCondition && completedCondition.status === "True") {
-        return "completed";
-      }
-      if (failedCondition && failedCondition.status === "True") {
-        return "failed";
-      }
+    const { errorCount } = await this.dataManager.modifySubmission(submission.id, (current) => ({ errorCount: (current.errorCount || 0) + 1 }));
+    return errorCount >= this.config.maxRetries;
+  }
 
-      // Check pod status for more detailed info
-      const active = jobData.status?.active || 0;
-      const ready = jobData.status?.ready || 0;
+  /**
+   * Mark a job failed, with the failure's category, and queue it for onJobFailure
+   * (which fails or retries the submission; without it the submission is failed here)
+   */
+  async recordJobFailure(job, failure, failures) {
+    console.log(`❌ Job ${job.id} failed (${failure.category}: ${failure.reason}) for problem ${job.problemId}`);
 
-      if (active > 0) {
-        // Job has active pods, check if they're actually running
-        try {
-          const podCommand = `kubectl get pods -n ${jobData.metadata.namespace} -l job-name=${jobId} -o json 2>/dev/null`;
-          const { stdout: podStdout } = await execAsync(podCommand, { env });
-          const podData = JSON.parse(podStdout);
-
-          if (podData.items && podData.items.length > 0) {
-            const pod = podData.items[0];
-            const phase = pod.status?.phase;
-
-            if (phase === "Pending") {
-              // Check if it's pending due to resource constraints
-              const conditions = pod.status?.conditions || [];
-              const scheduled = conditions.find((c) => c.type === "PodScheduled");
-              if (scheduled && scheduled.status === "False") {
-                return "pending-resources";
-              }
-              return "pending";
-            } else if (phase === "Running") {
-              return "running";
-            }
-          }
-        } catch (podError) {
-          if (this.config.debug) {
-            console.warn(`Could not get pod status for job ${jobId}:`, podError.message);
-          }
+    await this.dataManager.updateJob(job.id, { status: "failed" });
+
+    const submission = this.config.onJobFailure ? null : await this.dataManager.getSubmissionByJobId(job.id);
+    if (submission) {
+      await this.dataManager.modifySubmission(submission.id, (current) =>
+        FINAL_SUBMISSION_STATUSES.includes(current.status) ? null : { status: "failed", completedAt: new Date().toISOString(), error: failure.message, failure }
+      );
+    }
+
+    this.jobErrorCounts.delete(job.id);
+    failures.push({ problemId: job.problemId, jobId: job.id, failure });
+  }
+
+  /**
+   * Move a job to a new status, along with its submission unless that is finished
+   */
+  async setJobStatus(job, status) {
+    await this.dataManager.updateJob(job.id, { status });
+
+    const submission = await this.dataManager.getSubmissionByJobId(job.id);
+    if (submission) {
+      await this.dataManager.modifySubmission(submission.id, (current) =>
+        current.status === status || FINAL_SUBMISSION_STATUSES.includes(current.status) ? null : { status }
+      );
+    }
+  }
+
+  /**
+   * Store a completed job's results (and auto score) on its submission and mark the job completed
+   */
+  async recordJobResults(job, resultsData, { problem, baselineMetrics }, calculateScoreFn, completions) {
+    const submission = await this.dataManager.getSubmissionByJobId(job.id);
+    if (submission) {
+      const evaluated = await this.dataManager.modifySubmission(submission.id, (current) => {
+        const updates = {
+          ...current,
+          metrics: prepareMetrics(resultsData, baselineMetrics, problem),
+          status: "evaluated",
+          completedAt: new Date().toISOString(),
+        };
+
+        // Calculate score if function provided
+        if (calculateScoreFn && canScore(problem, baselineMetrics)) {
+          updates.autoScore = calculateScoreFn(updates.metrics, baselineMetrics, problem);
+          recordScoreAudit(updates, problem, baselineMetrics, "evaluation");
         }
+        return updates;
+      });
+      console.log(`✓ Submission ${submission.id} updated: auto score = ${evaluated.autoScore || "N/A"}`);
+    } else if (job.type !== "baseline") {
+      console.log(`⚠ No submission found for job ${job.id}`);
+    }
 
-        return "running";
-      }
+    await this.dataManager.updateJob(job.id, { status: "completed" });
+    completions.push({ problemId: job.problemId, jobId: job.id });
+  }
 
-      // Job exists but no active pods
-      return "queued";
-    } catch (error) {
-      if (this.config.debug) {
-        console.warn(`Failed to get Kubernetes job status for ${jobId}:`, error.message);
-      }
-      return "unknown";
+  /**
+   * Record the progress a job wrote to its job_metadata.json, for jobs whose status
+   * callbacks are disabled or lost, and queue it for onJobProgress (which updates the submission)
+   * @returns {boolean} Whether a new event was recorded
+   */
+  async syncJobMetadata(job, runnerStatus, progressUpdates) {
+    const events = job.events;
+    const lastReceivedAt = Date.parse(events[events.length - 1]?.receivedAt);
+    if (lastReceivedAt > Date.now() - this.config.metadataStaleAfter) {
+      return false;
+    }
+
+    const metadata = await this.resultsStore.readJobMetadata(job.id, { problemId: job.problemId });
+    if (!metadata || (metadata.job_id && metadata.job_id !== job.id)) {
+      return false;
+    }
+
+    // A file that says the job is done is only trusted once the runner agrees; failures are classified from the runner
+    const event = buildJobEvent(metadata);
+    if (!["initializing", "running", ...(runnerStatus === "completed" ? ["completed"] : [])].includes(event.status)) {
+      return false;
+    }
+
+    if (!(await this.dataManager.addJobEvent(job.id, event))) {
+      return false;
+    }
+
+    if (this.config.debug) {
+      console.log(`Job ${job.id} progress from job_metadata.json: ${event.phase} (${event.progress ?? "?"}%)`);
     }
+    progressUpdates.push({ problemId: job.problemId, jobId: job.id, event });
+    return true;
   }
 
   /**
@@ -323,288 +323,200 @@ class SubmissionResultsMonitor {
   }
 
   /**
-   * Monitor job statuses across all problems and update submission data
-   * @param {Function} loadDataFn - Function to load current data
-   * @param {Function} saveDataFn - Function to save updated data
+   * Monitor the active jobs of all problems and update their submissions
    * @param {Function} calculateScoreFn - Function to calculate submission scores
+   * @returns {boolean} Whether any job or submission was updated
    */
-  async monitorJobStatuses(loadDataFn, saveDataFn, calculateScoreFn) {
-    if (!loadDataFn || !saveDataFn) {
-      throw new Error("loadDataFn and saveDataFn are required for monitoring");
-    }
-
-    const data = await loadDataFn();
+  async monitorJobStatuses(calculateScoreFn) {
+    const jobs = await this.dataManager.listJobs({ statuses: MONITORED_JOB_STATUSES });
     let hasUpdates = false;
+    const failures = [];
+    const progressUpdates = [];
+    const completions = [];
 
     if (this.config.debug) {
-      console.log("Starting job status monitoring cycle...");
+      console.log(`Starting job status monitoring cycle (${jobs.length} active jobs)...`);
     }
 
-    // Monitor jobs across all problems
-    for (const [problemId, problem] of Object.entries(data.problems || {})) {
-      const activeJobs = Object.entries(problem.jobStatuses || {}).filter(([jobId, status]) => ["running", "queued", "processing", "pending", "pending-resources"].includes(status));
-
-      if (activeJobs.length > 0 && this.config.debug) {
-        console.log(`Monitoring ${activeJobs.length} jobs for problem ${problemId}`);
-      }
+    for (const job of jobs) {
+      const { id: jobId, problemId, status } = job;
 
-      for (const [jobId, status] of activeJobs) {
-        try {
-          if (this.config.debug) {
-            console.log(`Checking job ${jobId} (${status}) for problem ${problemId}`);
-          }
-
-          // First check Kubernetes job status for real-time updates
-          const k8sStatus = await this.getKubernetesJobStatus(jobId);
-
-          if (k8sStatus === "completed") {
-            // Job completed in Kubernetes, check for results in GCS
-            const resultsData = await this.fetchSubmissionResults(jobId, problemId);
-
-            if (resultsData && resultsData.queries) {
-              // Results found in GCS, job is fully completed
-              console.log(`✓ Job ${jobId} completed with results in GCS for problem ${problemId}`);
-
-              const submission = problem.submissions.find((s) => s.jobId === jobId);
-              if (submission) {
-                submission.metrics = resultsData;
-                submission.status = "evaluated";
-                submission.completedAt = new Date().toISOString();
+      try {
+        if (this.config.debug) {
+          console.log(`Checking job ${jobId} (${status}) for problem ${problemId}`);
+        }
 
-                // Calculate score if function provided
-                if (calculateScoreFn && problem.baselineMetrics) {
-                  submission.autoScore = calculateScoreFn(submission.metrics, problem.baselineMetrics);
-                }
+        const scoringContext = await this.dataManager.getScoringContext(problemId);
+        const { problem } = scoringContext;
 
-                console.log(`✓ Submission ${submission.id} updated: auto score = ${submission.autoScore || "N/A"}`);
-              } else {
-                console.log(`⚠ No submission found for job ${jobId}`);
-              }
+        // First check Kubernetes job status for real-time updates
+        const jobStatus = await this.getJobStatusDetails(jobId);
+        const k8sStatus = jobStatus.status;
+        const stuckContainer = ["pending", "pending-resources"].includes(k8sStatus) ? findStartupFailure(jobStatus, true) : null;
 
-              problem.jobStatuses[jobId] = "completed";
-              hasUpdates = true;
-            } else {
-              // Job completed but results not ready yet
-              if (this.config.debug) {
-                console.log(`⏳ Job ${jobId} completed in K8s but results not yet in GCS`);
-              }
-              if (problem.jobStatuses[jobId] !== "processing") {
-                problem.jobStatuses[jobId] = "processing";
-
-                // Update submission status
-                const submission = problem.submissions.find((s) => s.jobId === jobId);
-                if (submission && submission.status !== "processing") {
-                  submission.status = "processing";
-                  hasUpdates = true;
-                }
-
-                hasUpdates = true;
-              }
-            }
-          } else if (k8sStatus === "failed") {
-            // Job failed in Kubernetes
-            console.log(`❌ Job ${jobId} failed in Kubernetes`);
-
-            const submission = problem.submissions.find((s) => s.jobId === jobId);
-            if (submission) {
-              submission.status = "failed";
-              submission.completedAt = new Date().toISOString();
-              submission.error = "Job failed in Kubernetes";
-            }
+        if (["running", "completed"].includes(k8sStatus) && (await this.syncJobMetadata(job, k8sStatus, progressUpdates))) {
+          hasUpdates = true;
+        }
 
-            problem.jobStatuses[jobId] = "failed";
+        if (stuckContainer) {
+          // The evaluator cannot start (e.g. the image cannot be pulled); the Job would wait until its deadline
+          await this.jobRunner.deleteJob(jobId).catch((error) => console.warn(`Failed to delete stuck job ${jobId}:`, error.message));
+          await this.recordJobFailure(job, classifyJobFailure({ jobStatus }), failures);
+          hasUpdates = true;
+        } else if (k8sStatus === "completed") {
+          // Job completed in Kubernetes, check for its results
+          const resultsData = await this.fetchSubmissionResults(jobId, problemId);
+
+          if (hasScorableResults(resultsData, problem)) {
+            // Results found, job is fully completed
+            console.log(`✓ Job ${jobId} completed with results for problem ${problemId}`);
+            await this.recordJobResults(job, resultsData, scoringContext, calculateScoreFn, completions);
             hasUpdates = true;
-          } else if (k8sStatus === "pending-resources") {
-            // Job is pending due to insufficient resources
+          } else {
+            // Job completed but results not ready yet
             if (this.config.debug) {
-              console.log(`⏸ Job ${jobId} is pending due to insufficient cluster resources`);
+              console.log(`⏳ Job ${jobId} completed in K8s but results not yet available`);
             }
-            if (problem.jobStatuses[jobId] !== "pending-resources") {
-              problem.jobStatuses[jobId] = "pending-resources";
-
-              // Update submission status
-              const submission = problem.submissions.find((s) => s.jobId === jobId);
-              if (submission && submission.status !== "pending-resources") {
-                submission.status = "pending-resources";
-                hasUpdates = true;
-              }
+            if (status !== "processing") {
+              await this.setJobStatus(job, "processing");
               hasUpdates = true;
             }
-          } else if (k8sStatus === "pending") {
-            // Job is pending for other reasons
-            if (this.config.debug) {
-              console.log(`⏳ Job ${jobId} is pending in Kubernetes`);
-            }
-            if (problem.jobStatuses[jobId] !== "pending") {
-              problem.jobStatuses[jobId] = "pending";
-
-              // Update submission status
-              const submission = problem.submissions.find((s) => s.jobId === jobId);
-              if (submission && submission.status !== "pending") {
-                submission.status = "pending";
-                hasUpdates = true;
-              }
+          }
+        } else if (k8sStatus === "failed") {
+          // Job failed in Kubernetes; pod state, exit code and reported phase tell whose fault it was
+          await this.recordJobFailure(job, classifyJobFailure({ jobStatus, events: await this.dataManager.getJobEvents(jobId) }), failures);
+          hasUpdates = true;
+        } else if (k8sStatus === "pending-resources") {
+          // Job is pending due to insufficient resources
+          if (this.config.debug) {
+            console.log(`⏸ Job ${jobId} is pending due to insufficient cluster resources`);
+          }
+          if (status !== "pending-resources") {
+            await this.setJobStatus(job, "pending-resources");
+            hasUpdates = true;
+          }
+        } else if (k8sStatus === "pending") {
+          // Job is pending for other reasons
+          if (this.config.debug) {
+            console.log(`⏳ Job ${jobId} is pending in Kubernetes`);
+          }
+          if (status !== "pending") {
+            await this.setJobStatus(job, "pending");
+            hasUpdates = true;
+          }
+        } else if (k8sStatus === "running" && !["running", "processing"].includes(status)) {
+          // Job is actively running (one that reported completion by callback stays "processing")
+          if (this.config.debug) {
+            console.log(`▶ Job ${jobId} is running in Kubernetes`);
+          }
+          await this.setJobStatus(job, "running");
+          hasUpdates = true;
+        } else if (k8sStatus === "not-found") {
+          // Job not found - might have been cleaned up, check one more time for results
+          console.log(`❓ Job ${jobId} not found in Kubernetes, checking for final results`);
+
+          const resultsData = await this.fetchSubmissionResults(jobId, problemId);
+          if (hasScorableResults(resultsData, problem)) {
+            // Found results even though job was cleaned up
+            await this.recordJobResults(job, resultsData, scoringContext, calculateScoreFn, completions);
+            hasUpdates = true;
+          } else {
+            // Job not found and no results - mark as failed after some retries
+            const submission = await this.dataManager.getSubmissionByJobId(jobId);
+            if (await this.countJobError(jobId, submission)) {
+              const monitorError = "Job not found in Kubernetes and no results available";
+              await this.recordJobFailure(job, classifyJobFailure({ events: await this.dataManager.getJobEvents(jobId), monitorError }), failures);
               hasUpdates = true;
             }
-          } else if (k8sStatus === "running" && problem.jobStatuses[jobId] !== "running") {
-            // Job is actively running
+          }
+        } else {
+          // Unknown status or no change, try to fetch results anyway
+          const resultsData = await this.fetchSubmissionResults(jobId, problemId);
+
+          if (hasScorableResults(resultsData, problem)) {
+            // Found results
+            console.log(`✓ Job ${jobId} results found for problem ${problemId}`);
+            await this.recordJobResults(job, resultsData, scoringContext, calculateScoreFn, completions);
+            hasUpdates = true;
+          } else if (resultsData && resultsData.status === "processing") {
+            // Job completed but results still being processed
             if (this.config.debug) {
-              console.log(`▶ Job ${jobId} is running in Kubernetes`);
+              console.log(`⏳ Job ${jobId} completed but results still processing`);
             }
-            problem.jobStatuses[jobId] = "running";
-
-            // Update submission status
-            const submission = problem.submissions.find((s) => s.jobId === jobId);
-            if (submission && submission.status !== "running") {
-              submission.status = "running";
+            if (status !== "processing") {
+              await this.setJobStatus(job, "processing");
               hasUpdates = true;
             }
-
-            hasUpdates = true;
-          } else if (k8sStatus === "not-found") {
-            // Job not found - might have been cleaned up, check one more time for results
-            console.log(`❓ Job ${jobId} not found in Kubernetes, checking for final results`);
-
-            const resultsData = await this.fetchSubmissionResults(jobId, problemId);
-            if (resultsData && resultsData.queries) {
-              // Found results even though job was cleaned up
-              const submission = problem.submissions.find((s) => s.jobId === jobId);
-              if (submission) {
-                submission.metrics = resultsData;
-                submission.status = "evaluated";
-                submission.completedAt = new Date().toISOString();
-
-                if (calculateScoreFn && problem.baselineMetrics) {
-                  submission.autoScore = calculateScoreFn(submission.metrics, problem.baselineMetrics);
-                }
-              }
-              problem.jobStatuses[jobId] = "completed";
-              hasUpdates = true;
-            } else {
-              // Job not found and no results - mark as failed after some retries
-              const submission = problem.submissions.find((s) => s.jobId === jobId);
-              if (submission) {
-                submission.errorCount = (submission.errorCount || 0) + 1;
-                if (submission.errorCount >= this.config.maxRetries) {
-                  submission.status = "failed";
-                  submission.completedAt = new Date().toISOString();
-                  submission.error = "Job not found in Kubernetes and no results available";
-                  problem.jobStatuses[jobId] = "failed";
-                  hasUpdates = true;
-                }
-              }
+          } else if (k8sStatus === "running") {
+            // Still running, so no results are expected yet
+            if (this.config.debug) {
+              console.log(`▶ Job ${jobId} is still running`);
             }
           } else {
-            // Unknown status or no change, try to fetch results anyway
-            const resultsData = await this.fetchSubmissionResults(jobId, problemId);
-
-            if (resultsData && resultsData.queries) {
-              // Found results
-              console.log(`✓ Job ${jobId} results found in GCS for problem ${problemId}`);
-
-              const submission = problem.submissions.find((s) => s.jobId === jobId);
-              if (submission) {
-                submission.metrics = resultsData;
-                submission.status = "evaluated";
-                submission.completedAt = new Date().toISOString();
-
-                if (calculateScoreFn && problem.baselineMetrics) {
-                  submission.autoScore = calculateScoreFn(submission.metrics, problem.baselineMetrics);
-                }
-
-                console.log(`✓ Submission ${submission.id} updated: auto score = ${submission.autoScore || "N/A"}`);
-              }
-
-              problem.jobStatuses[jobId] = "completed";
+            // No results found yet, increment error count for eventual timeout
+            const submission = await this.dataManager.getSubmissionByJobId(jobId);
+            if (await this.countJobError(jobId, submission)) {
+              console.log(`❌ Job ${jobId} marked as failed after ${this.config.maxRetries} failed checks`);
+              const monitorError = "Timeout waiting for results";
+              await this.recordJobFailure(job, classifyJobFailure({ jobStatus, events: await this.dataManager.getJobEvents(jobId), monitorError }), failures);
               hasUpdates = true;
-            } else if (resultsData && resultsData.status === "processing") {
-              // Job completed but results still being processed
-              if (this.config.debug) {
-                console.log(`⏳ Job ${jobId} completed but results still processing`);
-              }
-              if (problem.jobStatuses[jobId] !== "processing") {
-                problem.jobStatuses[jobId] = "processing";
-                hasUpdates = true;
-              }
-            } else {
-              // No results found yet, increment error count for eventual timeout
-              const submission = problem.submissions.find((s) => s.jobId === jobId);
-              if (submission) {
-                submission.errorCount = (submission.errorCount || 0) + 1;
-
-                if (submission.errorCount >= this.config.maxRetries) {
-                  console.log(`❌ Job ${jobId} marked as failed after ${submission.errorCount} failed checks`);
-                  submission.status = "failed";
-                  submission.completedAt = new Date().toISOString();
-                  submission.error = "Timeout waiting for results";
-                  problem.jobStatuses[jobId] = "failed";
-                  hasUpdates = true;
-                } else if (this.config.debug) {
-                  console.log(`⏳ Job ${jobId} still ${status}, check ${submission.errorCount}/${this.config.maxRetries}`);
-                }
-              }
+            } else if (this.config.debug) {
+              const checks = submission ? (await this.dataManager.getSubmission(submission.id)).errorCount : this.jobErrorCounts.get(jobId);
+              console.log(`⏳ Job ${jobId} still ${status}, check ${checks}/${this.config.maxRetries}`);
             }
           }
-        } catch (error) {
-          console.error(`❌ Error monitoring job ${jobId} for problem ${problemId}:`, error.message);
-
-          // Increment error count for submission
-          const submission = problem.submissions.find((s) => s.jobId === jobId);
-          if (submission) {
-            submission.errorCount = (submission.errorCount || 0) + 1;
-            if (submission.errorCount >= this.config.maxRetries) {
-              console.log(`❌ Job ${jobId} marked as failed after ${submission.errorCount} errors`);
-              submission.status = "failed";
-              submission.completedAt = new Date().toISOString();
-              submission.error = `Monitoring error: ${error.message}`;
-              problem.jobStatuses[jobId] = "failed";
-              hasUpdates = true;
-            }
+        }
+      } catch (error) {
+        console.error(`❌ Error monitoring job ${jobId} for problem ${problemId}:`, error.message);
+
+        // Increment error count for submission; repeated errors reading the job or its results are the infrastructure's
+        try {
+          const submission = await this.dataManager.getSubmissionByJobId(jobId);
+          if (await this.countJobError(jobId, submission)) {
+            console.log(`❌ Job ${jobId} marked as failed after ${this.config.maxRetries} errors`);
+            await this.recordJobFailure(job, classifyJobFailure({ monitorError: `Monitoring error: ${error.message}` }), failures);
+            hasUpdates = true;
           }
+        } catch (recordError) {
+          console.error(`❌ Error recording monitoring error of job ${jobId}:`, recordError.message);
         }
       }
     }
 
-    // Handle legacy job monitoring for backward compatibility
-    if (data.jobStatuses) {
-      const legacyRunningJobs = Object.entries(data.jobStatuses).filter(([jobId, status]) => status === "running" || status === "queued" || status === "processing");
+    if (hasUpdates && this.config.debug) {
+      console.log("✓ Job monitoring updates saved");
+    }
 
-      for (const [jobId, status] of legacyRunningJobs) {
+    // Let the server update the submissions of jobs that reported progress
+    if (this.config.onJobProgress) {
+      for (const update of progressUpdates) {
         try {
-          if (this.config.debug) {
-            console.log(`Checking legacy job ${jobId} (${status})`);
-          }
-
-          const resultsData = await this.fetchSubmissionResults(jobId);
-
-          if (resultsData && resultsData.queries) {
-            console.log(`✓ Legacy job ${jobId} results found in GCS`);
-
-            const submission = data.submissions?.find((s) => s.jobId === jobId);
-            if (submission) {
-              submission.metrics = resultsData;
-              submission.status = "evaluated";
-              submission.completedAt = new Date().toISOString();
-
-              if (calculateScoreFn && data.baselineMetrics) {
-                submission.autoScore = calculateScoreFn(submission.metrics, data.baselineMetrics);
-              }
-            }
+          await this.config.onJobProgress(update);
+        } catch (error) {
+          console.error(`❌ Error recording progress of job ${update.jobId}:`, error.message);
+        }
+      }
+    }
 
-            data.jobStatuses[jobId] = "completed";
-            hasUpdates = true;
-          }
+    // Let the server pick up the artifacts of completed jobs
+    if (this.config.onJobCompleted) {
+      for (const completion of completions) {
+        try {
+          await this.config.onJobCompleted(completion);
         } catch (error) {
-          console.error(`❌ Error monitoring legacy job ${jobId}:`, error.message);
+          console.error(`❌ Error handling completion of job ${completion.jobId}:`, error.message);
         }
       }
     }
 
-    // Save data if there were updates
-    if (hasUpdates) {
-      await saveDataFn(data);
-      if (this.config.debug) {
-        console.log("✓ Job monitoring updates saved");
+    // Let the server retry or fail the submissions of failed jobs
+    if (this.config.onJobFailure) {
+      for (const failure of failures) {
+        try {
+          await this.config.onJobFailure(failure);
+        } catch (error) {
+          console.error(`❌ Error handling failure of job ${failure.jobId}:`, error.message);
+        }
       }
     }
 
@@ -617,11 +529,9 @@ class SubmissionResultsMonitor {
 
   /**
    * Start automatic monitoring with the configured interval
-   * @param {Function} loadDataFn - Function to load current data
-   * @param {Function} saveDataFn - Function to save updated data
    * @param {Function} calculateScoreFn - Function to calculate submission scores
    */
-  startMonitoring(loadDataFn, saveDataFn, calculateScoreFn) {
+  startMonitoring(calculateScoreFn) {
     if (this.isMonitoring) {
       console.warn("Monitoring is already running");
       return;
@@ -630,13 +540,13 @@ class SubmissionResultsMonitor {
     console.log(`Starting submission results monitoring (interval: ${this.config.monitorInterval}ms)`);
 
     // Run once immediately
-    this.monitorJobStatuses(loadDataFn, saveDataFn, calculateScoreFn).catch((error) => {
+    this.monitorJobStatuses(calculateScoreFn).catch((error) => {
       console.error("Error in initial monitoring run:", error);
     });
 
     // Set up interval monitoring
     this.monitoringInterval = setInterval(() => {
-      this.monitorJobStatuses(loadDataFn, saveDataFn, calculateScoreFn).catch((error) => {
+      this.monitorJobStatuses(calculateScoreFn).catch((error) => {
         console.error("Error in monitoring cycle:", error);
       });
     }, this.config.monitorInterval);
@@ -669,18 +579,17 @@ class SubmissionResultsMonitor {
 
   /**
    * Manual trigger for a single monitoring cycle
-   * @param {Function} loadDataFn - Function to load current data
-   * @param {Function} saveDataFn - Function to save updated data
    * @param {Function} calculateScoreFn - Function to calculate submission scores
    */
-  async triggerMonitoring(loadDataFn, saveDataFn, calculateScoreFn) {
+  async triggerMonitoring(calculateScoreFn) {
     console.log("Manually triggering monitoring cycle...");
-    return await this.monitorJobStatuses(loadDataFn, saveDataFn, calculateScoreFn);
+    return await this.monitorJobStatuses(calculateScoreFn);
   }
 }
 
 // Export both the class and a default instance
 module.exports = {
+  MONITORED_JOB_STATUSES,
   SubmissionResultsMonitor,
   createMonitor: (config) => new SubmissionResultsMonitor(config),
 };
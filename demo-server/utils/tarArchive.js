@@ -0,0 +1,129 @@
+/**
+ * Tar Archives
+ *
+ * Packs and unpacks gzipped ustar archives of regular files in memory, enough for
+ * contest exports (utils/contestArchive.js) without an archive dependency.
+ * Directories, links and extended headers in an archive are skipped.
+ */
+
+const util = require("util");
+const zlib = require("zlib");
+
+const BLOCK_SIZE = 512;
+const gzip = util.promisify(zlib.gzip);
+const gunzip = util.promisify(zlib.gunzip);
+
+function writeString(block, offset, length, value) {
+  block.write(value, offset, Math.min(Buffer.byteLength(value), length), "utf8");
+}
+
+function writeOctal(block, offset, length, value) {
+  writeString(block, offset, length, value.toString(8).padStart(length - 1, "0") + "\0");
+}
+
+function readString(block, offset, length) {
+  const end = block.indexOf(0, offset);
+  return block.toString("utf8", offset, end === -1 || end > offset + length ? offset + length : end);
+}
+
+function checksum(block) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    // The checksum field itself counts as spaces
+    sum += i >= 148 && i < 156 ? 32 : block[i];
+  }
+  return sum;
+}
+
+// Split a path into ustar name (100 bytes) and prefix (155 bytes) at a slash
+function splitName(name) {
+  if (Buffer.byteLength(name) <= 100) {
+    return { name, prefix: "" };
+  }
+
+  for (let slash = name.indexOf("/"); slash !== -1; slash = name.indexOf("/", slash + 1)) {
+    const prefix = name.slice(0, slash);
+    const rest = name.slice(slash + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) {
+      return { name: rest, prefix };
+    }
+  }
+  throw new Error(`Path too long for a tar archive: ${name}`);
+}
+
+function header(entry) {
+  const block = Buffer.alloc(BLOCK_SIZE);
+  const { name, prefix } = splitName(entry.name);
+
+  writeString(block, 0, 100, name);
+  writeOctal(block, 100, 8, 0o644);
+  writeOctal(block, 108, 8, 0);
+  writeOctal(block, 116, 8, 0);
+  writeOctal(block, 124, 12, entry.content.length);
+  writeOctal(block, 136, 12, Math.floor((entry.mtime || Date.now()) / 1000));
+  block[156] = "0".charCodeAt(0);
+  writeString(block, 257, 6, "ustar\0");
+  writeString(block, 263, 2, "00");
+  writeString(block, 345, 155, prefix);
+  writeString(block, 148, 8, checksum(block).toString(8).padStart(6, "0") + "\0 ");
+  return block;
+}
+
+/**
+ * Pack files into a gzipped tar archive
+ * @param {Array} entries - [{ name, content: Buffer, mtime }] with "/"-separated names
+ * @returns {Buffer}
+ */
+async function packTar(entries) {
+  const blocks = [];
+  entries.forEach((entry) => {
+    blocks.push(header(entry), entry.content);
+    const padding = (BLOCK_SIZE - (entry.content.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding > 0) blocks.push(Buffer.alloc(padding));
+  });
+  // Two empty blocks end the archive
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+  return gzip(Buffer.concat(blocks));
+}
+
+/**
+ * Unpack the regular files of a gzipped (or plain) tar archive
+ * @returns {Array} [{ name, content: Buffer }]
+ * @throws {Error} If the archive is damaged
+ */
+async function unpackTar(archive) {
+  // Gzip streams start with 1f 8b
+  const tar = archive[0] === 0x1f && archive[1] === 0x8b ? await gunzip(archive) : archive;
+  const entries = [];
+
+  for (let offset = 0; offset + BLOCK_SIZE <= tar.length; ) {
+    const block = tar.subarray(offset, offset + BLOCK_SIZE);
+    if (block.every((byte) => byte === 0)) {
+      break;
+    }
+    if (parseInt(readString(block, 148, 8), 8) !== checksum(block)) {
+      throw new Error(`Damaged tar header at byte ${offset}`);
+    }
+
+    const name = readString(block, 0, 100);
+    const prefix = readString(block, 345, 155);
+    const size = parseInt(readString(block, 124, 12), 8) || 0;
+    const type = String.fromCharCode(block[156] || 48);
+    const start = offset + BLOCK_SIZE;
+    if (start + size > tar.length) {
+      throw new Error(`Truncated tar archive: ${name} is cut off`);
+    }
+
+    if (type === "0") {
+      entries.push({ name: prefix ? `${prefix}/${name}` : name, content: Buffer.from(tar.subarray(start, start + size)) });
+    }
+    offset = start + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+  }
+
+  return entries;
+}
+
+module.exports = {
+  packTar,
+  unpackTar,
+};
@@ -0,0 +1,148 @@
+/**
+ * Timing Module
+ *
+ * Aggregates the repeated runs of a query into a single timing that is robust
+ * to noise: warm-up runs (cold caches) can be discarded and the remaining
+ * samples reduced with a median, trimmed mean or plain mean. Spread statistics
+ * flag queries whose timings vary too much to be scored reliably.
+ *
+ * Problems configure it with `constraints.timing`:
+ *
+ *   { "aggregation": "median" | "trimmed-mean" | "mean", "warmupRuns": 1,
+ *     "trimFraction": 0.1, "maxCoefficientOfVariation": 0.5, "normalizeHardware": true }
+ *
+ * With `normalizeHardware`, submission timings are rescaled to the baseline's
+ * node using the speed factor calibrate.sh reports in summary.json.
+ */
+
+const { median, average } = require("./scorers/math");
+
+const AGGREGATIONS = ["median", "trimmed-mean", "mean"];
+
+const DEFAULT_TIMING_OPTIONS = {
+  aggregation: "median",
+  warmupRuns: 0,
+  trimFraction: 0.1,
+  maxCoefficientOfVariation: 0.5,
+  normalizeHardware: false,
+};
+
+/**
+ * Read the run aggregation options from a problem's constraints
+ * @param {Object} constraints - Problem constraints
+ * @returns {Object} Timing options with defaults applied
+ */
+function getTimingOptions(constraints = {}) {
+  const timing = constraints?.timing || {};
+  const warmupRuns = parseInt(timing.warmupRuns, 10);
+  const trimFraction = Number(timing.trimFraction);
+  const maxCv = Number(timing.maxCoefficientOfVariation);
+
+  return {
+    aggregation: AGGREGATIONS.includes(timing.aggregation) ? timing.aggregation : DEFAULT_TIMING_OPTIONS.aggregation,
+    warmupRuns: warmupRuns >= 0 ? warmupRuns : DEFAULT_TIMING_OPTIONS.warmupRuns,
+    trimFraction: trimFraction >= 0 && trimFraction < 0.5 ? trimFraction : DEFAULT_TIMING_OPTIONS.trimFraction,
+    maxCoefficientOfVariation: maxCv > 0 ? maxCv : DEFAULT_TIMING_OPTIONS.maxCoefficientOfVariation,
+    normalizeHardware: timing.normalizeHardware === true,
+  };
+}
+
+/**
+ * Get the speed factor a job's calibration benchmark reported (> 1 = faster than the reference node)
+ */
+function getSpeedFactor(metrics) {
+  const factor = metrics?.calibration?.speed_factor;
+  return metrics?.calibration?.status === "measured" && factor > 0 ? factor : null;
+}
+
+/**
+ * Get the factor that converts submission timings to the baseline's node.
+ * A submission on a node twice as fast as the baseline's has its times doubled
+ * (and its throughput halved). The scale is 1 unless normalization is enabled
+ * and both jobs were calibrated.
+ * @param {Object} submissionMetrics - Submission metrics
+ * @param {Object} baselineMetrics - Baseline metrics
+ * @param {Object} options - Timing options
+ * @returns {Object} { applied, scale, submissionSpeedFactor, baselineSpeedFactor }
+ */
+function getHardwareAdjustment(submissionMetrics, baselineMetrics, options = DEFAULT_TIMING_OPTIONS) {
+  const submissionSpeedFactor = getSpeedFactor(submissionMetrics);
+  const baselineSpeedFactor = getSpeedFactor(baselineMetrics);
+  const applied = options.normalizeHardware && submissionSpeedFactor !== null && baselineSpeedFactor !== null;
+
+  return {
+    applied,
+    scale: applied ? submissionSpeedFactor / baselineSpeedFactor : 1,
+    submissionSpeedFactor,
+    baselineSpeedFactor,
+  };
+}
+
+/**
+ * Nearest-rank percentile of sorted values (same definition as query-runner.sh)
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.max(1, Math.ceil((p / 100) * sorted.length));
+  return sorted[rank - 1];
+}
+
+/**
+ * Mean of the values left after dropping `trimFraction` of samples from each end
+ */
+function trimmedMean(sorted, trimFraction) {
+  const trim = Math.floor(sorted.length * trimFraction);
+  const kept = sorted.slice(trim, sorted.length - trim);
+  return kept.length > 0 ? average(kept) : median(sorted);
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Summarize the runs of a query
+ * @param {Array} runs - Query runs ({ run, status, time })
+ * @param {Object} options - Timing options (see getTimingOptions)
+ * @returns {Object} Aggregated time and spread statistics over the measured runs
+ */
+function summarizeRunTimes(runs = [], options = DEFAULT_TIMING_OPTIONS) {
+  const ordered = [...runs].sort((a, b) => (a.run ?? 0) - (b.run ?? 0));
+  const measuredRuns = ordered.slice(Math.min(options.warmupRuns, Math.max(ordered.length - 1, 0)));
+  const samples = measuredRuns.filter((run) => run.status === "success" && typeof run.time === "number").map((run) => run.time);
+  const sorted = [...samples].sort((a, b) => a - b);
+
+  const mean = average(sorted);
+  const stddev = sorted.length > 1 ? Math.sqrt(sorted.reduce((sum, time) => sum + (time - mean) ** 2, 0) / (sorted.length - 1)) : sorted.length === 1 ? 0 : null;
+  const cv = mean > 0 && stddev !== null ? stddev / mean : null;
+
+  let aggregate = null;
+  if (sorted.length > 0) {
+    if (options.aggregation === "trimmed-mean") aggregate = trimmedMean(sorted, options.trimFraction);
+    else if (options.aggregation === "mean") aggregate = mean;
+    else aggregate = median(sorted);
+  }
+
+  return {
+    aggregation: options.aggregation,
+    aggregate_ms: round(aggregate),
+    warmup_discarded: ordered.length - measuredRuns.length,
+    samples: sorted.length,
+    timed_out: measuredRuns.some((run) => run.status === "timeout"),
+    max_ms: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+    mean_ms: round(mean),
+    p50_ms: percentile(sorted, 50),
+    p90_ms: percentile(sorted, 90),
+    stddev_ms: round(stddev),
+    cv: round(cv),
+    high_variance: cv !== null && sorted.length > 1 && cv > options.maxCoefficientOfVariation,
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMING_OPTIONS,
+  getTimingOptions,
+  getSpeedFactor,
+  getHardwareAdjustment,
+  summarizeRunTimes,
+};
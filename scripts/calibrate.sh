@@ -0,0 +1,37 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Run a fixed CPU/memory micro-benchmark against the local Postgres and write
+# the node speed factor as JSON to the given file. The workload does not touch
+# the dataset, so baseline and submission jobs on different GKE nodes can be
+# compared: speed_factor = CALIBRATION_REFERENCE_MS / median_ms (> 1 = faster node).
+OUT_FILE="${1:?usage: calibrate.sh <output-file>}"
+
+CALIBRATION_RUNS="${CALIBRATION_RUNS:-5}"
+# Median benchmark time on the reference node the contest targets were set on
+CALIBRATION_REFERENCE_MS="${CALIBRATION_REFERENCE_MS:-1000}"
+
+BENCHMARK_NAME="pg-cpu-sort-v1"
+BENCHMARK_SQL="
+SELECT sum(sqrt(i::float8)) FROM generate_series(1, 3000000) AS i;
+SELECT count(*) FROM (SELECT md5(i::text) AS h FROM generate_series(1, 300000) AS i ORDER BY h) AS sorted;
+"
+
+times=()
+for ((i=1;i<=CALIBRATION_RUNS;i++)); do
+  t0=$(date +%s%3N)
+  PGPASSWORD="${POSTGRES_PASSWORD:-postgres}" psql -U "$POSTGRES_USER" -d "$POSTGRES_DB" -q -t -A -P pager=off --no-psqlrc \
+    -c "$BENCHMARK_SQL" > /dev/null
+  t1=$(date +%s%3N)
+  times+=($((t1 - t0)))
+done
+
+median_ms=$(printf '%s\n' "${times[@]}" | sort -n | awk '{a[NR]=$1} END{if(NR%2) print a[(NR+1)/2]; else printf "%.1f\n", (a[NR/2]+a[NR/2+1])/2}')
+
+jq -n --arg benchmark "$BENCHMARK_NAME" --argjson reference "$CALIBRATION_REFERENCE_MS" --argjson median "$median_ms" \
+   --argjson times "$(printf '%s\n' "${times[@]}" | jq -s '.')" \
+   '{status: "measured", benchmark: $benchmark, runs: ($times | length), times_ms: $times, median_ms: $median, reference_ms: $reference,
+     speed_factor: (if $median > 0 then (($reference / $median) * 1000 | round) / 1000 else null end)}' > "$OUT_FILE"
+chmod 0666 "$OUT_FILE" 2>/dev/null || true
+
+echo "[calibrate.sh] ${BENCHMARK_NAME}: median ${median_ms}ms over ${CALIBRATION_RUNS} runs (reference ${CALIBRATION_REFERENCE_MS}ms)"
@@ -29,43 +29,55 @@ cat > "${OUT_DIR:-/output}/job_metadata.json" << EOF
   "job_id": "$JOB_ID",
   "job_type": "${INIT_MODE:-unknown}",
   "repo_url": "${REPO_URL:-null}",
+  "repo_commit": "${REPO_COMMIT:-null}",
   "started_at": "$(date -Iseconds)",
   "node_name": "${HOSTNAME:-unknown}",
   "trace_file": "${OUT_DIR:-/output}/trace.json",
   "status": "initializing",
+  "phase": "initializing",
+  "phase_detail": null,
   "progress": "0%"
 }
 EOF
 
 # Function to update job status
+# Arguments: status, progress, error (JSON), phase, phase detail (JSON, e.g. {"query": 3, "total": 10})
 update_job_status() {
   local status="$1"
   local progress="${2:-0%}"
   local error="${3:-null}"
+  local phase="${4:-$status}"
+  local detail="${5:-null}"
   
   cat > "${OUT_DIR:-/output}/job_metadata.json" << EOF
 {
   "job_id": "$JOB_ID",
   "job_type": "${INIT_MODE:-unknown}",
   "repo_url": "${REPO_URL:-null}",
+  "repo_commit": "${REPO_COMMIT_SHA:-${REPO_COMMIT:-null}}",
   "started_at": "$(cat "${OUT_DIR:-/output}/job_metadata.json" 2>/dev/null | jq -r '.started_at // "unknown"')",
   "updated_at": "$(date -Iseconds)",
   "node_name": "${HOSTNAME:-unknown}",
   "trace_file": "${OUT_DIR:-/output}/trace.json",
   "status": "$status",
+  "phase": "$phase",
+  "phase_detail": $detail,
   "progress": "$progress",
   "error": $error
 }
 EOF
 
-  # Optional: Send callback to API if URL provided
+  # Optional: Send callback to API if URL provided (authenticated with the job's callback token)
   if [[ -n "${API_CALLBACK_URL:-}" ]]; then
     curl -X POST "$API_CALLBACK_URL/jobs/$JOB_ID/status" \
       -H "Content-Type: application/json" \
+      -H "Authorization: Bearer ${API_CALLBACK_TOKEN:-}" \
       -d @"${OUT_DIR:-/output}/job_metadata.json" \
       --max-time 10 --silent || true
   fi
 }
+# query-runner.sh reports per-query progress through the same function
+export -f update_job_status
 
 cleanup_monitor() {
   if [[ -n "${MONITOR_PID:-}" ]]; then
@@ -348,6 +360,7 @@ done
 if [ "$INIT_MODE" = "LOAD" ]; then
   # Submission mode: download and load baseline database dump
   echo "Postgres ready. Processing baseline database dump..."
+  update_job_status "running" "10%" null "loading-baseline"
   
   # Define paths for baseline dump and download marker
   BASELINE_DOWNLOAD_PATH="/tmp/baseline_dump.sql"
@@ -442,21 +455,29 @@ EOF
   # Load the filtered dump
   psql -U "$POSTGRES_USER" -d "$POSTGRES_DB" -v ON_ERROR_STOP=1 -f "$FILTERED_DUMP_PATH"
   
+  # Record relation sizes of the restored baseline so auxiliary storage can be measured
+  if /usr/local/bin/storage-snapshot.sh "${OUT_DIR:-/output}/storage_before.json"; then
+    export STORAGE_BEFORE_FILE="${OUT_DIR:-/output}/storage_before.json"
+  else
+    echo "WARNING: Could not record relation sizes before migration"
+  fi
+
   # Apply submission migration if present
   if [ -f "/submission/migration.sql" ] && [ -s "/submission/migration.sql" ]; then
     echo "Applying submission migration..."
+    update_job_status "running" "30%" null "applying-migration"
     psql -U "$POSTGRES_USER" -d "$POSTGRES_DB" -v ON_ERROR_STOP=1 -f "/submission/migration.sql"
   fi
   
   echo "Database loaded successfully. Starting query evaluation..."
-  update_job_status "running" "50%" null
+  update_job_status "running" "40%" null "running-queries"
   
   # Override the source directory to use submission queries
   export QUERIES_DIR=/submission
 else
   # Baseline mode: run database initialization manually
   echo "Postgres ready. Initializing baseline database..."
-  update_job_status "running" "20%" null
+  update_job_status "running" "10%" null "generating-data"
   
   # Set environment variables for the init script (all already validated)
   export INIT_MODE
@@ -469,7 +490,7 @@ else
   bash /sql-templates/init-db.sh
   
   echo "Database initialization complete. Starting query evaluation..."
-  update_job_status "running" "50%" null
+  update_job_status "running" "40%" null "running-queries"
   
   # Use baseline queries directory
   export QUERIES_DIR=/source
@@ -489,6 +510,13 @@ if [ -n "$REPO_URL" ] && [ "$INIT_MODE" = "LOAD" ]; then
     
     # Copy SQL files to submission directory
     if [ -d "$TEMP_REPO_DIR" ]; then
+      # Evaluate a specific commit if requested (retries re-run the commit evaluated before)
+      if [ -n "${REPO_COMMIT:-}" ]; then
+        git -C "$TEMP_REPO_DIR" checkout --quiet "$REPO_COMMIT"
+      fi
+      export REPO_COMMIT_SHA="$(git -C "$TEMP_REPO_DIR" rev-parse HEAD)"
+      echo "Evaluating commit $REPO_COMMIT_SHA"
+
       find "$TEMP_REPO_DIR" -name "*.sql" -exec cp {} /submission/ \;
       echo "Submission files downloaded and copied successfully"
     fi
@@ -517,6 +545,8 @@ echo "Query runs finished. Preparing results and DB dump..."
 
 # Upload results and optionally create database dump using dump-db.sh script
 if [ "$UPLOAD_ENABLED" = "true" ] || [ "$DUMP_ENABLED" = "true" ]; then
+  update_job_status "running" "90%" null "uploading-results"
+
   # Set dump path based on mode
   if [ "$INIT_MODE" = "CREATE" ]; then
     export DUMP_PATH=${DUMP_PATH:-/output/db_dump.sql}
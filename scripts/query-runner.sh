@@ -31,6 +31,25 @@ fi
 
 start_all=$(date -u +%Y-%m-%dT%H:%M:%SZ)
 
+# Directory holding the benchmark queries (baseline: /source, submission: /submission)
+QUERIES_DIR="${QUERIES_DIR:-/source}"
+
+# Helper: decide whether a query's result order is significant.
+# An explicit "-- result-order: sensitive|insensitive" comment wins; otherwise
+# queries with an ORDER BY are treated as order-sensitive.
+result_order_sensitive() {
+  local file=$1
+  if grep -qiE '^[[:space:]]*--[[:space:]]*result-order:[[:space:]]*insensitive' "$file"; then
+    echo false
+  elif grep -qiE '^[[:space:]]*--[[:space:]]*result-order:[[:space:]]*sensitive' "$file"; then
+    echo true
+  elif grep -v '^[[:space:]]*--' "$file" | grep -qiE 'order[[:space:]]+by'; then
+    echo true
+  else
+    echo false
+  fi
+}
+
 # Helper: run a SQL file with timeout (ms). Uses coreutils timeout which accepts seconds; convert ms->s with fraction
 run_with_timeout() {
   local ms=$1; shift
@@ -40,6 +59,24 @@ run_with_timeout() {
   timeout --foreground "${sec}s" "${cmd[@]}"
 }
 
+# Relation sizes before migration; the entrypoint takes this snapshot itself when it
+# applies the submission's migration before handing over to this script
+STORAGE_BEFORE="${STORAGE_BEFORE_FILE:-}"
+if [ -z "$STORAGE_BEFORE" ] || [ ! -s "$STORAGE_BEFORE" ]; then
+  STORAGE_BEFORE="$OUT_DIR/storage_before.json"
+  /usr/local/bin/storage-snapshot.sh "$STORAGE_BEFORE" || rm -f "$STORAGE_BEFORE"
+fi
+
+# Hardware calibration: benchmark the node before the queries load it. In LOAD mode
+# entrypoint.sh has already applied the submission's migration.sql by now; the
+# benchmark does not touch the dataset, so that does not change its result
+CALIBRATION_ENABLED="${CALIBRATION_ENABLED:-true}"
+CALIBRATION_FILE="$OUT_DIR/calibration.json"
+rm -f "$CALIBRATION_FILE"
+if [ "$CALIBRATION_ENABLED" = "true" ]; then
+  /usr/local/bin/calibrate.sh "$CALIBRATION_FILE" || rm -f "$CALIBRATION_FILE"
+fi
+
 # Run migration first if present
 MIG_FILE=/source/migration.sql
 migration_status="missing"
@@ -77,12 +114,38 @@ fi
 # Build initial JSON structure
 jq -n --arg status "$migration_status" --arg time "$migration_time" '{migration: {status: $status, time: $time}, queries: {}}' > "$JSON_SUM"
 
-# Determine queries list from QUERIES env, default to files in /source
+# Storage overhead: compare relation sizes after migration with the snapshot taken before it
+STORAGE_AFTER="$OUT_DIR/storage_after.json"
+if [ -s "$STORAGE_BEFORE" ] && /usr/local/bin/storage-snapshot.sh "$STORAGE_AFTER"; then
+  jq --slurpfile before "$STORAGE_BEFORE" --slurpfile after "$STORAGE_AFTER" '
+    ($before[0] // []) as $b | ($after[0] // []) as $a |
+    ($b | map({key: .name, value: .bytes}) | from_entries) as $sizes |
+    .storage = ({
+      status: "measured",
+      base_bytes: ($b | map(.bytes) | add // 0),
+      total_bytes: ($a | map(.bytes) | add // 0),
+      objects: ([$a[] | . + {created: ($sizes[.name] == null), delta_bytes: (.bytes - ($sizes[.name] // 0))} | select(.delta_bytes > 0)] | sort_by(-.delta_bytes))
+    } | . + {extra_bytes: (.total_bytes - .base_bytes)})
+  ' "$JSON_SUM" > "$JSON_SUM.tmp" && mv "$JSON_SUM.tmp" "$JSON_SUM"
+  echo "Storage: base=$(jq -r '.storage.base_bytes' "$JSON_SUM") bytes, extra=$(jq -r '.storage.extra_bytes' "$JSON_SUM") bytes"
+else
+  echo "Storage sizes unavailable; skipping storage measurement."
+  jq '.storage = {status: "unavailable"}' "$JSON_SUM" > "$JSON_SUM.tmp" && mv "$JSON_SUM.tmp" "$JSON_SUM"
+fi
+
+if [ -s "$CALIBRATION_FILE" ]; then
+  jq --slurpfile cal "$CALIBRATION_FILE" '.calibration = $cal[0]' "$JSON_SUM" > "$JSON_SUM.tmp" && mv "$JSON_SUM.tmp" "$JSON_SUM"
+  echo "Calibration: speed factor $(jq -r '.calibration.speed_factor' "$JSON_SUM")"
+else
+  jq '.calibration = {status: "unavailable"}' "$JSON_SUM" > "$JSON_SUM.tmp" && mv "$JSON_SUM.tmp" "$JSON_SUM"
+fi
+
+# Determine queries list from QUERIES env, default to files in $QUERIES_DIR
 if [ -n "${QUERIES-}" ]; then
   IFS=',' read -r -a QLIST <<< "$QUERIES"
 else
   # fallback: find .sql files (excluding migration.sql)
-  mapfile -t QFILES < <(shopt -s nullglob; for f in /source/*.sql; do [ "$(basename $f)" = migration.sql ] && continue; echo "${f##*/}"; done)
+  mapfile -t QFILES < <(shopt -s nullglob; for f in "$QUERIES_DIR"/*.sql; do [ "$(basename $f)" = migration.sql ] && continue; echo "${f##*/}"; done)
   QLIST=("${QFILES[@]}")
 fi
 
@@ -100,13 +163,14 @@ for q in "${QLIST[@]}"; do
     qname="${qname%.sql}"
   fi
   
-  # Calculate progress (50% base + 40% for queries + 10% for dump)
-  current_progress=$((50 + (40 * completed_queries / total_queries)))
-  update_job_status "running" "${current_progress}%" null
+  # Calculate progress (40% base + 40% for queries + concurrency and upload)
+  current_progress=$((40 + (40 * completed_queries / total_queries)))
+  update_job_status "running" "${current_progress}%" null "running-queries" \
+    "{\"query\": $((completed_queries + 1)), \"total\": $total_queries, \"completed\": $completed_queries, \"name\": \"$qname\"}"
 
-  sqlpath="/source/$sqlname"
+  sqlpath="$QUERIES_DIR/$sqlname"
   if [ ! -f "$sqlpath" ]; then
-    echo "Query $sqlname missing in /source. Marking missing."
+    echo "Query $sqlname missing in $QUERIES_DIR. Marking missing."
     # add to JSON as missing
     jq --arg q "$qname" '.queries[$q] = {status: "missing"}' "$JSON_SUM" > "$JSON_SUM.tmp" && mv "$JSON_SUM.tmp" "$JSON_SUM"
     continue
@@ -130,6 +194,13 @@ for q in "${QLIST[@]}"; do
   # mark query as pending in JSON
   jq --arg q "$qname" '.queries[$q] = {status: "pending", runs: []}' "$JSON_SUM" > "$JSON_SUM.tmp" && mv "$JSON_SUM.tmp" "$JSON_SUM"
 
+  # Result fingerprint of the first successful run; later runs only check it is stable
+  ordered=$(result_order_sensitive "$sqlpath")
+  fp_ordered_hash=""
+  fp_unordered_hash=""
+  fp_rows=0
+  fp_stable=true
+
   echo "Running query $sqlname ($EXEC_PER_QUERY runs)"
   for ((i=1;i<=EXEC_PER_QUERY;i++)); do
     start_ms=$(date +%s%3N)
@@ -179,6 +250,20 @@ for q in "${QLIST[@]}"; do
     # Bytes: count bytes of the output excluding timing lines
     bytes=$(echo "$output" | sed '/^Time:/d' | wc -c | tr -d ' ')
 
+    # Canonical result fingerprint: hash of the rows as returned, and of the sorted rows
+    if [ "$status_run" = "success" ]; then
+      result_rows=$(echo "$output" | sed '/^Time:/d' | sed '/^\s*$/d')
+      ordered_hash=$(printf '%s\n' "$result_rows" | sha256sum | cut -d' ' -f1)
+      unordered_hash=$(printf '%s\n' "$result_rows" | LC_ALL=C sort | sha256sum | cut -d' ' -f1)
+      if [ -z "$fp_ordered_hash" ]; then
+        fp_ordered_hash=$ordered_hash
+        fp_unordered_hash=$unordered_hash
+        fp_rows=$rows
+      elif [ "$ordered_hash" != "$fp_ordered_hash" ]; then
+        fp_stable=false
+      fi
+    fi
+
     now_iso=$(date -u +%Y-%m-%dT%H:%M:%SZ)
     if [ "${latency_ms}" -gt 0 ] 2>/dev/null; then
       rows_per_sec=$(awk "BEGIN{printf \"%.3f\", ($rows)/($latency_ms/1000)}")
@@ -211,16 +296,104 @@ for q in "${QLIST[@]}"; do
   qstatus=$(jq -r --arg q "$qname" '.queries[$q].runs[].status' "$JSON_SUM" | awk 'BEGIN{ok=0}{if($0=="success") ok=1}END{print ok?"success":"failed"}')
   jq --arg q "$qname" --arg status "$qstatus" '.queries[$q].status=$status' "$JSON_SUM" > "$JSON_SUM.tmp" && mv "$JSON_SUM.tmp" "$JSON_SUM"
 
+  # Record the result fingerprint used for correctness checking against the baseline
+  if [ -n "$fp_ordered_hash" ]; then
+    jq --arg q "$qname" --arg oh "$fp_ordered_hash" --arg uh "$fp_unordered_hash" --arg rows "$fp_rows" \
+       --argjson ordered "$ordered" --argjson stable "$fp_stable" \
+       '.queries[$q].fingerprint = {ordered: $ordered, ordered_hash: $oh, unordered_hash: $uh, rows: ($rows|tonumber), stable: $stable}' \
+       "$JSON_SUM" > "$JSON_SUM.tmp" && mv "$JSON_SUM.tmp" "$JSON_SUM"
+  fi
+
   # Update progress
   completed_queries=$((completed_queries + 1))
-  current_progress=$((50 + (40 * completed_queries / total_queries)))
-  update_job_status "running" "${current_progress}%" null
+  current_progress=$((40 + (40 * completed_queries / total_queries)))
+  update_job_status "running" "${current_progress}%" null "running-queries" \
+    "{\"query\": $completed_queries, \"total\": $total_queries, \"completed\": $completed_queries, \"name\": \"$qname\"}"
 
   # wait between queries
   echo "...waiting ${EXEC_INTERVAL_Q}ms before next query"
   sleep $(awk "BEGIN{print ${EXEC_INTERVAL_Q}/1000}")
 done
 
+# ----------------------------------------------------------------------------
+# Concurrency phase: CONCURRENCY_CLIENTS clients run the same representative
+# query for CONCURRENCY_DURATION seconds. Only completions inside the window
+# whose result matches the sequential run's fingerprint count as successful.
+# ----------------------------------------------------------------------------
+CONCURRENCY_ENABLED="${CONCURRENCY_ENABLED:-true}"
+CONCURRENCY_QUERY="${CONCURRENCY_QUERY:-Q1}"
+CONCURRENCY_CLIENTS="${CONCURRENCY_CLIENTS:-10}"
+CONCURRENCY_DURATION="${CONCURRENCY_DURATION:-30}"
+
+# Helper: one client loop; appends "rc latency_ms finished_ms hash" per execution
+run_concurrency_client() {
+  local sqlpath=$1 log=$2 window_end=$3
+  local t0 t1 out rc hash
+  while [ "$(date +%s%3N)" -lt "$window_end" ]; do
+    t0=$(date +%s%3N)
+    set +e
+    out=$(run_with_timeout "$EXEC_TIMEOUT" bash -lc "PGPASSWORD=\"${POSTGRES_PASSWORD:-postgres}\" $PSQL -f \"$sqlpath\"" 2>&1)
+    rc=$?
+    set -e
+    t1=$(date +%s%3N)
+    hash=$(printf '%s\n' "$(echo "$out" | sed '/^Time:/d' | sed '/^\s*$/d')" | sha256sum | cut -d' ' -f1)
+    echo "$rc $((t1 - t0)) $t1 $hash" >> "$log"
+  done
+}
+
+# Helper: nearest-rank percentile of a sorted list of numbers on stdin
+percentile() {
+  awk -v p="$1" '{a[NR]=$1} END{if(NR==0){print "null"; exit} i=int(p*NR); if(i<p*NR) i++; if(i<1) i=1; print a[i]}'
+}
+
+if [ "$CONCURRENCY_ENABLED" = "true" ]; then
+  conc_qname="${CONCURRENCY_QUERY%.sql}"
+  conc_sqlpath="$QUERIES_DIR/$conc_qname.sql"
+  expected_hash=$(jq -r --arg q "$conc_qname" '.queries[$q].fingerprint.ordered_hash // empty' "$JSON_SUM")
+
+  if [ ! -f "$conc_sqlpath" ] || [ -z "$expected_hash" ]; then
+    echo "Skipping concurrency phase: $conc_qname has no successful sequential run to compare against"
+    jq --arg q "$conc_qname" '.concurrency = {status: "skipped", query: $q}' "$JSON_SUM" > "$JSON_SUM.tmp" && mv "$JSON_SUM.tmp" "$JSON_SUM"
+  else
+    echo "Running concurrency phase: $conc_qname with $CONCURRENCY_CLIENTS clients for ${CONCURRENCY_DURATION}s"
+    update_job_status "running" "80%" null "running-concurrency" "{\"clients\": $CONCURRENCY_CLIENTS, \"duration_s\": $CONCURRENCY_DURATION}"
+
+    CONC_DIR="$RAW_DIR/concurrency"
+    mkdir -p "$CONC_DIR"
+    rm -f "$CONC_DIR"/client-*.log
+
+    window_start=$(date +%s%3N)
+    window_end=$((window_start + CONCURRENCY_DURATION * 1000))
+    client_pids=()
+    for ((c=1;c<=CONCURRENCY_CLIENTS;c++)); do
+      run_concurrency_client "$conc_sqlpath" "$CONC_DIR/client-$c.log" "$window_end" &
+      client_pids+=($!)
+    done
+    for pid in "${client_pids[@]}"; do
+      wait "$pid" || true
+    done
+
+    CONC_ALL="$CONC_DIR/all.log"
+    cat "$CONC_DIR"/client-*.log > "$CONC_ALL" 2>/dev/null || true
+    chmod 0666 "$CONC_DIR"/*.log 2>/dev/null || true
+
+    conc_completed=$(awk -v end="$window_end" -v h="$expected_hash" '$1==0 && $3<=end && $4==h' "$CONC_ALL" | wc -l | tr -d ' ')
+    conc_errors=$(awk '$1!=0' "$CONC_ALL" | wc -l | tr -d ' ')
+    conc_mismatches=$(awk -v h="$expected_hash" '$1==0 && $4!=h' "$CONC_ALL" | wc -l | tr -d ' ')
+    conc_qps=$(awk "BEGIN{printf \"%.3f\", ${conc_completed}/${CONCURRENCY_DURATION}}")
+    conc_p50=$(awk -v h="$expected_hash" '$1==0 && $4==h {print $2}' "$CONC_ALL" | sort -n | percentile 0.5)
+    conc_p95=$(awk -v h="$expected_hash" '$1==0 && $4==h {print $2}' "$CONC_ALL" | sort -n | percentile 0.95)
+
+    echo "Concurrency result: qps=${conc_qps} completed=${conc_completed} errors=${conc_errors} mismatches=${conc_mismatches} p50=${conc_p50}ms p95=${conc_p95}ms"
+
+    jq --arg q "$conc_qname" --argjson clients "$CONCURRENCY_CLIENTS" --argjson duration "$CONCURRENCY_DURATION" \
+       --argjson completed "$conc_completed" --argjson errors "$conc_errors" --argjson mismatches "$conc_mismatches" \
+       --argjson qps "$conc_qps" --argjson p50 "$conc_p50" --argjson p95 "$conc_p95" \
+       '.concurrency = {status: "completed", query: $q, clients: $clients, duration_s: $duration, completed: $completed, errors: $errors, mismatches: $mismatches, qps: $qps, p50_ms: $p50, p95_ms: $p95}' \
+       "$JSON_SUM" > "$JSON_SUM.tmp" && mv "$JSON_SUM.tmp" "$JSON_SUM"
+  fi
+fi
+
 end_all=$(date -u +%Y-%m-%dT%H:%M:%SZ)
 
 # Add summary metadata
@@ -0,0 +1,31 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+# Write the size of every user relation (tables, indexes, materialized views)
+# as a JSON array to the given file. Taken before and after migration.sql so
+# query-runner.sh can report the auxiliary storage a submission created.
+OUT_FILE="${1:?usage: storage-snapshot.sh <output-file>}"
+
+SNAPSHOT_SQL="
+SELECT COALESCE(json_agg(json_build_object(
+         'name', n.nspname || '.' || c.relname,
+         'kind', CASE c.relkind
+                   WHEN 'r' THEN 'table'
+                   WHEN 'p' THEN 'table'
+                   WHEN 'm' THEN 'materialized_view'
+                   ELSE 'index'
+                 END,
+         'bytes', CASE WHEN c.relkind IN ('r', 'p', 'm') THEN pg_table_size(c.oid) ELSE pg_relation_size(c.oid) END
+       ) ORDER BY c.relname), '[]'::json)
+FROM pg_class c
+JOIN pg_namespace n ON n.oid = c.relnamespace
+WHERE n.nspname NOT IN ('pg_catalog', 'information_schema')
+  AND n.nspname NOT LIKE 'pg_toast%'
+  AND c.relkind IN ('r', 'p', 'm', 'i', 'I');
+"
+
+PGPASSWORD="${POSTGRES_PASSWORD:-postgres}" psql -U "$POSTGRES_USER" -d "$POSTGRES_DB" -q -t -A -P pager=off --no-psqlrc \
+  -c "$SNAPSHOT_SQL" > "$OUT_FILE"
+chmod 0666 "$OUT_FILE" 2>/dev/null || true
+
+echo "[storage-snapshot.sh] Relation sizes written to $OUT_FILE"